@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import { TaskMasterCli } from '../src/cli/TaskMasterCli.js';
+
+const cli = new TaskMasterCli();
+process.exitCode = await cli.run(process.argv.slice(2));
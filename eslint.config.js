@@ -35,6 +35,10 @@ export default [
         AbortController: 'readonly',
         AbortSignal: 'readonly',
         crypto: 'readonly',
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
+        btoa: 'readonly',
+        atob: 'readonly',
         performance: 'readonly',
         navigator: 'readonly',
         location: 'readonly',
@@ -84,6 +88,15 @@ export default [
       'import/no-default-export': 'off'
     }
   },
+  {
+    files: ['bin/**/*.js', 'src/cli/**/*.js'],
+    languageOptions: {
+      globals: {
+        process: 'readonly',
+        Buffer: 'readonly'
+      }
+    }
+  },
   {
     files: ['**/*.test.js', '**/*.spec.js', 'tests/**/*.js'],
     languageOptions: {
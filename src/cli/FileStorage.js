@@ -0,0 +1,63 @@
+/**
+ * FileStorage.js
+ * localStorage兼容的键值存储，持久化到磁盘上的JSON文件，供CLI中的ConfigManager使用
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export class FileStorage {
+    /**
+     * @param {string} filePath - 存储文件路径
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                return parsed && typeof parsed === 'object' ? parsed : {};
+            }
+        } catch (error) {
+            // 存储文件损坏时从空状态开始，与浏览器中localStorage读取失败的处理一致
+        }
+        return {};
+    }
+
+    persist() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2), 'utf8');
+    }
+
+    get length() {
+        return Object.keys(this.data).length;
+    }
+
+    key(index) {
+        return Object.keys(this.data)[index] ?? null;
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : null;
+    }
+
+    setItem(key, value) {
+        this.data[key] = String(value);
+        this.persist();
+    }
+
+    removeItem(key) {
+        if (Object.prototype.hasOwnProperty.call(this.data, key)) {
+            delete this.data[key];
+            this.persist();
+        }
+    }
+
+    clear() {
+        this.data = {};
+        this.persist();
+    }
+}
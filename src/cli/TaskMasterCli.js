@@ -0,0 +1,918 @@
+/**
+ * TaskMasterCli.js
+ * 无界面的命令行入口：在Node中驱动ConfigManager、ConfigTransformer和TaskMasterFileManager，
+ * 对磁盘上的TaskMaster项目和task-master-ai包执行与浏览器界面相同的供应商/模型操作
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { ConfigManager } from '../utils/configManager.js';
+import { TaskMasterFileManager } from '../utils/TaskMasterFileManager.js';
+import { SaveConfig } from '../components/SaveConfig.js';
+import { Logger } from '../utils/Logger.js';
+import { FileStorage } from './FileStorage.js';
+import { NodeFsStorageBackend } from '../utils/NodeFsStorageBackend.js';
+import { ProviderDoctor } from '../utils/ProviderDoctor.js';
+import { McpClientRegistry, MCP_CLIENTS } from '../utils/McpClientRegistry.js';
+import { Redactor } from '../utils/Redactor.js';
+
+const USAGE = `用法: taskmaster-tool <命令> [选项]
+
+命令:
+  status                          显示项目、包和配置概况
+  sync                            将全部供应商和模型写入 supported-models.json 和MCP客户端配置
+  provider list                   列出自定义供应商
+  provider add                    添加供应商并修补TaskMaster包
+      --name <名称> --endpoint <URL> [--api-key <密钥>] [--type openai|anthropic|google|ollama|azure|custom]
+      [--api-version <版本>]        Azure OpenAI的api-version
+      [--dry-run]                 只显示将要修改的文件diff，不写入
+  provider update <名称>          更新供应商并重新生成供应商文件
+      [--endpoint <URL>] [--api-key <密钥>] [--type <类型>] [--api-version <版本>]
+  provider delete <名称>          删除供应商及其在TaskMaster中的所有文件和配置
+      [--dry-run]                 只显示将要修改的文件diff，不写入
+  model list [--provider <名称>]  列出模型
+  model add                       添加模型到本地配置
+      --provider <名称> --model-id <ID> [--name <名称>] [--max-tokens <数量>]
+      [--input-cost <美元>] [--output-cost <美元>] [--swe-score <百分比>] [--roles main,fallback,research]
+  model import <模型ID...>        将模型导入到TaskMaster（--all 导入全部，可配合 --provider）
+  model delete <模型ID>           从TaskMaster和本地配置中删除模型
+  backup list [--file <文件>]     列出 .taskmaster-tool/backups/ 中的文件备份
+  backup diff <备份ID>            显示当前文件与备份版本的差异
+  backup restore <备份ID>         将文件恢复到备份版本（恢复前会备份当前内容）
+      [--dry-run]                 只显示将要修改的文件diff，不写入
+  replay                          task-master-ai升级后，重新应用供应商清单中记录的供应商
+      [--dry-run]                 只显示将要修改的文件diff，不写入
+  doctor                          检查每个自定义供应商在TaskMaster各文件中的注册是否完整
+      [--fix]                     补齐缺失的注册（事务性写入，失败时全部恢复）
+      [--remove-orphans]          配合 --fix 删除已不在本地配置中的孤立供应商
+      [--dry-run]                 配合 --fix 只显示将要修改的文件diff，不写入
+  mcp list                        列出MCP客户端配置（Cursor、Roo、Windsurf、VS Code、Claude）及其状态
+  mcp enable|disable <客户端>     启用或停用向某个客户端配置写入API密钥
+  patch                           将供应商对task-master-ai包的修改导出为patch-package补丁（不修改包文件）
+      [--provider <名称>]         只导出指定供应商（默认全部自定义供应商）
+      [--output <文件>]           补丁文件路径（默认 <项目>/patches/task-master-ai+<版本>.patch，- 表示输出到标准输出）
+
+全局选项:
+  --project <目录>   TaskMaster项目目录（默认当前目录）
+  --package <目录>   task-master-ai包目录（默认 <项目>/node_modules/task-master-ai）
+  --state <文件>     本地配置存储文件（默认 <项目>/.taskmaster-tool/local-storage.json）
+  --json             以JSON格式输出
+  --verbose          输出详细日志
+  -h, --help         显示帮助
+
+环境变量:
+  TASKMASTER_TOOL_PASSPHRASE   启用了API密钥加密时用于解锁的密码`;
+
+const OPTIONS = {
+    project: { type: 'string' },
+    package: { type: 'string' },
+    state: { type: 'string' },
+    json: { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+    name: { type: 'string' },
+    endpoint: { type: 'string' },
+    'api-key': { type: 'string' },
+    type: { type: 'string' },
+    'api-version': { type: 'string' },
+    provider: { type: 'string' },
+    'model-id': { type: 'string' },
+    'max-tokens': { type: 'string' },
+    'input-cost': { type: 'string' },
+    'output-cost': { type: 'string' },
+    'swe-score': { type: 'string' },
+    roles: { type: 'string' },
+    all: { type: 'boolean' },
+    file: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    fix: { type: 'boolean' },
+    'remove-orphans': { type: 'boolean' },
+    output: { type: 'string' }
+};
+
+const VALID_ROLES = ['main', 'fallback', 'research'];
+
+/**
+ * 用法错误：参数缺失或命令未知，退出码为2
+ */
+export class CliUsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliUsageError';
+    }
+}
+
+export class TaskMasterCli {
+    /**
+     * @param {object} [io]
+     * @param {{write: Function}} [io.stdout] - 标准输出
+     * @param {{write: Function}} [io.stderr] - 错误输出
+     * @param {string} [io.cwd] - 工作目录
+     * @param {object} [io.env] - 环境变量
+     */
+    constructor({ stdout = process.stdout, stderr = process.stderr, cwd = process.cwd(), env = process.env } = {}) {
+        this.stdout = stdout;
+        this.stderr = stderr;
+        this.cwd = cwd;
+        this.env = env;
+        this.options = {};
+        this.configManager = null;
+        this.saveConfig = null;
+        this.fileManager = null;
+        this.packageDir = null;
+    }
+
+    /**
+     * 执行命令
+     * @param {string[]} argv - 命令行参数（不含node和脚本路径）
+     * @returns {Promise<number>} 退出码
+     */
+    async run(argv) {
+        let parsed;
+        try {
+            parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+        } catch (error) {
+            this.printError(error.message);
+            this.printError(USAGE);
+            return 2;
+        }
+
+        this.options = parsed.values;
+        const [command, ...rest] = parsed.positionals;
+
+        if (this.options.help || !command) {
+            this.print(USAGE);
+            return command || this.options.help ? 0 : 2;
+        }
+
+        Logger.config.enableConsole = !!this.options.verbose;
+
+        try {
+            await this.setup();
+            await this.dispatch(command, rest);
+            return 0;
+        } catch (error) {
+            this.printError(`错误: ${error.message}`);
+            if (error instanceof CliUsageError) {
+                this.printError(USAGE);
+                return 2;
+            }
+            return 1;
+        }
+    }
+
+    async dispatch(command, args) {
+        const [subcommand, ...subArgs] = args;
+
+        switch (command) {
+            case 'status':
+                return this.status();
+            case 'sync':
+                return this.sync();
+            case 'provider':
+                switch (subcommand) {
+                    case 'list':
+                        return this.providerList();
+                    case 'add':
+                        return this.providerAdd();
+                    case 'update':
+                        return this.providerUpdate(subArgs[0]);
+                    case 'delete':
+                        return this.providerDelete(subArgs[0]);
+                    default:
+                        throw new CliUsageError(`未知的provider子命令: ${subcommand || '(空)'}`);
+                }
+            case 'model':
+                switch (subcommand) {
+                    case 'list':
+                        return this.modelList();
+                    case 'add':
+                        return this.modelAdd();
+                    case 'import':
+                        return this.modelImport(subArgs);
+                    case 'delete':
+                        return this.modelDelete(subArgs[0]);
+                    default:
+                        throw new CliUsageError(`未知的model子命令: ${subcommand || '(空)'}`);
+                }
+            case 'backup':
+                switch (subcommand) {
+                    case 'list':
+                        return this.backupList();
+                    case 'diff':
+                        return this.backupDiff(subArgs[0]);
+                    case 'restore':
+                        return this.backupRestore(subArgs[0]);
+                    default:
+                        throw new CliUsageError(`未知的backup子命令: ${subcommand || '(空)'}`);
+                }
+            case 'replay':
+                return this.replay();
+            case 'doctor':
+                return this.doctor();
+            case 'mcp':
+                switch (subcommand) {
+                    case 'list':
+                        return this.mcpList();
+                    case 'enable':
+                        return this.mcpToggle(subArgs[0], true);
+                    case 'disable':
+                        return this.mcpToggle(subArgs[0], false);
+                    default:
+                        throw new CliUsageError(`未知的mcp子命令: ${subcommand || '(空)'}`);
+                }
+            case 'patch':
+                return this.patch();
+            default:
+                throw new CliUsageError(`未知命令: ${command}`);
+        }
+    }
+
+    /**
+     * 初始化ConfigManager、SaveConfig和TaskMasterFileManager，并将项目/包目录挂载为存储后端
+     */
+    async setup() {
+        const projectDir = path.resolve(this.cwd, this.options.project || '.');
+        if (!fs.existsSync(projectDir) || !fs.statSync(projectDir).isDirectory()) {
+            throw new Error(`项目目录不存在: ${projectDir}`);
+        }
+
+        const statePath = this.options.state
+            ? path.resolve(this.cwd, this.options.state)
+            : path.join(projectDir, '.taskmaster-tool', 'local-storage.json');
+
+        this.configManager = new ConfigManager({ storage: new FileStorage(statePath) });
+        // 启用了API密钥加密时先解锁，未提供密码时只能修改不涉及API密钥的配置
+        if (this.configManager.vault.isEnabled() && this.env.TASKMASTER_TOOL_PASSPHRASE) {
+            await this.configManager.vault.unlock(this.env.TASKMASTER_TOOL_PASSPHRASE);
+        }
+        await this.configManager.loadConfiguration();
+        await this.configManager.saveProjectPath(projectDir);
+
+        this.saveConfig = new SaveConfig(this.configManager);
+        this.saveConfig.directoryHandleCache.set('taskmaster-project', new NodeFsStorageBackend(projectDir));
+
+        // 自定义供应商以项目中提交的 .taskmaster/custom-providers.json 为准
+        this.configManager.setProjectStore(this.saveConfig.customProvidersFile);
+        await this.configManager.loadProjectProviders();
+
+        this.packageDir = this.resolvePackageDir(projectDir);
+        if (this.packageDir) {
+            await this.configManager.savePackagePath(this.packageDir);
+            this.saveConfig.directoryHandleCache.set('taskmaster-package', new NodeFsStorageBackend(this.packageDir));
+        }
+
+        this.fileManager = new TaskMasterFileManager(this.configManager, this.saveConfig);
+    }
+
+    /**
+     * 依次尝试 --package 参数、已保存的包路径和项目内的node_modules
+     * @param {string} projectDir - 项目目录
+     * @returns {string|null} 包目录
+     */
+    resolvePackageDir(projectDir) {
+        if (this.options.package) {
+            const packageDir = path.resolve(this.cwd, this.options.package);
+            if (!this.isTaskMasterPackage(packageDir)) {
+                throw new Error(`不是有效的task-master-ai包目录: ${packageDir}`);
+            }
+            return packageDir;
+        }
+
+        const candidates = [
+            this.configManager.getPackagePath(),
+            path.join(projectDir, 'node_modules', 'task-master-ai')
+        ].filter(Boolean);
+
+        return candidates.find(candidate => this.isTaskMasterPackage(candidate)) || null;
+    }
+
+    isTaskMasterPackage(packageDir) {
+        try {
+            const packageJson = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+            return packageJson.name === 'task-master-ai' &&
+                fs.existsSync(path.join(packageDir, 'src', 'ai-providers'));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    requirePackage() {
+        if (!this.packageDir) {
+            throw new Error('未找到task-master-ai包，请使用 --package 指定包目录');
+        }
+    }
+
+    // Status & Sync
+
+    async status() {
+        const providers = await this.configManager.getProviders();
+        const models = await this.configManager.getModels();
+        const supportedModels = await this.readSupportedModels();
+
+        let packageVersion = null;
+        if (this.packageDir) {
+            const packageJson = JSON.parse(fs.readFileSync(path.join(this.packageDir, 'package.json'), 'utf8'));
+            packageVersion = packageJson.version || 'unknown';
+        }
+
+        const importedIds = new Set(Object.values(supportedModels).flat().map(model => model.id));
+        const upgrade = await this.saveConfig.providerManifest.detectUpgrade();
+        const summary = {
+            projectPath: this.configManager.getProjectPath(),
+            packagePath: this.packageDir,
+            packageVersion,
+            providers: providers.map(provider => ({
+                name: provider.name,
+                endpoint: provider.endpoint,
+                type: provider.type,
+                hasApiKey: !!provider.apiKey,
+                inSupportedModels: !!supportedModels[provider.name.toLowerCase()],
+                models: provider.models.length,
+                importedModels: provider.models.filter(model => importedIds.has(model.modelId)).length
+            })),
+            modelCount: models.length,
+            pendingReplay: upgrade.providers.map(entry => ({ name: entry.name, installedVersion: entry.packageVersion }))
+        };
+
+        if (this.options.json) {
+            this.printJson(summary);
+            return;
+        }
+
+        this.print(`项目目录: ${summary.projectPath}`);
+        this.print(`TaskMaster包: ${summary.packagePath ? `${summary.packagePath} (v${packageVersion})` : '未找到'}`);
+        this.print(`供应商: ${providers.length} 个, 模型: ${models.length} 个`);
+        summary.providers.forEach(provider => {
+            const flags = [
+                provider.hasApiKey ? '已配置密钥' : '缺少密钥',
+                provider.inSupportedModels ? '已注册' : '未注册'
+            ];
+            this.print(`  - ${provider.name} [${provider.type}] ${provider.endpoint || '(无端点)'} ` +
+                `模型 ${provider.importedModels}/${provider.models} 已导入 (${flags.join(', ')})`);
+        });
+        if (upgrade.upgraded) {
+            this.print(`⚠️ task-master-ai 已变为 v${upgrade.currentVersion}，${upgrade.providers.length} 个供应商需要重新应用` +
+                `（${upgrade.providers.map(entry => entry.name).join(', ')}），请运行 replay`);
+        }
+    }
+
+    async sync() {
+        this.requirePackage();
+
+        const providers = await this.configManager.getProviders();
+        const models = await this.configManager.getModels();
+        const taskMasterConfig = this.saveConfig.transformer.uiToTaskMaster(providers, models);
+        const projectDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-project');
+
+        await this.saveConfig.saveTaskMasterConfigFiles(projectDirHandle, taskMasterConfig);
+        await this.saveConfig.saveMCPConfigFile(projectDirHandle, providers);
+
+        this.print(`已同步 ${providers.length} 个供应商和 ${models.length} 个模型到TaskMaster`);
+    }
+
+    // Provider commands
+
+    async providerList() {
+        const providers = await this.configManager.getProviders();
+
+        if (this.options.json) {
+            this.printJson(providers.map(({ models, ...provider }) => ({ ...provider, modelCount: models.length })));
+            return;
+        }
+
+        if (providers.length === 0) {
+            this.print('未配置服务商');
+            return;
+        }
+
+        providers.forEach(provider => {
+            this.print(`${provider.name}\t${provider.type}\t${provider.endpoint || '-'}\t` +
+                `${provider.apiKey ? '••••••••' : '未配置密钥'}\t${provider.models.length} 个模型`);
+        });
+    }
+
+    async providerAdd() {
+        const name = this.requireOption('name');
+        const providerData = {
+            id: this.configManager.generateId('provider'),
+            name,
+            endpoint: (this.options.endpoint || '').trim(),
+            apiKey: (this.options['api-key'] || '').trim(),
+            type: this.options.type || 'openai',
+            isValid: true
+        };
+        if (this.options['api-version']) {
+            providerData.apiVersion = this.options['api-version'].trim();
+        }
+
+        // 与界面保持一致：名称不区分大小写查重
+        const duplicate = this.configManager.getAllProviders().find(p =>
+            p.name.toLowerCase() === name.toLowerCase()
+        );
+        if (duplicate) {
+            throw new Error('服务商名称已存在');
+        }
+
+        if (this.options['dry-run']) {
+            this.requirePackage();
+            this.printPlan(await this.fileManager.planProviderCreation(name, providerData));
+            return;
+        }
+
+        await this.configManager.addProvider(providerData);
+        this.print(`✅ 已添加服务商 ${name}`);
+
+        if (!this.packageDir) {
+            this.print('⚠️ 未找到task-master-ai包，仅保存到本地配置');
+            return;
+        }
+
+        const result = await this.fileManager.createProviderFileOnly(name, providerData);
+        if (result.created) {
+            this.print(`✅ 已创建 ${result.filePath}`);
+            this.printUpdateResults(result.updateResults);
+        } else if (result.reason === 'file_exists') {
+            this.print(`ℹ️ 供应商文件已存在，跳过创建`);
+        } else if (result.reason === 'rolled_back') {
+            this.printUpdateResults(result.updateResults);
+            throw new Error('TaskMaster包修改失败，所有文件已恢复原状（服务商已保存到本地配置）');
+        }
+
+        if (providerData.apiKey) {
+            this.printUpdateResults(await this.fileManager.updateProviderApiKey(name, providerData.apiKey));
+        }
+    }
+
+    async providerUpdate(nameOrId) {
+        const provider = this.findProvider(nameOrId);
+        const providerData = {
+            ...provider,
+            endpoint: this.options.endpoint !== undefined ? this.options.endpoint.trim() : provider.endpoint,
+            apiKey: this.options['api-key'] !== undefined ? this.options['api-key'].trim() : provider.apiKey,
+            type: this.options.type || provider.type
+        };
+        if (this.options['api-version'] !== undefined) {
+            providerData.apiVersion = this.options['api-version'].trim();
+        }
+
+        await this.configManager.updateProvider(providerData);
+        this.print(`✅ 已更新服务商 ${provider.name}`);
+
+        if (!this.packageDir) {
+            this.print('⚠️ 未找到task-master-ai包，仅保存到本地配置');
+            return;
+        }
+
+        const result = await this.fileManager.updateProviderFile(provider.name, providerData);
+        if (result.updated) {
+            this.print(`✅ 已更新 ${result.filePath}`);
+        }
+
+        if (this.options['api-key'] !== undefined && providerData.apiKey) {
+            this.printUpdateResults(await this.fileManager.updateProviderApiKey(provider.name, providerData.apiKey));
+        }
+    }
+
+    async providerDelete(nameOrId) {
+        const provider = this.findProvider(nameOrId);
+
+        if (this.options['dry-run']) {
+            this.requirePackage();
+            this.printPlan(await this.fileManager.planProviderDeletion(provider.name));
+            return;
+        }
+
+        await this.configManager.deleteProvider(provider.id);
+        this.print(`✅ 已从本地配置中删除服务商 ${provider.name}`);
+
+        if (!this.packageDir) {
+            return;
+        }
+
+        const result = await this.fileManager.deleteProviderFromTaskMaster(provider.name);
+        result.deletedFiles.forEach(file => this.print(`  已删除: ${file}`));
+        result.updatedFiles.forEach(file => this.print(`  已更新: ${file}`));
+        result.warnings.forEach(warning => this.print(`  ⚠️ ${warning}`));
+        result.errors.forEach(error => this.printError(`  ❌ ${error}`));
+
+        if (!result.success) {
+            throw new Error('TaskMaster项目文件清理遇到问题');
+        }
+    }
+
+    // Model commands
+
+    async modelList() {
+        let models = await this.configManager.getModels();
+        if (this.options.provider) {
+            const provider = this.findProvider(this.options.provider);
+            models = models.filter(model => model.providerId === provider.id);
+        }
+
+        const supportedModels = await this.readSupportedModels();
+        const importedIds = new Set(Object.values(supportedModels).flat().map(model => model.id));
+
+        if (this.options.json) {
+            this.printJson(models.map(model => ({ ...model, imported: importedIds.has(model.modelId) })));
+            return;
+        }
+
+        if (models.length === 0) {
+            this.print('未配置模型');
+            return;
+        }
+
+        models.forEach(model => {
+            const provider = this.configManager.getProviderById(model.providerId);
+            this.print(`${model.modelId}\t${provider?.name || '-'}\t${(model.allowedRoles || []).join(',')}\t` +
+                `${model.maxTokens || '-'}\t${importedIds.has(model.modelId) ? '已导入' : '未导入'}`);
+        });
+    }
+
+    async modelAdd() {
+        const provider = this.findProvider(this.requireOption('provider'));
+        const originalModelId = this.requireOption('model-id');
+
+        // 生成带前缀的模型ID，保持与TaskMaster格式一致
+        const providerPrefix = provider.name.toLowerCase() + '-';
+        const prefixedModelId = originalModelId.startsWith(providerPrefix)
+            ? originalModelId
+            : providerPrefix + originalModelId;
+
+        const roles = this.options.roles
+            ? this.options.roles.split(',').map(role => role.trim()).filter(Boolean)
+            : ['main', 'fallback'];
+        const invalidRoles = roles.filter(role => !VALID_ROLES.includes(role));
+        if (invalidRoles.length > 0) {
+            throw new CliUsageError(`无效的角色: ${invalidRoles.join(', ')}`);
+        }
+
+        const modelData = {
+            id: this.configManager.generateId('model'),
+            name: this.options.name || originalModelId,
+            modelId: prefixedModelId,
+            providerId: provider.id,
+            providerName: provider.name,
+            allowedRoles: roles,
+            maxTokens: this.parseNumberOption('max-tokens', 128000),
+            costPer1MTokens: {
+                input: this.parseNumberOption('input-cost', 0),
+                output: this.parseNumberOption('output-cost', 0)
+            },
+            sweScore: this.parseNumberOption('swe-score', 0),
+            isActive: true
+        };
+
+        await this.configManager.addModel(modelData);
+        this.print(`✅ 已添加模型 ${prefixedModelId}`);
+    }
+
+    async modelImport(modelIds) {
+        this.requirePackage();
+
+        let models;
+        if (this.options.all) {
+            models = await this.configManager.getModels();
+            if (this.options.provider) {
+                const provider = this.findProvider(this.options.provider);
+                models = models.filter(model => model.providerId === provider.id);
+            }
+        } else {
+            if (modelIds.length === 0) {
+                throw new CliUsageError('请指定要导入的模型ID，或使用 --all');
+            }
+            models = modelIds.map(modelId => this.findModel(modelId));
+        }
+
+        let failCount = 0;
+        for (const model of models) {
+            const provider = this.configManager.getProviderById(model.providerId);
+            try {
+                await this.fileManager.importModel(model, provider);
+                this.print(`✅ 已导入 ${model.modelId}`);
+            } catch (error) {
+                failCount++;
+                this.printError(`❌ 导入 ${model.modelId} 失败: ${error.message}`);
+            }
+        }
+
+        if (failCount > 0) {
+            throw new Error(`导入完成：成功 ${models.length - failCount} 个，失败 ${failCount} 个`);
+        }
+    }
+
+    async modelDelete(modelId) {
+        const model = this.findModel(modelId);
+        const provider = this.configManager.getProviderById(model.providerId);
+
+        if (this.packageDir && provider) {
+            try {
+                await this.fileManager.removeModelFromSupportedModels(provider.name, model.modelId);
+                this.print(`✅ 已从TaskMaster中删除 ${model.modelId}`);
+            } catch (error) {
+                this.print(`ℹ️ ${error.message}`);
+            }
+        }
+
+        await this.configManager.deleteModel(model.id);
+        this.print(`✅ 已从本地配置中删除 ${model.modelId}`);
+    }
+
+    // Helpers
+
+    findProvider(nameOrId) {
+        if (!nameOrId) {
+            throw new CliUsageError('请指定服务商名称');
+        }
+        const key = nameOrId.toLowerCase();
+        const provider = this.configManager.getAllProviders().find(p =>
+            p.id === nameOrId || p.name.toLowerCase() === key
+        );
+        if (!provider) {
+            throw new Error(`服务商未找到: ${nameOrId}`);
+        }
+        return provider;
+    }
+
+    findModel(modelId) {
+        if (!modelId) {
+            throw new CliUsageError('请指定模型ID');
+        }
+        const model = this.configManager.models.find(m => m.id === modelId || m.modelId === modelId);
+        if (!model) {
+            throw new Error(`模型未找到: ${modelId}`);
+        }
+        return model;
+    }
+
+    async readSupportedModels() {
+        if (!this.packageDir) {
+            return {};
+        }
+        const content = await this.saveConfig.readFileFromDirectory(
+            this.saveConfig.directoryHandleCache.get('taskmaster-package'),
+            'scripts/modules/supported-models.json'
+        );
+        return content ? JSON.parse(content) : {};
+    }
+
+    requireOption(name) {
+        const value = this.options[name];
+        if (value === undefined || String(value).trim() === '') {
+            throw new CliUsageError(`缺少必需参数 --${name}`);
+        }
+        return String(value).trim();
+    }
+
+    parseNumberOption(name, defaultValue) {
+        if (this.options[name] === undefined) {
+            return defaultValue;
+        }
+        const value = Number(this.options[name]);
+        if (Number.isNaN(value) || value < 0) {
+            throw new CliUsageError(`--${name} 必须是非负数字`);
+        }
+        return value;
+    }
+
+    // Backup commands
+
+    async backupList() {
+        const backups = await this.saveConfig.backupManager.listBackups({ path: this.options.file });
+
+        if (this.options.json) {
+            this.printJson(backups);
+            return;
+        }
+
+        if (backups.length === 0) {
+            this.print('没有文件备份');
+            return;
+        }
+
+        backups.forEach(entry => {
+            this.print(`${entry.id}  ${entry.createdAt}  ${entry.root}: ${entry.path}  (${entry.size} 字节)`);
+        });
+    }
+
+    async backupDiff(backupId) {
+        const plan = await this.saveConfig.backupManager.planRestore(this.requireBackupId(backupId));
+        const changes = plan.getChanges();
+
+        if (this.options.json) {
+            this.printJson({ backup: plan.result, changes: changes.map(({ path: filePath, type, diff }) => ({ path: filePath, type, diff })) });
+            return;
+        }
+
+        if (changes.length === 0) {
+            this.print('当前文件与备份版本相同');
+            return;
+        }
+        changes.forEach(change => this.stdout.write(change.diff));
+    }
+
+    async backupRestore(backupId) {
+        const plan = await this.saveConfig.backupManager.planRestore(this.requireBackupId(backupId));
+
+        if (this.options['dry-run']) {
+            this.printPlan(plan);
+            return;
+        }
+
+        if (!plan.hasChanges()) {
+            this.print('当前文件与备份版本相同，无需恢复');
+            return;
+        }
+
+        const results = await plan.apply();
+        this.printUpdateResults(results);
+        if (results.failed.length > 0) {
+            throw new Error('恢复备份失败');
+        }
+        this.print(`✅ 已将 ${plan.result.path} 恢复到 ${plan.result.createdAt} 的版本`);
+    }
+
+    requireBackupId(backupId) {
+        if (!backupId) {
+            throw new CliUsageError('请指定备份ID（可通过 backup list 查看）');
+        }
+        return backupId;
+    }
+
+    // Replay
+
+    async replay() {
+        this.requirePackage();
+
+        if (this.options['dry-run']) {
+            const plan = await this.fileManager.planManifestReplay();
+            plan.result.failed.forEach(({ file, error }) => this.printError(`  ❌ ${file}: ${error}`));
+            this.printPlan(plan);
+            return;
+        }
+
+        const results = await this.fileManager.replayManifestProviders();
+        if (this.options.json) {
+            this.printJson(results);
+        } else {
+            this.printUpdateResults(results);
+        }
+
+        if (results.failed.length > 0) {
+            throw new Error(`${results.failed.length} 处修改无法应用到 v${results.packageVersion}，` +
+                '对应供应商的文件已恢复原状，需要手动处理');
+        }
+        this.print(results.replayed.length > 0
+            ? `✅ 已将 ${results.replayed.join(', ')} 重新应用到 v${results.packageVersion}`
+            : '供应商清单为空，没有需要重新应用的供应商');
+    }
+
+    // Doctor
+
+    async doctor() {
+        this.requirePackage();
+
+        const doctor = new ProviderDoctor(this.fileManager);
+        const report = await doctor.diagnose();
+        const repairOptions = { removeOrphans: !!this.options['remove-orphans'] };
+
+        if (this.options.fix && this.options['dry-run']) {
+            this.printPlan(await doctor.planRepair(report, repairOptions));
+            return;
+        }
+
+        if (this.options.json && !this.options.fix) {
+            this.printJson(report);
+        } else {
+            this.printDoctorReport(report);
+        }
+
+        if (report.healthy) {
+            return;
+        }
+        if (!this.options.fix) {
+            throw new Error(`发现 ${report.issueCount} 个问题，可使用 doctor --fix 修复`);
+        }
+
+        const results = await doctor.repair(report, repairOptions);
+        this.printUpdateResults(results);
+        if (results.failed.length > 0) {
+            throw new Error('修复失败，所有文件已恢复原状');
+        }
+        this.print('✅ 修复完成');
+    }
+
+    // MCP clients
+
+    async mcpList() {
+        const clients = await new McpClientRegistry(this.saveConfig).detect();
+
+        if (this.options.json) {
+            this.printJson(clients.map(({ id, label, path: filePath, exists, enabled }) => ({ id, label, path: filePath, exists, enabled })));
+            return;
+        }
+
+        clients.forEach(client => {
+            this.print(`${client.id}\t${client.path}\t${client.exists ? '已检测到' : '未检测到'}\t${client.enabled ? '已启用' : '已停用'}`);
+        });
+    }
+
+    async mcpToggle(clientId, enabled) {
+        const client = MCP_CLIENTS.find(item => item.id === clientId);
+        if (!client) {
+            throw new CliUsageError(`未知的MCP客户端: ${clientId || '(空)'}（可选: ${MCP_CLIENTS.map(item => item.id).join(', ')}）`);
+        }
+
+        this.configManager.setMcpClientEnabled(client.id, enabled);
+        this.print(`✅ 已${enabled ? '启用' : '停用'} ${client.label} (${client.path})`);
+    }
+
+    // Patch
+
+    async patch() {
+        this.requirePackage();
+
+        const exported = await this.fileManager.exportPackagePatch(
+            this.options.provider ? [this.options.provider] : undefined
+        );
+        exported.warnings.forEach(warning => this.printError(`⚠️ ${warning}`));
+
+        if (this.options.output === '-') {
+            this.stdout.write(exported.patch);
+            return;
+        }
+
+        const patchPath = this.options.output
+            ? path.resolve(this.cwd, this.options.output)
+            : path.join(this.configManager.getProjectPath(), 'patches', exported.fileName);
+        fs.mkdirSync(path.dirname(patchPath), { recursive: true });
+        fs.writeFileSync(patchPath, exported.patch, 'utf8');
+
+        if (this.options.json) {
+            this.printJson({ path: patchPath, files: exported.files, warnings: exported.warnings });
+            return;
+        }
+        exported.files.forEach(file => this.print(`  ${file}`));
+        this.print(`✅ 已导出补丁 ${patchPath}，在package.json中添加 "postinstall": "patch-package" 以便安装后自动应用`);
+    }
+
+    printDoctorReport(report) {
+        if (report.providers.length === 0) {
+            this.print('未配置自定义供应商');
+        }
+        report.providers.forEach(provider => {
+            this.print(`${provider.healthy ? '✅' : '❌'} ${provider.name}`);
+            provider.checks.filter(check => !check.ok || check.skipped).forEach(check => {
+                this.print(`  ${check.skipped ? '⏭️' : '❌'} ${check.label} (${check.file}): ${check.message}`);
+            });
+        });
+        report.orphans.forEach(orphan => {
+            this.print(`⚠️ 孤立供应商 ${orphan.key}: 仍存在于 ${orphan.locations.join(', ') || '(无)'}`);
+        });
+        this.print(report.healthy ? '所有供应商注册完整' : `共发现 ${report.issueCount} 个问题`);
+    }
+
+    /**
+     * 输出变更计划（规划模式，不写入任何文件）
+     * @param {ChangePlan} plan - 变更计划
+     */
+    printPlan(plan) {
+        const changes = plan.getChanges();
+
+        if (this.options.json) {
+            this.printJson(changes.map(({ root, path: filePath, type, diff, additions, deletions }) => ({
+                root, path: filePath, type, additions, deletions, diff
+            })));
+            return;
+        }
+
+        if (changes.length === 0) {
+            this.print('没有需要写入的文件变更');
+            return;
+        }
+
+        changes.forEach(change => this.stdout.write(change.diff));
+        this.print(`\n[dry-run] 共 ${changes.length} 个文件将被修改，未写入任何文件`);
+    }
+
+    printUpdateResults(results) {
+        results.success.forEach(file => this.print(`  已更新: ${file}`));
+        results.failed.forEach(({ file, error }) => this.printError(`  ❌ ${file}: ${error}`));
+        results.warnings.forEach(warning => this.print(`  ⚠️ ${warning}`));
+    }
+
+    print(message) {
+        this.stdout.write(`${message}\n`);
+    }
+
+    printError(message) {
+        this.stderr.write(`${message}\n`);
+    }
+
+    // JSON输出与文本输出一样遮盖API密钥（供应商的apiKey、doctor报告中的供应商配置等）
+    printJson(data) {
+        this.print(JSON.stringify(Redactor.redact(data), null, 2));
+    }
+}
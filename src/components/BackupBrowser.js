@@ -0,0 +1,222 @@
+/**
+ * BackupBrowser.js
+ * 备份浏览器：列出 .taskmaster-tool/backups/ 中的文件备份，查看与当前文件的差异并恢复
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { UINotification } from './UINotification.js';
+import { ChangeReviewModal } from './ChangeReviewModal.js';
+
+const ROOT_LABELS = {
+    'taskmaster-package': 'TaskMaster包',
+    'taskmaster-project': 'TaskMaster项目'
+};
+
+export class BackupBrowser {
+    /**
+     * @param {SaveConfig} saveConfig - 提供backupManager的SaveConfig实例
+     */
+    constructor(saveConfig) {
+        this.saveConfig = saveConfig;
+    }
+
+    /**
+     * 显示备份列表对话框
+     * @returns {Promise<void>} 对话框关闭时resolve
+     */
+    async show() {
+        let backups;
+        try {
+            backups = await this.saveConfig.backupManager.listBackups();
+        } catch (error) {
+            Logger.error('读取备份列表失败', { error: error.message }, error);
+            UINotification.error(`读取备份列表失败: ${error.message}`);
+            return;
+        }
+
+        UINotification.addStyles();
+        this.addStyles();
+
+        await new Promise((resolve) => {
+            const modal = this.createModal(backups, resolve);
+            document.body.appendChild(modal);
+
+            // 显示动画
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        });
+    }
+
+    /**
+     * 创建备份列表对话框
+     * @param {Array} backups - BackupManager.listBackups()的结果
+     * @param {Function} resolve - Promise resolve函数
+     * @returns {HTMLElement}
+     */
+    createModal(backups, resolve) {
+        const modal = document.createElement('div');
+        modal.className = 'ui-modal backup-browser-modal';
+
+        const close = () => {
+            UINotification.closeModal(modal);
+            resolve();
+        };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'ui-modal-backdrop';
+        backdrop.onclick = close;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ui-modal-dialog backup-browser-dialog';
+
+        const content = document.createElement('div');
+        content.className = 'ui-modal-content';
+
+        const header = document.createElement('div');
+        header.className = 'ui-modal-header';
+        const title = document.createElement('h4');
+        title.textContent = '文件备份';
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'ui-modal-body backup-browser-body';
+        if (backups.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'backup-browser-empty';
+            empty.textContent = '还没有文件备份。修改TaskMaster文件前会自动在 .taskmaster-tool/backups/ 中保存备份。';
+            body.appendChild(empty);
+        } else {
+            body.appendChild(this.createBackupTable(backups, close));
+        }
+        content.appendChild(body);
+
+        const footer = document.createElement('div');
+        footer.className = 'ui-modal-footer';
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.dataset.action = 'close-backups';
+        closeBtn.textContent = '关闭';
+        closeBtn.onclick = close;
+        footer.appendChild(closeBtn);
+        content.appendChild(footer);
+
+        dialog.appendChild(content);
+        modal.appendChild(backdrop);
+        modal.appendChild(dialog);
+
+        return modal;
+    }
+
+    createBackupTable(backups, close) {
+        const table = document.createElement('table');
+        table.className = 'backup-browser-table';
+
+        const headerRow = table.createTHead().insertRow();
+        ['时间', '位置', '文件', '大小', ''].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        backups.forEach(entry => {
+            const row = tbody.insertRow();
+            row.dataset.backupId = entry.id;
+            row.insertCell().textContent = new Date(entry.createdAt).toLocaleString();
+            row.insertCell().textContent = ROOT_LABELS[entry.root] || entry.root;
+            row.insertCell().textContent = entry.path;
+            row.insertCell().textContent = `${entry.size} 字节`;
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'btn btn-sm btn-secondary';
+            restoreBtn.dataset.action = 'review-restore';
+            restoreBtn.textContent = '查看差异 / 恢复';
+            restoreBtn.onclick = async () => {
+                close();
+                await this.reviewRestore(entry);
+            };
+            row.insertCell().appendChild(restoreBtn);
+        });
+
+        return table;
+    }
+
+    /**
+     * 显示当前文件与备份版本的差异，用户确认后恢复
+     * @param {Object} entry - 备份条目
+     * @returns {Promise<boolean>} 是否已恢复
+     */
+    async reviewRestore(entry) {
+        try {
+            const plan = await this.saveConfig.backupManager.planRestore(entry.id);
+            if (!plan.hasChanges()) {
+                UINotification.info(`${entry.path} 与该备份版本相同，无需恢复`);
+                return false;
+            }
+
+            const confirmed = await ChangeReviewModal.show(plan, {
+                title: '恢复备份',
+                message: `将 ${entry.path} 恢复到 ${new Date(entry.createdAt).toLocaleString()} 的版本，当前内容会先被备份。`,
+                confirmText: '恢复此版本'
+            });
+            if (!confirmed) {
+                return false;
+            }
+
+            const results = await plan.apply();
+            if (results.failed.length > 0) {
+                throw new Error(results.failed.map(({ file, error }) => `${file}: ${error}`).join('; '));
+            }
+
+            Logger.info(`已恢复备份 ${entry.id}`);
+            UINotification.success(`已将 ${entry.path} 恢复到备份版本`);
+            return true;
+        } catch (error) {
+            Logger.error('恢复备份失败', { id: entry.id, error: error.message }, error);
+            UINotification.error(`恢复备份失败: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * 添加样式
+     */
+    addStyles() {
+        if (document.getElementById('backup-browser-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'backup-browser-styles';
+        styles.textContent = `
+            .backup-browser-dialog {
+                max-width: 800px;
+                width: 90%;
+            }
+            .backup-browser-body {
+                max-height: 60vh;
+                overflow-y: auto;
+            }
+            .backup-browser-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 13px;
+            }
+            .backup-browser-table th,
+            .backup-browser-table td {
+                padding: 6px 8px;
+                border-bottom: 1px solid #dee2e6;
+                text-align: left;
+            }
+            .backup-browser-table td:nth-child(3) {
+                font-family: monospace;
+            }
+            .backup-browser-empty {
+                color: #6c757d;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * ChangeReviewModal.js
+ * 变更审阅对话框：逐文件展示变更计划的unified diff，用户确认后一次性应用
+ */
+
+import { UINotification } from './UINotification.js';
+
+const CHANGE_TYPE_LABELS = {
+    create: '新建',
+    modify: '修改',
+    delete: '删除'
+};
+
+export class ChangeReviewModal {
+    /**
+     * 显示变更审阅对话框
+     * @param {ChangePlan} plan - 变更计划
+     * @param {Object} [options]
+     * @param {string} [options.title] - 标题
+     * @param {string} [options.message] - 文件列表上方的说明文字
+     * @param {string[]} [options.warnings] - 警告信息
+     * @param {string} [options.confirmText] - 确认按钮文字
+     * @param {string} [options.cancelText] - 取消按钮文字
+     * @returns {Promise<boolean>} 用户是否确认应用
+     */
+    static show(plan, options = {}) {
+        UINotification.addStyles();
+        this.addStyles();
+
+        return new Promise((resolve) => {
+            const modal = this.createModal(plan.getChanges(), options, resolve);
+            document.body.appendChild(modal);
+
+            // 显示动画
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        });
+    }
+
+    /**
+     * 创建对话框元素
+     * @param {Array} changes - ChangePlan.getChanges()的结果
+     * @param {Object} options - 选项
+     * @param {Function} resolve - Promise resolve函数
+     * @returns {HTMLElement}
+     */
+    static createModal(changes, options, resolve) {
+        const modal = document.createElement('div');
+        modal.className = 'ui-modal change-review-modal';
+
+        const close = (confirmed) => {
+            UINotification.closeModal(modal);
+            resolve(confirmed);
+        };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'ui-modal-backdrop';
+        backdrop.onclick = () => close(false);
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ui-modal-dialog change-review-dialog';
+
+        const content = document.createElement('div');
+        content.className = 'ui-modal-content';
+
+        const header = document.createElement('div');
+        header.className = 'ui-modal-header';
+        const title = document.createElement('h4');
+        title.textContent = options.title || '审阅文件变更';
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'ui-modal-body change-review-body';
+        body.appendChild(this.createSummary(changes, options));
+        (options.warnings || []).forEach(warning => {
+            const warningElement = document.createElement('p');
+            warningElement.className = 'change-review-warning';
+            warningElement.textContent = `⚠️ ${warning}`;
+            body.appendChild(warningElement);
+        });
+        changes.forEach(change => body.appendChild(this.createFileSection(change, changes.length === 1)));
+        content.appendChild(body);
+
+        const footer = document.createElement('div');
+        footer.className = 'ui-modal-footer';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.dataset.action = 'cancel-changes';
+        cancelBtn.textContent = options.cancelText || '取消';
+        cancelBtn.onclick = () => close(false);
+
+        const confirmBtn = document.createElement('button');
+        confirmBtn.className = 'btn btn-primary';
+        confirmBtn.dataset.action = 'apply-changes';
+        confirmBtn.textContent = options.confirmText || `应用全部变更 (${changes.length})`;
+        confirmBtn.onclick = () => close(true);
+
+        footer.appendChild(cancelBtn);
+        footer.appendChild(confirmBtn);
+        content.appendChild(footer);
+
+        dialog.appendChild(content);
+        modal.appendChild(backdrop);
+        modal.appendChild(dialog);
+
+        return modal;
+    }
+
+    static createSummary(changes, options) {
+        const summary = document.createElement('p');
+        summary.className = 'change-review-summary';
+
+        const additions = changes.reduce((sum, change) => sum + change.additions, 0);
+        const deletions = changes.reduce((sum, change) => sum + change.deletions, 0);
+        const message = options.message ? `${options.message} ` : '';
+        summary.textContent = changes.length > 0
+            ? `${message}将修改 ${changes.length} 个文件（+${additions} / -${deletions}）：`
+            : `${message}没有需要写入的文件变更。`;
+
+        return summary;
+    }
+
+    /**
+     * 创建单个文件的可折叠diff区域
+     * @param {Object} change - 单个文件变更
+     * @param {boolean} expanded - 是否默认展开
+     * @returns {HTMLElement}
+     */
+    static createFileSection(change, expanded) {
+        const section = document.createElement('details');
+        section.className = `change-review-file change-${change.type}`;
+        section.open = expanded;
+
+        const summary = document.createElement('summary');
+        summary.textContent = `[${CHANGE_TYPE_LABELS[change.type]}] ${change.rootLabel}: ${change.path}` +
+            `  +${change.additions} -${change.deletions}`;
+        section.appendChild(summary);
+
+        const pre = document.createElement('pre');
+        pre.className = 'change-review-diff';
+        change.diff.trimEnd().split('\n').forEach(line => {
+            const lineElement = document.createElement('span');
+            lineElement.className = this.getLineClass(line);
+            // 每行为块级元素，空行用空格占位以保持行高
+            lineElement.textContent = line || ' ';
+            pre.appendChild(lineElement);
+        });
+        section.appendChild(pre);
+
+        return section;
+    }
+
+    static getLineClass(line) {
+        if (line.startsWith('+++') || line.startsWith('---')) {
+            return 'diff-file';
+        }
+        if (line.startsWith('@@')) {
+            return 'diff-hunk';
+        }
+        if (line.startsWith('+')) {
+            return 'diff-add';
+        }
+        if (line.startsWith('-')) {
+            return 'diff-del';
+        }
+        return 'diff-context';
+    }
+
+    /**
+     * 添加样式
+     */
+    static addStyles() {
+        if (document.getElementById('change-review-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'change-review-styles';
+        styles.textContent = `
+            .change-review-dialog {
+                max-width: 900px;
+                width: 90%;
+            }
+            .change-review-body {
+                max-height: 65vh;
+                overflow-y: auto;
+            }
+            .change-review-warning {
+                color: #856404;
+                background: #fff3cd;
+                padding: 8px 12px;
+                border-radius: 4px;
+            }
+            .change-review-file {
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                margin-bottom: 8px;
+            }
+            .change-review-file summary {
+                cursor: pointer;
+                padding: 8px 12px;
+                font-family: monospace;
+                background: #f8f9fa;
+            }
+            .change-review-file.change-create summary {
+                color: #155724;
+            }
+            .change-review-file.change-delete summary {
+                color: #721c24;
+            }
+            .change-review-diff {
+                margin: 0;
+                padding: 8px 0;
+                font-size: 12px;
+                line-height: 1.4;
+                overflow-x: auto;
+            }
+            .change-review-diff span {
+                display: block;
+                padding: 0 12px;
+                white-space: pre;
+            }
+            .change-review-diff .diff-add {
+                background: #e6ffed;
+            }
+            .change-review-diff .diff-del {
+                background: #ffeef0;
+            }
+            .change-review-diff .diff-hunk {
+                color: #6f42c1;
+                background: #f1f8ff;
+            }
+            .change-review-diff .diff-file {
+                color: #6c757d;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
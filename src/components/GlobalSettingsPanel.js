@@ -0,0 +1,300 @@
+/**
+ * GlobalSettingsPanel.js
+ * global设置面板：按GLOBAL_SETTINGS_SCHEMA生成 .taskmaster/config.json global 部分的表单，
+ * 逐字段校验，查看变更后写回
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { TaskMasterFileManager } from '../utils/TaskMasterFileManager.js';
+import { GlobalSettings, GLOBAL_SETTINGS_SCHEMA } from '../utils/GlobalSettings.js';
+import { UINotification } from './UINotification.js';
+import { ChangeReviewModal } from './ChangeReviewModal.js';
+
+export class GlobalSettingsPanel {
+    /**
+     * @param {ConfigManager} configManager - 供TaskMasterFileManager使用
+     * @param {SaveConfig} saveConfig - 提供目录缓存的SaveConfig实例
+     */
+    constructor(configManager, saveConfig) {
+        this.globalSettings = new GlobalSettings(saveConfig);
+        this.fileManager = new TaskMasterFileManager(configManager, saveConfig);
+    }
+
+    /**
+     * 读取当前设置并显示编辑对话框
+     * @returns {Promise<void>} 对话框关闭时resolve
+     */
+    async show() {
+        let settings;
+        try {
+            settings = await this.globalSettings.read();
+        } catch (error) {
+            Logger.error('读取global设置失败', { error: error.message }, error);
+            UINotification.error(`读取global设置失败: ${error.message}`);
+            return;
+        }
+        if (!settings) {
+            UINotification.warning('未找到 .taskmaster/config.json，请先在项目中运行 task-master init');
+            return;
+        }
+
+        UINotification.addStyles();
+        this.addStyles();
+
+        await new Promise((resolve) => {
+            const modal = this.createModal(settings, resolve);
+            document.body.appendChild(modal);
+
+            // 显示动画
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        });
+    }
+
+    /**
+     * 创建设置对话框
+     * @param {Object} settings - 当前的global设置
+     * @param {Function} resolve - Promise resolve函数
+     * @returns {HTMLElement}
+     */
+    createModal(settings, resolve) {
+        const modal = document.createElement('div');
+        modal.className = 'ui-modal global-settings-modal';
+
+        const close = () => {
+            UINotification.closeModal(modal);
+            resolve();
+        };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'ui-modal-backdrop';
+        backdrop.onclick = close;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ui-modal-dialog global-settings-dialog';
+
+        const content = document.createElement('div');
+        content.className = 'ui-modal-content';
+
+        const header = document.createElement('div');
+        header.className = 'ui-modal-header';
+        const title = document.createElement('h4');
+        title.textContent = 'TaskMaster全局设置';
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'ui-modal-body global-settings-body';
+
+        const form = document.createElement('div');
+        form.className = 'global-settings-form';
+        GLOBAL_SETTINGS_SCHEMA.forEach(field => form.appendChild(this.createField(field, settings[field.key])));
+        body.appendChild(form);
+
+        // 定义之外的字段只展示，写回时原样保留
+        const knownKeys = GLOBAL_SETTINGS_SCHEMA.map(field => field.key);
+        const otherKeys = Object.keys(settings).filter(key => !knownKeys.includes(key));
+        if (otherKeys.length > 0) {
+            const others = document.createElement('p');
+            others.className = 'global-settings-others';
+            others.textContent = `其他字段（保持不变）: ${otherKeys.join(', ')}`;
+            body.appendChild(others);
+        }
+        content.appendChild(body);
+
+        const footer = document.createElement('div');
+        footer.className = 'ui-modal-footer';
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.dataset.action = 'close-global';
+        closeBtn.textContent = '关闭';
+        closeBtn.onclick = close;
+        footer.appendChild(closeBtn);
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'btn btn-primary';
+        saveBtn.dataset.action = 'save-global';
+        saveBtn.textContent = '查看变更';
+        saveBtn.onclick = async () => {
+            const values = this.readForm(form);
+            const errors = GlobalSettings.validate(values);
+            form.querySelectorAll('.field-error').forEach(element => {
+                element.textContent = errors[element.dataset.errorFor] || '';
+            });
+            if (Object.keys(errors).length > 0) {
+                return;
+            }
+            if (knownKeys.every(key => values[key] === settings[key])) {
+                UINotification.info('global设置没有修改');
+                return;
+            }
+
+            close();
+            await this.reviewSettings(values);
+        };
+        footer.appendChild(saveBtn);
+        content.appendChild(footer);
+
+        dialog.appendChild(content);
+        modal.appendChild(backdrop);
+        modal.appendChild(dialog);
+
+        return modal;
+    }
+
+    /**
+     * 按字段定义创建输入控件
+     * @param {Object} field - GLOBAL_SETTINGS_SCHEMA中的字段定义
+     * @param {*} value - 当前值
+     * @returns {HTMLElement}
+     */
+    createField(field, value) {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        group.dataset.field = field.key;
+
+        const label = document.createElement('label');
+        label.textContent = `${field.label} (${field.key})`;
+
+        let input;
+        if (field.type === 'enum' || field.type === 'boolean') {
+            input = document.createElement('select');
+            const options = field.type === 'boolean' ? ['true', 'false'] : field.options;
+            ['', ...options].forEach(optionValue => {
+                const option = document.createElement('option');
+                option.value = optionValue;
+                option.textContent = optionValue || '未设置';
+                input.appendChild(option);
+            });
+            // 文件中的非法值也显示出来，保存时会提示错误
+            if (value !== undefined && !options.includes(String(value))) {
+                const option = document.createElement('option');
+                option.value = String(value);
+                option.textContent = String(value);
+                input.appendChild(option);
+            }
+        } else {
+            input = document.createElement('input');
+            if (field.type === 'integer') {
+                input.type = 'number';
+                input.step = '1';
+                input.min = String(field.min);
+                input.max = String(field.max);
+            } else {
+                input.type = field.type === 'url' ? 'url' : 'text';
+            }
+        }
+        input.name = field.key;
+        input.value = value === undefined || value === null ? '' : String(value);
+        label.appendChild(input);
+        group.appendChild(label);
+
+        const error = document.createElement('span');
+        error.className = 'field-error';
+        error.dataset.errorFor = field.key;
+        group.appendChild(error);
+
+        return group;
+    }
+
+    /**
+     * 读取表单值：空值表示不设置，其余按字段类型转换
+     * @param {HTMLElement} form - 表单容器
+     * @returns {Object} 字段 -> 值
+     */
+    readForm(form) {
+        const values = {};
+        GLOBAL_SETTINGS_SCHEMA.forEach(field => {
+            const raw = form.querySelector(`[name="${field.key}"]`).value.trim();
+            if (raw === '') {
+                return;
+            }
+            if (field.type === 'boolean') {
+                values[field.key] = raw === 'true' ? true : (raw === 'false' ? false : raw);
+            } else if (field.type === 'integer') {
+                values[field.key] = Number(raw);
+            } else {
+                values[field.key] = raw;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * 查看并写入global设置
+     * @param {Object} values - 字段 -> 值
+     * @returns {Promise<boolean>} 是否已写入
+     */
+    async reviewSettings(values) {
+        try {
+            const plan = await this.fileManager.planGlobalSettingsUpdate(values);
+            if (plan.result.failed.length > 0) {
+                throw new Error(plan.result.failed.map(({ file, error }) => `${file}: ${error}`).join('; '));
+            }
+            if (!plan.hasChanges()) {
+                UINotification.info('global设置没有修改');
+                return false;
+            }
+
+            const confirmed = await ChangeReviewModal.show(plan, {
+                title: '保存全局设置',
+                message: '以下修改将写入 .taskmaster/config.json，文件会先被备份。',
+                confirmText: '保存'
+            });
+            if (!confirmed) {
+                return false;
+            }
+
+            const results = await plan.apply();
+            if (results.failed.length > 0) {
+                throw new Error(results.failed.map(({ file, error }) => `${file}: ${error}`).join('; '));
+            }
+
+            Logger.info('global设置已更新', { keys: Object.keys(values) });
+            UINotification.success('全局设置已保存');
+            return true;
+        } catch (error) {
+            Logger.error('保存global设置失败', { error: error.message }, error);
+            UINotification.error(`保存全局设置失败: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * 添加样式
+     */
+    addStyles() {
+        if (document.getElementById('global-settings-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'global-settings-styles';
+        styles.textContent = `
+            .global-settings-dialog {
+                max-width: 560px;
+                width: 90%;
+            }
+            .global-settings-body {
+                max-height: 60vh;
+                overflow-y: auto;
+            }
+            .global-settings-body label {
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+                font-size: 13px;
+            }
+            .global-settings-body .field-error {
+                color: #dc3545;
+                font-size: 12px;
+            }
+            .global-settings-others {
+                color: #6c757d;
+                font-size: 12px;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
@@ -0,0 +1,284 @@
+/**
+ * HistoryPanel.js
+ * 操作历史：列出供应商和模型的编辑步骤，撤销和重做（Ctrl+Z / Ctrl+Y），
+ * 对同时写入了TaskMaster文件的步骤提示用户是否一并恢复这些文件
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { TaskMasterFileManager } from '../utils/TaskMasterFileManager.js';
+import { UINotification } from './UINotification.js';
+import { ChangeReviewModal } from './ChangeReviewModal.js';
+
+export class HistoryPanel {
+    /**
+     * @param {ConfigManager} configManager - 记录历史的ConfigManager
+     * @param {SaveConfig} saveConfig - 提供目录缓存的SaveConfig实例，用于恢复文件
+     * @param {object} [options]
+     * @param {Function} [options.onChange] - 撤销或重做后调用，用于刷新供应商和模型列表
+     */
+    constructor(configManager, saveConfig, options = {}) {
+        this.configManager = configManager;
+        this.fileManager = new TaskMasterFileManager(configManager, saveConfig);
+        this.onChange = options.onChange || (() => {});
+    }
+
+    /**
+     * 显示操作历史对话框
+     * @returns {Promise<void>} 对话框关闭时resolve
+     */
+    async show() {
+        UINotification.addStyles();
+        this.addStyles();
+
+        await new Promise((resolve) => {
+            const modal = this.createModal(resolve);
+            document.body.appendChild(modal);
+
+            // 显示动画
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        });
+    }
+
+    /**
+     * 创建操作历史对话框，历史变化时自动刷新
+     * @param {Function} resolve - Promise resolve函数
+     * @returns {HTMLElement}
+     */
+    createModal(resolve) {
+        const history = this.configManager.history;
+        const modal = document.createElement('div');
+        modal.className = 'ui-modal history-modal';
+
+        let unsubscribe = () => {};
+        const close = () => {
+            unsubscribe();
+            UINotification.closeModal(modal);
+            resolve();
+        };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'ui-modal-backdrop';
+        backdrop.onclick = close;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ui-modal-dialog history-dialog';
+
+        const content = document.createElement('div');
+        content.className = 'ui-modal-content';
+
+        const header = document.createElement('div');
+        header.className = 'ui-modal-header';
+        const title = document.createElement('h4');
+        title.textContent = '操作历史';
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'ui-modal-body history-body';
+        content.appendChild(body);
+
+        const footer = document.createElement('div');
+        footer.className = 'ui-modal-footer';
+        const undoBtn = this.createButton('undo', '撤销', () => this.undo());
+        const redoBtn = this.createButton('redo', '重做', () => this.redo());
+        const closeBtn = this.createButton('close-history', '关闭', close);
+        footer.appendChild(undoBtn);
+        footer.appendChild(redoBtn);
+        footer.appendChild(closeBtn);
+        content.appendChild(footer);
+
+        const render = () => {
+            body.replaceChildren(this.createStepList(history.list()));
+            undoBtn.disabled = !history.canUndo();
+            redoBtn.disabled = !history.canRedo();
+        };
+        render();
+        unsubscribe = history.onChange(render);
+
+        dialog.appendChild(content);
+        modal.appendChild(backdrop);
+        modal.appendChild(dialog);
+
+        return modal;
+    }
+
+    createButton(action, text, onclick) {
+        const button = document.createElement('button');
+        button.className = action === 'close-history' ? 'btn btn-secondary' : 'btn btn-primary';
+        button.dataset.action = action;
+        button.textContent = text;
+        button.onclick = onclick;
+        return button;
+    }
+
+    createStepList(steps) {
+        if (steps.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'history-empty';
+            empty.textContent = '还没有可撤销的操作。切换工作区或配置方案后历史会被清空。';
+            return empty;
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'history-list';
+        steps.forEach(step => {
+            const item = document.createElement('li');
+            item.dataset.step = step.id;
+            item.className = step.undone ? 'undone' : '';
+
+            const label = document.createElement('span');
+            label.className = 'history-label';
+            label.textContent = step.label;
+            item.appendChild(label);
+
+            const details = document.createElement('span');
+            details.className = 'history-details';
+            details.textContent = [
+                new Date(step.timestamp).toLocaleTimeString(),
+                step.files.length > 0 ? `修改了 ${step.files.length} 个文件` : '',
+                step.undone ? '已撤销' : ''
+            ].filter(Boolean).join(' · ');
+            item.appendChild(details);
+
+            list.appendChild(item);
+        });
+        return list;
+    }
+
+    /**
+     * 撤销最近一步；这一步写入过TaskMaster文件时，审阅后可将文件恢复到修改前的内容
+     * @returns {Promise<boolean>} 是否已撤销
+     */
+    async undo() {
+        try {
+            const step = await this.configManager.undo();
+            if (!step) {
+                UINotification.info('没有可撤销的操作');
+                return false;
+            }
+            await this.onChange();
+            UINotification.success(`已撤销: ${step.label}`);
+
+            const files = step.files.map(({ root, path, before, after }) => ({ root, path, expected: after, content: before }));
+            await this.reviewFileRestore(files, {
+                title: `撤销"${step.label}"的文件修改`,
+                message: '这一步同时修改了以下TaskMaster文件，是否一并恢复到修改前的内容？被修改的文件会先被备份。',
+                confirmText: '恢复文件',
+                cancelText: '保留文件'
+            });
+            return true;
+        } catch (error) {
+            Logger.error('撤销失败', { error: error.message }, error);
+            UINotification.error(`撤销失败: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * 重做最近撤销的一步；撤销时恢复过的文件可以再次写入
+     * @returns {Promise<boolean>} 是否已重做
+     */
+    async redo() {
+        try {
+            const step = await this.configManager.redo();
+            if (!step) {
+                UINotification.info('没有可重做的操作');
+                return false;
+            }
+            await this.onChange();
+            UINotification.success(`已重做: ${step.label}`);
+
+            const files = step.files.map(({ root, path, before, after }) => ({ root, path, expected: before, content: after }));
+            await this.reviewFileRestore(files, {
+                title: `重做"${step.label}"的文件修改`,
+                message: '这一步原本还修改了以下TaskMaster文件，是否重新写入？',
+                confirmText: '写入文件',
+                cancelText: '跳过'
+            });
+            return true;
+        } catch (error) {
+            Logger.error('重做失败', { error: error.message }, error);
+            UINotification.error(`重做失败: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * 显示文件恢复将写入的变更，用户确认后应用；已不处于预期内容的文件会被跳过
+     * @param {Array} files - TaskMasterFileManager.restoreFiles的参数
+     * @param {Object} options - ChangeReviewModal.show的选项
+     * @returns {Promise<boolean>} 是否已恢复
+     */
+    async reviewFileRestore(files, options) {
+        if (files.length === 0) {
+            return false;
+        }
+
+        const plan = await this.fileManager.planFileRestore(files);
+        const skipped = plan.result.failed.map(({ file, error }) => `${file}: ${error}`);
+        if (!plan.hasChanges()) {
+            if (skipped.length > 0) {
+                UINotification.warning(`文件未恢复: ${skipped.join('; ')}`);
+            }
+            return false;
+        }
+
+        const confirmed = await ChangeReviewModal.show(plan, { ...options, warnings: skipped });
+        if (!confirmed) {
+            return false;
+        }
+
+        const results = await plan.apply();
+        if (results.failed.length > 0) {
+            throw new Error(results.failed.map(({ file, error }) => `${file}: ${error}`).join('; '));
+        }
+
+        Logger.info('已恢复文件', { files: results.success });
+        UINotification.success(`已恢复 ${results.success.length} 个文件`);
+        return true;
+    }
+
+    /**
+     * 添加样式
+     */
+    addStyles() {
+        if (document.getElementById('history-panel-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'history-panel-styles';
+        styles.textContent = `
+            .history-dialog {
+                max-width: 600px;
+                width: 90%;
+            }
+            .history-body {
+                max-height: 60vh;
+                overflow-y: auto;
+            }
+            .history-list {
+                margin: 0;
+                padding-left: 24px;
+            }
+            .history-list li {
+                padding: 6px 0;
+                border-bottom: 1px solid #e9ecef;
+            }
+            .history-list li.undone {
+                color: #adb5bd;
+            }
+            .history-list li.undone .history-label {
+                text-decoration: line-through;
+            }
+            .history-details {
+                display: block;
+                color: #6c757d;
+                font-size: 12px;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
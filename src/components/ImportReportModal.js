@@ -0,0 +1,159 @@
+/**
+ * ImportReportModal.js
+ * 导入配置前的校验报告：显示文件版本、执行的迁移以及被跳过和被转换的字段，用户确认后导入
+ */
+
+import { UINotification } from './UINotification.js';
+
+export class ImportReportModal {
+    /**
+     * 显示导入报告
+     * @param {{providers: Array, models: Array, report: Object}} parsed - ConfigExportFormat.parse的结果
+     * @param {Object} [options]
+     * @param {string} [options.fileName] - 文件名
+     * @returns {Promise<boolean>} 用户是否确认导入
+     */
+    static show(parsed, options = {}) {
+        UINotification.addStyles();
+        this.addStyles();
+
+        return new Promise((resolve) => {
+            const modal = this.createModal(parsed, options, resolve);
+            document.body.appendChild(modal);
+
+            // 显示动画
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        });
+    }
+
+    /**
+     * 创建对话框元素
+     * @param {{providers: Array, models: Array, report: Object}} parsed - 解析结果
+     * @param {Object} options - 选项
+     * @param {Function} resolve - Promise resolve函数
+     * @returns {HTMLElement}
+     */
+    static createModal({ providers, models, report }, options, resolve) {
+        const modal = document.createElement('div');
+        modal.className = 'ui-modal import-report-modal';
+
+        const close = (confirmed) => {
+            UINotification.closeModal(modal);
+            resolve(confirmed);
+        };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'ui-modal-backdrop';
+        backdrop.onclick = () => close(false);
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ui-modal-dialog import-report-dialog';
+
+        const content = document.createElement('div');
+        content.className = 'ui-modal-content';
+
+        const header = document.createElement('div');
+        header.className = 'ui-modal-header';
+        const title = document.createElement('h4');
+        title.textContent = options.fileName ? `导入配置: ${options.fileName}` : '导入配置';
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'ui-modal-body import-report-body';
+
+        const summary = document.createElement('p');
+        summary.className = 'import-report-summary';
+        summary.textContent = `文件版本 ${report.sourceVersion}，将导入 ${providers.length} 个供应商和 ${models.length} 个模型，` +
+            '并替换当前的供应商和模型配置（可在操作历史中撤销）。';
+        body.appendChild(summary);
+
+        this.appendSection(body, 'migrations', '已升级文件格式', report.migrations);
+        this.appendSection(body, 'skipped', '已跳过', report.skipped.map(({ path, reason }) => `${path}: ${reason}`));
+        this.appendSection(body, 'coerced', '已转换', report.coerced.map(({ path, from, to }) =>
+            `${path}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`));
+        content.appendChild(body);
+
+        const footer = document.createElement('div');
+        footer.className = 'ui-modal-footer';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.dataset.action = 'cancel-import';
+        cancelBtn.textContent = '取消';
+        cancelBtn.onclick = () => close(false);
+
+        const confirmBtn = document.createElement('button');
+        confirmBtn.className = 'btn btn-primary';
+        confirmBtn.dataset.action = 'confirm-import';
+        confirmBtn.textContent = '导入';
+        confirmBtn.onclick = () => close(true);
+
+        footer.appendChild(cancelBtn);
+        footer.appendChild(confirmBtn);
+        content.appendChild(footer);
+
+        dialog.appendChild(content);
+        modal.appendChild(backdrop);
+        modal.appendChild(dialog);
+
+        return modal;
+    }
+
+    static appendSection(body, name, label, lines) {
+        if (lines.length === 0) {
+            return;
+        }
+
+        const section = document.createElement('div');
+        section.className = `import-report-section import-report-${name}`;
+        section.dataset.section = name;
+
+        const heading = document.createElement('h5');
+        heading.textContent = `${label} (${lines.length})`;
+        section.appendChild(heading);
+
+        const list = document.createElement('ul');
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+        body.appendChild(section);
+    }
+
+    /**
+     * 添加样式
+     */
+    static addStyles() {
+        if (document.getElementById('import-report-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'import-report-styles';
+        styles.textContent = `
+            .import-report-dialog {
+                max-width: 720px;
+                width: 90%;
+            }
+            .import-report-body {
+                max-height: 60vh;
+                overflow-y: auto;
+            }
+            .import-report-section ul {
+                margin: 4px 0 12px;
+                padding-left: 20px;
+                font-family: monospace;
+                font-size: 12px;
+            }
+            .import-report-skipped h5 {
+                color: #b45309;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
@@ -6,6 +6,7 @@
  */
 
 import { Logger } from '../utils/Logger.js';
+import { Redactor } from '../utils/Redactor.js';
 import { ErrorHandler } from '../utils/ErrorHandler.js';
 import { globalEventManager } from '../utils/EventManager.js';
 import { UINotification } from './UINotification.js';
@@ -361,7 +362,9 @@ export class LogViewer {
      * @param {Object} log - 日志对象
      * @returns {string} 格式化的日志文本
      */
-    formatLogForCopy(log) {
+    formatLogForCopy(entry) {
+        // 复制前再次脱敏，覆盖记录之后才登记的已知密钥
+        const log = Redactor.redact(entry);
         const timeStr = new Date(log.timestamp).toLocaleString();
         let text = `[${timeStr}] ${log.levelName}: ${log.message}\n`;
 
@@ -0,0 +1,164 @@
+/**
+ * McpClientsPanel.js
+ * MCP客户端面板：列出项目中检测到的各MCP客户端配置（Cursor、Roo、Windsurf、VS Code、Claude），
+ * 并逐个开关是否向其写入API密钥
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { McpClientRegistry } from '../utils/McpClientRegistry.js';
+import { UINotification } from './UINotification.js';
+
+export class McpClientsPanel {
+    /**
+     * @param {ConfigManager} configManager - 保存各客户端的启用状态
+     * @param {SaveConfig} saveConfig - 提供项目目录的SaveConfig实例
+     */
+    constructor(configManager, saveConfig) {
+        this.configManager = configManager;
+        this.registry = new McpClientRegistry(saveConfig);
+    }
+
+    /**
+     * 检测客户端配置并显示对话框
+     * @returns {Promise<void>} 对话框关闭时resolve
+     */
+    async show() {
+        let clients;
+        try {
+            clients = await this.registry.detect();
+        } catch (error) {
+            Logger.error('检测MCP客户端配置失败', { error: error.message }, error);
+            UINotification.error(`检测MCP客户端配置失败: ${error.message}`);
+            return;
+        }
+
+        UINotification.addStyles();
+        this.addStyles();
+
+        await new Promise((resolve) => {
+            const modal = this.createModal(clients, resolve);
+            document.body.appendChild(modal);
+
+            // 显示动画
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        });
+    }
+
+    /**
+     * 创建客户端列表对话框
+     * @param {Array<Object>} clients - McpClientRegistry.detect()的结果
+     * @param {Function} resolve - Promise resolve函数
+     * @returns {HTMLElement}
+     */
+    createModal(clients, resolve) {
+        const modal = document.createElement('div');
+        modal.className = 'ui-modal mcp-clients-modal';
+
+        const close = () => {
+            UINotification.closeModal(modal);
+            resolve();
+        };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'ui-modal-backdrop';
+        backdrop.onclick = close;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ui-modal-dialog mcp-clients-dialog';
+
+        const content = document.createElement('div');
+        content.className = 'ui-modal-content';
+
+        const header = document.createElement('div');
+        header.className = 'ui-modal-header';
+        const title = document.createElement('h4');
+        title.textContent = 'MCP客户端';
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'ui-modal-body mcp-clients-body';
+
+        const summary = document.createElement('p');
+        summary.textContent = clients.some(client => client.exists)
+            ? '添加、更新和删除API密钥时，会同步写入以下已检测到且已启用的客户端配置。'
+            : '项目中未检测到MCP客户端配置，添加API密钥时将创建 .cursor/mcp.json。';
+        body.appendChild(summary);
+
+        const list = document.createElement('ul');
+        clients.forEach(client => list.appendChild(this.createClientItem(client)));
+        body.appendChild(list);
+        content.appendChild(body);
+
+        const footer = document.createElement('div');
+        footer.className = 'ui-modal-footer';
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.dataset.action = 'close-mcp-clients';
+        closeBtn.textContent = '关闭';
+        closeBtn.onclick = close;
+        footer.appendChild(closeBtn);
+        content.appendChild(footer);
+
+        dialog.appendChild(content);
+        modal.appendChild(backdrop);
+        modal.appendChild(dialog);
+
+        return modal;
+    }
+
+    createClientItem(client) {
+        const item = document.createElement('li');
+        item.dataset.client = client.id;
+        item.className = client.exists ? 'detected' : 'missing';
+
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = client.enabled;
+        input.onchange = () => {
+            this.configManager.setMcpClientEnabled(client.id, input.checked);
+            Logger.info(`${input.checked ? '已启用' : '已停用'}MCP客户端 ${client.label}`);
+        };
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(` ${client.label}`));
+        item.appendChild(label);
+
+        const path = document.createElement('code');
+        path.textContent = client.path;
+        item.appendChild(document.createTextNode(' '));
+        item.appendChild(path);
+        item.appendChild(document.createTextNode(client.exists ? ' 已检测到' : ' 未检测到'));
+
+        return item;
+    }
+
+    addStyles() {
+        if (document.getElementById('mcp-clients-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'mcp-clients-styles';
+        styles.textContent = `
+            .mcp-clients-dialog {
+                max-width: 600px;
+                width: 90%;
+            }
+            .mcp-clients-body ul {
+                list-style: none;
+                padding-left: 0;
+            }
+            .mcp-clients-body li {
+                margin: 6px 0;
+                font-size: 13px;
+            }
+            .mcp-clients-body li.missing {
+                color: #adb5bd;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
@@ -0,0 +1,379 @@
+/**
+ * ModelCatalogPanel.js
+ * 从LiteLLM config.yaml或OpenRouter models.json导入模型：预览目录中的供应商和模型，
+ * 用户选择后添加到配置，再按与手动导入相同的流程（importModelToTaskMaster）写入TaskMaster
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { ModelCatalogImporter, CATALOG_FORMAT_LABELS } from '../utils/ModelCatalogImporter.js';
+import { UINotification } from './UINotification.js';
+
+const STATUS_LABELS = {
+    exists: '已存在',
+    duplicate: '目录中重复'
+};
+
+export class ModelCatalogPanel {
+    /**
+     * @param {ConfigManager} configManager - 配置管理器
+     * @param {object} [options]
+     * @param {Function} [options.onAddProvider] - 添加新供应商，返回Promise<boolean>（false表示用户取消）
+     * @param {Function} [options.onChange] - 供应商和模型添加后调用，用于刷新列表
+     * @param {Function} [options.onImportModel] - 将添加的模型导入TaskMaster，参数为模型的内部ID
+     */
+    constructor(configManager, options = {}) {
+        this.configManager = configManager;
+        this.onAddProvider = options.onAddProvider || (async (provider) => {
+            await configManager.addProvider(provider);
+            return true;
+        });
+        this.onChange = options.onChange || (() => {});
+        this.onImportModel = options.onImportModel || null;
+    }
+
+    /**
+     * 读取模型目录文件，预览并导入用户选择的模型
+     * @param {File} file - 用户选择的文件
+     * @returns {Promise<Object|null>} 导入结果，用户取消时返回null
+     */
+    async importFile(file) {
+        try {
+            const catalog = ModelCatalogImporter.parse(await file.text());
+            const preview = ModelCatalogImporter.preview(catalog, this.configManager);
+            if (preview.models.length === 0) {
+                UINotification.warning(`${file.name} 中没有可导入的模型`);
+                return null;
+            }
+
+            const indexes = await this.showPreview(preview, file.name);
+            if (!indexes || indexes.length === 0) {
+                return null;
+            }
+
+            const results = await this.importSelection(preview, indexes, file.name);
+            if (results.failed.length === 0) {
+                UINotification.success(`已导入 ${results.success.length} 个模型`);
+            } else {
+                const failures = results.failed.map(({ name, error }) => `${name}: ${error}`).join('\n');
+                UINotification.warning(`已导入 ${results.success.length} 个模型，${results.failed.length} 项失败:\n${failures}`, {
+                    duration: 8000
+                });
+            }
+            results.warnings.forEach(warning => UINotification.info(warning));
+            return results;
+        } catch (error) {
+            Logger.error('导入模型目录失败', { error: error.message }, error);
+            UINotification.error(`导入模型目录失败: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 添加选中的模型：新供应商先通过onAddProvider添加，模型的添加在历史中合并为一步，
+     * 然后逐个导入TaskMaster
+     * @param {Object} preview - ModelCatalogImporter.preview的结果
+     * @param {number[]} indexes - 选中的模型下标
+     * @param {string} label - 历史记录中显示的来源（文件名）
+     * @returns {Promise<{success: string[], failed: Array<{name: string, error: string}>, warnings: string[]}>}
+     */
+    async importSelection(preview, indexes, label) {
+        const { providers, models } = ModelCatalogImporter.select(preview, indexes);
+        const generateId = prefix => this.configManager.generateId(prefix);
+        const results = { success: [], failed: [], warnings: [] };
+
+        const providerIds = new Map();
+        for (const provider of providers) {
+            if (provider.existing) {
+                providerIds.set(provider.name, provider.existing.id);
+                continue;
+            }
+
+            const providerData = ModelCatalogImporter.toProvider(provider, generateId);
+            try {
+                if (await this.onAddProvider(providerData)) {
+                    providerIds.set(provider.name, providerData.id);
+                } else {
+                    results.warnings.push(`已取消添加供应商 ${provider.name}，其模型未导入`);
+                }
+            } catch (error) {
+                results.failed.push({ name: provider.name, error: `添加供应商失败，其模型未导入: ${error.message}` });
+            }
+        }
+
+        const added = [];
+        await this.configManager.batch(`导入模型目录 ${label}`, async step => {
+            for (const model of models) {
+                const providerId = providerIds.get(model.providerName);
+                if (!providerId) {
+                    continue;
+                }
+                try {
+                    added.push(await this.configManager.addModel(ModelCatalogImporter.toModel(model, providerId, generateId), { step }));
+                } catch (error) {
+                    results.failed.push({ name: model.modelId, error: error.message });
+                }
+            }
+        });
+
+        await this.onChange();
+
+        for (const model of added) {
+            try {
+                if (this.onImportModel) {
+                    await this.onImportModel(model.id);
+                }
+                results.success.push(model.modelId);
+            } catch (error) {
+                results.failed.push({ name: model.modelId, error: `已添加，但导入TaskMaster失败: ${error.message}` });
+            }
+        }
+
+        Logger.info('模型目录导入完成', { format: preview.format, success: results.success.length, failed: results.failed.length });
+        return results;
+    }
+
+    /**
+     * 显示预览对话框
+     * @returns {Promise<number[]|null>} 选中的模型下标，取消时为null
+     */
+    showPreview(preview, fileName) {
+        UINotification.addStyles();
+        this.addStyles();
+
+        return new Promise((resolve) => {
+            const modal = this.createModal(preview, fileName, resolve);
+            document.body.appendChild(modal);
+
+            // 显示动画
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        });
+    }
+
+    /**
+     * 创建预览对话框：按供应商分组列出模型，新模型默认选中，已存在的模型不可选择
+     * @param {Object} preview - ModelCatalogImporter.preview的结果
+     * @param {string} fileName - 文件名
+     * @param {Function} resolve - Promise resolve函数
+     * @returns {HTMLElement}
+     */
+    createModal(preview, fileName, resolve) {
+        const modal = document.createElement('div');
+        modal.className = 'ui-modal model-catalog-modal';
+
+        const close = (indexes) => {
+            UINotification.closeModal(modal);
+            resolve(indexes);
+        };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'ui-modal-backdrop';
+        backdrop.onclick = () => close(null);
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ui-modal-dialog model-catalog-dialog';
+
+        const content = document.createElement('div');
+        content.className = 'ui-modal-content';
+
+        const header = document.createElement('div');
+        header.className = 'ui-modal-header';
+        const title = document.createElement('h4');
+        title.textContent = `导入模型目录: ${fileName}`;
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'ui-modal-body model-catalog-body';
+
+        const summary = document.createElement('p');
+        summary.className = 'model-catalog-summary';
+        summary.textContent = `${CATALOG_FORMAT_LABELS[preview.format]}：${preview.providers.length} 个供应商，${preview.models.length} 个模型。` +
+            '选中的模型将添加到配置并导入TaskMaster，新供应商会先经过变更审阅。';
+        body.appendChild(summary);
+
+        if (preview.warnings.length > 0) {
+            const warnings = document.createElement('ul');
+            warnings.className = 'model-catalog-warnings';
+            preview.warnings.forEach(warning => {
+                const item = document.createElement('li');
+                item.textContent = warning;
+                warnings.appendChild(item);
+            });
+            body.appendChild(warnings);
+        }
+
+        const footer = document.createElement('div');
+        footer.className = 'ui-modal-footer';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.dataset.action = 'cancel-catalog';
+        cancelBtn.textContent = '取消';
+        cancelBtn.onclick = () => close(null);
+
+        const confirmBtn = document.createElement('button');
+        confirmBtn.className = 'btn btn-primary';
+        confirmBtn.dataset.action = 'confirm-catalog';
+
+        const getSelected = () => [...body.querySelectorAll('input[name="catalog-model"]:checked')]
+            .map(checkbox => Number(checkbox.value));
+        const updateCount = () => {
+            const count = getSelected().length;
+            confirmBtn.textContent = `添加所选模型 (${count})`;
+            confirmBtn.disabled = count === 0;
+        };
+        confirmBtn.onclick = () => close(getSelected());
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'model-catalog-toolbar';
+        [['select-all', '全选'], ['select-none', '全不选']].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary btn-sm';
+            button.dataset.action = action;
+            button.textContent = label;
+            button.onclick = () => {
+                body.querySelectorAll('input[name="catalog-model"]:not(:disabled)').forEach(checkbox => {
+                    checkbox.checked = action === 'select-all';
+                });
+                updateCount();
+            };
+            toolbar.appendChild(button);
+        });
+        body.appendChild(toolbar);
+
+        preview.providers.forEach(provider => {
+            body.appendChild(this.createProviderGroup(provider, preview.models));
+        });
+        body.addEventListener('change', updateCount);
+        updateCount();
+        content.appendChild(body);
+
+        footer.appendChild(cancelBtn);
+        footer.appendChild(confirmBtn);
+        content.appendChild(footer);
+
+        dialog.appendChild(content);
+        modal.appendChild(backdrop);
+        modal.appendChild(dialog);
+
+        return modal;
+    }
+
+    createProviderGroup(provider, models) {
+        const group = document.createElement('div');
+        group.className = 'model-catalog-provider';
+        group.dataset.provider = provider.name;
+
+        const heading = document.createElement('h5');
+        heading.textContent = `${provider.name} `;
+        const badge = document.createElement('span');
+        badge.className = `model-catalog-badge ${provider.existing ? 'existing' : 'new'}`;
+        badge.textContent = provider.existing ? `使用现有供应商 ${provider.existing.name}` : '新建供应商';
+        heading.appendChild(badge);
+        group.appendChild(heading);
+
+        const endpoint = document.createElement('p');
+        endpoint.className = 'model-catalog-endpoint';
+        endpoint.textContent = [provider.endpoint || '（未设置端点）', provider.envVar ? `密钥: ${provider.envVar}` : '']
+            .filter(Boolean).join(' · ');
+        group.appendChild(endpoint);
+
+        const list = document.createElement('ul');
+        models.forEach((model, index) => {
+            if (model.providerName !== provider.name) {
+                return;
+            }
+
+            const item = document.createElement('li');
+            item.dataset.status = model.status;
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'catalog-model';
+            checkbox.value = String(index);
+            checkbox.checked = model.status === 'new';
+            checkbox.disabled = model.status !== 'new';
+            label.appendChild(checkbox);
+
+            const name = document.createElement('span');
+            name.textContent = ` ${model.name} `;
+            label.appendChild(name);
+            const modelId = document.createElement('code');
+            modelId.textContent = model.modelId;
+            label.appendChild(modelId);
+
+            const details = document.createElement('span');
+            details.className = 'model-catalog-details';
+            details.textContent = [
+                model.maxTokens ? `上下文 ${model.maxTokens}` : '',
+                `$${model.costPer1MTokens.input} / $${model.costPer1MTokens.output} 每百万token`,
+                STATUS_LABELS[model.status] || ''
+            ].filter(Boolean).join(' · ');
+            label.appendChild(details);
+
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+        group.appendChild(list);
+        return group;
+    }
+
+    /**
+     * 添加样式
+     */
+    addStyles() {
+        if (document.getElementById('model-catalog-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'model-catalog-styles';
+        styles.textContent = `
+            .model-catalog-dialog {
+                max-width: 760px;
+                width: 90%;
+            }
+            .model-catalog-body {
+                max-height: 65vh;
+                overflow-y: auto;
+            }
+            .model-catalog-toolbar {
+                display: flex;
+                gap: 8px;
+                margin-bottom: 12px;
+            }
+            .model-catalog-warnings {
+                color: #b45309;
+                font-size: 13px;
+            }
+            .model-catalog-provider ul {
+                list-style: none;
+                margin: 4px 0 12px;
+                padding-left: 8px;
+            }
+            .model-catalog-provider li[data-status="exists"],
+            .model-catalog-provider li[data-status="duplicate"] {
+                color: #9ca3af;
+            }
+            .model-catalog-endpoint,
+            .model-catalog-details {
+                color: #6b7280;
+                font-size: 12px;
+                margin-left: 8px;
+            }
+            .model-catalog-badge {
+                font-size: 12px;
+                font-weight: normal;
+                padding: 1px 6px;
+                border-radius: 8px;
+                background: #e5e7eb;
+            }
+            .model-catalog-badge.new {
+                background: #dcfce7;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
@@ -7,6 +7,9 @@ import { NetworkClient } from '../utils/NetworkClient.js';
 import { UINotification } from './UINotification.js';
 import { Logger } from '../utils/Logger.js';
 import { TaskMasterFileManager } from '../utils/TaskMasterFileManager.js';
+import { ProviderRequestOptions } from '../utils/ProviderRequestOptions.js';
+import { ProviderValidator } from '../utils/ProviderValidator.js';
+import { ProviderFileTemplates } from '../utils/ProviderFileTemplates.js';
 
 export class ModelConfig {
     constructor(configManager, saveConfig) {
@@ -661,26 +664,8 @@ export class ModelConfig {
                 importBtn.disabled = true;
             }
 
-            // 准备模型配置
-            const modelConfig = {
-                sweScore: model.sweScore || 0,
-                costPer1MTokens: model.costPer1MTokens || { input: 0, output: 0 },
-                allowedRoles: model.allowedRoles || ["main", "fallback", "research"],
-                maxTokens: model.maxTokens || 128000
-            };
-
-            // 提取原始模型ID（去掉供应商前缀）
-            const providerPrefix = provider.name.toLowerCase() + '-';
-            const originalModelId = model.modelId.startsWith(providerPrefix)
-                ? model.modelId.substring(providerPrefix.length)
-                : model.modelId;
-
             // 调用TaskMasterFileManager添加模型
-            const result = await this.taskMasterFileManager.addProviderModel(
-                provider.name.toLowerCase(),
-                originalModelId,
-                modelConfig
-            );
+            const result = await this.taskMasterFileManager.importModel(model, provider);
 
             if (result.success) {
                 // 更新缓存
@@ -695,8 +680,8 @@ export class ModelConfig {
                     modelName: model.name,
                     provider: provider.name,
                     operation: 'import_model_to_taskmaster',
-                    originalModelId: originalModelId,
-                    modelConfig: modelConfig
+                    originalModelId: result.originalModelId,
+                    modelConfig: result.modelConfig
                 });
 
                 // 重新渲染模型列表以更新按钮状态
@@ -834,45 +819,11 @@ export class ModelConfig {
      * 从TaskMaster的supported-models.json中删除指定模型
      */
     async removeModelFromTaskMaster(model, provider) {
-        const supportedModelsPath = 'scripts/modules/supported-models.json';
-        const packageDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-package');
-
-        if (!packageDirHandle) {
-            throw new Error('TaskMaster包目录不可用');
-        }
-
-        // 读取现有的supported-models.json
-        const existingContent = await this.saveConfig.readFileFromDirectory(
-            packageDirHandle,
-            supportedModelsPath
-        );
-
-        if (!existingContent) {
-            throw new Error('supported-models.json文件不存在');
-        }
-
-        const supportedModels = JSON.parse(existingContent);
-        const providerKey = provider.name.toLowerCase();
-
-        if (!supportedModels[providerKey] || !Array.isArray(supportedModels[providerKey])) {
-            throw new Error(`供应商 ${providerKey} 不存在于supported-models.json中`);
-        }
-
-        // 查找并删除模型
-        const modelIndex = supportedModels[providerKey].findIndex(m => m.id === model.modelId);
-        if (modelIndex === -1) {
-            throw new Error(`模型 ${model.modelId} 不存在于TaskMaster项目中`);
+        if (!this.taskMasterFileManager) {
+            throw new Error('TaskMaster文件管理器未初始化');
         }
 
-        // 删除模型
-        supportedModels[providerKey].splice(modelIndex, 1);
-
-        // 写入更新后的文件
-        await this.saveConfig.writeFileToDirectory(
-            packageDirHandle,
-            supportedModelsPath,
-            JSON.stringify(supportedModels, null, 2)
-        );
+        await this.taskMasterFileManager.removeModelFromSupportedModels(provider.name, model.modelId);
     }
 
     showAddModelModal() {
@@ -1172,6 +1123,11 @@ export class ModelConfig {
                 endpoint += '/v1/messages';
             } else if (provider.type === 'google' || provider.type === 'polo') {
                 endpoint += '/v1/generateContent';
+            } else if (provider.type === 'azure') {
+                // Azure OpenAI按部署名称调用，模型ID即部署名称
+                endpoint = ProviderValidator.buildAzureURL(provider, `/deployments/${encodeURIComponent(model.modelId)}/chat/completions`);
+            } else if (provider.type === 'ollama') {
+                endpoint = `${ProviderFileTemplates.resolveBaseURL('ollama', provider.endpoint)}/chat`;
             } else {
                 endpoint += '/v1/chat/completions';
             }
@@ -1184,13 +1140,18 @@ export class ModelConfig {
             if (provider.type === 'anthropic') {
                 headers['x-api-key'] = provider.apiKey;
                 headers['anthropic-version'] = '2023-06-01';
-            } else {
+            } else if (provider.type === 'azure') {
+                headers['api-key'] = provider.apiKey;
+            } else if (provider.type !== 'ollama') {
                 headers['Authorization'] = `Bearer ${provider.apiKey}`;
             }
 
+            // 附加供应商设置的请求头和查询参数
+            const request = ProviderRequestOptions.apply(provider, endpoint, headers);
+
             // 发送测试请求
-            const response = await this.networkClient.post(endpoint, testPayload, {
-                headers,
+            const response = await this.networkClient.post(request.url, testPayload, {
+                headers: request.headers,
                 timeout: 20000, // 模型测试使用20秒超时
                 onRetry: () => {
                     // API重试中
@@ -1271,6 +1232,13 @@ export class ModelConfig {
                         temperature: 0.1
                     }
                 };
+            case 'ollama':
+                return {
+                    model: actualModelId,
+                    messages: basePayload.messages,
+                    stream: false,
+                    options: { num_predict: 50, temperature: 0.1 }
+                };
             default:
                 return basePayload;
         }
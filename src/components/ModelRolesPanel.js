@@ -0,0 +1,338 @@
+/**
+ * ModelRolesPanel.js
+ * 模型角色面板：为main / research / fallback角色选择模型（按allowed_roles筛选），
+ * 编辑maxTokens和temperature，查看变更后写入项目的 .taskmaster/config.json
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { TaskMasterFileManager } from '../utils/TaskMasterFileManager.js';
+import { ModelRoles, MODEL_ROLES, ROLE_LABELS } from '../utils/ModelRoles.js';
+import { UINotification } from './UINotification.js';
+import { ChangeReviewModal } from './ChangeReviewModal.js';
+
+export class ModelRolesPanel {
+    /**
+     * @param {ConfigManager} configManager - 提供自定义供应商和模型
+     * @param {SaveConfig} saveConfig - 提供目录缓存的SaveConfig实例
+     */
+    constructor(configManager, saveConfig) {
+        this.modelRoles = new ModelRoles(saveConfig);
+        this.fileManager = new TaskMasterFileManager(configManager, saveConfig);
+    }
+
+    /**
+     * 读取当前角色和可选模型并显示编辑对话框
+     * @returns {Promise<void>} 对话框关闭时resolve
+     */
+    async show() {
+        let data;
+        try {
+            const [roles, supportedModels] = await Promise.all([
+                this.modelRoles.readRoles(),
+                this.modelRoles.loadSupportedModels()
+            ]);
+            data = { roles, supportedModels };
+        } catch (error) {
+            Logger.error('读取模型角色失败', { error: error.message }, error);
+            UINotification.error(`读取模型角色失败: ${error.message}`);
+            return;
+        }
+
+        UINotification.addStyles();
+        this.addStyles();
+
+        await new Promise((resolve) => {
+            const modal = this.createModal(data, resolve);
+            document.body.appendChild(modal);
+
+            // 显示动画
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        });
+    }
+
+    /**
+     * 创建角色编辑对话框
+     * @param {{roles: Object, supportedModels: Object}} data - 当前角色配置和supported-models.json内容
+     * @param {Function} resolve - Promise resolve函数
+     * @returns {HTMLElement}
+     */
+    createModal({ roles, supportedModels }, resolve) {
+        const modal = document.createElement('div');
+        modal.className = 'ui-modal model-roles-modal';
+
+        const close = () => {
+            UINotification.closeModal(modal);
+            resolve();
+        };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'ui-modal-backdrop';
+        backdrop.onclick = close;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ui-modal-dialog model-roles-dialog';
+
+        const content = document.createElement('div');
+        content.className = 'ui-modal-content';
+
+        const header = document.createElement('div');
+        header.className = 'ui-modal-header';
+        const title = document.createElement('h4');
+        title.textContent = '模型角色';
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'ui-modal-body model-roles-body';
+
+        const summary = document.createElement('p');
+        summary.textContent = '每个角色只列出allowed_roles包含该角色的模型，maxTokens不能超过模型的max_tokens。保存时只修改 .taskmaster/config.json 中对应角色的这几项。';
+        body.appendChild(summary);
+
+        const sections = MODEL_ROLES.map(role => this.createRoleSection(role, roles[role], supportedModels));
+        sections.forEach(section => body.appendChild(section));
+
+        const errorList = document.createElement('ul');
+        errorList.className = 'roles-errors';
+        body.appendChild(errorList);
+        content.appendChild(body);
+
+        const footer = document.createElement('div');
+        footer.className = 'ui-modal-footer';
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.dataset.action = 'close-roles';
+        closeBtn.textContent = '关闭';
+        closeBtn.onclick = close;
+        footer.appendChild(closeBtn);
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'btn btn-primary';
+        saveBtn.dataset.action = 'save-roles';
+        saveBtn.textContent = '查看变更';
+        saveBtn.onclick = async () => {
+            const changes = {};
+            const errors = [];
+            sections.forEach(section => {
+                const role = section.dataset.role;
+                const assignment = this.readRoleSection(section);
+                // 未设置且未选择模型的角色保持不变
+                if (!assignment.modelId && !roles[role]) {
+                    return;
+                }
+                errors.push(...ModelRoles.validateRole(role, assignment, supportedModels));
+                if (this.isChanged(assignment, roles[role])) {
+                    changes[role] = assignment;
+                }
+            });
+
+            errorList.replaceChildren(...errors.map(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                return item;
+            }));
+            if (errors.length > 0) {
+                return;
+            }
+            if (Object.keys(changes).length === 0) {
+                UINotification.info('模型角色没有修改');
+                return;
+            }
+
+            close();
+            await this.reviewRoles(changes);
+        };
+        footer.appendChild(saveBtn);
+        content.appendChild(footer);
+
+        dialog.appendChild(content);
+        modal.appendChild(backdrop);
+        modal.appendChild(dialog);
+
+        return modal;
+    }
+
+    createRoleSection(role, current, supportedModels) {
+        const section = document.createElement('div');
+        section.className = 'model-roles-role';
+        section.dataset.role = role;
+
+        const heading = document.createElement('h5');
+        heading.textContent = `${ROLE_LABELS[role]} (${role})`;
+        section.appendChild(heading);
+
+        const eligible = ModelRoles.getEligibleModels(supportedModels, role);
+        const select = document.createElement('select');
+        select.name = 'model';
+
+        const emptyOption = document.createElement('option');
+        emptyOption.value = '';
+        emptyOption.textContent = '未设置';
+        select.appendChild(emptyOption);
+
+        eligible.forEach(model => {
+            const option = document.createElement('option');
+            option.value = `${model.provider}/${model.modelId}`;
+            option.textContent = `${model.provider} / ${model.modelId}${model.maxTokens ? ` (max ${model.maxTokens})` : ''}`;
+            option.dataset.maxTokens = model.maxTokens ? String(model.maxTokens) : '';
+            select.appendChild(option);
+        });
+
+        // 当前模型不在可选列表中时仍然显示，保存时会提示错误
+        const currentValue = current?.provider && current?.modelId ? `${current.provider}/${current.modelId}` : '';
+        if (currentValue && !eligible.some(model => `${model.provider}/${model.modelId}` === currentValue)) {
+            const option = document.createElement('option');
+            option.value = currentValue;
+            option.textContent = `${current.provider} / ${current.modelId}（不可用于此角色）`;
+            select.appendChild(option);
+        }
+        select.value = currentValue;
+
+        const maxTokens = document.createElement('input');
+        maxTokens.type = 'number';
+        maxTokens.name = 'maxTokens';
+        maxTokens.min = '1';
+        maxTokens.step = '1';
+        maxTokens.value = current?.maxTokens ?? '';
+
+        const temperature = document.createElement('input');
+        temperature.type = 'number';
+        temperature.name = 'temperature';
+        temperature.min = '0';
+        temperature.max = '2';
+        temperature.step = '0.1';
+        temperature.value = current?.temperature ?? '';
+
+        const updateMaxTokensLimit = () => {
+            const limit = select.selectedOptions[0]?.dataset.maxTokens;
+            if (limit) {
+                maxTokens.max = limit;
+            } else {
+                maxTokens.removeAttribute('max');
+            }
+        };
+        select.onchange = updateMaxTokensLimit;
+        updateMaxTokensLimit();
+
+        section.appendChild(this.createField('模型', select));
+        section.appendChild(this.createField('maxTokens', maxTokens));
+        section.appendChild(this.createField('temperature', temperature));
+        return section;
+    }
+
+    createField(labelText, input) {
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        label.appendChild(input);
+        return label;
+    }
+
+    /**
+     * 读取一个角色区域中的输入
+     * @param {HTMLElement} section - 角色区域
+     * @returns {{provider: string, modelId: string, maxTokens: number, temperature: number}}
+     */
+    readRoleSection(section) {
+        const value = section.querySelector('select[name="model"]').value;
+        const separator = value.indexOf('/');
+        const maxTokens = section.querySelector('input[name="maxTokens"]').value;
+        const temperature = section.querySelector('input[name="temperature"]').value;
+        return {
+            provider: separator > 0 ? value.slice(0, separator) : '',
+            modelId: separator > 0 ? value.slice(separator + 1) : '',
+            maxTokens: maxTokens === '' ? NaN : Number(maxTokens),
+            temperature: temperature === '' ? NaN : Number(temperature)
+        };
+    }
+
+    isChanged(assignment, current) {
+        return ['provider', 'modelId', 'maxTokens', 'temperature']
+            .some(field => assignment[field] !== current?.[field]);
+    }
+
+    /**
+     * 查看并写入角色变更
+     * @param {Object} roles - 有修改的角色 -> 配置
+     * @returns {Promise<boolean>} 是否已写入
+     */
+    async reviewRoles(roles) {
+        try {
+            const plan = await this.fileManager.planModelRolesUpdate(roles);
+            if (plan.result.failed.length > 0) {
+                throw new Error(plan.result.failed.map(({ file, error }) => `${file}: ${error}`).join('; '));
+            }
+            if (!plan.hasChanges()) {
+                UINotification.info('模型角色没有修改');
+                return false;
+            }
+
+            const confirmed = await ChangeReviewModal.show(plan, {
+                title: '保存模型角色',
+                message: '以下修改将写入 .taskmaster/config.json，文件会先被备份。',
+                confirmText: '保存'
+            });
+            if (!confirmed) {
+                return false;
+            }
+
+            const results = await plan.apply();
+            if (results.failed.length > 0) {
+                throw new Error(results.failed.map(({ file, error }) => `${file}: ${error}`).join('; '));
+            }
+
+            Logger.info('模型角色已更新', { roles: Object.keys(roles) });
+            UINotification.success('模型角色已保存');
+            return true;
+        } catch (error) {
+            Logger.error('保存模型角色失败', { error: error.message }, error);
+            UINotification.error(`保存模型角色失败: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * 添加样式
+     */
+    addStyles() {
+        if (document.getElementById('model-roles-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'model-roles-styles';
+        styles.textContent = `
+            .model-roles-dialog {
+                max-width: 640px;
+                width: 90%;
+            }
+            .model-roles-body {
+                max-height: 60vh;
+                overflow-y: auto;
+            }
+            .model-roles-role {
+                display: grid;
+                grid-template-columns: 2fr 1fr 1fr;
+                gap: 8px;
+                margin-bottom: 12px;
+            }
+            .model-roles-role h5 {
+                grid-column: 1 / -1;
+                margin: 0;
+            }
+            .model-roles-role label {
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+                font-size: 13px;
+            }
+            .model-roles-body .roles-errors {
+                color: #dc3545;
+                font-size: 13px;
+                padding-left: 20px;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
@@ -0,0 +1,406 @@
+/**
+ * ProfilesPanel.js
+ * 配置方案对话框：新建、复制、重命名、删除和应用配置方案，并并排比较两个方案的供应商和模型
+ */
+
+import { ConfigManager } from '../utils/configManager.js';
+import { UINotification } from './UINotification.js';
+
+const STATUS_LABELS = {
+    added: '仅右侧',
+    removed: '仅左侧',
+    changed: '不同',
+    same: '相同'
+};
+
+export class ProfilesPanel {
+    /**
+     * @param {ConfigManager} configManager - 保存配置方案的ConfigManager
+     * @param {object} options
+     * @param {Function} options.onApply - 应用配置方案（切换并同步到TaskMaster），参数为方案ID，返回Promise<boolean>
+     */
+    constructor(configManager, options) {
+        this.configManager = configManager;
+        this.onApply = options.onApply;
+    }
+
+    /**
+     * 显示配置方案对话框
+     * @returns {Promise<void>} 对话框关闭时resolve
+     */
+    async show() {
+        UINotification.addStyles();
+        this.addStyles();
+
+        await new Promise((resolve) => {
+            const modal = this.createModal(resolve);
+            document.body.appendChild(modal);
+
+            // 显示动画
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        });
+    }
+
+    /**
+     * 创建配置方案对话框
+     * @param {Function} resolve - Promise resolve函数
+     * @returns {HTMLElement}
+     */
+    createModal(resolve) {
+        const modal = document.createElement('div');
+        modal.className = 'ui-modal profiles-modal';
+
+        const close = () => {
+            UINotification.closeModal(modal);
+            resolve();
+        };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'ui-modal-backdrop';
+        backdrop.onclick = close;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ui-modal-dialog profiles-dialog';
+
+        const content = document.createElement('div');
+        content.className = 'ui-modal-content';
+
+        const header = document.createElement('div');
+        header.className = 'ui-modal-header';
+        const title = document.createElement('h4');
+        title.textContent = '配置方案';
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'ui-modal-body profiles-body';
+        content.appendChild(body);
+
+        const list = document.createElement('ul');
+        list.className = 'profiles-list';
+        const comparison = document.createElement('div');
+        comparison.className = 'profiles-compare';
+
+        const render = () => {
+            const profiles = this.configManager.getProfiles();
+            list.replaceChildren(...profiles.map(profile => this.createProfileItem(profile, { close, render })));
+            this.renderComparison(comparison, profiles);
+        };
+        render();
+
+        body.appendChild(list);
+        body.appendChild(this.createProfileForm(render));
+        body.appendChild(comparison);
+
+        const footer = document.createElement('div');
+        footer.className = 'ui-modal-footer';
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.dataset.action = 'close-profiles';
+        closeBtn.textContent = '关闭';
+        closeBtn.onclick = close;
+        footer.appendChild(closeBtn);
+        content.appendChild(footer);
+
+        dialog.appendChild(content);
+        modal.appendChild(backdrop);
+        modal.appendChild(dialog);
+
+        return modal;
+    }
+
+    createProfileItem(profile, { close, render }) {
+        const item = document.createElement('li');
+        item.dataset.profile = profile.id;
+        item.className = profile.active ? 'active' : '';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.name = 'profile-name';
+        nameInput.value = profile.name;
+        nameInput.onchange = () => {
+            try {
+                this.configManager.renameProfile(profile.id, nameInput.value);
+                render();
+            } catch (error) {
+                UINotification.error(error.message);
+                nameInput.value = profile.name;
+            }
+        };
+        item.appendChild(nameInput);
+
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'btn btn-primary btn-sm';
+        applyBtn.dataset.action = 'apply-profile';
+        applyBtn.textContent = profile.active ? '当前' : '应用';
+        applyBtn.disabled = profile.active;
+        applyBtn.onclick = async () => {
+            close();
+            await this.onApply(profile.id);
+        };
+        item.appendChild(applyBtn);
+
+        const cloneBtn = document.createElement('button');
+        cloneBtn.className = 'btn btn-secondary btn-sm';
+        cloneBtn.dataset.action = 'clone-profile';
+        cloneBtn.textContent = '复制';
+        cloneBtn.onclick = async () => {
+            try {
+                await this.configManager.cloneProfile(profile.id, this.getCopyName(profile.name));
+                render();
+            } catch (error) {
+                UINotification.error(error.message);
+            }
+        };
+        item.appendChild(cloneBtn);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-sm';
+        deleteBtn.dataset.action = 'delete-profile';
+        deleteBtn.textContent = '删除';
+        // 默认方案和当前方案不能删除
+        deleteBtn.disabled = profile.active || profile.id === ConfigManager.DEFAULT_PROFILE_ID;
+        deleteBtn.onclick = async () => {
+            const confirmed = await UINotification.confirm(
+                `确定要删除配置方案"${profile.name}"吗？它保存的供应商和模型配置会一并删除。`,
+                {
+                    title: '删除配置方案',
+                    confirmText: '删除',
+                    cancelText: '取消'
+                }
+            );
+            if (!confirmed) {
+                return;
+            }
+            try {
+                this.configManager.deleteProfile(profile.id);
+                render();
+            } catch (error) {
+                UINotification.error(error.message);
+            }
+        };
+        item.appendChild(deleteBtn);
+
+        return item;
+    }
+
+    /**
+     * 复制方案时生成不重复的名称
+     * @param {string} name - 原方案名称
+     * @returns {string}
+     */
+    getCopyName(name) {
+        const names = new Set(this.configManager.getProfiles().map(profile => profile.name));
+        let copyName = `${name} 副本`;
+        for (let index = 2; names.has(copyName); index++) {
+            copyName = `${name} 副本${index}`;
+        }
+        return copyName;
+    }
+
+    createProfileForm(onCreated) {
+        const form = document.createElement('div');
+        form.className = 'profiles-create';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.name = 'new-profile-name';
+        nameInput.placeholder = '新方案名称';
+        form.appendChild(nameInput);
+
+        const createBtn = document.createElement('button');
+        createBtn.className = 'btn btn-secondary btn-sm';
+        createBtn.dataset.action = 'create-profile';
+        createBtn.textContent = '新建空白方案';
+        createBtn.onclick = async () => {
+            try {
+                await this.configManager.createProfile(nameInput.value);
+                nameInput.value = '';
+                onCreated();
+            } catch (error) {
+                UINotification.error(error.message);
+            }
+        };
+        form.appendChild(createBtn);
+
+        return form;
+    }
+
+    renderComparison(container, profiles) {
+        const previous = {
+            left: container.querySelector('select[name="compare-left"]')?.value,
+            right: container.querySelector('select[name="compare-right"]')?.value
+        };
+        container.replaceChildren();
+
+        const heading = document.createElement('h5');
+        heading.textContent = '比较方案';
+        container.appendChild(heading);
+
+        const activeId = profiles.find(profile => profile.active)?.id;
+        const otherId = profiles.find(profile => !profile.active)?.id || activeId;
+        const controls = document.createElement('div');
+        controls.className = 'profiles-compare-controls';
+        const leftSelect = this.createProfileSelect('compare-left', profiles, previous.left || activeId);
+        const rightSelect = this.createProfileSelect('compare-right', profiles, previous.right || otherId);
+        controls.appendChild(leftSelect);
+        controls.appendChild(rightSelect);
+        container.appendChild(controls);
+
+        const result = document.createElement('div');
+        result.className = 'profiles-compare-result';
+        container.appendChild(result);
+
+        const update = () => {
+            result.replaceChildren(this.createComparisonTable(
+                this.configManager.compareProfiles(leftSelect.value, rightSelect.value)
+            ));
+        };
+        leftSelect.onchange = update;
+        rightSelect.onchange = update;
+        update();
+    }
+
+    createProfileSelect(name, profiles, selectedId) {
+        const select = document.createElement('select');
+        select.name = name;
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.active ? `${profile.name}（当前）` : profile.name;
+            select.appendChild(option);
+        });
+        select.value = profiles.some(profile => profile.id === selectedId) ? selectedId : profiles[0].id;
+        return select;
+    }
+
+    /**
+     * 创建比较结果表格：左右两列分别显示两个方案中的值，只列出有差异的供应商和模型
+     * @param {Object} comparison - ConfigComparison.compare的结果
+     * @returns {HTMLElement}
+     */
+    createComparisonTable(comparison) {
+        if (comparison.identical) {
+            const same = document.createElement('p');
+            same.className = 'profiles-identical';
+            same.textContent = '两个方案的供应商和模型相同';
+            return same;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'profiles-compare-table';
+        const head = document.createElement('tr');
+        ['项目', '字段', '左侧', '右侧'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            head.appendChild(th);
+        });
+        table.appendChild(head);
+
+        const addRow = (cells, status) => {
+            const row = document.createElement('tr');
+            row.dataset.status = status;
+            cells.forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                row.appendChild(td);
+            });
+            table.appendChild(row);
+        };
+
+        [['供应商', comparison.providers], ['模型', comparison.models]].forEach(([kind, entries]) => {
+            entries.filter(entry => entry.status !== 'same').forEach(entry => {
+                const label = `${kind} ${entry.key}`;
+                if (entry.status === 'changed') {
+                    entry.fields.forEach(({ field, left, right }) => {
+                        addRow([label, field, this.formatValue(left), this.formatValue(right)], entry.status);
+                    });
+                } else {
+                    addRow([
+                        label,
+                        STATUS_LABELS[entry.status],
+                        entry.status === 'removed' ? '✓' : '—',
+                        entry.status === 'added' ? '✓' : '—'
+                    ], entry.status);
+                }
+            });
+        });
+
+        return table;
+    }
+
+    formatValue(value) {
+        if (value === null) {
+            return '—';
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * 添加样式
+     */
+    addStyles() {
+        if (document.getElementById('profiles-panel-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'profiles-panel-styles';
+        styles.textContent = `
+            .profiles-dialog {
+                max-width: 860px;
+                width: 90%;
+            }
+            .profiles-body {
+                max-height: 70vh;
+                overflow-y: auto;
+            }
+            .profiles-list {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+            .profiles-list li {
+                display: grid;
+                grid-template-columns: 1fr auto auto auto;
+                gap: 8px;
+                align-items: center;
+                padding: 6px 0;
+                border-bottom: 1px solid #e9ecef;
+            }
+            .profiles-list li.active input[name="profile-name"] {
+                font-weight: 600;
+            }
+            .profiles-create,
+            .profiles-compare-controls {
+                display: flex;
+                gap: 8px;
+                margin: 12px 0;
+            }
+            .profiles-compare-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 13px;
+            }
+            .profiles-compare-table th,
+            .profiles-compare-table td {
+                padding: 4px 8px;
+                border-bottom: 1px solid #e9ecef;
+                text-align: left;
+                word-break: break-all;
+            }
+            .profiles-compare-table tr[data-status="added"] td {
+                background: #e6ffed;
+            }
+            .profiles-compare-table tr[data-status="removed"] td {
+                background: #ffeef0;
+            }
+            .profiles-identical {
+                color: #6c757d;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
@@ -7,7 +7,12 @@ import { ProviderValidator } from '../utils/ProviderValidator.js';
 import { ErrorHandler } from '../utils/ErrorHandler.js';
 import { Logger } from '../utils/Logger.js';
 import { UINotification } from './UINotification.js';
+import { ChangeReviewModal } from './ChangeReviewModal.js';
 import { TaskMasterFileManager } from '../utils/TaskMasterFileManager.js';
+import { McpClientRegistry } from '../utils/McpClientRegistry.js';
+import { ProjectEnvFile } from '../utils/DotEnvFile.js';
+import { ProviderFileTemplates, DEFAULT_AZURE_API_VERSION } from '../utils/ProviderFileTemplates.js';
+import { ProviderRequestOptions, HEADER_SUGGESTIONS } from '../utils/ProviderRequestOptions.js';
 
 export class ProviderConfig {
     constructor(configManager, saveConfig) {
@@ -198,12 +203,40 @@ export class ProviderConfig {
                             <option value="openai" ${provider?.type === 'openai' ? 'selected' : ''}>OpenAI 兼容</option>
                             <option value="anthropic" ${provider?.type === 'anthropic' ? 'selected' : ''}>Anthropic</option>
                             <option value="google" ${provider?.type === 'google' ? 'selected' : ''}>Google</option>
+                            <option value="ollama" ${provider?.type === 'ollama' ? 'selected' : ''}>Ollama</option>
+                            <option value="azure" ${provider?.type === 'azure' ? 'selected' : ''}>Azure OpenAI</option>
                             <option value="poloai" ${provider?.type === 'poloai' ? 'selected' : ''}>PoloAI</option>
                             <option value="foapi" ${provider?.type === 'foapi' ? 'selected' : ''}>FoApi</option>
                             <option value="custom" ${provider?.type === 'custom' ? 'selected' : ''}>自定义</option>
                         </select>
                     </div>
 
+                    <div class="form-group ${provider?.type === 'azure' ? '' : 'hidden'}" id="provider-api-version-group">
+                        <label for="provider-api-version">API 版本</label>
+                        <input type="text" id="provider-api-version" name="apiVersion"
+                               value="${provider?.apiVersion || ''}"
+                               placeholder="${DEFAULT_AZURE_API_VERSION}">
+                        <small class="form-help">Azure OpenAI 的 api-version 参数，留空使用 ${DEFAULT_AZURE_API_VERSION}</small>
+                    </div>
+
+                    <div class="form-group">
+                        <label>附加请求头和查询参数</label>
+                        <div id="provider-request-options" class="request-options-list"></div>
+                        <button type="button" id="add-request-option-btn" class="btn btn-secondary btn-sm">
+                            <span class="btn-icon">➕</span>
+                            添加
+                        </button>
+                        <datalist id="provider-header-suggestions">
+                            ${HEADER_SUGGESTIONS.map(name => `<option value="${name}"></option>`).join('')}
+                        </datalist>
+                        <small class="form-help">例如 HTTP-Referer、X-Title、OpenAI-Organization、租户ID，或 api-version 查询参数。连接测试、模型测试和生成的供应商文件都会附加这些设置；值以明文写入供应商文件，API密钥请填写在上方</small>
+                    </div>
+
+                    <details class="form-group provider-file-preview">
+                        <summary>供应商文件预览 <span id="provider-template-label" class="provider-template-label"></span></summary>
+                        <pre><code id="provider-file-preview"></code></pre>
+                    </details>
+
                     <div class="modal-actions">
                         <button type="button" class="btn btn-secondary" data-action="close-modal">
                             取消
@@ -232,6 +265,9 @@ export class ProviderConfig {
 
         // 绑定测试连接按钮事件
         this.bindTestEndpointButton();
+
+        this.bindRequestOptionsEditor(provider);
+        this.bindProviderFilePreview();
     }
 
     async handleProviderSubmit(form, existingProvider) {
@@ -244,6 +280,21 @@ export class ProviderConfig {
             type: formData.get('type'),
             isValid: true // 默认设置为有效，用户可以通过"加载模型"来验证
         };
+        if (providerData.type === 'azure') {
+            providerData.apiVersion = formData.get('apiVersion').trim() || DEFAULT_AZURE_API_VERSION;
+        }
+
+        const requestOptions = this.readRequestOptions(form);
+        if (requestOptions.errors.length > 0) {
+            this.showValidationErrors(requestOptions.errors);
+            return;
+        }
+        if (Object.keys(requestOptions.headers).length > 0) {
+            providerData.headers = requestOptions.headers;
+        }
+        if (Object.keys(requestOptions.queryParams).length > 0) {
+            providerData.queryParams = requestOptions.queryParams;
+        }
 
         try {
             // 只在添加新供应商时检查重复名称，更新现有供应商时跳过此检查
@@ -259,6 +310,15 @@ export class ProviderConfig {
                 }
             }
 
+            // 新建供应商时先生成变更计划，由用户审阅将写入TaskMaster的所有文件后再保存
+            let creationPlan = null;
+            if (!existingProvider && this.configManager.isProjectValid()) {
+                creationPlan = await this.reviewProviderCreation(providerData);
+                if (!creationPlan) {
+                    return;
+                }
+            }
+
             // Show loading state
             const submitBtn = form.querySelector('button[type="submit"]');
             const originalText = submitBtn.innerHTML;
@@ -266,105 +326,114 @@ export class ProviderConfig {
             submitBtn.disabled = true;
 
             try {
-                if (existingProvider) {
-                    // 检查供应商是否在configManager中存在
-                    const providerInManager = this.configManager.getProviderById(providerData.id);
-                    if (providerInManager) {
-                        // 供应商存在，执行更新
-                        await this.configManager.updateProvider(providerData);
-                    } else {
-                        // 供应商不存在（可能是从TaskMaster项目加载的），需要特殊处理
-                        Logger.info(`供应商 ${providerData.name} 在configManager中不存在，检查是否有同名供应商需要替换`);
-
-                        // 检查是否有同名的供应商，如果有就替换，没有就添加
-                        const existingByName = this.configManager.getAllProviders().find(p =>
-                            p.name.toLowerCase() === providerData.name.toLowerCase()
-                        );
-
-                        if (existingByName) {
-                            // 有同名供应商，使用其ID进行更新
-                            Logger.info(`找到同名供应商，使用ID ${existingByName.id} 进行更新`);
-                            providerData.id = existingByName.id;
-                            await this.configManager.updateProvider(providerData);
+                // 配置修改和写入的TaskMaster文件记录为历史中的同一步（文件变更在步骤记录前关联）
+                await this.configManager.batch(`${existingProvider ? '修改' : '添加'}服务商 ${providerData.name}`, async step => {
+                    if (existingProvider) {
+                        // 检查供应商是否在configManager中存在
+                        const providerInManager = this.configManager.getProviderById(providerData.id);
+                        if (providerInManager) {
+                            // 供应商存在，执行更新
+                            await this.configManager.updateProvider(providerData, { step });
                         } else {
-                            // 没有同名供应商，直接添加
-                            Logger.info(`没有同名供应商，直接添加`);
-                            await this.configManager.addProvider(providerData);
-                        }
-                    }
-                } else {
-                    await this.configManager.addProvider(providerData);
-                }
-
-                // 确保供应商状态为有效（已在providerData中设置）
-                Logger.info(`✅ 供应商 ${providerData.name} 保存成功，状态: ${providerData.isValid ? '有效' : '无效'}`);
+                            // 供应商不存在（可能是从TaskMaster项目加载的），需要特殊处理
+                            Logger.info(`供应商 ${providerData.name} 在configManager中不存在，检查是否有同名供应商需要替换`);
 
-                // 如果有有效的TaskMaster项目路径，同步保存到TaskMaster项目
-                if (this.configManager.isProjectValid()) {
-                    try {
-                        Logger.info(`🚀 开始TaskMaster项目同步流程，供应商: ${providerData.name}`);
-                        Logger.info(`📋 供应商数据:`, {
-                            name: providerData.name,
-                            endpoint: providerData.endpoint,
-                            type: providerData.type,
-                            hasApiKey: !!(providerData.apiKey && providerData.apiKey.trim()),
-                            apiKeyLength: providerData.apiKey ? providerData.apiKey.length : 0
-                        });
-
-                        if (existingProvider) {
-                            // 更新现有供应商：强制重新生成JS文件以更新配置
-                            Logger.info(`🔧 更新供应商 ${providerData.name} 的JavaScript文件...`);
-                            const result = await this.fileManager.updateProviderFile(
-                                providerData.name,
-                                providerData
+                            // 检查是否有同名的供应商，如果有就替换，没有就添加
+                            const existingByName = this.configManager.getAllProviders().find(p =>
+                                p.name.toLowerCase() === providerData.name.toLowerCase()
                             );
 
-                            if (result.updated) {
-                                Logger.info(`✅ 成功更新供应商文件: ${result.filePath}`);
+                            if (existingByName) {
+                                // 有同名供应商，使用其ID进行更新
+                                Logger.info(`找到同名供应商，使用ID ${existingByName.id} 进行更新`);
+                                providerData.id = existingByName.id;
+                                await this.configManager.updateProvider(providerData, { step });
                             } else {
-                                Logger.warn(`⚠️ 供应商文件更新失败`);
+                                // 没有同名供应商，直接添加
+                                Logger.info(`没有同名供应商，直接添加`);
+                                await this.configManager.addProvider(providerData, { step });
                             }
-                        } else {
-                            // 新建供应商：创建JS文件
-                            Logger.info(`🔧 为供应商 ${providerData.name} 创建JavaScript文件...`);
-                            const result = await this.fileManager.createProviderFileOnly(
-                                providerData.name,
-                                providerData
-                            );
+                        }
+                    } else {
+                        await this.configManager.addProvider(providerData, { step });
+                    }
+
+                    // 确保供应商状态为有效（已在providerData中设置）
+                    Logger.info(`✅ 供应商 ${providerData.name} 保存成功，状态: ${providerData.isValid ? '有效' : '无效'}`);
+
+                    // 如果有有效的TaskMaster项目路径，同步保存到TaskMaster项目
+                    if (this.configManager.isProjectValid()) {
+                        try {
+                            Logger.info(`🚀 开始TaskMaster项目同步流程，供应商: ${providerData.name}`);
+                            Logger.info(`📋 供应商数据:`, {
+                                name: providerData.name,
+                                endpoint: providerData.endpoint,
+                                type: providerData.type,
+                                hasApiKey: !!(providerData.apiKey && providerData.apiKey.trim()),
+                                apiKeyLength: providerData.apiKey ? providerData.apiKey.length : 0
+                            });
 
-                            if (result.created) {
-                                Logger.info(`✅ 成功创建供应商文件: ${result.filePath}`);
-                            } else if (result.reason === 'file_exists') {
-                                Logger.info(`ℹ️ 供应商文件已存在，跳过创建`);
+                            if (existingProvider) {
+                                // 更新现有供应商：强制重新生成JS文件以更新配置
+                                Logger.info(`🔧 更新供应商 ${providerData.name} 的JavaScript文件...`);
+                                const updatePlan = await this.fileManager.planProviderFileUpdate(providerData.name, providerData);
+                                const applyResults = await updatePlan.apply();
+                                if (applyResults.failed.length > 0) {
+                                    throw new Error(applyResults.failed.map(f => `${f.file}: ${f.error}`).join('; '));
+                                }
+                                this.configManager.history.attachFileChanges(step, updatePlan.appliedChanges);
+
+                                const result = updatePlan.result;
+
+                                if (result.updated) {
+                                    Logger.info(`✅ 成功更新供应商文件: ${result.filePath}`);
+                                } else {
+                                    Logger.warn(`⚠️ 供应商文件更新失败`);
+                                }
+                            } else {
+                                // 新建供应商：应用已审阅的变更计划（供应商文件及所有相关文件）
+                                Logger.info(`🔧 为供应商 ${providerData.name} 应用已确认的文件变更...`);
+                                const applyResults = await creationPlan.apply();
+                                if (applyResults.failed.length > 0) {
+                                    throw new Error(applyResults.failed.map(f => `${f.file}: ${f.error}`).join('; '));
+                                }
+                                this.configManager.history.attachFileChanges(step, creationPlan.appliedChanges);
+
+                                const result = creationPlan.result;
+                                if (result.created) {
+                                    Logger.info(`✅ 成功创建供应商文件: ${result.filePath}`);
+                                } else if (result.reason === 'file_exists') {
+                                    Logger.info(`ℹ️ 供应商文件已存在，跳过创建`);
+                                }
                             }
-                        }
 
-                        // 同步保存单个供应商配置和API密钥到TaskMaster项目
-                        Logger.info(`💾 开始同步保存供应商配置到TaskMaster项目...`);
-                        Logger.info(`🔑 准备更新API密钥，长度: ${providerData.apiKey ? providerData.apiKey.length : 0}`);
+                            // 同步保存单个供应商配置和API密钥到TaskMaster项目
+                            Logger.info(`💾 开始同步保存供应商配置到TaskMaster项目...`);
+                            Logger.info(`🔑 准备更新API密钥，长度: ${providerData.apiKey ? providerData.apiKey.length : 0}`);
 
-                        const syncResult = await this.syncSingleProviderToTaskMaster(providerData);
+                            const syncResult = await this.syncSingleProviderToTaskMaster(providerData);
 
-                        if (syncResult) {
-                            Logger.info(`✅ 供应商配置已成功同步到TaskMaster项目`);
-                        } else {
-                            Logger.error(`❌ 供应商配置同步失败`);
-                        }
+                            if (syncResult) {
+                                Logger.info(`✅ 供应商配置已成功同步到TaskMaster项目`);
+                            } else {
+                                Logger.error(`❌ 供应商配置同步失败`);
+                            }
 
-                        // 确保文件写入操作完全完成
-                        await new Promise(resolve => setTimeout(resolve, 500));
-                        Logger.info(`⏳ 文件写入操作已完成，等待500ms确保同步`);
+                            // 确保文件写入操作完全完成
+                            await new Promise(resolve => setTimeout(resolve, 500));
+                            Logger.info(`⏳ 文件写入操作已完成，等待500ms确保同步`);
 
-                    } catch (fileError) {
-                        Logger.error(`❌ TaskMaster项目同步失败:`, {
-                            error: fileError.message,
-                            stack: fileError.stack,
-                            providerName: providerData.name
-                        });
-                        // 重新抛出错误，让用户知道失败了
-                        throw new Error(`TaskMaster项目同步失败: ${fileError.message}`);
+                        } catch (fileError) {
+                            Logger.error(`❌ TaskMaster项目同步失败:`, {
+                                error: fileError.message,
+                                stack: fileError.stack,
+                                providerName: providerData.name
+                            });
+                            // 重新抛出错误，让用户知道失败了
+                            throw new Error(`TaskMaster项目同步失败: ${fileError.message}`);
+                        }
                     }
-                }
+                });
 
                 // 显示成功消息（在UI更新之前）
                 const message = '服务商保存成功！';
@@ -420,7 +489,17 @@ export class ProviderConfig {
         const hasTaskMasterProject = this.configManager.isProjectValid();
         let confirmMessage = '确定要删除此服务商吗？此操作无法撤销。';
 
+        // 优先生成删除计划，逐文件展示将要进行的修改
+        let deletionPlan = null;
         if (hasTaskMasterProject) {
+            try {
+                deletionPlan = await this.fileManager.planProviderDeletion(provider.name);
+            } catch (error) {
+                Logger.warn('生成删除计划失败，使用普通确认', { error: error.message });
+            }
+        }
+
+        if (hasTaskMasterProject && !deletionPlan) {
             // 检查配置引用
             try {
                 const configUsage = await this.fileManager.checkProviderUsageInConfig(provider.name);
@@ -432,18 +511,26 @@ export class ProviderConfig {
                 confirmMessage += '\n• UI配置中的供应商和模型';
                 confirmMessage += '\n• TaskMaster项目中的供应商文件';
                 confirmMessage += '\n• supported-models.json中的条目';
-                confirmMessage += '\n• .cursor/mcp.json中的API密钥';
+                confirmMessage += '\n• MCP客户端配置（.cursor/mcp.json等）中的API密钥';
                 confirmMessage += '\n• 相关导入和导出配置';
             } catch (error) {
                 Logger.warn('检查配置引用失败', { error: error.message });
             }
         }
 
-        const confirmed = await UINotification.confirm(confirmMessage, {
-            title: '删除服务商',
-            confirmText: '删除',
-            cancelText: '取消'
-        });
+        const confirmed = deletionPlan
+            ? await ChangeReviewModal.show(deletionPlan, {
+                title: `删除服务商 ${provider.name}`,
+                message: '将从UI配置中删除该供应商及其模型，并清理TaskMaster中的相关文件。',
+                warnings: deletionPlan.result.warnings,
+                confirmText: '删除并应用变更',
+                cancelText: '取消'
+            })
+            : await UINotification.confirm(confirmMessage, {
+                title: '删除服务商',
+                confirmText: '删除',
+                cancelText: '取消'
+            });
 
         if (!confirmed) {
             return;
@@ -452,61 +539,69 @@ export class ProviderConfig {
         try {
             Logger.info(`开始删除供应商: ${provider.name}`);
 
-            // 1. 从UI配置中删除供应商
-            await this.configManager.deleteProvider(providerId);
-            Logger.info('✅ 已从UI配置中删除供应商');
+            // 1. 从UI配置中删除供应商；2. 有TaskMaster项目时删除相关文件。删除的文件与配置修改记录为历史中的同一步
+            let deleteResult = null;
+            let cleanupError = null;
+            await this.configManager.batch(`删除服务商 ${provider.name}`, async step => {
+                await this.configManager.deleteProvider(providerId, { step });
+                Logger.info('✅ 已从UI配置中删除供应商');
 
-            // 2. 如果有TaskMaster项目，删除相关文件
-            if (hasTaskMasterProject) {
-                Logger.info('🔧 开始清理TaskMaster项目文件...');
-
-                try {
-                    const deleteResult = await this.fileManager.deleteProviderFromTaskMaster(provider.name);
+                if (hasTaskMasterProject) {
+                    Logger.info('🔧 开始清理TaskMaster项目文件...');
+                    try {
+                        deleteResult = deletionPlan
+                            ? await this.applyDeletionPlan(deletionPlan, step)
+                            : await this.fileManager.deleteProviderFromTaskMaster(provider.name);
+                    } catch (error) {
+                        cleanupError = error;
+                    }
+                }
+            });
 
-                    if (deleteResult.success) {
-                        Logger.info('✅ TaskMaster项目文件清理完成');
+            if (cleanupError) {
+                Logger.error('TaskMaster项目文件清理失败', { error: cleanupError.message });
+                UINotification.warning(
+                    `供应商从UI配置中删除成功，但TaskMaster项目文件清理失败：\n${cleanupError.message}\n\n请手动检查并清理相关文件。`,
+                    { duration: 10000 }
+                );
+            } else if (deleteResult) {
+                if (deleteResult.success) {
+                    Logger.info('✅ TaskMaster项目文件清理完成');
 
-                        // 显示详细的删除结果
-                        let resultMessage = '供应商删除成功！\n\n';
+                    // 显示详细的删除结果
+                    let resultMessage = '供应商删除成功！\n\n';
 
-                        if (deleteResult.deletedFiles.length > 0) {
-                            resultMessage += '已删除文件：\n';
-                            deleteResult.deletedFiles.forEach(file => {
-                                resultMessage += `• ${file}\n`;
-                            });
-                        }
+                    if (deleteResult.deletedFiles.length > 0) {
+                        resultMessage += '已删除文件：\n';
+                        deleteResult.deletedFiles.forEach(file => {
+                            resultMessage += `• ${file}\n`;
+                        });
+                    }
 
-                        if (deleteResult.updatedFiles.length > 0) {
-                            resultMessage += '\n已更新文件：\n';
-                            deleteResult.updatedFiles.forEach(file => {
-                                resultMessage += `• ${file}\n`;
-                            });
-                        }
+                    if (deleteResult.updatedFiles.length > 0) {
+                        resultMessage += '\n已更新文件：\n';
+                        deleteResult.updatedFiles.forEach(file => {
+                            resultMessage += `• ${file}\n`;
+                        });
+                    }
 
-                        if (deleteResult.warnings.length > 0) {
-                            resultMessage += '\n⚠️ 警告：\n';
-                            deleteResult.warnings.forEach(warning => {
-                                resultMessage += `• ${warning}\n`;
-                            });
-                        }
+                    if (deleteResult.warnings.length > 0) {
+                        resultMessage += '\n⚠️ 警告：\n';
+                        deleteResult.warnings.forEach(warning => {
+                            resultMessage += `• ${warning}\n`;
+                        });
+                    }
 
-                        UINotification.success(resultMessage, { duration: 8000 });
-                    } else {
-                        Logger.warn('TaskMaster项目文件清理部分失败');
+                    UINotification.success(resultMessage, { duration: 8000 });
+                } else {
+                    Logger.warn('TaskMaster项目文件清理部分失败');
 
-                        let errorMessage = '供应商从UI配置中删除成功，但TaskMaster项目文件清理遇到问题：\n\n';
-                        deleteResult.errors.forEach(error => {
-                            errorMessage += `• ${error}\n`;
-                        });
+                    let errorMessage = '供应商从UI配置中删除成功，但TaskMaster项目文件清理遇到问题：\n\n';
+                    deleteResult.errors.forEach(error => {
+                        errorMessage += `• ${error}\n`;
+                    });
 
-                        UINotification.warning(errorMessage, { duration: 10000 });
-                    }
-                } catch (taskMasterError) {
-                    Logger.error('TaskMaster项目文件清理失败', { error: taskMasterError.message });
-                    UINotification.warning(
-                        `供应商从UI配置中删除成功，但TaskMaster项目文件清理失败：\n${taskMasterError.message}\n\n请手动检查并清理相关文件。`,
-                        { duration: 10000 }
-                    );
+                    UINotification.warning(errorMessage, { duration: 10000 });
                 }
             } else {
                 UINotification.success('供应商删除成功');
@@ -531,6 +626,170 @@ export class ProviderConfig {
         }
     }
 
+    /**
+     * 生成新建供应商的变更计划并显示审阅对话框
+     * @param {object} providerData - 供应商数据
+     * @returns {Promise<ChangePlan|null>} 用户确认后返回变更计划，取消返回null
+     */
+    async reviewProviderCreation(providerData) {
+        const plan = await this.fileManager.planProviderCreation(providerData.name, providerData);
+
+        // 关键步骤失败时计划已整体回滚，不允许保存半完成的修改
+        if (plan.result.reason === 'rolled_back') {
+            const failures = plan.result.updateResults.failed.map(f => `${f.file}: ${f.error}`);
+            throw new Error(`无法修改TaskMaster文件：${failures.join('; ')}`);
+        }
+
+        // 供应商文件已存在时不会写入任何文件，无需审阅
+        if (!plan.hasChanges()) {
+            return plan;
+        }
+
+        const updateResults = plan.result.updateResults;
+        const warnings = updateResults
+            ? [...updateResults.warnings, ...updateResults.failed.map(f => `${f.file}: ${f.error}`)]
+            : [];
+
+        const confirmed = await ChangeReviewModal.show(plan, {
+            title: `添加服务商 ${providerData.name}`,
+            message: '保存后将对TaskMaster进行以下修改。',
+            warnings,
+            confirmText: '保存并应用变更',
+            cancelText: '取消'
+        });
+
+        return confirmed ? plan : null;
+    }
+
+    /**
+     * 添加从模型目录导入的供应商：有TaskMaster项目时与手动添加一样，先审阅并应用供应商文件的变更
+     * @param {Object} providerData - 供应商
+     * @returns {Promise<boolean>} 用户取消审阅时返回false
+     */
+    async addImportedProvider(providerData) {
+        let creationPlan = null;
+        if (this.configManager.isProjectValid()) {
+            creationPlan = await this.reviewProviderCreation(providerData);
+            if (!creationPlan) {
+                return false;
+            }
+        }
+
+        await this.configManager.batch(`添加服务商 ${providerData.name}`, async step => {
+            await this.configManager.addProvider(providerData, { step });
+            if (creationPlan) {
+                const applyResults = await creationPlan.apply();
+                if (applyResults.failed.length > 0) {
+                    throw new Error(applyResults.failed.map(f => `${f.file}: ${f.error}`).join('; '));
+                }
+                this.configManager.history.attachFileChanges(step, creationPlan.appliedChanges);
+            }
+        });
+        if (creationPlan) {
+            await this.syncSingleProviderToTaskMaster(providerData);
+        }
+        return true;
+    }
+
+    /**
+     * 检测task-master-ai包是否在安装供应商后被升级或重新安装，
+     * 是则提示用户审阅并重新应用供应商清单中记录的供应商
+     * @returns {Promise<boolean>} 是否已重新应用
+     */
+    async checkPackageUpgrade() {
+        try {
+            const upgrade = await this.saveConfig.providerManifest.detectUpgrade();
+            if (!upgrade.upgraded) {
+                return false;
+            }
+
+            const names = upgrade.providers.map(entry => entry.name).join(', ');
+            const plan = await this.fileManager.planManifestReplay();
+            const replay = plan.result;
+            if (!plan.hasChanges() && replay.failed.length === 0) {
+                // 新版本中的注册仍然完整，只需更新清单中的版本
+                await plan.apply();
+                return true;
+            }
+
+            const confirmed = await ChangeReviewModal.show(plan, {
+                title: `重新应用供应商到 v${upgrade.currentVersion}`,
+                message: `task-master-ai 已变为 v${upgrade.currentVersion}，以下供应商的文件和注册需要重新应用: ${names}`,
+                warnings: [
+                    ...replay.warnings,
+                    ...replay.failed.map(f => `无法应用 ${f.file}: ${f.error}`)
+                ],
+                confirmText: '重新应用',
+                cancelText: '稍后'
+            });
+            if (!confirmed) {
+                return false;
+            }
+
+            const applyResults = await plan.apply();
+            if (applyResults.failed.length > 0) {
+                throw new Error(applyResults.failed.map(f => `${f.file}: ${f.error}`).join('; '));
+            }
+
+            if (replay.failed.length > 0) {
+                UINotification.warning(`已重新应用 ${replay.replayed.length} 个供应商，${replay.failed.length} 处修改无法应用，请查看日志`);
+            } else {
+                UINotification.success(`已将 ${names} 重新应用到 v${upgrade.currentVersion}`);
+            }
+            return true;
+        } catch (error) {
+            Logger.error('重新应用供应商失败', { error: error.message }, error);
+            UINotification.error(`重新应用供应商失败: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * 将自定义供应商对task-master-ai包的修改导出为patch-package补丁并下载
+     * @returns {Promise<boolean>} 是否已导出
+     */
+    async exportPackagePatch() {
+        try {
+            const exported = await this.fileManager.exportPackagePatch();
+            const blob = new Blob([exported.patch], { type: 'text/x-diff' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = exported.fileName;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            exported.warnings.forEach(warning => UINotification.warning(warning));
+            UINotification.success(`已导出 ${exported.fileName}（${exported.files.length} 个文件），请保存到项目的 patches/ 目录`);
+            return true;
+        } catch (error) {
+            Logger.error('导出补丁失败', { error: error.message }, error);
+            UINotification.error(`导出补丁失败: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * 应用已确认的删除计划，返回与deleteProviderFromTaskMaster相同结构的结果
+     * @param {ChangePlan} plan - 删除计划
+     * @param {Object} historyStep - 删除供应商的历史步骤，删除的文件关联到这一步
+     * @returns {Promise<object>}
+     */
+    async applyDeletionPlan(plan, historyStep) {
+        const deleteResult = plan.result;
+        const applyResults = await plan.apply();
+        this.configManager.history.attachFileChanges(historyStep, plan.appliedChanges);
+
+        if (applyResults.failed.length > 0) {
+            deleteResult.success = false;
+            applyResults.failed.forEach(f => deleteResult.errors.push(`${f.file}: ${f.error}`));
+        }
+
+        return deleteResult;
+    }
+
     /**
      * 同步单个供应商配置到TaskMaster项目（只更新当前供应商）
      */
@@ -538,8 +797,7 @@ export class ProviderConfig {
         Logger.info(`🔄 syncSingleProviderToTaskMaster 开始执行`);
         Logger.info(`📋 接收到的供应商数据:`, {
             name: providerData.name,
-            hasApiKey: !!(providerData.apiKey && providerData.apiKey.trim()),
-            apiKeyPreview: providerData.apiKey ? `${providerData.apiKey.substring(0, 8)}...` : 'null'
+            hasApiKey: !!(providerData.apiKey && providerData.apiKey.trim())
         });
 
         try {
@@ -576,7 +834,7 @@ export class ProviderConfig {
 
             Logger.info(`📁 项目目录句柄已准备就绪`);
 
-            // 只更新单个供应商的API密钥到.cursor/mcp.json
+            // 只更新单个供应商的API密钥到各MCP客户端配置
             Logger.info(`🔧 开始更新单个供应商的MCP配置...`);
             await this.updateSingleProviderMCPConfig(projectDirHandle, providerData);
             Logger.info(`✅ 单个供应商MCP配置更新完成`);
@@ -614,104 +872,43 @@ export class ProviderConfig {
     }
 
     /**
-     * 更新单个供应商的MCP配置
+     * 更新单个供应商在所有启用的MCP客户端配置和 .env 中的API密钥
      */
     async updateSingleProviderMCPConfig(projectDirHandle, providerData) {
-        const mcpConfigPath = '.cursor/mcp.json';
-
         Logger.info(`🔧 updateSingleProviderMCPConfig 开始执行`);
-        Logger.info(`📁 目标文件路径: ${mcpConfigPath}`);
         Logger.info(`📋 供应商信息:`, {
             name: providerData.name,
             hasApiKey: !!(providerData.apiKey && providerData.apiKey.trim()),
             apiKeyLength: providerData.apiKey ? providerData.apiKey.length : 0
         });
 
-        try {
-            // 读取现有的MCP配置
-            let mcpConfig = {};
-            try {
-                const mcpContent = await this.saveConfig.readFileFromDirectory(projectDirHandle, mcpConfigPath);
-                if (mcpContent) {
-                    mcpConfig = JSON.parse(mcpContent);
-                }
-            } catch (error) {
-                // 文件不存在，创建默认结构
-                mcpConfig = {
-                    mcpServers: {
-                        'taskmaster-ai': {
-                            command: 'node',
-                            args: ['dist/index.js'],
-                            env: {}
-                        }
-                    }
-                };
-            }
-
-            // 查找现有的TaskMaster服务器名称
-            const serverName = this.findTaskMasterServer(mcpConfig);
-
-            // 确保MCP配置结构存在
-            if (!mcpConfig.mcpServers) {
-                mcpConfig.mcpServers = {};
-            }
-            if (!mcpConfig.mcpServers[serverName]) {
-                mcpConfig.mcpServers[serverName] = {
-                    command: 'node',
-                    args: ['dist/index.js'],
-                    env: {}
-                };
-            }
-            if (!mcpConfig.mcpServers[serverName].env) {
-                mcpConfig.mcpServers[serverName].env = {};
-            }
-
-            const mcpEnv = mcpConfig.mcpServers[serverName].env;
-
-            // 只更新当前供应商的API密钥
-            if (providerData.apiKey && providerData.apiKey.trim() !== '') {
-                const providerKey = providerData.name.toLowerCase().replace(/[^a-z0-9]/g, '');
-                const envVarName = `${providerKey.toUpperCase()}_API_KEY`;
-
-                mcpEnv[envVarName] = providerData.apiKey;
-                Logger.info(`🔑 更新单个供应商API密钥 ${envVarName}: ${providerData.apiKey.substring(0, 8)}...`);
-            }
-
-            // 保存更新后的MCP配置
-            Logger.info(`📝 开始写入MCP配置文件: ${mcpConfigPath}`);
-            await this.saveConfig.writeFileToDirectory(
-                projectDirHandle,
-                mcpConfigPath,
-                JSON.stringify(mcpConfig, null, 2)
-            );
-            Logger.info(`💾 MCP配置文件写入完成`);
-
-            // 验证写入是否成功
-            try {
-                const verifyContent = await this.saveConfig.readFileFromDirectory(projectDirHandle, mcpConfigPath);
-                const verifyConfig = JSON.parse(verifyContent);
-                const verifyServerName = this.findTaskMasterServer(verifyConfig);
-                const verifyEnv = verifyConfig.mcpServers?.[verifyServerName]?.env;
+        const providerKey = providerData.name.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const envVarName = `${providerKey.toUpperCase()}_API_KEY`;
 
-                if (providerData.apiKey && providerData.apiKey.trim() !== '') {
-                    const providerKey = providerData.name.toLowerCase().replace(/[^a-z0-9]/g, '');
-                    const envVarName = `${providerKey.toUpperCase()}_API_KEY`;
-
-                    if (verifyEnv && verifyEnv[envVarName] === providerData.apiKey) {
-                        Logger.info(`✅ 验证成功：API密钥 ${envVarName} 已正确保存`);
-                    } else {
-                        Logger.warn(`⚠️ 验证失败：API密钥可能未正确保存`);
-                    }
-                }
-            } catch (verifyError) {
-                Logger.warn(`⚠️ 无法验证MCP配置文件写入结果: ${verifyError.message}`);
+        // 只更新当前供应商的API密钥
+        const { updated, failed } = await new McpClientRegistry(this.saveConfig, { projectDirHandle }).updateEnv(mcpEnv => {
+            if (!providerData.apiKey || providerData.apiKey.trim() === '' || mcpEnv[envVarName] === providerData.apiKey) {
+                return false;
             }
+            mcpEnv[envVarName] = providerData.apiKey;
+            return true;
+        });
 
-            Logger.info('✅ 单个供应商MCP配置更新成功');
-        } catch (error) {
+        updated.forEach(path => Logger.info(`🔑 已更新 ${path} 中的 ${envVarName}`));
+        if (failed.length > 0) {
+            const error = new Error(failed.map(({ file, error: message }) => `${file}: ${message}`).join('; '));
             Logger.error('❌ 更新单个供应商MCP配置失败', { error: error.message }, error);
             throw error;
         }
+
+        // 同步 .env
+        if (providerData.apiKey && providerData.apiKey.trim() !== '') {
+            if (await new ProjectEnvFile(this.saveConfig, { projectDirHandle }).setValues({ [envVarName]: providerData.apiKey })) {
+                Logger.info(`🔑 已更新 .env 中的 ${envVarName}`);
+            }
+        }
+
+        Logger.info('✅ 单个供应商MCP配置更新成功');
     }
 
     /**
@@ -771,7 +968,7 @@ export class ProviderConfig {
                 );
             }
 
-            // 保存API密钥到.cursor/mcp.json
+            // 保存API密钥到各MCP客户端配置
             await saveConfig.saveMCPConfigFile(projectDirHandle, allProviders);
 
             return true;
@@ -808,40 +1005,43 @@ export class ProviderConfig {
 
             // 为每个模型创建配置并添加到系统中
             let addedCount = 0;
-            for (const modelInfo of supportedModels) {
-                // 生成带前缀的模型ID，保持与TaskMaster格式一致
-                const providerPrefix = provider.name.toLowerCase() + '-';
-                const prefixedModelId = modelInfo.id.startsWith(providerPrefix)
-                    ? modelInfo.id
-                    : providerPrefix + modelInfo.id;
-
-                const modelData = {
-                    id: this.generateModelId(),
-                    name: modelInfo.name || modelInfo.id, // 使用原始模型名称（不带前缀）
-                    modelId: prefixedModelId, // 使用带前缀的模型ID，与TaskMaster格式一致
-                    providerId: provider.id,
-                    providerName: provider.name,
-                    allowedRoles: ['main', 'fallback'], // 默认角色
-                    maxTokens: modelInfo.maxTokens || 4096,
-                    costPer1MTokens: {
-                        input: modelInfo.inputCost || modelInfo.cost || 0.001,
-                        output: modelInfo.outputCost || modelInfo.cost || 0.001
-                    },
-                    sweScore: (modelInfo.swe_score * 100) || 0, // 转换为百分比
-                    isActive: true
-                };
-
-                // 检查是否已存在相同的模型（使用带前缀的模型ID）
-                const existingModels = await this.configManager.getModels();
-                const exists = existingModels.find(m =>
-                    m.modelId === modelData.modelId
-                );
+            // 所有新模型在撤销历史中合并为一步
+            await this.configManager.batch(`加载 ${provider.name} 模型`, async step => {
+                for (const modelInfo of supportedModels) {
+                    // 生成带前缀的模型ID，保持与TaskMaster格式一致
+                    const providerPrefix = provider.name.toLowerCase() + '-';
+                    const prefixedModelId = modelInfo.id.startsWith(providerPrefix)
+                        ? modelInfo.id
+                        : providerPrefix + modelInfo.id;
+
+                    const modelData = {
+                        id: this.generateModelId(),
+                        name: modelInfo.name || modelInfo.id, // 使用原始模型名称（不带前缀）
+                        modelId: prefixedModelId, // 使用带前缀的模型ID，与TaskMaster格式一致
+                        providerId: provider.id,
+                        providerName: provider.name,
+                        allowedRoles: ['main', 'fallback'], // 默认角色
+                        maxTokens: modelInfo.maxTokens || 4096,
+                        costPer1MTokens: {
+                            input: modelInfo.inputCost || modelInfo.cost || 0.001,
+                            output: modelInfo.outputCost || modelInfo.cost || 0.001
+                        },
+                        sweScore: (modelInfo.swe_score * 100) || 0, // 转换为百分比
+                        isActive: true
+                    };
+
+                    // 检查是否已存在相同的模型（使用带前缀的模型ID）
+                    const existingModels = await this.configManager.getModels();
+                    const exists = existingModels.find(m =>
+                        m.modelId === modelData.modelId
+                    );
 
-                if (!exists) {
-                    await this.configManager.addModel(modelData);
-                    addedCount++;
+                    if (!exists) {
+                        await this.configManager.addModel(modelData, { step });
+                        addedCount++;
+                    }
                 }
-            }
+            });
 
             // 更新当前供应商的模型数量显示，而不是重新加载所有供应商
             await this.updateProviderModelCount(provider.id);
@@ -1013,8 +1213,9 @@ export class ProviderConfig {
                 throw new Error(`不支持的服务商类型: ${provider.type}`);
         }
 
-        const response = await networkClient.get(endpoint, {
-            headers,
+        const request = ProviderRequestOptions.apply(provider, endpoint, headers);
+        const response = await networkClient.get(request.url, {
+            headers: request.headers,
             timeout: 15000,
             retries: 2
         });
@@ -1147,7 +1348,7 @@ export class ProviderConfig {
      */
     async testUpdateMCPConfig(providerName, apiKey) {
         try {
-            console.log(`🧪 测试更新MCP配置: ${providerName} -> ${apiKey}`);
+            Logger.info(`🧪 测试更新MCP配置: ${providerName}`, { hasApiKey: !!apiKey });
 
             const saveConfig = this.saveConfig;
             if (!saveConfig) {
@@ -1174,10 +1375,10 @@ export class ProviderConfig {
                 const mcpContent = await saveConfig.readFileFromDirectory(projectDirHandle, mcpConfigPath);
                 if (mcpContent) {
                     mcpConfig = JSON.parse(mcpContent);
-                    console.log('📖 读取到现有MCP配置:', mcpConfig);
+                    Logger.info('📖 读取到现有MCP配置', { mcpConfig });
                 }
             } catch (error) {
-                console.log('📝 创建新的MCP配置结构');
+                Logger.info('📝 创建新的MCP配置结构');
                 mcpConfig = {
                     mcpServers: {
                         'taskmaster-ai': {
@@ -1208,10 +1409,10 @@ export class ProviderConfig {
             const mcpEnv = mcpConfig.mcpServers[serverName].env;
             const envVarName = `${providerName.toUpperCase()}_API_KEY`;
 
-            console.log(`🔑 设置 ${envVarName} = ${apiKey}`);
+            Logger.info(`🔑 设置 ${envVarName}`);
             mcpEnv[envVarName] = apiKey;
 
-            console.log('💾 准备写入配置:', JSON.stringify(mcpConfig, null, 2));
+            Logger.info('💾 准备写入配置', { mcpConfig });
 
             // 写入文件
             await saveConfig.writeFileToDirectory(
@@ -1220,10 +1421,10 @@ export class ProviderConfig {
                 JSON.stringify(mcpConfig, null, 2)
             );
 
-            console.log('✅ 测试更新完成');
+            Logger.info('✅ 测试更新完成');
             return true;
         } catch (error) {
-            console.error('❌ 测试更新失败:', error);
+            Logger.error('❌ 测试更新失败', { error: error.message }, error);
             throw error;
         }
     }
@@ -1267,6 +1468,125 @@ export class ProviderConfig {
         }
     }
 
+    /**
+     * 附加请求头和查询参数的编辑器：每行一个设置，可以添加和删除行
+     * @param {Object} [provider] - 编辑的供应商
+     */
+    bindRequestOptionsEditor(provider) {
+        const list = document.getElementById('provider-request-options');
+        const addBtn = document.getElementById('add-request-option-btn');
+        if (!list) return;
+
+        ProviderRequestOptions.toEntries(provider).forEach(entry => list.appendChild(this.createRequestOptionRow(entry)));
+
+        addBtn?.addEventListener('click', () => {
+            const row = this.createRequestOptionRow({ kind: 'header', key: '', value: '' });
+            list.appendChild(row);
+            row.querySelector('input')?.focus();
+        });
+    }
+
+    /**
+     * @param {{kind: string, key: string, value: string}} entry - 请求头（header）或查询参数（query）
+     * @returns {HTMLElement}
+     */
+    createRequestOptionRow(entry) {
+        const row = document.createElement('div');
+        row.className = 'request-option-row';
+
+        const kind = document.createElement('select');
+        kind.name = 'requestOptionKind';
+        kind.setAttribute('aria-label', '类型');
+        [['header', '请求头'], ['query', '查询参数']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            kind.appendChild(option);
+        });
+        kind.value = entry.kind;
+
+        const key = document.createElement('input');
+        key.type = 'text';
+        key.name = 'requestOptionKey';
+        key.placeholder = '名称';
+        key.value = entry.key;
+        key.setAttribute('aria-label', '名称');
+        key.setAttribute('list', 'provider-header-suggestions');
+
+        const value = document.createElement('input');
+        value.type = 'text';
+        value.name = 'requestOptionValue';
+        value.placeholder = '值';
+        value.value = entry.value;
+        value.setAttribute('aria-label', '值');
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-secondary btn-sm';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', '删除');
+        removeBtn.addEventListener('click', () => {
+            const form = row.closest('form');
+            row.remove();
+            // 通知预览更新
+            form?.dispatchEvent(new Event('input'));
+        });
+
+        row.append(kind, key, value, removeBtn);
+        return row;
+    }
+
+    /**
+     * 读取编辑器中的请求头和查询参数
+     * @param {HTMLFormElement} form - 供应商表单
+     * @returns {{headers: Object, queryParams: Object, errors: string[]}} 见 ProviderRequestOptions.fromEntries
+     */
+    readRequestOptions(form) {
+        const rows = [...form.querySelectorAll('.request-option-row')];
+        return ProviderRequestOptions.fromEntries(rows.map(row => ({
+            kind: row.querySelector('[name="requestOptionKind"]').value,
+            key: row.querySelector('[name="requestOptionKey"]').value,
+            value: row.querySelector('[name="requestOptionValue"]').value
+        })));
+    }
+
+    /**
+     * 按服务商类型选择供应商文件模板，表单变化时更新预览和Azure的API版本输入框
+     */
+    bindProviderFilePreview() {
+        const form = document.getElementById('provider-form');
+        if (!form) return;
+
+        const update = () => {
+            const type = form.querySelector('#provider-type')?.value || 'openai';
+            const name = form.querySelector('#provider-name')?.value.trim() || '';
+            const apiVersionGroup = document.getElementById('provider-api-version-group');
+            const label = document.getElementById('provider-template-label');
+            const preview = document.getElementById('provider-file-preview');
+
+            apiVersionGroup?.classList.toggle('hidden', type !== 'azure');
+            if (label) {
+                label.textContent = `（${ProviderFileTemplates.getTemplate(type).label}模板）`;
+            }
+            if (preview) {
+                const { headers, queryParams } = this.readRequestOptions(form);
+                preview.textContent = name
+                    ? ProviderFileTemplates.generate(name, {
+                        type,
+                        endpoint: form.querySelector('#provider-endpoint')?.value.trim() || '',
+                        apiVersion: form.querySelector('#provider-api-version')?.value.trim() || DEFAULT_AZURE_API_VERSION,
+                        headers,
+                        queryParams
+                    })
+                    : '填写服务商名称后显示将生成的 src/ai-providers/<名称>.js';
+            }
+        };
+
+        form.addEventListener('input', update);
+        form.addEventListener('change', update);
+        update();
+    }
+
     /**
      * 测试端点连接
      */
@@ -1288,6 +1608,14 @@ export class ProviderConfig {
             type: typeSelect?.value || 'openai'
         };
 
+        // 附加请求头和查询参数（有错误的行在保存时提示，这里忽略）
+        const form = document.getElementById('provider-form');
+        if (form) {
+            const { headers, queryParams } = this.readRequestOptions(form);
+            testProvider.headers = headers;
+            testProvider.queryParams = queryParams;
+        }
+
         // 基本验证
         if (!testProvider.endpoint) {
             this.showTestResult(resultDiv, false, '请输入API端点');
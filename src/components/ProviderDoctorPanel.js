@@ -0,0 +1,258 @@
+/**
+ * ProviderDoctorPanel.js
+ * 供应商体检面板：显示每个自定义供应商在TaskMaster各文件中的注册检查结果，
+ * 查看修复将写入的变更并一键修复
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { TaskMasterFileManager } from '../utils/TaskMasterFileManager.js';
+import { ProviderDoctor } from '../utils/ProviderDoctor.js';
+import { UINotification } from './UINotification.js';
+import { ChangeReviewModal } from './ChangeReviewModal.js';
+
+export class ProviderDoctorPanel {
+    /**
+     * @param {ConfigManager} configManager - 提供自定义供应商列表
+     * @param {SaveConfig} saveConfig - 提供目录缓存的SaveConfig实例
+     */
+    constructor(configManager, saveConfig) {
+        this.doctor = new ProviderDoctor(new TaskMasterFileManager(configManager, saveConfig));
+    }
+
+    /**
+     * 运行检查并显示结果对话框
+     * @returns {Promise<void>} 对话框关闭时resolve
+     */
+    async show() {
+        let report;
+        try {
+            report = await this.doctor.diagnose();
+        } catch (error) {
+            Logger.error('供应商体检失败', { error: error.message }, error);
+            UINotification.error(`供应商体检失败: ${error.message}`);
+            return;
+        }
+
+        UINotification.addStyles();
+        this.addStyles();
+
+        await new Promise((resolve) => {
+            const modal = this.createModal(report, resolve);
+            document.body.appendChild(modal);
+
+            // 显示动画
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        });
+    }
+
+    /**
+     * 创建检查结果对话框
+     * @param {Object} report - ProviderDoctor.diagnose()的结果
+     * @param {Function} resolve - Promise resolve函数
+     * @returns {HTMLElement}
+     */
+    createModal(report, resolve) {
+        const modal = document.createElement('div');
+        modal.className = 'ui-modal provider-doctor-modal';
+
+        const close = () => {
+            UINotification.closeModal(modal);
+            resolve();
+        };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'ui-modal-backdrop';
+        backdrop.onclick = close;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ui-modal-dialog provider-doctor-dialog';
+
+        const content = document.createElement('div');
+        content.className = 'ui-modal-content';
+
+        const header = document.createElement('div');
+        header.className = 'ui-modal-header';
+        const title = document.createElement('h4');
+        title.textContent = '供应商体检';
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'ui-modal-body provider-doctor-body';
+
+        const summary = document.createElement('p');
+        summary.className = 'provider-doctor-summary';
+        summary.textContent = report.healthy
+            ? `已检查 ${report.providers.length} 个自定义供应商，所有注册均完整。`
+            : `已检查 ${report.providers.length} 个自定义供应商，发现 ${report.issueCount} 个问题。`;
+        body.appendChild(summary);
+
+        report.providers.forEach(provider => body.appendChild(this.createProviderSection(provider)));
+
+        let removeOrphansInput = null;
+        if (report.orphans.length > 0) {
+            const { section, input } = this.createOrphanSection(report.orphans);
+            removeOrphansInput = input;
+            body.appendChild(section);
+        }
+        content.appendChild(body);
+
+        const footer = document.createElement('div');
+        footer.className = 'ui-modal-footer';
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.dataset.action = 'close-doctor';
+        closeBtn.textContent = '关闭';
+        closeBtn.onclick = close;
+        footer.appendChild(closeBtn);
+
+        if (!report.healthy) {
+            const repairBtn = document.createElement('button');
+            repairBtn.className = 'btn btn-primary';
+            repairBtn.dataset.action = 'review-repair';
+            repairBtn.textContent = '查看修复变更';
+            repairBtn.onclick = async () => {
+                close();
+                await this.reviewRepair(report, { removeOrphans: !!removeOrphansInput?.checked });
+            };
+            footer.appendChild(repairBtn);
+        }
+        content.appendChild(footer);
+
+        dialog.appendChild(content);
+        modal.appendChild(backdrop);
+        modal.appendChild(dialog);
+
+        return modal;
+    }
+
+    createProviderSection(provider) {
+        const section = document.createElement('div');
+        section.className = 'provider-doctor-provider';
+        section.dataset.provider = provider.key;
+
+        const heading = document.createElement('h5');
+        heading.textContent = `${provider.healthy ? '✅' : '❌'} ${provider.name}`;
+        section.appendChild(heading);
+
+        const list = document.createElement('ul');
+        provider.checks.forEach(check => {
+            const item = document.createElement('li');
+            item.dataset.check = check.id;
+            item.className = check.skipped ? 'skipped' : (check.ok ? 'ok' : 'failed');
+            item.textContent = `${check.label} (${check.file})${check.message ? `: ${check.message}` : ''}`;
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+
+        return section;
+    }
+
+    createOrphanSection(orphans) {
+        const section = document.createElement('div');
+        section.className = 'provider-doctor-orphans';
+
+        const heading = document.createElement('h5');
+        heading.textContent = '⚠️ 孤立供应商';
+        section.appendChild(heading);
+
+        const list = document.createElement('ul');
+        orphans.forEach(orphan => {
+            const item = document.createElement('li');
+            item.dataset.orphan = orphan.key;
+            item.textContent = `${orphan.key}: 本地配置中不存在，但仍存在于 ${orphan.locations.join('、') || '(无)'}`;
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.dataset.action = 'remove-orphans';
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(' 修复时同时删除孤立供应商的文件和注册'));
+        section.appendChild(label);
+
+        return { section, input };
+    }
+
+    /**
+     * 显示修复将写入的变更，用户确认后应用
+     * @param {Object} report - 检查结果
+     * @param {Object} options - ProviderDoctor.repair()的选项
+     * @returns {Promise<boolean>} 是否已修复
+     */
+    async reviewRepair(report, options) {
+        try {
+            const plan = await this.doctor.planRepair(report, options);
+            if (plan.result.failed.length > 0) {
+                throw new Error(plan.result.failed.map(({ file, error }) => `${file}: ${error}`).join('; '));
+            }
+            if (!plan.hasChanges()) {
+                UINotification.info('没有需要修复的文件变更');
+                return false;
+            }
+
+            const confirmed = await ChangeReviewModal.show(plan, {
+                title: '修复供应商注册',
+                message: '以下修改将补齐缺失的供应商注册，被修改的文件会先被备份。',
+                confirmText: '应用修复'
+            });
+            if (!confirmed) {
+                return false;
+            }
+
+            const results = await plan.apply();
+            if (results.failed.length > 0) {
+                throw new Error(results.failed.map(({ file, error }) => `${file}: ${error}`).join('; '));
+            }
+
+            Logger.info('供应商注册已修复', { files: results.success });
+            UINotification.success(`已修复 ${results.success.length} 个文件`);
+            return true;
+        } catch (error) {
+            Logger.error('修复供应商注册失败', { error: error.message }, error);
+            UINotification.error(`修复失败: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * 添加样式
+     */
+    addStyles() {
+        if (document.getElementById('provider-doctor-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'provider-doctor-styles';
+        styles.textContent = `
+            .provider-doctor-dialog {
+                max-width: 800px;
+                width: 90%;
+            }
+            .provider-doctor-body {
+                max-height: 60vh;
+                overflow-y: auto;
+            }
+            .provider-doctor-body ul {
+                margin: 4px 0 12px;
+                padding-left: 20px;
+                font-size: 13px;
+            }
+            .provider-doctor-body li.ok {
+                color: #6c757d;
+            }
+            .provider-doctor-body li.failed {
+                color: #dc3545;
+            }
+            .provider-doctor-body li.skipped {
+                color: #adb5bd;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
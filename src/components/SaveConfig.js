@@ -9,13 +9,24 @@ import { ConfigTransformer } from '../utils/ConfigTransformer.js';
 import { Logger } from '../utils/Logger.js';
 import { DirectoryHandleManager } from '../utils/DirectoryHandleManager.js';
 import { ProviderFileParser } from '../utils/ProviderFileParser.js';
+import { OverlayStorageBackend, toStorageBackend } from '../utils/StorageBackend.js';
+import { FileTransaction } from '../utils/FileTransaction.js';
+import { BackupManager } from '../utils/BackupManager.js';
+import { ProviderManifest } from '../utils/ProviderManifest.js';
+import { CustomProvidersFile } from '../utils/CustomProvidersFile.js';
+import { McpClientRegistry } from '../utils/McpClientRegistry.js';
+import { ProjectEnvFile } from '../utils/DotEnvFile.js';
+import { ConfigExportFormat } from '../utils/ConfigExportFormat.js';
+import { ConfigExporters } from '../utils/ConfigExporters.js';
+import { TaskMasterSchemas } from '../utils/TaskMasterSchemas.js';
+import { TASKMASTER_CONFIG_PATH } from '../utils/TaskMasterConfigFile.js';
 
 export class SaveConfig {
     constructor(configManager) {
         this.configManager = configManager;
         this.transformer = new ConfigTransformer();
 
-        // Directory handle cache for File System Access API
+        // Directory handle cache: File System Access API handles or StorageBackend instances
         this.directoryHandleCache = new Map();
         this.fileHandleCache = new Map();
 
@@ -24,6 +35,18 @@ export class SaveConfig {
 
         // Provider file parser for dynamic provider configuration
         this.providerFileParser = new ProviderFileParser(this);
+
+        // 修改TaskMaster关键文件前自动保存备份
+        this.backupManager = new BackupManager(this);
+
+        // 记录安装到TaskMaster包中的供应商，包升级后据此重新应用
+        this.providerManifest = new ProviderManifest(this);
+
+        // 项目级自定义供应商定义（.taskmaster/custom-providers.json）
+        this.customProvidersFile = new CustomProvidersFile(this);
+
+        // 最近一次读取TaskMaster配置时发现的Schema问题（"文件 路径: 问题"），由界面显示
+        this.readValidationErrors = [];
     }
 
     initialize() {
@@ -250,6 +273,7 @@ export class SaveConfig {
      * 读取TaskMaster项目的配置文件
      */
     async readTaskMasterConfig(projectDirHandle) {
+        this.readValidationErrors = [];
         try {
             const taskMasterConfig = {
                 supportedModels: {},
@@ -267,12 +291,14 @@ export class SaveConfig {
                 Logger.info('📄 文件内容长度: ' + (supportedModelsContent ? supportedModelsContent.length : 'null'));
                 if (supportedModelsContent) {
                     taskMasterConfig.supportedModels = JSON.parse(supportedModelsContent);
+                    this.checkReadFile('scripts/modules/supported-models.json', taskMasterConfig.supportedModels);
                     Logger.info('✅ supported-models.json 读取成功，供应商数量: ' + Object.keys(taskMasterConfig.supportedModels).length);
                 } else {
                     Logger.warn('⚠️ supported-models.json 不存在或为空');
                 }
             } catch (error) {
                 Logger.error('⚠️ 读取 supported-models.json 失败: ' + error.message);
+                this.readValidationErrors.push(`scripts/modules/supported-models.json: ${error.message}`);
                 Logger.error('完整错误', { error: error.message }, error);
             }
 
@@ -285,6 +311,7 @@ export class SaveConfig {
                 );
                 if (configContent) {
                     const config = JSON.parse(configContent);
+                    this.checkReadFile(TASKMASTER_CONFIG_PATH, config);
                     taskMasterConfig.config = config;
                     Logger.info('✅ config.json 读取成功');
                 } else {
@@ -292,30 +319,37 @@ export class SaveConfig {
                 }
             } catch (error) {
                 Logger.warn('⚠️ 读取 config.json 失败: ' + error.message);
+                this.readValidationErrors.push(`${TASKMASTER_CONFIG_PATH}: ${error.message}`);
             }
 
-            // 3. 读取 .cursor/mcp.json 获取API密钥
-            Logger.info('📖 读取 .cursor/mcp.json...');
+            // 3. 读取各MCP客户端配置（.cursor/mcp.json、.vscode/mcp.json等）和 .env 获取API密钥
+            Logger.info('📖 读取MCP客户端配置和 .env...');
             try {
-                const mcpContent = await this.readFileFromDirectory(
-                    projectDirHandle,
-                    '.cursor/mcp.json'
-                );
-                if (mcpContent) {
-                    const mcpConfig = JSON.parse(mcpContent);
-                    // 查找现有的TaskMaster服务器名称
-                    const serverName = this.findTaskMasterServer(mcpConfig);
-                    const mcpEnv = mcpConfig?.mcpServers?.[serverName]?.env || {};
-                    Logger.info(`✅ mcp.json 读取成功，使用服务器: ${serverName}`);
+                const { env: mcpEnv, sources, validationErrors } = await new McpClientRegistry(this, { projectDirHandle }).readEnv();
+                this.readValidationErrors.push(...validationErrors);
+                const envFile = await this.readProjectEnvFile(projectDirHandle);
+                if (envFile) {
+                    sources.push('.env');
+                }
+                if (sources.length > 0) {
+                    Logger.info(`✅ API密钥读取成功: ${sources.join(', ')}`);
+
+                    // MCP配置中的密钥优先，.env 补充缺少的密钥和仍是占位符（XXX_API_KEY_HERE）的密钥
+                    const apiKeys = { ...envFile?.toObject() };
+                    Object.entries(mcpEnv).forEach(([key, value]) => {
+                        if (!(value === `${key}_HERE` && apiKeys[key])) {
+                            apiKeys[key] = value;
+                        }
+                    });
 
                     // 根据supportedModels和API密钥构建providers配置
                     taskMasterConfig.config.providers = await this.buildProvidersFromConfig(
                         taskMasterConfig.supportedModels,
-                        mcpEnv,
+                        apiKeys,
                         projectDirHandle
                     );
                 } else {
-                    Logger.info('⚠️ mcp.json 不存在，将使用默认供应商配置');
+                    Logger.info('⚠️ 未找到MCP客户端配置和 .env，将使用默认供应商配置');
                     // 没有API密钥，创建默认供应商配置
                     taskMasterConfig.config.providers = await this.buildDefaultProviders(
                         taskMasterConfig.supportedModels,
@@ -323,7 +357,7 @@ export class SaveConfig {
                     );
                 }
             } catch (error) {
-                Logger.warn('⚠️ 读取 mcp.json 失败: ' + error.message);
+                Logger.warn('⚠️ 读取MCP配置失败: ' + error.message);
                 // 创建默认供应商配置
                 taskMasterConfig.config.providers = await this.buildDefaultProviders(
                     taskMasterConfig.supportedModels,
@@ -348,6 +382,17 @@ export class SaveConfig {
         }
     }
 
+    /**
+     * 按Schema检查读取到的文件，问题记录到readValidationErrors（读取时只报告，不拒绝）
+     * @param {string} relativePath - 文件相对路径
+     * @param {*} data - 解析后的内容
+     */
+    checkReadFile(relativePath, data) {
+        const errors = TaskMasterSchemas.formatErrors(relativePath, TaskMasterSchemas.validateData(relativePath, data));
+        errors.forEach(error => Logger.warn(`⚠️ ${error}`));
+        this.readValidationErrors.push(...errors);
+    }
+
     /**
      * 根据supportedModels和API密钥构建providers配置
      */
@@ -414,26 +459,6 @@ export class SaveConfig {
 
 
 
-    /**
-     * 查找现有的TaskMaster服务器名称
-     * @param {object} mcpConfig - MCP配置对象
-     * @returns {string} - 找到的服务器名称或默认名称
-     */
-    findTaskMasterServer(mcpConfig) {
-        const possibleNames = ['taskmaster-ai', 'task-master-ai'];
-
-        if (mcpConfig.mcpServers) {
-            for (const serverName of possibleNames) {
-                if (mcpConfig.mcpServers[serverName]) {
-                    return serverName;
-                }
-            }
-        }
-
-        // 如果都不存在，返回默认名称
-        return 'taskmaster-ai';
-    }
-
     /**
      * 获取供应商显示名称
      */
@@ -574,56 +599,26 @@ export class SaveConfig {
     }
 
     /**
-     * 保存API密钥到MCP配置文件
+     * 读取项目 .env，读取失败时只记录警告
+     * @returns {Promise<DotEnvFile|null>}
      */
-    async saveMCPConfigFile(projectDirHandle, providers) {
+    async readProjectEnvFile(projectDirHandle) {
         try {
-            Logger.info('💾 保存API密钥到 .cursor/mcp.json...');
-
-            // 读取现有的MCP配置
-            let mcpConfig = {};
-            try {
-                const mcpContent = await this.readFileFromDirectory(
-                    projectDirHandle,
-                    '.cursor/mcp.json'
-                );
-                if (mcpContent) {
-                    mcpConfig = JSON.parse(mcpContent);
-                }
-            } catch (error) {
-                Logger.info('📄 .cursor/mcp.json 不存在，将创建新文件');
-                // 创建默认的MCP配置结构
-                mcpConfig = {
-                    mcpServers: {
-                        'taskmaster-ai': {
-                            command: 'node',
-                            args: ['dist/index.js'],
-                            env: {}
-                        }
-                    }
-                };
-            }
-
-            // 查找现有的TaskMaster服务器名称
-            const serverName = this.findTaskMasterServer(mcpConfig);
-
-            // 确保MCP配置结构存在
-            if (!mcpConfig.mcpServers) {
-                mcpConfig.mcpServers = {};
-            }
-            if (!mcpConfig.mcpServers[serverName]) {
-                mcpConfig.mcpServers[serverName] = {
-                    command: 'node',
-                    args: ['dist/index.js'],
-                    env: {}
-                };
-            }
-            if (!mcpConfig.mcpServers[serverName].env) {
-                mcpConfig.mcpServers[serverName].env = {};
-            }
+            return await new ProjectEnvFile(this, { projectDirHandle }).read();
+        } catch (error) {
+            Logger.warn('⚠️ 读取 .env 失败: ' + error.message);
+            return null;
+        }
+    }
 
-            const mcpEnv = mcpConfig.mcpServers[serverName].env;
+    /**
+     * 保存API密钥到项目中所有启用的MCP客户端配置文件和 .env
+     */
+    async saveMCPConfigFile(projectDirHandle, providers) {
+        Logger.info('💾 保存API密钥到MCP客户端配置...');
 
+        const { updated, failed } = await new McpClientRegistry(this, { projectDirHandle }).updateEnv(mcpEnv => {
+            let changed = false;
             // 更新每个供应商的API密钥
             providers.forEach(provider => {
                 if (provider.apiKey && provider.apiKey.trim() !== '') {
@@ -632,23 +627,33 @@ export class SaveConfig {
                     const envVarName = `${providerKey.toUpperCase()}_API_KEY`;
 
                     // 保存API密钥到MCP环境变量
-                    mcpEnv[envVarName] = provider.apiKey;
-                    Logger.info(`🔑 更新 ${envVarName}: ${provider.apiKey.substring(0, 8)}...`);
+                    if (mcpEnv[envVarName] !== provider.apiKey) {
+                        mcpEnv[envVarName] = provider.apiKey;
+                        changed = true;
+                    }
                 }
             });
+            return changed;
+        });
 
-            // 保存更新后的MCP配置
-            await this.writeFileToDirectory(
-                projectDirHandle,
-                '.cursor/mcp.json',
-                JSON.stringify(mcpConfig, null, 2)
-            );
+        updated.forEach(path => Logger.info(`✅ ${path} 保存成功`));
+        // 不抛出错误，因为这不是关键功能
+        failed.forEach(({ file, error }) => Logger.warn(`⚠️ ${file} 保存失败，但TaskMaster配置已成功保存: ${error}`));
 
-            Logger.info('✅ .cursor/mcp.json 保存成功');
+        // 同步 .env，保持与MCP配置中的密钥一致
+        try {
+            const apiKeys = {};
+            providers.forEach(provider => {
+                if (provider.apiKey && provider.apiKey.trim() !== '') {
+                    const providerKey = provider.name.toLowerCase().replace(/[^a-z0-9]/g, '');
+                    apiKeys[`${providerKey.toUpperCase()}_API_KEY`] = provider.apiKey;
+                }
+            });
+            if (await new ProjectEnvFile(this, { projectDirHandle }).setValues(apiKeys)) {
+                Logger.info('✅ .env 保存成功');
+            }
         } catch (error) {
-            Logger.error('❌ 保存MCP配置文件失败', { error: error.message }, error);
-            // 不抛出错误，因为这不是关键功能
-            Logger.warn('⚠️ MCP配置保存失败，但TaskMaster配置已成功保存');
+            Logger.warn(`⚠️ .env 保存失败，但TaskMaster配置已成功保存: ${error.message}`);
         }
     }
 
@@ -753,42 +758,16 @@ export class SaveConfig {
     }
 
     /**
-     * Read JSON file from a directory handle using File System Access API
+     * Read JSON file from a directory handle or storage backend
      */
     async readJsonFileFromDirectory(directoryHandle, relativePath) {
         try {
-            if (!directoryHandle) {
-                throw new Error('目录句柄无效');
-            }
-
-            // Navigate to the file through the directory structure
-            const pathParts = relativePath.split('/').filter(part => part.length > 0);
-            let currentHandle = directoryHandle;
-
-            // Navigate through directories
-            for (let i = 0; i < pathParts.length - 1; i++) {
-                const dirName = pathParts[i];
-                try {
-                    currentHandle = await currentHandle.getDirectoryHandle(dirName);
-                } catch (error) {
-                    throw new Error(`找不到目录: ${dirName}`);
-                }
-            }
-
-            // Get the file
-            const fileName = pathParts[pathParts.length - 1];
-            try {
-                const fileHandle = await currentHandle.getFileHandle(fileName);
-                const file = await fileHandle.getFile();
-                const content = await file.text();
-                return JSON.parse(content);
-            } catch (error) {
-                if (error.name === 'NotFoundError') {
-                    Logger.warn(`文件不存在: ${relativePath}`);
-                    return null;
-                }
-                throw error;
+            const content = await toStorageBackend(directoryHandle).readFile(relativePath);
+            if (content === null) {
+                Logger.warn(`文件不存在: ${relativePath}`);
+                return null;
             }
+            return JSON.parse(content);
         } catch (error) {
             Logger.error(`读取文件失败 ${relativePath}`, { error: error.message }, error);
             throw error;
@@ -799,6 +778,7 @@ export class SaveConfig {
         try {
             const fileName = this.getFileName(filePath);
             const jsonContent = JSON.stringify(data, null, 2);
+            TaskMasterSchemas.assertValid(fileName === 'config.json' ? TASKMASTER_CONFIG_PATH : fileName, jsonContent);
 
             // Use File System Access API if available
             if (this.isFileSystemAccessSupported()) {
@@ -857,6 +837,8 @@ export class SaveConfig {
                 this.fileHandleCache.set(cacheKey, fileHandle);
             }
 
+            await this.backupFileHandle(fileHandle);
+
             // Write to file
             const writable = await fileHandle.createWritable();
             await writable.write(content);
@@ -872,6 +854,28 @@ export class SaveConfig {
         }
     }
 
+    /**
+     * 备份通过文件选择器选中的文件：只有文件位于已选择的项目或包目录内时才能确定其路径并备份
+     * @param {FileSystemFileHandle} fileHandle - 文件句柄
+     */
+    async backupFileHandle(fileHandle) {
+        if (!this.backupManager) {
+            return;
+        }
+
+        for (const [root, target] of this.directoryHandleCache) {
+            // 只有FSA目录句柄支持resolve()定位文件句柄
+            const isDirectoryHandle = target.kind === 'directory' && typeof target.resolve === 'function';
+            const pathParts = isDirectoryHandle ? await target.resolve(fileHandle) : null;
+            if (pathParts) {
+                const content = await (await fileHandle.getFile()).text();
+                await this.backupManager.backupBeforeChange(root, pathParts.join('/'), content);
+                return;
+            }
+        }
+        Logger.warn(`文件不在已选择的目录中，无法备份: ${fileHandle.name}`);
+    }
+
     async downloadJsonFile(fileName, content) {
         // Fallback: create download link
         const blob = new Blob([content], { type: 'application/json' });
@@ -901,6 +905,44 @@ export class SaveConfig {
         Logger.info('File System Access API 缓存已清理');
     }
 
+    /**
+     * 创建规划副本：目录缓存中的每个目录都被包装为OverlayStorageBackend，
+     * 通过副本执行的写入和删除只记录在内存中，不会修改真实文件
+     * @returns {{saveConfig: SaveConfig, overlays: Map<string, OverlayStorageBackend>}}
+     */
+    createPlanningCopy() {
+        const overlays = new Map();
+        this.directoryHandleCache.forEach((target, key) => {
+            overlays.set(key, new OverlayStorageBackend(toStorageBackend(target)));
+        });
+
+        // 规划期间不写入备份和供应商清单，二者在应用计划时由ChangePlan完成
+        const saveConfig = this.createScopedCopy(overlays);
+        saveConfig.backupManager = null;
+        saveConfig.providerManifest = this.providerManifest ? this.providerManifest.defer() : null;
+        return { saveConfig, overlays };
+    }
+
+    /**
+     * 创建事务副本：通过副本修改的每个文件都会先保存快照，可通过transaction.rollback()全部恢复
+     * @returns {{saveConfig: SaveConfig, transaction: FileTransaction}}
+     */
+    createTransactionCopy() {
+        const transaction = new FileTransaction(this.directoryHandleCache);
+        return { saveConfig: this.createScopedCopy(transaction.journals), transaction };
+    }
+
+    /**
+     * 创建共享所有方法和状态、只替换目录缓存的副本
+     * @param {Map<string, StorageBackend>} backends - 目录缓存键 -> 存储后端
+     * @returns {SaveConfig}
+     */
+    createScopedCopy(backends) {
+        const scopedCopy = Object.create(this);
+        scopedCopy.directoryHandleCache = new Map(backends);
+        return scopedCopy;
+    }
+
     /**
      * Check if File System Access API is supported
      */
@@ -988,42 +1030,53 @@ export class SaveConfig {
     }
 
     /**
-     * 写入文件到目录结构中
+     * 写入文件到目录结构中（目录不存在时自动创建）
+     * @param {StorageBackend|FileSystemDirectoryHandle} directoryHandle - 存储后端或目录句柄
      */
     async writeFileToDirectory(directoryHandle, relativePath, content) {
         try {
-            const pathParts = relativePath.split('/').filter(part => part.length > 0);
-            let currentHandle = directoryHandle;
+            // TaskMaster文件写入前按Schema校验，不符合时拒绝写入
+            TaskMasterSchemas.assertValid(relativePath, content);
+            await this.backupBeforeChange(directoryHandle, relativePath);
+            return await toStorageBackend(directoryHandle).writeFile(relativePath, content);
+        } catch (error) {
+            Logger.error(`写入文件失败 ${relativePath}`, { error: error.message }, error);
+            throw error;
+        }
+    }
 
-            // 创建/导航到目录结构
-            for (let i = 0; i < pathParts.length - 1; i++) {
-                const dirName = pathParts[i];
-                try {
-                    currentHandle = await currentHandle.getDirectoryHandle(dirName);
-                } catch (error) {
-                    if (error.name === 'NotFoundError') {
-                        // 目录不存在，创建它
-                        currentHandle = await currentHandle.getDirectoryHandle(dirName, { create: true });
-                    } else {
-                        throw error;
-                    }
-                }
-            }
+    /**
+     * 修改或删除文件前备份其当前内容（只备份BackupManager跟踪的文件）
+     * @param {StorageBackend|FileSystemDirectoryHandle} directoryHandle - 存储后端或目录句柄
+     * @param {string} relativePath - 文件相对路径
+     */
+    async backupBeforeChange(directoryHandle, relativePath) {
+        if (!this.backupManager || !BackupManager.isTracked(relativePath)) {
+            return;
+        }
 
-            // 创建/写入文件
-            const fileName = pathParts[pathParts.length - 1];
-            const fileHandle = await currentHandle.getFileHandle(fileName, { create: true });
+        const root = this.getDirectoryKey(directoryHandle);
+        if (!root) {
+            Logger.warn(`目录不在缓存中，跳过备份: ${relativePath}`);
+            return;
+        }
 
-            // 写入内容
-            const writable = await fileHandle.createWritable();
-            await writable.write(content);
-            await writable.close();
+        const content = await toStorageBackend(directoryHandle).readFile(relativePath);
+        await this.backupManager.backupBeforeChange(root, relativePath, content);
+    }
 
-            return true;
-        } catch (error) {
-            Logger.error(`写入文件失败 ${relativePath}`, { error: error.message }, error);
-            throw error;
+    /**
+     * 查找目录句柄对应的缓存键
+     * @param {StorageBackend|FileSystemDirectoryHandle} directoryHandle - 存储后端或目录句柄
+     * @returns {string|null}
+     */
+    getDirectoryKey(directoryHandle) {
+        for (const [key, target] of this.directoryHandleCache) {
+            if (target === directoryHandle) {
+                return key;
+            }
         }
+        return null;
     }
 
     /**
@@ -1112,37 +1165,12 @@ export class SaveConfig {
 
     /**
      * 从目录中读取文件内容（支持任意文件类型）
+     * @param {StorageBackend|FileSystemDirectoryHandle} directoryHandle - 存储后端或目录句柄
+     * @returns {Promise<string|null>} 文件内容，文件或目录不存在时返回null
      */
     async readFileFromDirectory(directoryHandle, relativePath) {
         try {
-            const pathParts = relativePath.split('/').filter(part => part.length > 0);
-            let currentHandle = directoryHandle;
-
-            // 导航到目录
-            for (let i = 0; i < pathParts.length - 1; i++) {
-                const dirName = pathParts[i];
-                try {
-                    currentHandle = await currentHandle.getDirectoryHandle(dirName);
-                } catch (error) {
-                    if (error.name === 'NotFoundError') {
-                        return null; // 目录不存在
-                    }
-                    throw error;
-                }
-            }
-
-            // 读取文件
-            const fileName = pathParts[pathParts.length - 1];
-            try {
-                const fileHandle = await currentHandle.getFileHandle(fileName);
-                const file = await fileHandle.getFile();
-                return await file.text();
-            } catch (error) {
-                if (error.name === 'NotFoundError') {
-                    return null; // 文件不存在
-                }
-                throw error;
-            }
+            return await toStorageBackend(directoryHandle).readFile(relativePath);
         } catch (error) {
             // 检查是否是安全策略错误
             if (error.name === 'SecurityError' && error.message.includes('security policy')) {
@@ -1170,17 +1198,25 @@ export class SaveConfig {
 
     // Note: Provider and model utility methods are now handled by ConfigTransformer
 
-    async exportConfigurationFile() {
-        try {
-            const providers = await this.configManager.getProviders();
-            const models = await this.configManager.getModels();
+    /**
+     * 构建配置导出数据
+     * @param {object} [options]
+     * @param {boolean} [options.includeSecrets=false] - 是否包含API密钥，默认清空
+     * @returns {Promise<Object>}
+     */
+    async buildConfigurationExport(options = {}) {
+        const providers = await this.configManager.getProviders();
+        const models = await this.configManager.getModels();
+        return ConfigExportFormat.create(providers, models, options);
+    }
 
-            const exportData = {
-                version: '1.0.0',
-                timestamp: new Date().toISOString(),
-                providers: providers,
-                models: models
-            };
+    /**
+     * 下载配置文件
+     * @param {object} [options] - 见 buildConfigurationExport
+     */
+    async exportConfigurationFile(options = {}) {
+        try {
+            const exportData = await this.buildConfigurationExport(options);
 
             const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
             const url = URL.createObjectURL(blob);
@@ -1199,17 +1235,54 @@ export class SaveConfig {
         }
     }
 
-    async importConfigurationFile(file) {
+    /**
+     * 下载其他工具的配置文件（LiteLLM、.env.example、Continue），不包含API密钥
+     * @param {string} format - 见 EXPORT_FORMATS
+     * @returns {Promise<{fileName: string, warnings: string[]}>}
+     */
+    async exportToolConfiguration(format) {
         try {
-            const text = await file.text();
-            const importData = JSON.parse(text);
+            const providers = await this.configManager.getProviders();
+            const models = await this.configManager.getModels();
+            const exported = ConfigExporters.export(format, providers, models);
 
-            if (!importData.providers || !importData.models) {
-                throw new Error('Invalid configuration file format');
-            }
+            const blob = new Blob([exported.content], { type: exported.mimeType });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = exported.fileName;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
 
-            await this.configManager.importConfiguration(importData.providers, importData.models);
-            return true;
+            return { fileName: exported.fileName, warnings: exported.warnings };
+        } catch (error) {
+            Logger.error('Failed to export tool configuration', { format, error: error.message }, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 读取配置文件：旧版本文件升级到当前格式并校验，不修改当前配置
+     * @param {File} file - 用户选择的配置文件
+     * @returns {Promise<{providers: Array, models: Array, report: Object}>} 见 ConfigExportFormat.parse
+     */
+    async readConfigurationFile(file) {
+        const text = await file.text();
+        return ConfigExportFormat.parse(text, { generateId: prefix => this.configManager.generateId(prefix) });
+    }
+
+    /**
+     * 导入配置文件，替换当前的供应商和模型
+     * @param {File} file - 用户选择的配置文件
+     * @returns {Promise<Object>} 校验报告，见 ConfigExportFormat.parse
+     */
+    async importConfigurationFile(file) {
+        try {
+            const { providers, models, report } = await this.readConfigurationFile(file);
+            await this.configManager.importConfiguration(providers, models);
+            return report;
         } catch (error) {
             Logger.error('Failed to import configuration file', { error: error.message }, error);
             throw error;
@@ -1218,41 +1291,20 @@ export class SaveConfig {
 
     /**
      * 从目录中删除指定文件
-     * @param {FileSystemDirectoryHandle} dirHandle - 目录句柄
+     * @param {StorageBackend|FileSystemDirectoryHandle} dirHandle - 存储后端或目录句柄
      * @param {string} filePath - 要删除的文件路径
      * @returns {Promise<boolean>} - 删除是否成功
      */
     async deleteFileFromDirectory(dirHandle, filePath) {
         try {
-            const pathParts = filePath.split('/').filter(part => part.length > 0);
-            let currentDir = dirHandle;
-
-            // 导航到文件所在的目录
-            for (let i = 0; i < pathParts.length - 1; i++) {
-                try {
-                    currentDir = await currentDir.getDirectoryHandle(pathParts[i]);
-                } catch (error) {
-                    if (error.name === 'NotFoundError') {
-                        Logger.warn(`Directory not found: ${pathParts.slice(0, i + 1).join('/')}`);
-                        return false; // 目录不存在，文件也不存在
-                    }
-                    throw error;
-                }
-            }
-
-            const fileName = pathParts[pathParts.length - 1];
-
-            try {
-                await currentDir.removeEntry(fileName);
+            await this.backupBeforeChange(dirHandle, filePath);
+            const deleted = await toStorageBackend(dirHandle).deleteFile(filePath);
+            if (deleted) {
                 Logger.info(`Successfully deleted file: ${filePath}`);
-                return true;
-            } catch (error) {
-                if (error.name === 'NotFoundError') {
-                    Logger.warn(`File not found: ${filePath}`);
-                    return false; // 文件不存在，视为删除成功
-                }
-                throw error;
+            } else {
+                Logger.warn(`File not found: ${filePath}`);
             }
+            return deleted;
         } catch (error) {
             Logger.error(`Failed to delete file: ${filePath}`, { error: error.message }, error);
             throw error;
@@ -1261,7 +1313,7 @@ export class SaveConfig {
 
     /**
      * 更新文件内容
-     * @param {FileSystemDirectoryHandle} dirHandle - 目录句柄
+     * @param {StorageBackend|FileSystemDirectoryHandle} dirHandle - 存储后端或目录句柄
      * @param {string} filePath - 文件路径
      * @param {Function} updateFunction - 更新函数，接收当前内容，返回新内容
      * @returns {Promise<boolean>} - 更新是否成功
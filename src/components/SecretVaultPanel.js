@@ -0,0 +1,289 @@
+/**
+ * SecretVaultPanel.js
+ * API密钥加密界面：启动时的密码解锁对话框，以及启用/停用加密、自动锁定时间和立即锁定的设置对话框
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { UINotification } from './UINotification.js';
+
+// 自动锁定时间选项（分钟，0表示不自动锁定）
+const AUTO_LOCK_OPTIONS = [0, 5, 15, 30, 60];
+
+export class SecretVaultPanel {
+    /**
+     * @param {ConfigManager} configManager - 负责加密保存API密钥的ConfigManager
+     */
+    constructor(configManager) {
+        this.configManager = configManager;
+        this.vault = configManager.vault;
+    }
+
+    /**
+     * 显示解锁对话框
+     * @returns {Promise<boolean>} 是否已解锁（用户选择暂不解锁或重置加密时为false）
+     */
+    async showUnlock() {
+        return this.showModal(resolve => this.createUnlockModal(resolve));
+    }
+
+    /**
+     * 显示加密设置对话框
+     * @returns {Promise<void>} 对话框关闭时resolve
+     */
+    async showSettings() {
+        await this.showModal(resolve => this.createSettingsModal(resolve));
+    }
+
+    showModal(createModal) {
+        UINotification.addStyles();
+        this.addStyles();
+
+        return new Promise((resolve) => {
+            const modal = createModal(resolve);
+            document.body.appendChild(modal);
+
+            // 显示动画
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+
+            modal.querySelector('input')?.focus();
+        });
+    }
+
+    /**
+     * 创建解锁对话框
+     * @param {Function} resolve - Promise resolve函数，参数为是否已解锁
+     * @returns {HTMLElement}
+     */
+    createUnlockModal(resolve) {
+        const { modal, body, footer, close } = this.createDialog('解锁API密钥', resolve);
+
+        const summary = document.createElement('p');
+        summary.textContent = 'API密钥已加密保存在本地，请输入密码解锁。暂不解锁时仍可查看和编辑供应商，但不能修改API密钥。';
+        body.appendChild(summary);
+
+        const input = this.createPassphraseInput(body, 'passphrase', '密码');
+        const error = this.createErrorText(body);
+
+        const unlock = async () => {
+            try {
+                await this.configManager.unlockSecrets(input.value);
+                close(true);
+            } catch (unlockError) {
+                error.textContent = unlockError.message;
+                input.select();
+            }
+        };
+        input.onkeydown = (event) => {
+            if (event.key === 'Enter') {
+                unlock();
+            }
+        };
+
+        footer.appendChild(this.createButton('忘记密码', 'forgot-passphrase', 'btn btn-link', async () => {
+            const confirmed = await UINotification.confirm(
+                '重置后将停用加密，已加密的API密钥会被清空，需要重新填写。供应商和模型配置保留。确定要重置吗？',
+                {
+                    title: '重置API密钥加密',
+                    confirmText: '重置',
+                    cancelText: '取消'
+                }
+            );
+            if (confirmed) {
+                await this.configManager.resetEncryption();
+                close(false);
+            }
+        }));
+        footer.appendChild(this.createButton('暂不解锁', 'skip-unlock', 'btn btn-secondary', () => close(false)));
+        footer.appendChild(this.createButton('解锁', 'unlock', 'btn btn-primary', unlock));
+
+        return modal;
+    }
+
+    /**
+     * 创建加密设置对话框
+     * @param {Function} resolve - Promise resolve函数
+     * @returns {HTMLElement}
+     */
+    createSettingsModal(resolve) {
+        const { modal, body, footer, close } = this.createDialog('API密钥加密', resolve);
+
+        if (!this.vault.isEnabled()) {
+            const summary = document.createElement('p');
+            summary.textContent = '启用后，保存在浏览器本地的API密钥会用密码加密（PBKDF2 + AES-GCM），每次打开工具时需要输入密码解锁。忘记密码将无法恢复已加密的密钥。';
+            body.appendChild(summary);
+
+            const passphrase = this.createPassphraseInput(body, 'passphrase', '密码（至少8个字符）');
+            const confirmation = this.createPassphraseInput(body, 'confirm-passphrase', '确认密码');
+            const autoLock = this.createAutoLockSelect(body, this.vault.getAutoLockMinutes());
+            const error = this.createErrorText(body);
+
+            footer.appendChild(this.createButton('启用加密', 'enable-encryption', 'btn btn-primary', async () => {
+                if (passphrase.value !== confirmation.value) {
+                    error.textContent = '两次输入的密码不一致';
+                    return;
+                }
+                try {
+                    await this.configManager.enableEncryption(passphrase.value, { autoLockMinutes: Number(autoLock.value) });
+                    UINotification.success('已启用API密钥加密');
+                    close();
+                } catch (enableError) {
+                    error.textContent = enableError.message;
+                }
+            }));
+        } else {
+            const unlocked = this.vault.isUnlocked();
+            const status = document.createElement('p');
+            status.dataset.status = unlocked ? 'unlocked' : 'locked';
+            status.textContent = unlocked ? 'API密钥已加密，当前已解锁。' : 'API密钥已加密，当前已锁定。';
+            body.appendChild(status);
+
+            const autoLock = this.createAutoLockSelect(body, this.vault.getAutoLockMinutes());
+            autoLock.onchange = () => {
+                this.vault.setAutoLockMinutes(Number(autoLock.value));
+                Logger.info(`API密钥自动锁定时间已设置为 ${autoLock.value} 分钟`);
+            };
+
+            if (unlocked) {
+                footer.appendChild(this.createButton('停用加密', 'disable-encryption', 'btn btn-danger', async () => {
+                    const confirmed = await UINotification.confirm('停用后API密钥将以明文保存在浏览器本地。确定要停用吗？', {
+                        title: '停用API密钥加密',
+                        confirmText: '停用',
+                        cancelText: '取消'
+                    });
+                    if (confirmed) {
+                        await this.configManager.disableEncryption();
+                        UINotification.success('已停用API密钥加密');
+                        close();
+                    }
+                }));
+                footer.appendChild(this.createButton('立即锁定', 'lock-now', 'btn btn-secondary', () => {
+                    close();
+                    this.configManager.lockSecrets();
+                }));
+            }
+        }
+
+        footer.appendChild(this.createButton('关闭', 'close-vault', 'btn btn-secondary', () => close()));
+        return modal;
+    }
+
+    createDialog(titleText, resolve) {
+        const modal = document.createElement('div');
+        modal.className = 'ui-modal secret-vault-modal';
+
+        const close = (result) => {
+            UINotification.closeModal(modal);
+            resolve(result);
+        };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'ui-modal-backdrop';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ui-modal-dialog secret-vault-dialog';
+
+        const content = document.createElement('div');
+        content.className = 'ui-modal-content';
+
+        const header = document.createElement('div');
+        header.className = 'ui-modal-header';
+        const title = document.createElement('h4');
+        title.textContent = titleText;
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'ui-modal-body secret-vault-body';
+        content.appendChild(body);
+
+        const footer = document.createElement('div');
+        footer.className = 'ui-modal-footer';
+        content.appendChild(footer);
+
+        dialog.appendChild(content);
+        modal.appendChild(backdrop);
+        modal.appendChild(dialog);
+
+        return { modal, body, footer, close };
+    }
+
+    createPassphraseInput(body, name, labelText) {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        const input = document.createElement('input');
+        input.type = 'password';
+        input.name = name;
+        input.autocomplete = name === 'passphrase' ? 'current-password' : 'new-password';
+        label.appendChild(input);
+        group.appendChild(label);
+        body.appendChild(group);
+        return input;
+    }
+
+    createAutoLockSelect(body, minutes) {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        const label = document.createElement('label');
+        label.textContent = '无操作自动锁定';
+        const select = document.createElement('select');
+        select.name = 'auto-lock';
+        AUTO_LOCK_OPTIONS.forEach(value => {
+            const option = document.createElement('option');
+            option.value = String(value);
+            option.textContent = value === 0 ? '从不' : `${value} 分钟`;
+            select.appendChild(option);
+        });
+        select.value = String(minutes);
+        label.appendChild(select);
+        group.appendChild(label);
+        body.appendChild(group);
+        return select;
+    }
+
+    createErrorText(body) {
+        const error = document.createElement('p');
+        error.className = 'vault-error';
+        body.appendChild(error);
+        return error;
+    }
+
+    createButton(text, action, className, onClick) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.dataset.action = action;
+        button.textContent = text;
+        button.onclick = onClick;
+        return button;
+    }
+
+    addStyles() {
+        if (document.getElementById('secret-vault-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'secret-vault-styles';
+        styles.textContent = `
+            .secret-vault-dialog {
+                max-width: 480px;
+                width: 90%;
+            }
+            .secret-vault-body label {
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+                font-size: 13px;
+            }
+            .secret-vault-body .vault-error {
+                color: #dc3545;
+                font-size: 13px;
+                min-height: 1em;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
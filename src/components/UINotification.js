@@ -518,6 +518,7 @@ export class UINotification {
             .ui-toast-message {
                 flex: 1;
                 font-size: 14px;
+                white-space: pre-line;
             }
             .ui-toast-close {
                 background: none;
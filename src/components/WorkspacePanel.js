@@ -0,0 +1,225 @@
+/**
+ * WorkspacePanel.js
+ * 工作区管理对话框：列出最近使用的项目及配对的TaskMaster包，切换、重命名和移除工作区
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { UINotification } from './UINotification.js';
+
+export class WorkspacePanel {
+    /**
+     * @param {WorkspaceManager} workspaceManager - 工作区列表
+     * @param {object} options
+     * @param {Function} options.onSwitch - 切换工作区，参数为工作区ID，返回Promise<boolean>
+     * @param {Function} [options.onChange] - 工作区列表变化（重命名、移除）后调用
+     */
+    constructor(workspaceManager, options) {
+        this.workspaceManager = workspaceManager;
+        this.onSwitch = options.onSwitch;
+        this.onChange = options.onChange || (() => {});
+    }
+
+    /**
+     * 显示工作区对话框
+     * @returns {Promise<void>} 对话框关闭时resolve
+     */
+    async show() {
+        UINotification.addStyles();
+        this.addStyles();
+
+        await new Promise((resolve) => {
+            const modal = this.createModal(resolve);
+            document.body.appendChild(modal);
+
+            // 显示动画
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        });
+    }
+
+    /**
+     * 创建工作区对话框
+     * @param {Function} resolve - Promise resolve函数
+     * @returns {HTMLElement}
+     */
+    createModal(resolve) {
+        const modal = document.createElement('div');
+        modal.className = 'ui-modal workspace-modal';
+
+        const close = () => {
+            UINotification.closeModal(modal);
+            resolve();
+        };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'ui-modal-backdrop';
+        backdrop.onclick = close;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ui-modal-dialog workspace-dialog';
+
+        const content = document.createElement('div');
+        content.className = 'ui-modal-content';
+
+        const header = document.createElement('div');
+        header.className = 'ui-modal-header';
+        const title = document.createElement('h4');
+        title.textContent = '工作区';
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'ui-modal-body workspace-body';
+        content.appendChild(body);
+
+        const render = () => {
+            body.replaceChildren();
+            const workspaces = this.workspaceManager.list();
+            if (workspaces.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'workspace-empty';
+                empty.textContent = '还没有工作区。选择项目目录后会自动创建工作区。';
+                body.appendChild(empty);
+                return;
+            }
+
+            const activeId = this.workspaceManager.getActiveId();
+            const list = document.createElement('ul');
+            list.className = 'workspace-list';
+            workspaces.forEach(workspace => {
+                list.appendChild(this.createWorkspaceItem(workspace, workspace.id === activeId, { close, render }));
+            });
+            body.appendChild(list);
+        };
+        render();
+
+        const footer = document.createElement('div');
+        footer.className = 'ui-modal-footer';
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.dataset.action = 'close-workspaces';
+        closeBtn.textContent = '关闭';
+        closeBtn.onclick = close;
+        footer.appendChild(closeBtn);
+        content.appendChild(footer);
+
+        dialog.appendChild(content);
+        modal.appendChild(backdrop);
+        modal.appendChild(dialog);
+
+        return modal;
+    }
+
+    createWorkspaceItem(workspace, active, { close, render }) {
+        const item = document.createElement('li');
+        item.dataset.workspace = workspace.id;
+        item.className = active ? 'active' : '';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.name = 'workspace-name';
+        nameInput.value = workspace.name;
+        nameInput.onchange = () => {
+            try {
+                this.workspaceManager.rename(workspace.id, nameInput.value);
+                this.onChange();
+            } catch (error) {
+                UINotification.error(error.message);
+                nameInput.value = workspace.name;
+            }
+        };
+        item.appendChild(nameInput);
+
+        const details = document.createElement('span');
+        details.className = 'workspace-details';
+        details.textContent = [
+            `项目: ${workspace.projectName}`,
+            `包: ${workspace.packageName || '未配对'}`,
+            `最近使用: ${new Date(workspace.lastUsed).toLocaleString()}`
+        ].join(' · ');
+
+        const switchBtn = document.createElement('button');
+        switchBtn.className = 'btn btn-primary btn-sm';
+        switchBtn.dataset.action = 'switch-workspace';
+        switchBtn.textContent = active ? '当前' : '切换';
+        switchBtn.disabled = active;
+        switchBtn.onclick = async () => {
+            close();
+            await this.onSwitch(workspace.id);
+        };
+        item.appendChild(switchBtn);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-danger btn-sm';
+        removeBtn.dataset.action = 'remove-workspace';
+        removeBtn.textContent = '移除';
+        // 当前工作区正在使用，不能移除
+        removeBtn.disabled = active;
+        removeBtn.onclick = async () => {
+            const confirmed = await UINotification.confirm(
+                `移除工作区"${workspace.name}"后，它在本工具中保存的供应商和模型配置也会删除，项目中的文件不受影响。确定要移除吗？`,
+                {
+                    title: '移除工作区',
+                    confirmText: '移除',
+                    cancelText: '取消'
+                }
+            );
+            if (!confirmed) {
+                return;
+            }
+            await this.workspaceManager.remove(workspace.id);
+            Logger.info(`已移除工作区: ${workspace.name}`);
+            this.onChange();
+            render();
+        };
+        item.appendChild(removeBtn);
+        item.appendChild(details);
+
+        return item;
+    }
+
+    /**
+     * 添加样式
+     */
+    addStyles() {
+        if (document.getElementById('workspace-panel-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'workspace-panel-styles';
+        styles.textContent = `
+            .workspace-dialog {
+                max-width: 720px;
+                width: 90%;
+            }
+            .workspace-body {
+                max-height: 60vh;
+                overflow-y: auto;
+            }
+            .workspace-list {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+            .workspace-list li {
+                display: grid;
+                grid-template-columns: 1fr auto auto;
+                gap: 4px 8px;
+                align-items: center;
+                padding: 8px 0;
+                border-bottom: 1px solid #e9ecef;
+            }
+            .workspace-list li.active input[name="workspace-name"] {
+                font-weight: 600;
+            }
+            .workspace-list .workspace-details {
+                grid-column: 1 / -1;
+                color: #6c757d;
+                font-size: 12px;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
@@ -264,11 +264,18 @@ export class AppController {
             }
         }
 
-        // Ctrl+Z 撤销（如果有撤销功能）
-        if (e.ctrlKey && e.key === 'z') {
+        // Ctrl+Z 撤销，Ctrl+Y / Ctrl+Shift+Z 重做；输入框中保留浏览器自带的文本撤销
+        const key = typeof e.key === 'string' ? e.key.toLowerCase() : '';
+        if (e.ctrlKey && (key === 'z' || key === 'y') && !this.isEditableTarget(e.target)) {
             e.preventDefault();
-            // TODO: 实现撤销功能
-            Logger.debug('Undo shortcut triggered (not implemented)');
+            const historyController = this.getController('history');
+            if (historyController) {
+                if (key === 'y' || e.shiftKey) {
+                    historyController.redo();
+                } else {
+                    historyController.undo();
+                }
+            }
         }
 
         // Escape 关闭模态框
@@ -284,6 +291,16 @@ export class AppController {
         }
     }
 
+    /**
+     * 事件目标是否为可编辑的输入元素
+     * @param {EventTarget} target - 事件目标
+     * @returns {boolean}
+     */
+    isEditableTarget(target) {
+        return !!target && typeof target.matches === 'function'
+            && target.matches('input, textarea, select, [contenteditable="true"]');
+    }
+
     /**
      * 处理页面卸载前事件
      * @param {BeforeUnloadEvent} e - 卸载事件
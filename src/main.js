@@ -12,6 +12,18 @@ import { ErrorHandler } from './utils/ErrorHandler.js';
 import { Logger } from './utils/Logger.js';
 import { UINotification } from './components/UINotification.js';
 import { LogViewer } from './components/LogViewer.js';
+import { BackupBrowser } from './components/BackupBrowser.js';
+import { ProviderDoctorPanel } from './components/ProviderDoctorPanel.js';
+import { McpClientsPanel } from './components/McpClientsPanel.js';
+import { ModelRolesPanel } from './components/ModelRolesPanel.js';
+import { GlobalSettingsPanel } from './components/GlobalSettingsPanel.js';
+import { WorkspacePanel } from './components/WorkspacePanel.js';
+import { ProfilesPanel } from './components/ProfilesPanel.js';
+import { HistoryPanel } from './components/HistoryPanel.js';
+import { ImportReportModal } from './components/ImportReportModal.js';
+import { ModelCatalogPanel } from './components/ModelCatalogPanel.js';
+import { WorkspaceManager } from './utils/WorkspaceManager.js';
+import { SecretVaultPanel } from './components/SecretVaultPanel.js';
 import { globalAppController, appActions } from './controllers/AppController.js';
 import { globalTabController } from './controllers/TabController.js';
 import { stateHelpers } from './utils/StateManager.js';
@@ -35,10 +47,44 @@ class TaskMasterConfigApp {
     constructor() {
         this.configManager = new ConfigManager();
         this.saveConfig = new SaveConfig(this.configManager);
+        this.configManager.setProjectStore(this.saveConfig.customProvidersFile);
         this.providerConfig = new ProviderConfig(this.configManager, this.saveConfig);
         this.modelConfig = new ModelConfig(this.configManager, this.saveConfig);
         this.taskMasterTester = new TaskMasterTester(this.configManager, this.saveConfig.transformer);
         this.logViewer = new LogViewer();
+        this.backupBrowser = new BackupBrowser(this.saveConfig);
+        this.providerDoctorPanel = new ProviderDoctorPanel(this.configManager, this.saveConfig);
+        this.mcpClientsPanel = new McpClientsPanel(this.configManager, this.saveConfig);
+        this.modelRolesPanel = new ModelRolesPanel(this.configManager, this.saveConfig);
+        this.globalSettingsPanel = new GlobalSettingsPanel(this.configManager, this.saveConfig);
+        this.secretVaultPanel = new SecretVaultPanel(this.configManager);
+        this.workspaceManager = new WorkspaceManager(localStorage, this.saveConfig.directoryHandleManager);
+        this.workspacePanel = new WorkspacePanel(this.workspaceManager, {
+            onSwitch: workspaceId => this.switchWorkspace(workspaceId),
+            onChange: () => this.updateWorkspaceSelect()
+        });
+        this.profilesPanel = new ProfilesPanel(this.configManager, {
+            onApply: profileId => this.applyProfile(profileId)
+        });
+        this.historyPanel = new HistoryPanel(this.configManager, this.saveConfig, {
+            onChange: async () => {
+                await this.providerConfig.loadProviders();
+                await this.modelConfig.loadModels();
+            }
+        });
+
+        this.modelCatalogPanel = new ModelCatalogPanel(this.configManager, {
+            onAddProvider: providerData => this.providerConfig.addImportedProvider(providerData),
+            onChange: async () => {
+                await this.providerConfig.loadProviders();
+                await this.modelConfig.loadModels();
+            },
+            onImportModel: async (modelId) => {
+                if (this.configManager.isProjectValid()) {
+                    await this.modelConfig.importModelToTaskMaster(modelId, true);
+                }
+            }
+        });
 
         Logger.info('TaskMaster Config App created');
         this.init();
@@ -62,16 +108,26 @@ class TaskMasterConfigApp {
             // 初始化标签页控制器
             globalTabController.initialize();
             globalAppController.registerController('tab', globalTabController);
+            globalAppController.registerController('history', this.historyPanel);
+
+            // 使用当前工作区的供应商和模型配置
+            this.configManager.setWorkspace(this.workspaceManager.getActiveId());
 
             // Load existing configuration
             await this.configManager.loadConfiguration();
 
+            // API密钥已加密时先请用户解锁
+            if (this.configManager.isLocked()) {
+                await this.secretVaultPanel.showUnlock();
+            }
+
             // Initialize UI components
             this.initializeComponents();
             this.initializeEventListeners();
 
             // Update project path status
             this.updateProjectPathStatus();
+            this.updateWorkspaceSelect();
 
             // Load initial data
             await this.loadInitialData();
@@ -132,6 +188,91 @@ class TaskMasterConfigApp {
             this.resetConfiguration();
         });
 
+        this.eventGroup.add('#view-backups-btn', 'click', () => {
+            this.backupBrowser.show();
+        });
+
+        this.eventGroup.add('#run-doctor-btn', 'click', () => {
+            this.providerDoctorPanel.show();
+        });
+
+        this.eventGroup.add('#mcp-clients-btn', 'click', () => {
+            this.mcpClientsPanel.show();
+        });
+
+        this.eventGroup.add('#model-roles-btn', 'click', () => {
+            this.modelRolesPanel.show();
+        });
+
+        this.eventGroup.add('#global-settings-btn', 'click', () => {
+            this.globalSettingsPanel.show();
+        });
+
+        this.eventGroup.add('#profiles-btn', 'click', () => {
+            this.profilesPanel.show();
+        });
+
+        this.eventGroup.add('#history-btn', 'click', () => {
+            this.historyPanel.show();
+        });
+
+        this.eventGroup.add('#export-patch-btn', 'click', () => {
+            this.providerConfig.exportPackagePatch();
+        });
+
+        this.eventGroup.add('#encryption-btn', 'click', () => {
+            this.showEncryptionSettings();
+        });
+
+        this.eventGroup.add('#export-config-btn', 'click', () => {
+            this.exportConfigurationFile();
+        });
+
+        this.eventGroup.add('#export-tool-config-btn', 'click', () => {
+            this.exportToolConfiguration();
+        });
+
+        this.eventGroup.add('#import-config-btn', 'click', () => {
+            document.getElementById('import-config-file')?.click();
+        });
+
+        this.eventGroup.add('#import-catalog-btn', 'click', () => {
+            document.getElementById('import-catalog-file')?.click();
+        });
+
+        this.eventGroup.add('#import-catalog-file', 'change', (event) => {
+            const file = event.target.files?.[0];
+            event.target.value = '';
+            if (file) {
+                this.modelCatalogPanel.importFile(file);
+            }
+        });
+
+        this.eventGroup.add('#import-config-file', 'change', (event) => {
+            const file = event.target.files?.[0];
+            event.target.value = '';
+            if (file) {
+                this.importConfigurationFile(file);
+            }
+        });
+
+        // 用户活动重新开始API密钥自动锁定计时；锁定后提示重新解锁
+        ['click', 'keydown'].forEach(eventType => {
+            document.addEventListener(eventType, () => this.configManager.vault.touch(), true);
+        });
+        this.configManager.vault.onLock(() => this.handleSecretsLocked());
+
+        // 工作区
+        this.eventGroup.add('#workspace-select', 'change', (event) => {
+            if (event.target.value) {
+                this.switchWorkspace(event.target.value);
+            }
+        });
+
+        this.eventGroup.add('#manage-workspaces-btn', 'click', () => {
+            this.workspacePanel.show();
+        });
+
         // TaskMaster package location
         this.eventGroup.add('#select-package-btn', 'click', () => {
             this.selectPackagePath();
@@ -178,7 +319,7 @@ class TaskMasterConfigApp {
 
             // 如果有TaskMaster项目，先尝试从TaskMaster加载配置
             if (this.configManager.isProjectValid()) {
-                const autoLoaded = await this.saveConfig.tryAutoLoadExistingConfig();
+                const autoLoaded = await this.autoLoadTaskMasterConfig();
                 if (autoLoaded) {
                     Logger.info('从TaskMaster项目自动加载配置成功');
                 }
@@ -235,7 +376,7 @@ class TaskMasterConfigApp {
 
     async resetConfiguration() {
         const confirmed = await UINotification.confirm(
-            '确定要重置所有配置吗？此操作无法撤销。',
+            '确定要重置所有配置吗？重置后可以在操作历史中撤销。',
             {
                 title: '重置配置',
                 confirmText: '重置',
@@ -336,6 +477,9 @@ class TaskMasterConfigApp {
                 // 保存到IndexedDB以便下次恢复
                 await this.saveConfig.directoryHandleManager.saveDirectoryHandle('taskmaster-project', directoryHandle);
 
+                await this.rememberWorkspace(directoryHandle);
+                await this.loadProjectProviders();
+
                 // 验证是否是有效的TaskMaster项目
                 const isValidProject = await this.validateTaskMasterProject(directoryHandle);
                 if (isValidProject) {
@@ -538,6 +682,10 @@ class TaskMasterConfigApp {
                 // 保存项目路径到配置
                 await this.setProjectPath(directoryHandle.name);
 
+                // 升级前只有一个全局配置：首次恢复项目时为它创建工作区
+                await this.rememberWorkspace(directoryHandle);
+                await this.loadProjectProviders();
+
                 // 验证是否是有效的TaskMaster项目
                 const isValidProject = await this.validateTaskMasterProject(directoryHandle);
                 if (isValidProject) {
@@ -577,6 +725,250 @@ class TaskMasterConfigApp {
         }
     }
 
+    /**
+     * 从项目的 .taskmaster/custom-providers.json 加载自定义供应商并刷新列表
+     */
+    /**
+     * 下载配置文件，勾选"包含API密钥"时需要确认
+     */
+    async exportConfigurationFile() {
+        const includeSecrets = document.querySelector('#export-include-secrets')?.checked === true;
+        if (includeSecrets) {
+            const confirmed = await UINotification.confirm(
+                '导出的文件将以明文包含所有API密钥，请妥善保管，不要提交到仓库或分享给他人。确定要导出吗？',
+                {
+                    title: '导出包含API密钥的配置',
+                    confirmText: '导出',
+                    cancelText: '取消'
+                }
+            );
+            if (!confirmed) {
+                return;
+            }
+        }
+
+        try {
+            await this.saveConfig.exportConfigurationFile({ includeSecrets });
+            UINotification.success(includeSecrets ? '配置已导出（包含API密钥）' : '配置已导出（不含API密钥）');
+        } catch (error) {
+            ErrorHandler.handle(error, {
+                component: 'TaskMasterConfigApp',
+                method: 'exportConfigurationFile',
+                action: 'export_config'
+            });
+        }
+    }
+
+    /**
+     * 按选择的格式导出其他工具的配置文件
+     */
+    async exportToolConfiguration() {
+        const format = document.querySelector('#export-tool-format')?.value || 'litellm';
+        try {
+            const { fileName, warnings } = await this.saveConfig.exportToolConfiguration(format);
+            warnings.forEach(warning => UINotification.warning(warning));
+            UINotification.success(`已导出 ${fileName}`);
+        } catch (error) {
+            ErrorHandler.handle(error, {
+                component: 'TaskMasterConfigApp',
+                method: 'exportToolConfiguration',
+                action: 'export_tool_config'
+            });
+        }
+    }
+
+    /**
+     * 从TaskMaster项目加载配置，文件中不符合Schema的字段以警告显示（按现有内容加载，不拒绝）
+     * @returns {Promise<boolean>} 是否加载成功
+     */
+    async autoLoadTaskMasterConfig() {
+        const loaded = await this.saveConfig.tryAutoLoadExistingConfig();
+        const errors = this.saveConfig.readValidationErrors;
+        if (errors.length > 0) {
+            const listed = errors.slice(0, 5).join('\n');
+            const more = errors.length > 5 ? `\n……共 ${errors.length} 个问题` : '';
+            UINotification.warning(`TaskMaster文件中有不符合格式的内容，修正前无法写入这些文件:\n${listed}${more}`, { duration: 10000 });
+        }
+        return loaded;
+    }
+
+    /**
+     * 导入配置文件：旧版本文件先升级，显示校验报告，确认后替换当前的供应商和模型
+     * @param {File} file - 用户选择的配置文件
+     */
+    async importConfigurationFile(file) {
+        try {
+            const parsed = await this.saveConfig.readConfigurationFile(file);
+            const confirmed = await ImportReportModal.show(parsed, { fileName: file.name });
+            if (!confirmed) {
+                return;
+            }
+
+            await this.configManager.importConfiguration(parsed.providers, parsed.models);
+            await this.providerConfig.loadProviders();
+            await this.modelConfig.loadModels();
+            UINotification.success(`已导入 ${parsed.providers.length} 个供应商和 ${parsed.models.length} 个模型`);
+        } catch (error) {
+            Logger.error('导入配置失败', { error: error.message }, error);
+            UINotification.error(`导入配置失败: ${error.message}`);
+        }
+    }
+
+    async showEncryptionSettings() {
+        await this.secretVaultPanel.showSettings();
+        await this.providerConfig.loadProviders();
+    }
+
+    /**
+     * API密钥被锁定（手动或自动）后刷新列表并显示解锁对话框
+     */
+    async handleSecretsLocked() {
+        await this.providerConfig.loadProviders();
+        if (await this.secretVaultPanel.showUnlock()) {
+            await this.providerConfig.loadProviders();
+        }
+    }
+
+    // 工作区
+
+    /**
+     * 记录选择或恢复的项目目录：新项目创建工作区（复制当前配置并配对当前的TaskMaster包），
+     * 已有工作区的项目切换到该工作区
+     * @param {FileSystemDirectoryHandle} projectHandle - 项目目录句柄
+     */
+    async rememberWorkspace(projectHandle) {
+        try {
+            const previousId = this.configManager.workspaceId;
+            const { workspace, created } = await this.workspaceManager.rememberProject(projectHandle);
+            if (created) {
+                const packageHandle = this.saveConfig.directoryHandleCache.get('taskmaster-package');
+                if (packageHandle) {
+                    await this.workspaceManager.rememberPackage(packageHandle);
+                }
+                await this.configManager.switchWorkspace(workspace.id, { copyCurrent: true });
+                Logger.info(`已创建工作区: ${workspace.name}`);
+            } else if (workspace.id !== previousId) {
+                await this.switchWorkspace(workspace.id);
+                return;
+            }
+            await this.providerConfig.loadProviders();
+            await this.modelConfig.loadModels();
+            this.updateWorkspaceSelect();
+        } catch (error) {
+            Logger.warn('记录工作区失败', { error: error.message });
+        }
+    }
+
+    /**
+     * 切换工作区：恢复它的项目和TaskMaster包目录，并加载它的供应商和模型配置
+     * @param {string} workspaceId - 工作区ID
+     * @returns {Promise<boolean>} 是否切换成功
+     */
+    async switchWorkspace(workspaceId) {
+        try {
+            this.updateStatus('正在切换工作区...', 'loading');
+            const { projectHandle, packageHandle } = await this.workspaceManager.restoreHandles(workspaceId);
+            if (!projectHandle) {
+                this.updateStatus('无法访问该工作区的项目目录，请重新选择项目', 'warning');
+                this.updateWorkspaceSelect();
+                return false;
+            }
+
+            this.saveConfig.directoryHandleCache.set('taskmaster-project', projectHandle);
+            await this.saveConfig.directoryHandleManager.saveDirectoryHandle('taskmaster-project', projectHandle);
+            await this.setProjectPath(projectHandle.name);
+
+            if (packageHandle) {
+                this.saveConfig.directoryHandleCache.set('taskmaster-package', packageHandle);
+                await this.saveConfig.directoryHandleManager.saveDirectoryHandle('taskmaster-package', packageHandle);
+                await this.setPackagePath(packageHandle.name);
+            } else {
+                this.saveConfig.directoryHandleCache.delete('taskmaster-package');
+                await this.saveConfig.directoryHandleManager.removeDirectoryHandle('taskmaster-package');
+                await this.configManager.savePackagePath(null);
+            }
+
+            const workspace = this.workspaceManager.activate(workspaceId);
+            await this.configManager.switchWorkspace(workspaceId);
+            await this.providerConfig.loadProviders();
+            await this.modelConfig.loadModels();
+
+            this.updateProjectPathStatus();
+            this.updatePackagePathStatus();
+            this.updateWorkspaceSelect();
+            this.updateStatus(`✅ 已切换到工作区: ${workspace.name}`, 'success');
+            return true;
+        } catch (error) {
+            ErrorHandler.handle(error, {
+                component: 'TaskMasterConfigApp',
+                method: 'switchWorkspace',
+                action: 'switch_workspace',
+                workspaceId
+            });
+            this.updateStatus('切换工作区失败', 'error');
+            this.updateWorkspaceSelect();
+            return false;
+        }
+    }
+
+    /**
+     * 应用配置方案：切换到该方案的供应商和模型，并同步到TaskMaster项目
+     * @param {string} profileId - 方案ID
+     * @returns {Promise<boolean>} 是否切换成功
+     */
+    async applyProfile(profileId) {
+        try {
+            await this.configManager.switchProfile(profileId);
+            await this.providerConfig.loadProviders();
+            await this.modelConfig.loadModels();
+        } catch (error) {
+            ErrorHandler.handle(error, {
+                component: 'TaskMasterConfigApp',
+                method: 'applyProfile',
+                action: 'apply_profile',
+                profileId
+            });
+            this.updateStatus('切换配置方案失败', 'error');
+            return false;
+        }
+
+        await this.saveConfiguration();
+        return true;
+    }
+
+    updateWorkspaceSelect() {
+        const select = document.getElementById('workspace-select');
+        if (!select) {
+            return;
+        }
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = '未选择工作区';
+        const options = this.workspaceManager.list().map(workspace => {
+            const option = document.createElement('option');
+            option.value = workspace.id;
+            option.textContent = workspace.packageName
+                ? `${workspace.name}（包: ${workspace.packageName}）`
+                : workspace.name;
+            return option;
+        });
+        select.replaceChildren(placeholder, ...options);
+        select.value = this.workspaceManager.getActiveId() || '';
+    }
+
+    async loadProjectProviders() {
+        try {
+            if (await this.configManager.loadProjectProviders()) {
+                await this.providerConfig.loadProviders();
+                await this.modelConfig.loadModels();
+            }
+        } catch (error) {
+            Logger.warn('读取项目供应商定义文件失败，使用本地配置', { error: error.message });
+            this.updateStatus(`⚠️ 读取项目供应商定义文件失败: ${error.message}`, 'warning');
+        }
+    }
+
     async tryAutoImportConfiguration() {
         try {
             const projectPath = this.configManager.getProjectPath();
@@ -586,7 +978,7 @@ class TaskMasterConfigApp {
                 Logger.info('检测到有效的TaskMaster项目，尝试自动加载现有配置...');
 
                 // 尝试自动加载现有配置
-                const autoLoaded = await this.saveConfig.tryAutoLoadExistingConfig();
+                const autoLoaded = await this.autoLoadTaskMasterConfig();
 
                 if (autoLoaded) {
                     // 重新加载供应商和模型数据
@@ -656,7 +1048,7 @@ class TaskMasterConfigApp {
             this.updateStatus('正在从TaskMaster项目加载配置...', 'loading');
 
             // 尝试从TaskMaster项目加载真实配置
-            const success = await this.saveConfig.tryAutoLoadExistingConfig();
+            const success = await this.autoLoadTaskMasterConfig();
 
             if (success) {
                 // 重新加载供应商和模型数据
@@ -703,6 +1095,7 @@ class TaskMasterConfigApp {
                     this.updatePackageStatus('valid', `✅ TaskMaster包已自动恢复 (v${version})`);
 
                     Logger.info(`🎉 已自动恢复TaskMaster包: ${packageHandle.name} (v${version})`);
+                    await this.providerConfig.checkPackageUpgrade();
                     return;
                 } else {
                     Logger.warn(`⚠️ 已恢复包路径，但验证失败: ${packageHandle.name}`);
@@ -828,12 +1221,15 @@ class TaskMasterConfigApp {
                 // 保存包句柄
                 this.saveConfig.directoryHandleCache.set('taskmaster-package', dirHandle);
                 await this.saveConfig.directoryHandleManager.saveDirectoryHandle('taskmaster-package', dirHandle);
+                await this.workspaceManager.rememberPackage(dirHandle);
+                this.updateWorkspaceSelect();
 
                 // 更新UI显示
                 this.updatePackagePathDisplay(dirHandle.name, dirHandle.name);
                 this.updatePackageStatus('valid', `✅ TaskMaster包已设置 (v${version})`);
 
                 this.updateStatus('TaskMaster包设置成功', 'success');
+                await this.providerConfig.checkPackageUpgrade();
             } else {
                 this.updatePackageStatus('invalid', '❌ 所选目录不是有效的TaskMaster包');
                 this.updateStatus('无效的TaskMaster包', 'error');
@@ -880,6 +1276,7 @@ class TaskMasterConfigApp {
             // 清除保存的句柄
             this.saveConfig.directoryHandleCache.delete('taskmaster-package');
             this.saveConfig.directoryHandleManager.removeDirectoryHandle('taskmaster-package');
+            await this.workspaceManager.clearPackage();
 
             // 更新UI显示
             this.updatePackagePathStatus();
@@ -0,0 +1,260 @@
+/**
+ * BackupManager.js
+ * 文件备份管理：修改TaskMaster关键文件前在 .taskmaster-tool/backups/ 中保存带时间戳的副本，
+ * 按保留策略清理旧版本，并支持查看差异和恢复任意历史版本
+ */
+
+import { Logger } from './Logger.js';
+import { toStorageBackend, splitPath } from './StorageBackend.js';
+import { ChangePlan } from './ChangePlan.js';
+
+export const BACKUP_DIRECTORY = '.taskmaster-tool/backups';
+const INDEX_PATH = `${BACKUP_DIRECTORY}/index.json`;
+
+// 备份中包含 .env、mcp.json 的明文API密钥，工具目录整体排除在版本控制之外
+export const GITIGNORE_PATH = '.taskmaster-tool/.gitignore';
+
+// 修改前需要备份的文件（按文件名匹配）
+const TRACKED_FILES = [
+    'supported-models.json',
+    'ai-services-unified.js',
+    'config-manager.js',
+    'init.js',
+    'mcp.json',
+    '.mcp.json',
+    '.env',
+    'config.json'
+];
+
+// 备份存放位置的优先顺序：优先项目目录，其次TaskMaster包目录
+const STORAGE_ROOTS = ['taskmaster-project', 'taskmaster-package'];
+
+const DEFAULT_MAX_PER_FILE = 10;
+
+export class BackupManager {
+    /**
+     * @param {SaveConfig} saveConfig - 提供目录缓存的SaveConfig实例
+     * @param {Object} [options]
+     * @param {number} [options.maxPerFile=10] - 每个文件保留的最大备份数
+     */
+    constructor(saveConfig, options = {}) {
+        this.saveConfig = saveConfig;
+        this.maxPerFile = options.maxPerFile || DEFAULT_MAX_PER_FILE;
+    }
+
+    /**
+     * 判断文件是否需要在修改前备份
+     * @param {string} relativePath - 相对路径
+     * @returns {boolean}
+     */
+    static isTracked(relativePath) {
+        const pathParts = splitPath(relativePath);
+        return TRACKED_FILES.includes(pathParts[pathParts.length - 1]);
+    }
+
+    /**
+     * 获取存放备份的存储后端
+     * @returns {StorageBackend|null} 没有可用目录时返回null
+     */
+    getStorage() {
+        const root = STORAGE_ROOTS.find(key => this.saveConfig.directoryHandleCache.has(key));
+        return root ? toStorageBackend(this.saveConfig.directoryHandleCache.get(root)) : null;
+    }
+
+    async readIndex(storage) {
+        const content = await storage.readFile(INDEX_PATH);
+        if (content === null) {
+            return { version: 1, backups: [] };
+        }
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            throw new Error(`备份索引文件已损坏: ${error.message}`);
+        }
+    }
+
+    async writeIndex(storage, index) {
+        await storage.writeFile(INDEX_PATH, JSON.stringify(index, null, 2));
+    }
+
+    /**
+     * 确保工具目录中存在忽略全部内容的 .gitignore，避免备份的密钥被提交
+     * 已存在的 .gitignore 保持不变
+     */
+    async ensureGitignore(storage) {
+        if (!await storage.exists(GITIGNORE_PATH)) {
+            await storage.writeFile(GITIGNORE_PATH, '*\n');
+        }
+    }
+
+    /**
+     * 生成备份ID：时间戳 + 目录 + 文件路径，同一毫秒内的重复ID追加序号
+     */
+    createBackupId(index, root, relativePath, date) {
+        const timestamp = date.toISOString().replace(/[-:.]/g, '');
+        const rootName = root.replace(/^taskmaster-/, '');
+        const baseId = `${timestamp}-${rootName}-${splitPath(relativePath).join('_')}`;
+
+        let id = baseId;
+        for (let i = 2; index.backups.some(entry => entry.id === id); i++) {
+            id = `${baseId}-${i}`;
+        }
+        return id;
+    }
+
+    /**
+     * 保存文件的一个备份版本
+     * 内容与该文件最近一次备份相同时不会重复保存
+     * @param {string} root - 目录缓存键（taskmaster-package / taskmaster-project）
+     * @param {string} relativePath - 文件相对路径
+     * @param {string|null} content - 修改前的文件内容，null表示文件不存在（不备份）
+     * @returns {Promise<Object|null>} 备份条目，未备份时返回null
+     */
+    async backupFile(root, relativePath, content) {
+        if (content === null || content === undefined) {
+            return null;
+        }
+
+        const storage = this.getStorage();
+        if (!storage) {
+            Logger.warn(`没有可用的目录保存备份，跳过备份: ${relativePath}`);
+            return null;
+        }
+
+        const filePath = splitPath(relativePath).join('/');
+        const index = await this.readIndex(storage);
+        const latest = this.filterBackups(index.backups, { root, path: filePath })[0];
+        if (latest && await storage.readFile(latest.file) === content) {
+            return null;
+        }
+
+        await this.ensureGitignore(storage);
+
+        const createdAt = new Date();
+        const id = this.createBackupId(index, root, filePath, createdAt);
+        const entry = {
+            id,
+            root,
+            path: filePath,
+            createdAt: createdAt.toISOString(),
+            size: content.length,
+            file: `${BACKUP_DIRECTORY}/files/${id}`
+        };
+
+        await storage.writeFile(entry.file, content);
+        index.backups.push(entry);
+        await this.pruneBackups(storage, index, root, filePath);
+        await this.writeIndex(storage, index);
+
+        Logger.info(`已备份 ${filePath}`, { id });
+        return entry;
+    }
+
+    /**
+     * 文件被修改或删除前调用：需要备份的文件保存当前内容
+     * 备份失败只记录警告，不影响文件写入
+     * @param {string} root - 目录缓存键
+     * @param {string} relativePath - 文件相对路径
+     * @param {string|null} content - 修改前的文件内容
+     * @returns {Promise<Object|null>} 备份条目，未备份时返回null
+     */
+    async backupBeforeChange(root, relativePath, content) {
+        if (!BackupManager.isTracked(relativePath)) {
+            return null;
+        }
+        try {
+            return await this.backupFile(root, relativePath, content);
+        } catch (error) {
+            Logger.warn(`备份 ${relativePath} 失败，继续写入`, { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * 按保留策略删除同一文件超出数量的旧备份
+     */
+    async pruneBackups(storage, index, root, filePath) {
+        const expired = this.filterBackups(index.backups, { root, path: filePath }).slice(this.maxPerFile);
+        for (const entry of expired) {
+            await storage.deleteFile(entry.file);
+        }
+        index.backups = index.backups.filter(entry => !expired.includes(entry));
+    }
+
+    /**
+     * 按条件过滤备份，最新的在前
+     */
+    filterBackups(backups, filter = {}) {
+        return backups
+            .filter(entry => !filter.root || entry.root === filter.root)
+            .filter(entry => !filter.path || entry.path === filter.path || entry.path.endsWith(`/${filter.path}`))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+    }
+
+    /**
+     * 列出备份
+     * @param {Object} [filter]
+     * @param {string} [filter.root] - 只列出指定目录的备份
+     * @param {string} [filter.path] - 只列出指定文件（完整相对路径或结尾部分）的备份
+     * @returns {Promise<Array<{id: string, root: string, path: string, createdAt: string, size: number, file: string}>>}
+     */
+    async listBackups(filter = {}) {
+        const storage = this.getStorage();
+        if (!storage) {
+            return [];
+        }
+        const index = await this.readIndex(storage);
+        return this.filterBackups(index.backups, filter);
+    }
+
+    /**
+     * 获取备份条目及其内容
+     * @param {string} id - 备份ID
+     * @returns {Promise<{entry: Object, content: string}>}
+     */
+    async readBackup(id) {
+        const storage = this.getStorage();
+        if (!storage) {
+            throw new Error('没有可用的备份目录，请先选择项目或TaskMaster包目录');
+        }
+
+        const index = await this.readIndex(storage);
+        const entry = index.backups.find(backup => backup.id === id);
+        if (!entry) {
+            throw new Error(`备份不存在: ${id}`);
+        }
+
+        const content = await storage.readFile(entry.file);
+        if (content === null) {
+            throw new Error(`备份文件已丢失: ${entry.file}`);
+        }
+        return { entry, content };
+    }
+
+    /**
+     * 规划恢复操作：计算将文件恢复到备份版本的变更，不修改任何文件
+     * 计划的diff即当前文件与备份版本的差异，应用计划时会先备份当前内容
+     * @param {string} id - 备份ID
+     * @returns {Promise<ChangePlan>} plan.result为备份条目
+     */
+    async planRestore(id) {
+        const { entry, content } = await this.readBackup(id);
+        if (!this.saveConfig.directoryHandleCache.has(entry.root)) {
+            throw new Error(`无法恢复 ${entry.path}：对应的目录未选择`);
+        }
+
+        const { saveConfig, overlays } = this.saveConfig.createPlanningCopy();
+        await saveConfig.writeFileToDirectory(saveConfig.directoryHandleCache.get(entry.root), entry.path, content);
+        return new ChangePlan(overlays, entry, this);
+    }
+
+    /**
+     * 将文件恢复到备份版本
+     * @param {string} id - 备份ID
+     * @returns {Promise<{success: string[], failed: Array<{file: string, error: string}>, warnings: string[]}>}
+     */
+    async restoreBackup(id) {
+        const plan = await this.planRestore(id);
+        return plan.apply();
+    }
+}
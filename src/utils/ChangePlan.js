@@ -0,0 +1,162 @@
+/**
+ * ChangePlan.js
+ * 变更计划：汇总规划模式下各目录的待写入变更，生成逐文件的unified diff，并可一次性应用
+ */
+
+import { createUnifiedDiff, countDiffChanges } from './UnifiedDiff.js';
+import { FileTransaction } from './FileTransaction.js';
+
+// 目录缓存键对应的显示名称
+const ROOT_LABELS = {
+    'taskmaster-package': 'TaskMaster包',
+    'taskmaster-project': 'TaskMaster项目'
+};
+
+export class ChangePlan {
+    /**
+     * @param {Map<string, OverlayStorageBackend>} overlays - 目录缓存键 -> 叠加层存储后端
+     * @param {*} [result] - 规划运行的操作返回值（如 executeAllProviderUpdates 的结果）
+     * @param {BackupManager|null} [backupManager] - 应用前备份被修改文件的备份管理器
+     * @param {DeferredProviderManifest|null} [manifest] - 规划期间排队的供应商清单修改，应用成功后写入
+     */
+    constructor(overlays, result = null, backupManager = null, manifest = null) {
+        this.overlays = overlays;
+        this.result = result;
+        this.backupManager = backupManager;
+        this.manifest = manifest;
+        this.applied = false;
+        // 应用成功后写入的文件变更 {root, path, before, after}，供撤销历史恢复文件
+        this.appliedChanges = [];
+    }
+
+    /**
+     * 获取逐文件的变更列表
+     * @returns {Array<{root: string, rootLabel: string, path: string, type: 'create'|'modify'|'delete',
+     *   before: string|null, after: string|null, diff: string, additions: number, deletions: number}>}
+     */
+    getChanges() {
+        const changes = [];
+        this.overlays.forEach((overlay, root) => {
+            overlay.getChanges().forEach(({ path, before, after }) => {
+                let type = 'modify';
+                if (before === null) {
+                    type = 'create';
+                } else if (after === null) {
+                    type = 'delete';
+                }
+
+                const diff = createUnifiedDiff(before, after, { oldPath: `a/${path}`, newPath: `b/${path}` });
+                changes.push({
+                    root,
+                    rootLabel: ROOT_LABELS[root] || root,
+                    path,
+                    type,
+                    before,
+                    after,
+                    diff,
+                    ...countDiffChanges(diff)
+                });
+            });
+        });
+        return changes;
+    }
+
+    /**
+     * 生成与patch-package兼容的git风格补丁，只包含指定目录的变更
+     * @param {object} [options]
+     * @param {string} [options.root='taskmaster-package'] - 目录缓存键
+     * @param {string} [options.pathPrefix='node_modules/task-master-ai/'] - 补丁中文件路径的前缀（相对于项目根目录）
+     * @returns {string} 补丁文本，没有变更时返回空字符串
+     */
+    toPatch({ root = 'taskmaster-package', pathPrefix = 'node_modules/task-master-ai/' } = {}) {
+        return this.getChanges()
+            .filter(change => change.root === root)
+            .sort((a, b) => a.path.localeCompare(b.path))
+            .map(change => {
+                const filePath = `${pathPrefix}${change.path}`;
+                const header = [`diff --git a/${filePath} b/${filePath}`];
+                if (change.type === 'create') {
+                    header.push('new file mode 100644');
+                } else if (change.type === 'delete') {
+                    header.push('deleted file mode 100644');
+                }
+                const diff = createUnifiedDiff(change.before, change.after, { oldPath: `a/${filePath}`, newPath: `b/${filePath}` });
+                return `${header.join('\n')}\n${diff}`;
+            })
+            .join('');
+    }
+
+    /**
+     * 是否有任何待写入的变更
+     * @returns {boolean}
+     */
+    hasChanges() {
+        return this.getChanges().length > 0;
+    }
+
+    /**
+     * 将计划中的所有变更写入真实文件（事务性：要么全部写入，要么全部恢复）
+     * @returns {Promise<{success: string[], failed: Array<{file: string, error: string}>, warnings: string[]}>}
+     */
+    async apply() {
+        if (this.applied) {
+            throw new Error('变更计划已应用，不能重复应用');
+        }
+
+        const results = {
+            success: [],
+            failed: [],
+            warnings: []
+        };
+
+        // 所有目录的变更在同一个事务中写入，任一文件写入失败时全部恢复
+        const changes = this.getChanges().map(({ root, path, before, after }) => ({ root, path, before, after }));
+        const bases = new Map(Array.from(this.overlays, ([root, overlay]) => [root, overlay.base]));
+        const transaction = new FileTransaction(bases);
+
+        for (const [root, overlay] of this.overlays) {
+            try {
+                await this.backupChanges(root, overlay);
+                const applied = await overlay.commit(transaction.getBackend(root));
+                applied.forEach(path => results.success.push(path));
+            } catch (error) {
+                results.failed.push({ file: ROOT_LABELS[root] || root, error: error.message });
+                break;
+            }
+        }
+
+        if (results.failed.length > 0) {
+            const rollback = await transaction.rollback();
+            results.success = [];
+            results.warnings.push(`应用变更失败，已将 ${rollback.restored.length} 个文件恢复到修改前的状态`);
+            rollback.failed.forEach(({ file, error }) => results.warnings.push(`恢复 ${file} 失败: ${error}`));
+        } else {
+            transaction.commit();
+            this.appliedChanges = changes;
+            await this.flushManifest(results);
+        }
+
+        this.applied = true;
+        return results;
+    }
+
+    async flushManifest(results) {
+        if (!this.manifest) {
+            return;
+        }
+        try {
+            await this.manifest.flush();
+        } catch (error) {
+            results.warnings.push(`更新供应商清单失败: ${error.message}`);
+        }
+    }
+
+    async backupChanges(root, overlay) {
+        if (!this.backupManager) {
+            return;
+        }
+        for (const { path, before } of overlay.getChanges()) {
+            await this.backupManager.backupBeforeChange(root, path, before);
+        }
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * ConfigComparison.js
+ * 比较两套供应商和模型配置（例如两个配置方案）：供应商按名称匹配，模型按"供应商名称/模型ID"匹配，
+ * 列出新增、删除和修改的字段。API密钥只比较是否已填写，不比较值
+ */
+
+// 不参与比较的字段：ID在不同方案中可能不同，时间戳和状态不属于配置内容
+const IGNORED_FIELDS = new Set(['id', 'providerId', 'models', 'createdAt', 'updatedAt', 'lastUpdated', 'isValid']);
+
+export class ConfigComparison {
+    /**
+     * 比较两套配置
+     * @param {{providers: Array, models: Array}} left - 左侧配置
+     * @param {{providers: Array, models: Array}} right - 右侧配置
+     * @returns {{providers: Array, models: Array, identical: boolean}} 每项为 {key, status: added|removed|changed|same, fields: [{field, left, right}]}，
+     *   added表示只在右侧存在
+     */
+    static compare(left, right) {
+        const leftIndex = this.indexConfiguration(left);
+        const rightIndex = this.indexConfiguration(right);
+        const providers = this.compareEntries(leftIndex.providers, rightIndex.providers);
+        const models = this.compareEntries(leftIndex.models, rightIndex.models);
+
+        return {
+            providers,
+            models,
+            identical: [...providers, ...models].every(entry => entry.status === 'same')
+        };
+    }
+
+    static indexConfiguration({ providers = [], models = [] }) {
+        const providerNames = new Map(providers.map(provider => [provider.id, provider.name]));
+        return {
+            providers: new Map(providers.map(provider => [provider.name, provider])),
+            models: new Map(models.map(model => [`${providerNames.get(model.providerId) || '?'}/${model.modelId}`, model]))
+        };
+    }
+
+    static compareEntries(leftEntries, rightEntries) {
+        const keys = [...new Set([...leftEntries.keys(), ...rightEntries.keys()])].sort();
+        return keys.map(key => {
+            const left = leftEntries.get(key);
+            const right = rightEntries.get(key);
+            if (!left) {
+                return { key, status: 'added', fields: [] };
+            }
+            if (!right) {
+                return { key, status: 'removed', fields: [] };
+            }
+            const fields = this.compareFields(left, right);
+            return { key, status: fields.length > 0 ? 'changed' : 'same', fields };
+        });
+    }
+
+    static compareFields(left, right) {
+        const fields = [...new Set([...Object.keys(left), ...Object.keys(right)])]
+            .filter(field => !IGNORED_FIELDS.has(field))
+            .sort();
+
+        return fields
+            .map(field => ({ field, left: this.normalizeValue(field, left[field]), right: this.normalizeValue(field, right[field]) }))
+            .filter(({ left: leftValue, right: rightValue }) => JSON.stringify(leftValue) !== JSON.stringify(rightValue));
+    }
+
+    static normalizeValue(field, value) {
+        if (field === 'apiKey') {
+            return value ? '已填写' : '未填写';
+        }
+        return value === undefined ? null : value;
+    }
+}
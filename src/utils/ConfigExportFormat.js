@@ -0,0 +1,321 @@
+/**
+ * ConfigExportFormat.js
+ * 配置导出文件格式（docs/config-export-format.md）：生成当前版本的导出数据，
+ * 导入时按迁移链将旧版本文件升级到当前版本，并按字段定义校验，
+ * 报告被跳过和被转换的字段。高于当前版本的文件拒绝导入
+ */
+
+import { ProviderRequestOptions } from './ProviderRequestOptions.js';
+
+export const EXPORT_FORMAT = 'taskmaster-tool-config';
+export const EXPORT_FORMAT_VERSION = '2.0.0';
+
+// 字段定义：type 为 string、number、boolean、array 或 object；required 的字段缺失时整条记录被跳过，
+// generated 的字段缺失时自动生成；default 为缺失或无法转换时使用的值
+export const PROVIDER_SCHEMA = {
+    id: { type: 'string', generated: true },
+    name: { type: 'string', required: true },
+    endpoint: { type: 'string', default: '' },
+    type: { type: 'string', default: 'openai' },
+    apiKey: { type: 'string', default: '' },
+    envVar: { type: 'string' },
+    apiVersion: { type: 'string' },
+    headers: { type: 'object' },
+    queryParams: { type: 'object' },
+    isValid: { type: 'boolean' }
+};
+
+export const MODEL_SCHEMA = {
+    id: { type: 'string', generated: true },
+    providerId: { type: 'string', required: true },
+    modelId: { type: 'string', required: true },
+    name: { type: 'string' },
+    providerName: { type: 'string' },
+    maxTokens: { type: 'number' },
+    sweScore: { type: 'number' },
+    costPer1MTokens: { type: 'object' },
+    allowedRoles: { type: 'array' },
+    isActive: { type: 'boolean' }
+};
+
+// 迁移链：每一步把 from 版本的数据升级为 to 版本，按顺序执行
+const MIGRATIONS = [
+    {
+        from: '0.0.0',
+        to: '1.0.0',
+        description: '补充版本号（早期导出文件没有version字段）',
+        migrate: data => ({ ...data, version: '1.0.0' })
+    },
+    {
+        from: '1.0.0',
+        to: '2.0.0',
+        description: '增加格式标识，timestamp改为exportedAt，移除供应商中重复的models列表',
+        migrate: ({ timestamp, ...data }) => ({
+            ...data,
+            format: EXPORT_FORMAT,
+            version: '2.0.0',
+            exportedAt: data.exportedAt || timestamp || null,
+            providers: (data.providers || []).map(provider => {
+                if (!provider || typeof provider !== 'object') {
+                    return provider;
+                }
+                const rest = { ...provider };
+                delete rest.models;
+                return rest;
+            })
+        })
+    }
+];
+
+export class ConfigExportFormat {
+    /**
+     * 生成当前版本的导出数据
+     * @param {Array} providers - 供应商
+     * @param {Array} models - 模型
+     * @param {object} [options]
+     * @param {boolean} [options.includeSecrets=false] - 是否包含API密钥和密钥类请求头，默认清空密钥并去掉这些请求头
+     * @returns {Object}
+     */
+    static create(providers, models, options = {}) {
+        const { includeSecrets = false } = options;
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            includesSecrets: includeSecrets,
+            providers: providers.map(provider => {
+                const entry = this.pick(provider, PROVIDER_SCHEMA);
+                if (includeSecrets) {
+                    return entry;
+                }
+                return {
+                    ...entry,
+                    apiKey: '',
+                    ...(entry.headers ? { headers: ProviderRequestOptions.splitSecretHeaders(entry.headers).headers } : {})
+                };
+            }),
+            models: models.map(model => this.pick(model, MODEL_SCHEMA))
+        };
+    }
+
+    static pick(source, schema) {
+        const result = {};
+        Object.keys(schema).forEach(field => {
+            if (source[field] !== undefined) {
+                result[field] = source[field];
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 比较两个 x.y.z 版本号
+     * @returns {number} a < b 时为负数，相等为0，a > b 时为正数
+     */
+    static compareVersions(a, b) {
+        const left = a.split('.').map(Number);
+        const right = b.split('.').map(Number);
+        for (let i = 0; i < 3; i++) {
+            if (left[i] !== right[i]) {
+                return left[i] - right[i];
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * 读取导出文件的版本，没有version字段的早期文件视为 0.0.0
+     * @param {Object} data - 导出文件内容
+     * @returns {string}
+     */
+    static getVersion(data) {
+        if (data.version === undefined) {
+            return '0.0.0';
+        }
+        if (typeof data.version !== 'string' || !/^\d+\.\d+\.\d+$/.test(data.version)) {
+            throw new Error(`配置文件版本号无效: ${JSON.stringify(data.version)}`);
+        }
+        return data.version;
+    }
+
+    /**
+     * 将导出文件升级到当前版本
+     * @param {Object} data - 导出文件内容
+     * @returns {{data: Object, sourceVersion: string, migrations: string[]}}
+     */
+    static migrate(data) {
+        const sourceVersion = this.getVersion(data);
+        if (this.compareVersions(sourceVersion, EXPORT_FORMAT_VERSION) > 0) {
+            throw new Error(`配置文件版本 ${sourceVersion} 高于本工具支持的版本 ${EXPORT_FORMAT_VERSION}，请升级taskmaster-tool后再导入`);
+        }
+
+        let migrated = data;
+        let version = sourceVersion;
+        const migrations = [];
+        MIGRATIONS.forEach(migration => {
+            if (this.compareVersions(version, migration.from) === 0) {
+                migrated = migration.migrate(migrated);
+                version = migration.to;
+                migrations.push(`${migration.from} → ${migration.to}: ${migration.description}`);
+            }
+        });
+
+        if (version !== EXPORT_FORMAT_VERSION) {
+            throw new Error(`不支持的配置文件版本: ${sourceVersion}`);
+        }
+        return { data: migrated, sourceVersion, migrations };
+    }
+
+    /**
+     * 将值转换为字段定义的类型
+     * @returns {{ok: boolean, value: *}} 无法转换时ok为false
+     */
+    static coerce(value, type) {
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (actual === type && value !== null) {
+            return { ok: true, value };
+        }
+
+        if (type === 'string' && (actual === 'number' || actual === 'boolean')) {
+            return { ok: true, value: String(value) };
+        }
+        if (type === 'number' && actual === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+            return { ok: true, value: Number(value) };
+        }
+        if (type === 'boolean' && (value === 'true' || value === 'false')) {
+            return { ok: true, value: value === 'true' };
+        }
+        if (type === 'array' && actual === 'string') {
+            return { ok: true, value: value.split(',').map(item => item.trim()).filter(Boolean) };
+        }
+        return { ok: false, value };
+    }
+
+    /**
+     * 按字段定义校验一条记录。记录被跳过时只报告跳过的原因，不报告其中字段的转换
+     * @param {*} entry - 记录
+     * @param {Object} schema - 字段定义
+     * @param {string} path - 报告中使用的路径，如 providers[0]
+     * @param {Function} generateId - 生成缺失的id
+     * @param {Function} [check] - 额外检查校验后的记录，返回跳过原因或null
+     * @returns {{entry: Object|null, skipped: Array, coerced: Array}}
+     */
+    static validateEntry(entry, schema, path, generateId, check = () => null) {
+        const skip = reason => ({ entry: null, skipped: [{ path, reason }], coerced: [] });
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return skip('不是对象');
+        }
+
+        const result = {};
+        const skipped = [];
+        const coercedFields = [];
+        const missingGenerated = [];
+        for (const [field, definition] of Object.entries(schema)) {
+            const value = entry[field];
+            if (value === undefined || value === null || value === '') {
+                if (definition.required) {
+                    return skip(`缺少必填字段 ${field}`);
+                }
+                if (definition.generated) {
+                    missingGenerated.push(field);
+                } else if (value === '' && definition.type === 'string') {
+                    result[field] = value;
+                } else if (definition.default !== undefined) {
+                    result[field] = definition.default;
+                }
+                continue;
+            }
+
+            const coerced = this.coerce(value, definition.type);
+            if (coerced.ok) {
+                result[field] = coerced.value;
+                if (coerced.value !== value) {
+                    coercedFields.push({ path: `${path}.${field}`, from: value, to: coerced.value });
+                }
+            } else if (definition.required) {
+                return skip(`字段 ${field} 应为${definition.type}`);
+            } else {
+                skipped.push({ path: `${path}.${field}`, reason: `应为${definition.type}，已忽略` });
+                if (definition.default !== undefined) {
+                    result[field] = definition.default;
+                }
+            }
+        }
+
+        const reason = check(result);
+        if (reason) {
+            return skip(reason);
+        }
+
+        missingGenerated.forEach(field => {
+            result[field] = generateId();
+            coercedFields.unshift({ path: `${path}.${field}`, from: null, to: result[field] });
+        });
+        Object.keys(entry)
+            .filter(field => !(field in schema))
+            .forEach(field => skipped.push({ path: `${path}.${field}`, reason: '未知字段，已忽略' }));
+
+        return { entry: result, skipped, coerced: coercedFields };
+    }
+
+    /**
+     * 解析导出文件：迁移到当前版本并校验
+     * @param {string|Object} input - 文件文本或已解析的内容
+     * @param {object} [options]
+     * @param {Function} [options.generateId] - 为缺少id的记录生成id，参数为前缀
+     * @returns {{providers: Array, models: Array, report: {sourceVersion: string, migrations: string[],
+     *   skipped: Array<{path: string, reason: string}>, coerced: Array<{path: string, from: *, to: *}>}}}
+     */
+    static parse(input, options = {}) {
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (error) {
+                throw new Error(`配置文件不是有效的JSON: ${error.message}`);
+            }
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('配置文件格式无效：内容必须是JSON对象');
+        }
+        if (data.format !== undefined && data.format !== EXPORT_FORMAT) {
+            throw new Error(`不是taskmaster-tool的配置文件（format为 ${data.format}）`);
+        }
+
+        const { data: migrated, sourceVersion, migrations } = this.migrate(data);
+        if (!Array.isArray(migrated.providers) || !Array.isArray(migrated.models)) {
+            throw new Error('配置文件格式无效：缺少providers或models数组');
+        }
+
+        let counter = 0;
+        const generateId = options.generateId || (prefix => `${prefix}_imported_${++counter}`);
+        const report = { sourceVersion, migrations, skipped: [], coerced: [] };
+
+        const collect = ({ entry, skipped, coerced }) => {
+            report.skipped.push(...skipped);
+            report.coerced.push(...coerced);
+            return entry;
+        };
+
+        const providers = migrated.providers
+            .map((provider, index) => collect(this.validateEntry(provider, PROVIDER_SCHEMA, `providers[${index}]`,
+                () => generateId('provider'))))
+            .filter(Boolean);
+
+        const providerIds = new Set(providers.map(provider => provider.id));
+        const models = migrated.models
+            .map((model, index) => {
+                const path = `models[${index}]`;
+                const entry = collect(this.validateEntry(model, MODEL_SCHEMA, path, () => generateId('model'),
+                    result => (providerIds.has(result.providerId) ? null : `供应商 ${result.providerId} 不存在`)));
+                if (entry && !entry.name) {
+                    entry.name = entry.modelId;
+                    report.coerced.push({ path: `${path}.name`, from: null, to: entry.name });
+                }
+                return entry;
+            })
+            .filter(Boolean);
+
+        return { providers, models, report };
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * ConfigExporters.js
+ * 将当前的供应商和模型导出为其他工具的配置：LiteLLM代理的 config.yaml、
+ * 列出各供应商API密钥变量的 .env.example，以及Continue的模型配置 config.yaml。
+ * 导出的文件只引用环境变量，不包含API密钥；名称表示密钥的请求头（如Authorization）不导出
+ */
+
+import { ConfigTransformer } from './ConfigTransformer.js';
+import { YamlWriter } from './YamlWriter.js';
+import { DEFAULT_AZURE_API_VERSION, ProviderFileTemplates } from './ProviderFileTemplates.js';
+import { ProviderRequestOptions } from './ProviderRequestOptions.js';
+
+export const EXPORT_FORMATS = {
+    litellm: { label: 'LiteLLM 代理配置 (config.yaml)', fileName: 'litellm-config.yaml', mimeType: 'application/yaml' },
+    env: { label: '环境变量模板 (.env.example)', fileName: '.env.example', mimeType: 'text/plain' },
+    continue: { label: 'Continue 模型配置 (config.yaml)', fileName: 'continue-config.yaml', mimeType: 'application/yaml' }
+};
+
+// 供应商类型 -> LiteLLM模型前缀 / Continue的provider，其余类型按OpenAI兼容接口处理
+const LITELLM_PREFIXES = { anthropic: 'anthropic', google: 'gemini', ollama: 'ollama', azure: 'azure' };
+const CONTINUE_PROVIDERS = { anthropic: 'anthropic', google: 'gemini', ollama: 'ollama', azure: 'azure' };
+
+// 不需要API密钥的供应商类型
+const KEYLESS_TYPES = ['ollama'];
+
+const CONTINUE_ROLES = ['chat', 'edit', 'apply'];
+
+const HEADER = '由 TaskMaster 配置工具生成';
+
+const transformer = new ConfigTransformer();
+
+export class ConfigExporters {
+    /**
+     * 导出为指定格式
+     * @param {string} format - EXPORT_FORMATS中的键
+     * @param {Array} providers - 供应商
+     * @param {Array} models - 模型
+     * @returns {{fileName: string, mimeType: string, content: string, warnings: string[]}}
+     */
+    static export(format, providers, models) {
+        const definition = EXPORT_FORMATS[format];
+        if (!definition) {
+            throw new Error(`不支持的导出格式: ${format}`);
+        }
+
+        let exported;
+        if (format === 'litellm') {
+            exported = this.toLiteLLM(providers, models);
+        } else if (format === 'env') {
+            exported = this.toEnvExample(providers);
+        } else {
+            exported = this.toContinue(providers, models);
+        }
+        return { fileName: definition.fileName, mimeType: definition.mimeType, ...exported };
+    }
+
+    /**
+     * 供应商的API密钥环境变量名，与写入MCP配置和 .env 的变量名一致：{PROVIDER_KEY}_API_KEY
+     * @param {Object} provider - 供应商
+     * @returns {string}
+     */
+    static getEnvVar(provider) {
+        return provider.envVar || `${transformer.getProviderKey(provider).toUpperCase()}_API_KEY`;
+    }
+
+    /**
+     * 导出的API地址。OpenAI兼容接口与生成的供应商文件使用相同的规范化（补全/v1），
+     * LiteLLM和Continue直接在其后拼接 /chat/completions；
+     * Anthropic、Gemini、Ollama和Azure由目标工具自行补全接口路径，使用配置的端点
+     * @param {Object} provider - 供应商
+     * @returns {string|undefined}
+     */
+    static getApiBase(provider) {
+        if (!provider.endpoint) {
+            return undefined;
+        }
+        return LITELLM_PREFIXES[provider.type] ? provider.endpoint : ProviderFileTemplates.resolveBaseURL(provider.type, provider.endpoint);
+    }
+
+    /**
+     * 按供应商分组模型，没有模型的供应商记录警告后跳过；分组中的供应商已去掉密钥类请求头
+     * @param {Array} providers - 供应商
+     * @param {Array} models - 模型
+     * @param {string[]} warnings - 收集警告
+     * @param {string} toolName - 目标工具名称，用于无法导出的查询参数的警告
+     * @returns {Array<{provider: Object, models: Array}>}
+     */
+    static groupModels(providers, models, warnings, toolName) {
+        const groups = [];
+        providers.forEach(provider => {
+            const providerModels = models.filter(model => model.providerId === provider.id);
+            if (providerModels.length === 0) {
+                warnings.push(`供应商 ${provider.name} 没有模型，未导出`);
+                return;
+            }
+            if (!provider.endpoint) {
+                warnings.push(`供应商 ${provider.name} 没有设置端点，导出的配置中缺少API地址`);
+            }
+            if (Object.keys(provider.queryParams || {}).length > 0) {
+                warnings.push(`${toolName}配置不支持附加查询参数，供应商 ${provider.name} 的 ${Object.keys(provider.queryParams).join('、')} 未导出`);
+            }
+            const { headers, secretHeaders } = ProviderRequestOptions.splitSecretHeaders(provider.headers);
+            if (Object.keys(secretHeaders).length > 0) {
+                warnings.push(`供应商 ${provider.name} 的请求头 ${Object.keys(secretHeaders).join('、')} 包含密钥，未导出`);
+            }
+            groups.push({ provider: { ...provider, headers }, models: providerModels });
+        });
+        return groups;
+    }
+
+    /**
+     * LiteLLM代理配置：每个模型一个 model_list 条目，model_name 使用模型ID（在所有供应商中唯一），
+     * 客户端通过代理请求时使用相同的模型ID
+     * @param {Array} providers - 供应商
+     * @param {Array} models - 模型
+     * @returns {{content: string, warnings: string[]}}
+     */
+    static toLiteLLM(providers, models) {
+        const warnings = [];
+        const modelList = [];
+
+        this.groupModels(providers, models, warnings, 'LiteLLM').forEach(({ provider, models: providerModels }) => {
+            const prefix = LITELLM_PREFIXES[provider.type] || 'openai';
+            providerModels.forEach(model => {
+                const modelInfo = {};
+                if (model.maxTokens) {
+                    modelInfo.max_tokens = model.maxTokens;
+                }
+                // LiteLLM按每token计价
+                if (model.costPer1MTokens?.input || model.costPer1MTokens?.output) {
+                    modelInfo.input_cost_per_token = (model.costPer1MTokens.input || 0) / 1e6;
+                    modelInfo.output_cost_per_token = (model.costPer1MTokens.output || 0) / 1e6;
+                }
+
+                modelList.push({
+                    model_name: model.modelId,
+                    litellm_params: {
+                        model: `${prefix}/${model.modelId}`,
+                        api_base: this.getApiBase(provider),
+                        api_key: KEYLESS_TYPES.includes(provider.type) ? undefined : `os.environ/${this.getEnvVar(provider)}`,
+                        api_version: provider.type === 'azure' ? provider.apiVersion || DEFAULT_AZURE_API_VERSION : undefined,
+                        extra_headers: Object.keys(provider.headers || {}).length > 0 ? { ...provider.headers } : undefined
+                    },
+                    model_info: Object.keys(modelInfo).length > 0 ? modelInfo : undefined
+                });
+            });
+        });
+
+        const content = YamlWriter.stringify({ model_list: modelList }, {
+            header: `${HEADER}\n启动代理前设置各供应商的API密钥环境变量，然后运行 litellm --config litellm-config.yaml`
+        });
+        return { content, warnings };
+    }
+
+    /**
+     * .env.example：每个供应商一个空的API密钥变量，变量名相同的供应商只列出一次
+     * @param {Array} providers - 供应商
+     * @returns {{content: string, warnings: string[]}}
+     */
+    static toEnvExample(providers) {
+        const lines = [`# ${HEADER}`, '# 填写API密钥后另存为 .env，不要把 .env 提交到仓库'];
+        const seen = new Set();
+
+        providers.forEach(provider => {
+            const envVar = this.getEnvVar(provider);
+            if (seen.has(envVar)) {
+                return;
+            }
+            seen.add(envVar);
+            lines.push('', `# ${provider.name}${provider.endpoint ? ` (${provider.endpoint})` : ''}`, `${envVar}=`);
+        });
+
+        return { content: `${lines.join('\n')}\n`, warnings: [] };
+    }
+
+    /**
+     * Continue的 config.yaml：每个模型一个 models 条目，API密钥通过 secrets 引用环境变量
+     * @param {Array} providers - 供应商
+     * @param {Array} models - 模型
+     * @returns {{content: string, warnings: string[]}}
+     */
+    static toContinue(providers, models) {
+        const warnings = [];
+        const entries = [];
+
+        this.groupModels(providers, models, warnings, 'Continue').forEach(({ provider, models: providerModels }) => {
+            providerModels.forEach(model => {
+                entries.push({
+                    name: model.name || model.modelId,
+                    provider: CONTINUE_PROVIDERS[provider.type] || 'openai',
+                    model: model.modelId,
+                    apiBase: this.getApiBase(provider),
+                    apiKey: KEYLESS_TYPES.includes(provider.type) ? undefined : `\${{ secrets.${this.getEnvVar(provider)} }}`,
+                    // Azure OpenAI按部署名称调用，模型ID即部署名称
+                    env: provider.type === 'azure'
+                        ? { apiType: 'azure-openai', apiVersion: provider.apiVersion || DEFAULT_AZURE_API_VERSION, deployment: model.modelId }
+                        : undefined,
+                    roles: [...CONTINUE_ROLES],
+                    requestOptions: Object.keys(provider.headers || {}).length > 0 ? { headers: { ...provider.headers } } : undefined,
+                    defaultCompletionOptions: model.maxTokens ? { maxTokens: model.maxTokens } : undefined
+                });
+            });
+        });
+
+        const content = YamlWriter.stringify({
+            name: 'TaskMaster Models',
+            version: '1.0.0',
+            schema: 'v1',
+            models: entries
+        }, { header: `${HEADER}\n复制到 ~/.continue/config.yaml，并在 ~/.continue/.env 中设置同名的API密钥变量` });
+        return { content, warnings };
+    }
+}
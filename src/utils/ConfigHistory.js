@@ -0,0 +1,173 @@
+/**
+ * ConfigHistory.js
+ * 供应商和模型编辑的撤销/重做历史：每一步保存修改前后的完整快照，
+ * 以及这一步通过变更计划写入的TaskMaster文件（撤销时可以一并恢复）。历史只保存在内存中
+ */
+
+// 最多保留的步骤数量，超出时丢弃最早的步骤
+const MAX_HISTORY_STEPS = 50;
+
+export class ConfigHistory {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.limit] - 最多保留的步骤数量
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || MAX_HISTORY_STEPS;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.listeners = new Set();
+        this.nextId = 1;
+    }
+
+    /**
+     * 复制供应商和模型作为快照
+     * @param {{providers: Array, models: Array}} config - 当前配置
+     * @returns {{providers: Array, models: Array}}
+     */
+    static snapshot({ providers, models }) {
+        return JSON.parse(JSON.stringify({ providers, models }));
+    }
+
+    /**
+     * 创建一个尚未记录的步骤，作为修改期间关联文件变更和合并嵌套修改的凭据，修改完成后用commit记录
+     * @param {string} label - 步骤名称，显示在历史面板中
+     * @returns {Object} 步骤
+     */
+    createStep(label) {
+        return {
+            id: this.nextId++,
+            label,
+            timestamp: new Date().toISOString(),
+            before: null,
+            after: null,
+            files: []
+        };
+    }
+
+    /**
+     * 记录createStep创建的步骤；前后快照相同且没有关联文件变更时不记录。新的修改会清空重做列表
+     * @param {Object} step - createStep创建的步骤
+     * @param {{providers: Array, models: Array}} before - 修改前的快照
+     * @param {{providers: Array, models: Array}} after - 修改后的快照
+     * @returns {Object|null} 记录的步骤
+     */
+    commit(step, before, after) {
+        if (JSON.stringify(before) === JSON.stringify(after) && step.files.length === 0) {
+            return null;
+        }
+
+        Object.assign(step, { before, after });
+        this.undoStack.push(step);
+        this.undoStack.splice(0, Math.max(0, this.undoStack.length - this.limit));
+        this.redoStack = [];
+        this.notify();
+        return step;
+    }
+
+    /**
+     * 记录一步修改；前后快照相同时不记录
+     * @param {string} label - 步骤名称，显示在历史面板中
+     * @param {{providers: Array, models: Array}} before - 修改前的快照
+     * @param {{providers: Array, models: Array}} after - 修改后的快照
+     * @returns {Object|null} 记录的步骤
+     */
+    record(label, before, after) {
+        return this.commit(this.createStep(label), before, after);
+    }
+
+    /**
+     * 将应用的文件变更关联到指定步骤，撤销这一步时可以恢复这些文件。
+     * 同一步多次写入同一文件时合并为一项：保留第一次的修改前内容和最后一次的修改后内容
+     * @param {Object} step - 修改所属的步骤（ConfigManager.batch传入的凭据）
+     * @param {Array<{root: string, path: string, before: string|null, after: string|null}>} changes - ChangePlan.appliedChanges
+     */
+    attachFileChanges(step, changes) {
+        if (!step || !changes || changes.length === 0) {
+            return;
+        }
+        changes.forEach(({ root, path, before, after }) => {
+            const existing = step.files.find(file => file.root === root && file.path === path);
+            if (existing) {
+                existing.after = after;
+            } else {
+                step.files.push({ root, path, before, after });
+            }
+        });
+        // 写入后又改回原内容的文件无需恢复
+        step.files = step.files.filter(file => file.before !== file.after);
+        this.notify();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 取出要撤销的步骤并移到重做列表
+     * @returns {Object|null}
+     */
+    takeUndo() {
+        const step = this.undoStack.pop() || null;
+        if (step) {
+            this.redoStack.push(step);
+            this.notify();
+        }
+        return step;
+    }
+
+    /**
+     * 取出要重做的步骤并移回撤销列表
+     * @returns {Object|null}
+     */
+    takeRedo() {
+        const step = this.redoStack.pop() || null;
+        if (step) {
+            this.undoStack.push(step);
+            this.notify();
+        }
+        return step;
+    }
+
+    /**
+     * 列出所有步骤，按时间顺序，已撤销的步骤在最后
+     * @returns {Array<{id: number, label: string, timestamp: string, files: Array, undone: boolean}>}
+     */
+    list() {
+        const toEntry = undone => ({ id, label, timestamp, files }) => ({ id, label, timestamp, files, undone });
+        return [
+            ...this.undoStack.map(toEntry(false)),
+            ...[...this.redoStack].reverse().map(toEntry(true))
+        ];
+    }
+
+    /**
+     * 清空历史（切换工作区或配置方案、从项目文件重新加载后，旧快照不再适用）
+     */
+    clear() {
+        if (this.undoStack.length === 0 && this.redoStack.length === 0) {
+            return;
+        }
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * 监听历史变化
+     * @param {Function} listener - 历史变化时调用
+     * @returns {Function} 取消监听
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+}
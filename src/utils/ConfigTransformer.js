@@ -3,6 +3,10 @@
  * Handles bidirectional transformation between UI tool format and TaskMaster format
  */
 
+import { TaskMasterSchemas } from './TaskMasterSchemas.js';
+
+const SUPPORTED_MODELS_FILE = 'supported-models.json';
+
 export class ConfigTransformer {
     constructor() {
         // Provider type mappings (扩展支持更多供应商)
@@ -324,17 +328,9 @@ export class ConfigTransformer {
         if (!taskMasterConfig.supportedModels) {
             errors.push('Missing supportedModels section');
         } else {
-            // Validate supported models structure
-            Object.keys(taskMasterConfig.supportedModels).forEach(providerKey => {
-                const models = taskMasterConfig.supportedModels[providerKey];
-                if (!Array.isArray(models)) {
-                    errors.push(`Provider ${providerKey}: Models must be an array`);
-                } else {
-                    models.forEach((model, index) => {
-                        if (!model.id) errors.push(`Provider ${providerKey}, Model ${index + 1}: ID is required`);
-                    });
-                }
-            });
+            // Validate supported models structure against the supported-models.json schema
+            const schemaErrors = TaskMasterSchemas.validateData(SUPPORTED_MODELS_FILE, taskMasterConfig.supportedModels);
+            errors.push(...TaskMasterSchemas.formatErrors(SUPPORTED_MODELS_FILE, schemaErrors));
         }
 
         // 不再验证 config 部分，因为它由 TaskMaster 初始化流程管理
@@ -0,0 +1,175 @@
+/**
+ * CustomProvidersFile.js
+ * 项目级自定义供应商定义：读写用户项目中的 .taskmaster/custom-providers.json，
+ * 文件只包含供应商和模型的定义（名称、端点、类型、附加请求头和查询参数、环境变量名、模型），
+ * 不包含API密钥和密钥类请求头（如Authorization，见 ProviderRequestOptions.splitSecretHeaders），
+ * 可以提交到仓库中，让团队成员获得相同的供应商配置
+ */
+
+import { Logger } from './Logger.js';
+import { ProjectEnvFile } from './DotEnvFile.js';
+import { ProviderRequestOptions } from './ProviderRequestOptions.js';
+
+export const CUSTOM_PROVIDERS_PATH = '.taskmaster/custom-providers.json';
+
+const FILE_VERSION = 1;
+
+// 写入文件的供应商和模型字段（apiKey等本地状态不写入，headers中的密钥类请求头去掉后写入）
+const PROVIDER_FIELDS = ['id', 'name', 'endpoint', 'type', 'apiVersion', 'headers', 'queryParams'];
+const MODEL_FIELDS = ['id', 'name', 'modelId', 'sweScore', 'maxTokens', 'costPer1MTokens', 'allowedRoles'];
+
+function pick(source, fields) {
+    const result = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined) {
+            result[field] = source[field];
+        }
+    });
+    return result;
+}
+
+export class CustomProvidersFile {
+    /**
+     * @param {SaveConfig} saveConfig - 提供项目目录的SaveConfig实例
+     */
+    constructor(saveConfig) {
+        this.saveConfig = saveConfig;
+    }
+
+    /**
+     * 获取供应商的API密钥环境变量名
+     * @param {Object} provider - 供应商
+     * @returns {string}
+     */
+    static getEnvVar(provider) {
+        return provider.envVar || `${provider.name.toUpperCase()}_API_KEY`;
+    }
+
+    /**
+     * 将本地配置转换为文件内容
+     * @param {Array} providers - 自定义供应商
+     * @param {Array} models - 模型
+     * @returns {{version: number, providers: Array}}
+     */
+    static toDefinitions(providers, models) {
+        return {
+            version: FILE_VERSION,
+            providers: providers.map(provider => ({
+                ...pick(provider, PROVIDER_FIELDS),
+                ...(provider.headers ? { headers: ProviderRequestOptions.splitSecretHeaders(provider.headers).headers } : {}),
+                envVar: CustomProvidersFile.getEnvVar(provider),
+                models: models
+                    .filter(model => model.providerId === provider.id)
+                    .map(model => pick(model, MODEL_FIELDS))
+            }))
+        };
+    }
+
+    /**
+     * 将文件内容转换为本地配置，API密钥、密钥类请求头等本地状态按供应商名称从现有配置中保留
+     * @param {{providers: Array}} definitions - 文件内容
+     * @param {Array} localProviders - 现有的本地供应商
+     * @param {Function} generateId - 为缺少id的条目生成id
+     * @returns {{providers: Array, models: Array}}
+     */
+    static fromDefinitions(definitions, localProviders, generateId) {
+        if (!Array.isArray(definitions?.providers)) {
+            throw new Error(`${CUSTOM_PROVIDERS_PATH} 格式无效：缺少providers数组`);
+        }
+
+        const providers = [];
+        const models = [];
+        definitions.providers.forEach(entry => {
+            if (!entry.name) {
+                throw new Error(`${CUSTOM_PROVIDERS_PATH} 格式无效：供应商缺少name`);
+            }
+
+            const local = localProviders.find(provider => provider.name.toLowerCase() === entry.name.toLowerCase());
+            const { secretHeaders } = ProviderRequestOptions.splitSecretHeaders(local?.headers);
+            const provider = {
+                ...(local ? { apiKey: local.apiKey, isValid: local.isValid } : { apiKey: '', isValid: false }),
+                ...pick(entry, PROVIDER_FIELDS),
+                ...(Object.keys(secretHeaders).length > 0 ? { headers: { ...entry.headers, ...secretHeaders } } : {}),
+                id: entry.id || local?.id || generateId('provider'),
+                envVar: entry.envVar || CustomProvidersFile.getEnvVar(entry)
+            };
+            providers.push(provider);
+
+            (entry.models || []).forEach(modelEntry => {
+                models.push({
+                    ...pick(modelEntry, MODEL_FIELDS),
+                    id: modelEntry.id || generateId('model'),
+                    providerId: provider.id
+                });
+            });
+        });
+
+        return { providers, models };
+    }
+
+    /**
+     * 是否可以访问项目目录
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.saveConfig.directoryHandleCache.has('taskmaster-project');
+    }
+
+    /**
+     * 读取文件
+     * @returns {Promise<Object|null>} 文件内容，项目目录不可用或文件不存在时返回null
+     */
+    async read() {
+        if (!this.isAvailable()) {
+            return null;
+        }
+
+        const content = await this.saveConfig.readFileFromDirectory(
+            this.saveConfig.directoryHandleCache.get('taskmaster-project'),
+            CUSTOM_PROVIDERS_PATH
+        );
+        if (content === null) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            throw new Error(`${CUSTOM_PROVIDERS_PATH} 不是有效的JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * 读取项目 .env 中的变量，用于为没有本地API密钥的供应商预填密钥
+     * @returns {Promise<Object<string, string>>} 项目目录不可用或文件不存在时返回空对象
+     */
+    async readEnvValues() {
+        if (!this.isAvailable()) {
+            return {};
+        }
+        return new ProjectEnvFile(this.saveConfig).readValues();
+    }
+
+    /**
+     * 写入文件，内容未变化时不写入
+     * @param {Array} providers - 自定义供应商
+     * @param {Array} models - 模型
+     * @returns {Promise<boolean>} 是否写入
+     */
+    async write(providers, models) {
+        if (!this.isAvailable()) {
+            return false;
+        }
+
+        const projectDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-project');
+        const content = `${JSON.stringify(CustomProvidersFile.toDefinitions(providers, models), null, 2)}\n`;
+        const existing = await this.saveConfig.readFileFromDirectory(projectDirHandle, CUSTOM_PROVIDERS_PATH);
+        if (existing === content) {
+            return false;
+        }
+
+        await this.saveConfig.writeFileToDirectory(projectDirHandle, CUSTOM_PROVIDERS_PATH, content);
+        Logger.info(`已更新 ${CUSTOM_PROVIDERS_PATH}`, { providers: providers.length });
+        return true;
+    }
+}
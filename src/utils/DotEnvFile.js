@@ -0,0 +1,239 @@
+/**
+ * DotEnvFile.js
+ * 项目 .env 文件的读写：Task Master CLI从 .env 读取API密钥。
+ * 按行修改，保留注释、空行、原有顺序和换行符，只改动指定的键
+ */
+
+export const ENV_FILE_PATH = '.env';
+
+// KEY=value，允许 export 前缀
+const ASSIGNMENT_PATTERN = /^(\s*(?:export\s+)?)([A-Za-z_][A-Za-z0-9_.]*)(\s*=\s*)(.*)$/;
+
+// 不需要加引号的值
+const PLAIN_VALUE_PATTERN = /^[A-Za-z0-9_\-.:/+=@,]*$/;
+
+/**
+ * 解析赋值右侧的值（支持单引号、双引号和行尾注释）
+ * @param {string} raw - 等号后的原始文本
+ * @returns {{value: string, comment: string}} 值和值后的原始文本（行尾注释，含前导空白）
+ */
+function parseValue(raw) {
+    const text = raw.trimEnd();
+
+    if (text.startsWith('"')) {
+        const match = text.match(/^"((?:[^"\\]|\\.)*)"(.*)$/);
+        if (match) {
+            return { value: match[1].replace(/\\(.)/g, (_, char) => (char === 'n' ? '\n' : char)), comment: match[2] };
+        }
+    } else if (text.startsWith("'")) {
+        const end = text.indexOf("'", 1);
+        if (end > 0) {
+            return { value: text.slice(1, end), comment: text.slice(end + 1) };
+        }
+    }
+
+    // 未加引号的值：空白后的 # 开始行尾注释
+    const match = text.match(/^(.*?)(\s+#.*)$/);
+    return match ? { value: match[1].trim(), comment: match[2] } : { value: text.trim(), comment: '' };
+}
+
+function formatValue(value) {
+    const text = String(value);
+    if (PLAIN_VALUE_PATTERN.test(text)) {
+        return text;
+    }
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+export class DotEnvFile {
+    /**
+     * @param {string} [content] - .env文件内容
+     */
+    constructor(content = '') {
+        // 新增的行使用文件中第一个换行符
+        this.eol = content.includes('\r\n') ? '\r\n' : '\n';
+        // 每行保留自己的换行符，混用LF和CRLF的文件只改动被修改的行
+        this.lines = [];
+        const pattern = /([^\n]*?)(\r?\n|$)/g;
+        let match;
+        while ((match = pattern.exec(content)) && match[0] !== '') {
+            this.lines.push({ text: match[1], eol: match[2] });
+        }
+    }
+
+    static parseLine(line) {
+        const match = line.match(ASSIGNMENT_PATTERN);
+        if (!match) {
+            return null;
+        }
+        const { value, comment } = parseValue(match[4]);
+        return { prefix: match[1], key: match[2], separator: match[3], value, comment };
+    }
+
+    /**
+     * 获取键的值（重复定义时与dotenv一致，以最后一次为准）
+     * @param {string} key - 变量名
+     * @returns {string|undefined}
+     */
+    get(key) {
+        return this.toObject()[key];
+    }
+
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    /**
+     * 所有变量
+     * @returns {Object<string, string>}
+     */
+    toObject() {
+        const values = {};
+        this.lines.forEach(({ text }) => {
+            const parsed = DotEnvFile.parseLine(text);
+            if (parsed) {
+                values[parsed.key] = parsed.value;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * 设置变量：已存在时原位修改（保留export前缀、等号格式和行尾注释），否则追加到文件末尾
+     * @param {string} key - 变量名
+     * @param {string} value - 值
+     * @returns {boolean} 内容是否变化
+     */
+    set(key, value) {
+        if (this.get(key) === String(value)) {
+            return false;
+        }
+
+        let found = false;
+        this.lines.forEach(line => {
+            const parsed = DotEnvFile.parseLine(line.text);
+            if (parsed && parsed.key === key) {
+                found = true;
+                line.text = `${parsed.prefix}${key}${parsed.separator}${formatValue(value)}${parsed.comment}`;
+            }
+        });
+
+        if (!found) {
+            const last = this.lines[this.lines.length - 1];
+            if (last && last.eol === '') {
+                last.eol = this.eol;
+            }
+            this.lines.push({ text: `${key}=${formatValue(value)}`, eol: this.eol });
+        }
+        return true;
+    }
+
+    /**
+     * 删除变量的所有定义
+     * @param {string} key - 变量名
+     * @returns {boolean} 内容是否变化
+     */
+    delete(key) {
+        const before = this.lines.length;
+        this.lines = this.lines.filter(({ text }) => DotEnvFile.parseLine(text)?.key !== key);
+        return this.lines.length !== before;
+    }
+
+    toString() {
+        return this.lines.map(({ text, eol }) => `${text}${eol}`).join('');
+    }
+}
+
+/**
+ * 项目目录中的 .env 文件
+ */
+export class ProjectEnvFile {
+    /**
+     * @param {SaveConfig} saveConfig - 提供项目目录的SaveConfig实例（可以是规划或事务副本）
+     * @param {object} [options]
+     * @param {FileSystemDirectoryHandle|StorageBackend} [options.projectDirHandle] - 项目目录，默认使用目录缓存中的项目目录
+     */
+    constructor(saveConfig, options = {}) {
+        this.saveConfig = saveConfig;
+        this.projectDirHandle = options.projectDirHandle || null;
+    }
+
+    getProjectDirHandle() {
+        return this.projectDirHandle || this.saveConfig.directoryHandleCache.get('taskmaster-project') || null;
+    }
+
+    /**
+     * 读取 .env
+     * @returns {Promise<DotEnvFile|null>} 项目目录不可用或文件不存在时返回null
+     */
+    async read() {
+        const projectDirHandle = this.getProjectDirHandle();
+        if (!projectDirHandle) {
+            return null;
+        }
+        const content = await this.saveConfig.readFileFromDirectory(projectDirHandle, ENV_FILE_PATH);
+        return content === null ? null : new DotEnvFile(content);
+    }
+
+    /**
+     * 读取所有变量
+     * @returns {Promise<Object<string, string>>}
+     */
+    async readValues() {
+        const envFile = await this.read();
+        return envFile ? envFile.toObject() : {};
+    }
+
+    /**
+     * 修改 .env 并在内容变化时写回
+     * @param {Function} mutate - 接收DotEnvFile，返回是否修改
+     * @param {object} [options]
+     * @param {boolean} [options.create=true] - 文件不存在时是否创建
+     * @returns {Promise<boolean>} 是否写入
+     */
+    async update(mutate, options = {}) {
+        const { create = true } = options;
+        const projectDirHandle = this.getProjectDirHandle();
+        if (!projectDirHandle) {
+            throw new Error('TaskMaster项目目录不可用');
+        }
+
+        const existing = await this.read();
+        if (!existing && !create) {
+            return false;
+        }
+
+        const envFile = existing || new DotEnvFile();
+        if (!mutate(envFile)) {
+            return false;
+        }
+        await this.saveConfig.writeFileToDirectory(projectDirHandle, ENV_FILE_PATH, envFile.toString());
+        return true;
+    }
+
+    /**
+     * 设置多个变量
+     * @param {Object<string, string>} values - 变量名 -> 值
+     * @returns {Promise<boolean>} 是否写入
+     */
+    async setValues(values) {
+        const entries = Object.entries(values);
+        if (entries.length === 0) {
+            return false;
+        }
+        return this.update(envFile => entries
+            .map(([key, value]) => envFile.set(key, value))
+            .some(Boolean));
+    }
+
+    /**
+     * 删除多个变量（文件不存在时不创建）
+     * @param {string[]} keys - 变量名
+     * @returns {Promise<boolean>} 是否写入
+     */
+    async removeKeys(keys) {
+        return this.update(envFile => keys
+            .map(key => envFile.delete(key))
+            .some(Boolean), { create: false });
+    }
+}
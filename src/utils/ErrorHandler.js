@@ -6,6 +6,7 @@
  */
 
 import { Logger } from './Logger.js';
+import { Redactor } from './Redactor.js';
 import { UINotification } from '../components/UINotification.js';
 
 export class ErrorHandler {
@@ -75,9 +76,9 @@ export class ErrorHandler {
         const errorInfo = {
             id: this.generateErrorId(),
             timestamp: new Date().toISOString(),
-            message: errorObj.message,
-            stack: errorObj.stack,
-            context: context,
+            message: Redactor.redactString(errorObj.message),
+            stack: Redactor.redactString(errorObj.stack),
+            context: Redactor.redact(context),
             type: this.ErrorTypes.UNKNOWN,
             severity: this.Severity.MEDIUM,
             userMessage: '操作失败，请重试',
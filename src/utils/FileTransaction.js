@@ -0,0 +1,82 @@
+/**
+ * FileTransaction.js
+ * 多文件事务：在事务内修改的每个文件都会先保存快照，任一关键步骤失败时将所有文件恢复原状
+ */
+
+import { JournalingStorageBackend, toStorageBackend } from './StorageBackend.js';
+
+// 目录缓存键对应的显示名称
+const ROOT_LABELS = {
+    'taskmaster-package': 'TaskMaster包',
+    'taskmaster-project': 'TaskMaster项目'
+};
+
+export class FileTransaction {
+    /**
+     * @param {Map<string, StorageBackend|FileSystemDirectoryHandle>} targets - 目录缓存键 -> 存储目标
+     */
+    constructor(targets) {
+        this.journals = new Map();
+        targets.forEach((target, key) => {
+            this.journals.set(key, new JournalingStorageBackend(toStorageBackend(target)));
+        });
+        this.state = 'active';
+    }
+
+    /**
+     * 获取事务内使用的存储后端
+     * @param {string} key - 目录缓存键
+     * @returns {JournalingStorageBackend|undefined}
+     */
+    getBackend(key) {
+        return this.journals.get(key);
+    }
+
+    /**
+     * 获取事务中被修改的所有文件
+     * @returns {Array<{root: string, path: string}>}
+     */
+    getTouchedFiles() {
+        const files = [];
+        this.journals.forEach((journal, root) => {
+            journal.getTouchedFiles().forEach(path => files.push({ root, path }));
+        });
+        return files;
+    }
+
+    ensureActive() {
+        if (this.state !== 'active') {
+            throw new Error(`事务已${this.state === 'committed' ? '提交' : '回滚'}`);
+        }
+    }
+
+    /**
+     * 提交事务：保留所有修改并丢弃快照
+     */
+    commit() {
+        this.ensureActive();
+        this.journals.forEach(journal => journal.discardSnapshots());
+        this.state = 'committed';
+    }
+
+    /**
+     * 回滚事务：将所有被修改的文件恢复到事务开始前的状态
+     * @returns {Promise<{restored: string[], failed: Array<{file: string, error: string}>}>}
+     */
+    async rollback() {
+        this.ensureActive();
+        const result = { restored: [], failed: [] };
+
+        // 按目录逆序恢复，与修改顺序相反
+        const journals = Array.from(this.journals.entries()).reverse();
+        for (const [root, journal] of journals) {
+            const label = ROOT_LABELS[root] || root;
+            const journalResult = await journal.rollback();
+            journalResult.restored.forEach(path => result.restored.push(`${label}: ${path}`));
+            journalResult.failed.forEach(({ file, error }) => result.failed.push({ file: `${label}: ${file}`, error }));
+        }
+
+        this.state = 'rolledBack';
+        return result;
+    }
+}
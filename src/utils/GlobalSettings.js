@@ -0,0 +1,163 @@
+/**
+ * GlobalSettings.js
+ * .taskmaster/config.json 的 global 部分：字段定义（表单和校验都由它生成）、校验和写回。
+ * 写回时只修改定义中的字段，TaskMaster新版本增加的其他字段原样保留
+ */
+
+import { TaskMasterConfigFile } from './TaskMasterConfigFile.js';
+
+// 字段定义：type 为 enum、boolean、integer、string 或 url；值为空表示从配置中删除该字段
+export const GLOBAL_SETTINGS_SCHEMA = [
+    {
+        key: 'logLevel',
+        label: '日志级别',
+        type: 'enum',
+        options: ['debug', 'info', 'warn', 'error']
+    },
+    {
+        key: 'debug',
+        label: '调试模式',
+        type: 'boolean'
+    },
+    {
+        key: 'defaultSubtasks',
+        label: '默认子任务数量',
+        type: 'integer',
+        min: 1,
+        max: 20
+    },
+    {
+        key: 'defaultPriority',
+        label: '默认优先级',
+        type: 'enum',
+        options: ['high', 'medium', 'low']
+    },
+    {
+        key: 'projectName',
+        label: '项目名称',
+        type: 'string'
+    },
+    {
+        key: 'defaultTag',
+        label: '默认标签',
+        type: 'string',
+        pattern: /^[A-Za-z0-9_-]+$/,
+        patternMessage: '只能包含字母、数字、连字符和下划线'
+    },
+    {
+        key: 'ollamaBaseURL',
+        label: 'Ollama Base URL',
+        type: 'url'
+    },
+    {
+        key: 'bedrockBaseURL',
+        label: 'Bedrock Base URL',
+        type: 'url'
+    },
+    {
+        key: 'azureBaseURL',
+        label: 'Azure Base URL',
+        type: 'url'
+    }
+];
+
+// http(s)地址：必须有主机名，端口和路径可选
+const URL_PATTERN = /^https?:\/\/[^\s/?#:]+(?::\d+)?(?:[/?#]\S*)?$/i;
+
+export class GlobalSettings {
+    /**
+     * @param {SaveConfig} saveConfig - 提供项目目录的SaveConfig实例（可以是规划或事务副本）
+     */
+    constructor(saveConfig) {
+        this.configFile = new TaskMasterConfigFile(saveConfig);
+    }
+
+    /**
+     * 校验一个字段的值
+     * @param {Object} field - GLOBAL_SETTINGS_SCHEMA中的字段定义
+     * @param {*} value - 字段值，undefined表示不设置
+     * @returns {string|null} 错误信息，有效时为null
+     */
+    static validateField(field, value) {
+        if (value === undefined) {
+            return null;
+        }
+
+        switch (field.type) {
+            case 'enum':
+                return field.options.includes(value) ? null : `${field.label}必须是 ${field.options.join(' / ')} 之一`;
+            case 'boolean':
+                return typeof value === 'boolean' ? null : `${field.label}必须是true或false`;
+            case 'integer':
+                if (!Number.isInteger(value)) {
+                    return `${field.label}必须是整数`;
+                }
+                if (value < field.min || value > field.max) {
+                    return `${field.label}必须在${field.min}到${field.max}之间`;
+                }
+                return null;
+            case 'url':
+                if (typeof value !== 'string' || !/^https?:\/\//i.test(value)) {
+                    return `${field.label}必须是http或https地址`;
+                }
+                return URL_PATTERN.test(value) ? null : `${field.label}不是有效的URL`;
+            default:
+                if (typeof value !== 'string' || value.trim() === '') {
+                    return `${field.label}不能为空`;
+                }
+                if (field.pattern && !field.pattern.test(value)) {
+                    return `${field.label}${field.patternMessage}`;
+                }
+                return null;
+        }
+    }
+
+    /**
+     * 校验global设置
+     * @param {Object} values - 字段 -> 值（只校验定义中的字段）
+     * @returns {Object} 字段 -> 错误信息，为空对象表示有效
+     */
+    static validate(values) {
+        const errors = {};
+        GLOBAL_SETTINGS_SCHEMA.forEach(field => {
+            const error = this.validateField(field, values[field.key]);
+            if (error) {
+                errors[field.key] = error;
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * 读取当前的global设置
+     * @returns {Promise<Object|null>} config.json不存在时返回null
+     */
+    async read() {
+        const file = await this.configFile.read();
+        return file ? (file.config.global || {}) : null;
+    }
+
+    /**
+     * 写回global设置：定义中的字段按values设置（undefined表示删除），其他字段保持不变
+     * @param {Object} values - 字段 -> 值
+     * @returns {Promise<boolean>} 是否写入（内容不变时不写入）
+     */
+    async write(values) {
+        const errors = Object.values(GlobalSettings.validate(values));
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        return this.configFile.update(config => {
+            const global = { ...config.global };
+            GLOBAL_SETTINGS_SCHEMA.forEach(({ key }) => {
+                if (values[key] === undefined) {
+                    delete global[key];
+                } else {
+                    global[key] = values[key];
+                }
+            });
+            config.global = global;
+        });
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * JsonSchemaValidator.js
+ * JSON Schema（draft-07）子集的校验器，供TaskMaster文件的结构校验使用。
+ * 支持 type、enum、required、properties、additionalProperties、items、
+ * minimum、maximum、minLength 和 uniqueItems，错误带有精确到字段的路径
+ */
+
+// 路径中可以直接用 . 连接的键名，其余键名写作 ["key"]
+const PLAIN_KEY = /^[A-Za-z_$][\w$-]*$/;
+
+export class JsonSchemaValidator {
+    /**
+     * 校验数据
+     * @param {Object} schema - JSON Schema
+     * @param {*} value - 待校验的数据
+     * @returns {Array<{path: string, message: string}>} 错误列表，path如 anthropic[0].cost_per_1m_tokens.input，根为空字符串
+     */
+    static validate(schema, value) {
+        const errors = [];
+        this.validateNode(schema, value, '', errors);
+        return errors;
+    }
+
+    static joinPath(path, key) {
+        if (typeof key === 'number') {
+            return `${path}[${key}]`;
+        }
+        if (!PLAIN_KEY.test(key)) {
+            return `${path}[${JSON.stringify(key)}]`;
+        }
+        return path ? `${path}.${key}` : key;
+    }
+
+    static typeOf(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        return typeof value;
+    }
+
+    static matchesType(value, type) {
+        if (type === 'integer') {
+            return Number.isInteger(value);
+        }
+        if (type === 'number') {
+            return typeof value === 'number' && Number.isFinite(value);
+        }
+        return this.typeOf(value) === type;
+    }
+
+    static validateNode(schema, value, path, errors) {
+        const fail = message => errors.push({ path, message });
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this.matchesType(value, type))) {
+                fail(`应为${types.join('或')}，实际为${this.typeOf(value)}`);
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`应为 ${schema.enum.join('、')} 之一，实际为 ${JSON.stringify(value)}`);
+            return;
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail(`不能小于 ${schema.minimum}，实际为 ${value}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail(`不能大于 ${schema.maximum}，实际为 ${value}`);
+            }
+        }
+
+        if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+            fail('不能为空');
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.uniqueItems) {
+                const duplicates = value.filter((item, index) => value.indexOf(item) !== index);
+                if (duplicates.length > 0) {
+                    fail(`包含重复的值 ${JSON.stringify(duplicates[0])}`);
+                }
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateNode(schema.items, item, this.joinPath(path, index), errors));
+            }
+        }
+
+        if (this.typeOf(value) === 'object') {
+            (schema.required || [])
+                .filter(field => value[field] === undefined)
+                .forEach(field => errors.push({ path: this.joinPath(path, field), message: '缺少必填字段' }));
+
+            const properties = schema.properties || {};
+            Object.entries(value).forEach(([key, child]) => {
+                const childPath = this.joinPath(path, key);
+                if (properties[key]) {
+                    this.validateNode(properties[key], child, childPath, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath, message: '未知字段' });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    this.validateNode(schema.additionalProperties, child, childPath, errors);
+                }
+            });
+        }
+    }
+}
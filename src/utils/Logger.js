@@ -3,9 +3,12 @@
  * Logger.js
  * 统一日志管理系统
  *
- * 提供结构化的日志记录，支持不同级别和格式化输出
+ * 提供结构化的日志记录，支持不同级别和格式化输出。
+ * 消息、上下文和错误信息在记录时经Redactor脱敏，API密钥等不会进入控制台、日志存储或导出文件
  */
 
+import { Redactor } from './Redactor.js';
+
 export class Logger {
     // 日志级别常量
     static Levels = {
@@ -157,18 +160,18 @@ export class Logger {
             timestamp,
             level,
             levelName,
-            message,
-            context: { ...context },
-            url: window.location.href,
-            userAgent: navigator.userAgent
+            message: Redactor.redactString(message),
+            context: Redactor.redact({ ...context }),
+            url: typeof window !== 'undefined' ? window.location.href : '',
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : ''
         };
 
         // 添加错误信息
         if (error) {
             logEntry.error = {
                 name: error.name,
-                message: error.message,
-                stack: error.stack
+                message: Redactor.redactString(error.message),
+                stack: Redactor.redactString(error.stack)
             };
         }
 
@@ -242,8 +245,8 @@ export class Logger {
      * @param {Object} logEntry - 日志条目
      */
     static dispatchLogEvent(logEntry) {
-        // 防止递归调用
-        if (this.isDispatching) {
+        // 防止递归调用；非浏览器环境（如CLI）没有document
+        if (this.isDispatching || typeof document === 'undefined') {
             return;
         }
 
@@ -310,6 +313,9 @@ export class Logger {
      * @returns {boolean} 是否为开发环境
      */
     static isDevelopment() {
+        if (typeof window === 'undefined') {
+            return false;
+        }
         return window.location.hostname === 'localhost' || 
                window.location.hostname === '127.0.0.1' ||
                window.location.protocol === 'file:';
@@ -373,13 +379,15 @@ export class Logger {
      * @returns {string} 导出的日志数据
      */
     static exportLogs(format = 'json') {
+        // 导出时再次脱敏，覆盖记录之后才登记的已知密钥
+        const logs = Redactor.redact(this.logs);
         switch (format) {
             case 'json':
-                return JSON.stringify(this.logs, null, 2);
+                return JSON.stringify(logs, null, 2);
             case 'csv':
-                return this.logsToCSV();
+                return this.logsToCSV(logs);
             case 'txt':
-                return this.logsToText();
+                return this.logsToText(logs);
             default:
                 throw new Error(`Unsupported export format: ${format}`);
         }
@@ -387,13 +395,14 @@ export class Logger {
 
     /**
      * 将日志转换为CSV格式
+     * @param {Array} [logs] - 日志条目，默认为全部日志
      * @returns {string} CSV格式的日志
      */
-    static logsToCSV() {
-        if (this.logs.length === 0) return '';
+    static logsToCSV(logs = this.logs) {
+        if (logs.length === 0) return '';
         
         const headers = ['timestamp', 'level', 'message', 'context'];
-        const rows = this.logs.map(log => [
+        const rows = logs.map(log => [
             log.timestamp,
             log.levelName,
             log.message,
@@ -407,10 +416,11 @@ export class Logger {
 
     /**
      * 将日志转换为文本格式
+     * @param {Array} [logs] - 日志条目，默认为全部日志
      * @returns {string} 文本格式的日志
      */
-    static logsToText() {
-        return this.logs.map(log => {
+    static logsToText(logs = this.logs) {
+        return logs.map(log => {
             const timeStr = this.formatTimestamp(log.timestamp);
             let line = `[${timeStr}] [${log.levelName}] ${log.message}`;
             
@@ -0,0 +1,183 @@
+/**
+ * McpClientRegistry.js
+ * MCP客户端配置注册表：记录各编辑器/客户端在项目中的MCP配置文件位置和格式，
+ * 自动检测项目中存在的配置文件，并将TaskMaster服务器env中的API密钥修改应用到所有启用的客户端
+ */
+
+import { Logger } from './Logger.js';
+import { TaskMasterSchemas } from './TaskMasterSchemas.js';
+
+/**
+ * 已知的MCP客户端配置
+ * serversKey 为配置文件中服务器列表所在的键（VS Code使用 servers，其余使用 mcpServers）
+ */
+export const MCP_CLIENTS = [
+    { id: 'cursor', label: 'Cursor', path: '.cursor/mcp.json', serversKey: 'mcpServers' },
+    { id: 'roo', label: 'Roo Code', path: '.roo/mcp.json', serversKey: 'mcpServers' },
+    { id: 'windsurf', label: 'Windsurf', path: '.windsurf/mcp.json', serversKey: 'mcpServers' },
+    { id: 'vscode', label: 'VS Code', path: '.vscode/mcp.json', serversKey: 'servers', serverDefaults: { type: 'stdio' } },
+    { id: 'claude', label: 'Claude Desktop / Claude Code', path: '.mcp.json', serversKey: 'mcpServers' }
+];
+
+// 项目中没有任何MCP客户端配置时创建的配置
+const DEFAULT_CLIENT_ID = 'cursor';
+
+const TASKMASTER_SERVER_NAMES = ['taskmaster-ai', 'task-master-ai'];
+
+export class McpClientRegistry {
+    /**
+     * @param {SaveConfig} saveConfig - 提供项目目录的SaveConfig实例（可以是规划或事务副本）
+     * @param {object} [options]
+     * @param {FileSystemDirectoryHandle|StorageBackend} [options.projectDirHandle] - 项目目录，默认使用目录缓存中的项目目录
+     */
+    constructor(saveConfig, options = {}) {
+        this.saveConfig = saveConfig;
+        this.projectDirHandle = options.projectDirHandle || null;
+    }
+
+    /**
+     * 查找TaskMaster服务器名称，不存在时返回默认名称
+     * @param {object} mcpConfig - MCP配置对象
+     * @param {object} client - MCP_CLIENTS中的客户端
+     * @returns {string}
+     */
+    static findServerName(mcpConfig, client) {
+        const servers = mcpConfig?.[client.serversKey] || {};
+        return TASKMASTER_SERVER_NAMES.find(name => servers[name]) || TASKMASTER_SERVER_NAMES[0];
+    }
+
+    /**
+     * 获取TaskMaster服务器的env
+     * @param {object} mcpConfig - MCP配置对象
+     * @param {object} client - MCP_CLIENTS中的客户端
+     * @returns {object}
+     */
+    static getEnv(mcpConfig, client) {
+        return mcpConfig?.[client.serversKey]?.[McpClientRegistry.findServerName(mcpConfig, client)]?.env || {};
+    }
+
+    /**
+     * 客户端是否启用（默认启用，可在界面或配置中逐个关闭）
+     * @param {string} clientId - 客户端ID
+     * @returns {boolean}
+     */
+    isEnabled(clientId) {
+        const configManager = this.saveConfig.configManager;
+        const settings = typeof configManager?.getMcpClientSettings === 'function'
+            ? configManager.getMcpClientSettings()
+            : {};
+        return settings[clientId] !== false;
+    }
+
+    getProjectDirHandle() {
+        return this.projectDirHandle || this.saveConfig.directoryHandleCache.get('taskmaster-project') || null;
+    }
+
+    /**
+     * 检测项目中存在的MCP客户端配置
+     * @returns {Promise<Array<{id: string, label: string, path: string, exists: boolean, enabled: boolean}>>}
+     */
+    async detect() {
+        const projectDirHandle = this.getProjectDirHandle();
+        const clients = [];
+        for (const client of MCP_CLIENTS) {
+            const content = projectDirHandle
+                ? await this.saveConfig.readFileFromDirectory(projectDirHandle, client.path)
+                : null;
+            clients.push({ ...client, exists: content !== null, enabled: this.isEnabled(client.id) });
+        }
+        return clients;
+    }
+
+    /**
+     * 获取需要写入的客户端：项目中存在且已启用的客户端；
+     * 项目中没有任何客户端配置时，使用默认客户端（Cursor）创建配置
+     * @returns {Promise<Array<Object>>}
+     */
+    async getTargets() {
+        const clients = await this.detect();
+        if (!clients.some(client => client.exists)) {
+            return clients.filter(client => client.id === DEFAULT_CLIENT_ID && client.enabled);
+        }
+        return clients.filter(client => client.exists && client.enabled);
+    }
+
+    /**
+     * 读取所有已启用客户端中TaskMaster服务器的env并合并（注册表中靠前的客户端优先）
+     * @returns {Promise<{env: Object, sources: string[], validationErrors: string[]}>} sources为成功读取的配置文件路径，
+     *   validationErrors为不符合Schema的字段（"文件 路径: 问题"）
+     */
+    async readEnv() {
+        const projectDirHandle = this.getProjectDirHandle();
+        const env = {};
+        const sources = [];
+        const validationErrors = [];
+
+        for (const client of (await this.detect()).filter(item => item.exists && item.enabled)) {
+            try {
+                const mcpConfig = JSON.parse(await this.saveConfig.readFileFromDirectory(projectDirHandle, client.path));
+                validationErrors.push(...TaskMasterSchemas.formatErrors(client.path, TaskMasterSchemas.validateData(client.path, mcpConfig)));
+                const clientEnv = McpClientRegistry.getEnv(mcpConfig, client);
+                Object.keys(clientEnv).forEach(key => {
+                    if (env[key] === undefined) {
+                        env[key] = clientEnv[key];
+                    }
+                });
+                sources.push(client.path);
+            } catch (error) {
+                Logger.warn(`读取 ${client.path} 失败: ${error.message}`);
+            }
+        }
+
+        return { env, sources, validationErrors };
+    }
+
+    /**
+     * 修改所有目标客户端中TaskMaster服务器的env
+     * @param {Function} mutate - 接收env对象，返回是否修改
+     * @param {object} [options]
+     * @param {boolean} [options.create=true] - TaskMaster服务器不存在时是否创建
+     * @returns {Promise<{updated: string[], failed: Array<{file: string, error: string}>}>}
+     */
+    async updateEnv(mutate, options = {}) {
+        const { create = true } = options;
+        const projectDirHandle = this.getProjectDirHandle();
+        const results = { updated: [], failed: [] };
+        if (!projectDirHandle) {
+            results.failed.push({ file: 'mcp.json', error: 'TaskMaster项目目录不可用' });
+            return results;
+        }
+
+        for (const client of await this.getTargets()) {
+            try {
+                const content = await this.saveConfig.readFileFromDirectory(projectDirHandle, client.path);
+                const mcpConfig = content ? JSON.parse(content) : {};
+                const serverName = McpClientRegistry.findServerName(mcpConfig, client);
+                const servers = mcpConfig[client.serversKey] || {};
+
+                if (!servers[serverName]) {
+                    if (!create) {
+                        continue;
+                    }
+                    servers[serverName] = {
+                        ...client.serverDefaults,
+                        command: 'node',
+                        args: ['dist/index.js'],
+                        env: {}
+                    };
+                }
+                mcpConfig[client.serversKey] = servers;
+                servers[serverName].env = servers[serverName].env || {};
+
+                if (mutate(servers[serverName].env, client)) {
+                    await this.saveConfig.writeFileToDirectory(projectDirHandle, client.path, JSON.stringify(mcpConfig, null, 2));
+                    results.updated.push(client.path);
+                }
+            } catch (error) {
+                results.failed.push({ file: client.path, error: error.message });
+            }
+        }
+
+        return results;
+    }
+}
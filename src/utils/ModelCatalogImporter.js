@@ -0,0 +1,326 @@
+/**
+ * ModelCatalogImporter.js
+ * 从外部模型目录导入供应商和模型：LiteLLM 的 config.yaml（model_list）
+ * 和 OpenRouter 格式的 models.json（/api/v1/models 的返回内容）。
+ * 解析结果统一为供应商和模型条目，预览时标出已存在的条目，由用户选择后再添加
+ */
+
+import { YamlReader } from './YamlReader.js';
+
+export const CATALOG_FORMAT_LABELS = {
+    litellm: 'LiteLLM config.yaml',
+    openrouter: 'OpenRouter models.json'
+};
+
+const OPENROUTER_PROVIDER = {
+    name: 'openrouter',
+    endpoint: 'https://openrouter.ai/api/v1',
+    type: 'openai',
+    envVar: 'OPENROUTER_API_KEY'
+};
+
+// LiteLLM模型前缀 -> 供应商类型和未设置api_base时使用的端点
+const LITELLM_PROVIDERS = {
+    openai: { type: 'openai', endpoint: 'https://api.openai.com/v1' },
+    anthropic: { type: 'anthropic', endpoint: 'https://api.anthropic.com/v1' },
+    gemini: { type: 'google', endpoint: 'https://generativelanguage.googleapis.com/v1beta' },
+    openrouter: { type: 'openai', endpoint: OPENROUTER_PROVIDER.endpoint },
+    deepseek: { type: 'openai', endpoint: 'https://api.deepseek.com/v1' },
+    mistral: { type: 'openai', endpoint: 'https://api.mistral.ai/v1' },
+    groq: { type: 'openai', endpoint: 'https://api.groq.com/openai/v1' },
+    xai: { type: 'openai', endpoint: 'https://api.x.ai/v1' },
+    ollama: { type: 'ollama', endpoint: 'http://localhost:11434' },
+    azure: { type: 'azure', endpoint: '' }
+};
+
+// LiteLLM中引用环境变量的写法
+const LITELLM_ENV_PREFIX = 'os.environ/';
+
+const DEFAULT_ROLES = ['main', 'fallback'];
+
+export class ModelCatalogImporter {
+    /**
+     * 解析模型目录文件，根据内容识别格式：含 model_list 的为LiteLLM，含 data 数组或本身是数组的为OpenRouter
+     * @param {string} text - 文件内容（YAML或JSON）
+     * @returns {{format: string, providers: Array, models: Array, warnings: string[]}}
+     *   providers: {name, endpoint, type, envVar, apiKey}；models: {providerName, modelId, name, maxTokens, costPer1MTokens}
+     */
+    static parse(text) {
+        let data;
+        if (/^\s*[[{]/.test(text)) {
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`模型目录不是有效的JSON: ${error.message}`);
+            }
+        } else {
+            data = YamlReader.parse(text);
+        }
+
+        if (data && !Array.isArray(data) && Array.isArray(data.model_list)) {
+            return this.parseLiteLLM(data);
+        }
+        if (Array.isArray(data) || (data && Array.isArray(data.data))) {
+            return this.parseOpenRouter(data);
+        }
+        throw new Error('无法识别的模型目录格式：需要LiteLLM的 model_list 或OpenRouter的 data 数组');
+    }
+
+    /**
+     * 每token价格转换为每百万token价格，保留4位小数
+     */
+    static perMillion(value) {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            return 0;
+        }
+        return Math.round(number * 1e6 * 1e4) / 1e4;
+    }
+
+    static positiveInteger(value) {
+        const number = Number(value);
+        return Number.isInteger(number) && number > 0 ? number : null;
+    }
+
+    /**
+     * 从端点地址推导供应商名称：https://api.openai.com/v1 -> openai
+     */
+    static nameFromEndpoint(endpoint) {
+        const host = /^[a-z][a-z0-9+.-]*:\/\/([^/:?#]+)/i.exec(endpoint)?.[1];
+        if (!host) {
+            return null;
+        }
+        const labels = host.toLowerCase().split('.');
+        if (labels.length > 2 && ['api', 'www'].includes(labels[0])) {
+            return labels[1];
+        }
+        return labels[0];
+    }
+
+    /**
+     * 供应商名称已被使用时追加序号：gateway -> gateway-2
+     * @param {string} baseName - 推导出的名称
+     * @param {Iterable<Object>} providers - 已解析的供应商
+     */
+    static uniqueName(baseName, providers) {
+        const used = new Set([...providers].map(provider => provider.name));
+        let name = baseName;
+        for (let i = 2; used.has(name); i++) {
+            name = `${baseName}-${i}`;
+        }
+        return name;
+    }
+
+    /**
+     * 解析LiteLLM config.yaml：每个 model_list 条目按端点和供应商类型归入一个供应商，
+     * 端点为 api_base（未设置时为模型前缀的默认端点），都没有时按模型前缀归组
+     * @param {Object} data - 解析后的配置
+     */
+    static parseLiteLLM(data) {
+        // 端点+类型（或模型前缀） -> 供应商
+        const providers = new Map();
+        const models = [];
+        const warnings = [];
+        const seen = new Set();
+
+        data.model_list.forEach((entry, index) => {
+            const params = entry?.litellm_params || {};
+            const info = entry?.model_info || {};
+            if (typeof params.model !== 'string' || !params.model.trim()) {
+                warnings.push(`model_list[${index}]: 缺少 litellm_params.model，已跳过`);
+                return;
+            }
+
+            const slash = params.model.indexOf('/');
+            const prefix = slash > 0 ? params.model.slice(0, slash) : 'openai';
+            const modelId = slash > 0 ? params.model.slice(slash + 1) : params.model;
+            const known = LITELLM_PROVIDERS[prefix];
+            const endpoint = params.api_base || known?.endpoint || '';
+            const type = known?.type || 'openai';
+            const providerKey = endpoint ? `${type} ${endpoint.replace(/\/+$/, '')}` : prefix;
+
+            if (!providers.has(providerKey)) {
+                const providerName = this.uniqueName(
+                    (params.api_base && this.nameFromEndpoint(params.api_base)) || prefix,
+                    providers.values()
+                );
+                if (!endpoint) {
+                    warnings.push(`model_list[${index}]: 供应商 ${providerName} 没有 api_base，请导入后填写端点`);
+                }
+                const apiKey = typeof params.api_key === 'string' ? params.api_key : '';
+                providers.set(providerKey, {
+                    name: providerName,
+                    endpoint,
+                    type,
+                    envVar: apiKey.startsWith(LITELLM_ENV_PREFIX) ? apiKey.slice(LITELLM_ENV_PREFIX.length) : undefined,
+                    apiKey: apiKey.startsWith(LITELLM_ENV_PREFIX) ? '' : apiKey
+                });
+                if (typeof params.api_version === 'string' && params.api_version) {
+                    providers.get(providerKey).apiVersion = params.api_version;
+                }
+                if (params.extra_headers && typeof params.extra_headers === 'object' && !Array.isArray(params.extra_headers)) {
+                    providers.get(providerKey).headers = Object.fromEntries(
+                        Object.entries(params.extra_headers).map(([name, value]) => [name, String(value)])
+                    );
+                }
+            }
+
+            const providerName = providers.get(providerKey).name;
+
+            // 同一模型的多个部署（负载均衡）只导入一次
+            const key = `${providerName}/${modelId}`;
+            if (seen.has(key)) {
+                return;
+            }
+            seen.add(key);
+
+            models.push({
+                providerName,
+                modelId,
+                name: entry.model_name || modelId,
+                maxTokens: this.positiveInteger(info.max_input_tokens ?? info.max_tokens),
+                costPer1MTokens: {
+                    input: this.perMillion(info.input_cost_per_token ?? params.input_cost_per_token),
+                    output: this.perMillion(info.output_cost_per_token ?? params.output_cost_per_token)
+                }
+            });
+        });
+
+        return { format: 'litellm', providers: [...providers.values()], models, warnings };
+    }
+
+    /**
+     * 解析OpenRouter格式的模型列表，所有模型归入OpenRouter供应商
+     * @param {Object|Array} data - { data: [...] } 或模型数组
+     */
+    static parseOpenRouter(data) {
+        const entries = Array.isArray(data) ? data : data.data;
+        const models = [];
+        const warnings = [];
+        const seen = new Set();
+
+        entries.forEach((entry, index) => {
+            if (typeof entry?.id !== 'string' || !entry.id.trim()) {
+                warnings.push(`data[${index}]: 缺少 id，已跳过`);
+                return;
+            }
+            if (seen.has(entry.id)) {
+                return;
+            }
+            seen.add(entry.id);
+
+            models.push({
+                providerName: OPENROUTER_PROVIDER.name,
+                modelId: entry.id,
+                name: entry.name || entry.id,
+                maxTokens: this.positiveInteger(entry.context_length ?? entry.top_provider?.context_length),
+                costPer1MTokens: {
+                    input: this.perMillion(entry.pricing?.prompt),
+                    output: this.perMillion(entry.pricing?.completion)
+                }
+            });
+        });
+
+        return {
+            format: 'openrouter',
+            providers: models.length > 0 ? [{ ...OPENROUTER_PROVIDER, apiKey: '' }] : [],
+            models,
+            warnings
+        };
+    }
+
+    /**
+     * 生成预览：供应商按名称（不区分大小写）匹配现有供应商，模型ID已存在或在目录中重复的模型不可选择
+     * @param {Object} catalog - parse的结果
+     * @param {ConfigManager} configManager - 当前配置
+     * @returns {{format: string, warnings: string[], providers: Array<Object>, models: Array<Object>}}
+     *   providers附带existing（现有供应商或null）；models附带status：new、exists或duplicate
+     */
+    static preview(catalog, configManager) {
+        const existingProviders = configManager.getAllProviders();
+        const existingModelIds = new Set(configManager.models.map(model => model.modelId));
+        const catalogModelIds = new Set();
+
+        const providers = catalog.providers.map(provider => ({
+            ...provider,
+            existing: existingProviders.find(item => item.name.toLowerCase() === provider.name.toLowerCase()) || null
+        }));
+
+        const models = catalog.models.map(model => {
+            let status = 'new';
+            if (existingModelIds.has(model.modelId)) {
+                status = 'exists';
+            } else if (catalogModelIds.has(model.modelId)) {
+                status = 'duplicate';
+            }
+            catalogModelIds.add(model.modelId);
+            return { ...model, status };
+        });
+
+        return { format: catalog.format, warnings: catalog.warnings, providers, models };
+    }
+
+    /**
+     * 按用户选择的模型确定需要添加的供应商和模型
+     * @param {Object} preview - preview的结果
+     * @param {number[]} indexes - 选中的模型在preview.models中的下标
+     * @returns {{providers: Array, models: Array}} providers只包含选中模型用到的供应商
+     */
+    static select(preview, indexes) {
+        const models = indexes
+            .map(index => preview.models[index])
+            .filter(model => model && model.status === 'new');
+        const providerNames = new Set(models.map(model => model.providerName));
+        return {
+            providers: preview.providers.filter(provider => providerNames.has(provider.name)),
+            models
+        };
+    }
+
+    /**
+     * 转换为ConfigManager的供应商
+     * @param {Object} provider - 目录中的供应商
+     * @param {Function} generateId - 生成ID
+     */
+    static toProvider(provider, generateId) {
+        const result = {
+            id: generateId('provider'),
+            name: provider.name,
+            endpoint: provider.endpoint,
+            type: provider.type,
+            apiKey: provider.apiKey || '',
+            isValid: true
+        };
+        if (provider.envVar) {
+            result.envVar = provider.envVar;
+        }
+        if (provider.apiVersion) {
+            result.apiVersion = provider.apiVersion;
+        }
+        if (provider.headers && Object.keys(provider.headers).length > 0) {
+            result.headers = { ...provider.headers };
+        }
+        return result;
+    }
+
+    /**
+     * 转换为ConfigManager的模型
+     * @param {Object} model - 目录中的模型
+     * @param {string} providerId - 所属供应商ID
+     * @param {Function} generateId - 生成ID
+     */
+    static toModel(model, providerId, generateId) {
+        const result = {
+            id: generateId('model'),
+            providerId,
+            modelId: model.modelId,
+            name: model.name,
+            costPer1MTokens: { ...model.costPer1MTokens },
+            allowedRoles: [...DEFAULT_ROLES]
+        };
+        if (model.maxTokens) {
+            result.maxTokens = model.maxTokens;
+        }
+        return result;
+    }
+}
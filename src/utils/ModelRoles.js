@@ -0,0 +1,155 @@
+/**
+ * ModelRoles.js
+ * TaskMaster模型角色（main / research / fallback）：读取和写入项目 .taskmaster/config.json 的 models 部分，
+ * 按supported-models.json中的allowed_roles筛选可选模型，并校验maxTokens和temperature
+ */
+
+import { TaskMasterConfigFile } from './TaskMasterConfigFile.js';
+
+export const MODEL_ROLES = ['main', 'research', 'fallback'];
+
+export const ROLE_LABELS = {
+    main: '主模型',
+    research: '研究模型',
+    fallback: '备用模型'
+};
+
+const SUPPORTED_MODELS_PATH = 'scripts/modules/supported-models.json';
+
+// 写入角色时由本工具管理的字段，其余字段（如baseURL）保持不变
+const ROLE_FIELDS = ['provider', 'modelId', 'maxTokens', 'temperature'];
+
+export const MAX_TEMPERATURE = 2;
+
+export class ModelRoles {
+    /**
+     * @param {SaveConfig} saveConfig - 提供项目和包目录的SaveConfig实例（可以是规划或事务副本）
+     */
+    constructor(saveConfig) {
+        this.saveConfig = saveConfig;
+        this.configFile = new TaskMasterConfigFile(saveConfig);
+    }
+
+    /**
+     * 某个角色可选的模型
+     * @param {Object} supportedModels - supported-models.json内容（供应商 -> 模型数组）
+     * @param {string} role - 角色
+     * @returns {Array<{provider: string, modelId: string, maxTokens: number|null, sweScore: number|null}>}
+     */
+    static getEligibleModels(supportedModels, role) {
+        const models = [];
+        Object.entries(supportedModels || {}).forEach(([provider, providerModels]) => {
+            (providerModels || []).forEach(model => {
+                if ((model.allowed_roles || []).includes(role)) {
+                    models.push({
+                        provider,
+                        modelId: model.id,
+                        maxTokens: model.max_tokens || null,
+                        sweScore: model.swe_score ?? null
+                    });
+                }
+            });
+        });
+        return models;
+    }
+
+    /**
+     * 校验一个角色的配置
+     * @param {string} role - 角色
+     * @param {{provider: string, modelId: string, maxTokens: number, temperature: number}} assignment - 角色配置
+     * @param {Object} supportedModels - supported-models.json内容
+     * @returns {string[]} 错误信息，为空表示有效
+     */
+    static validateRole(role, assignment, supportedModels) {
+        if (!MODEL_ROLES.includes(role)) {
+            return [`未知的角色: ${role}`];
+        }
+
+        const label = ROLE_LABELS[role];
+        if (!assignment?.provider || !assignment?.modelId) {
+            return [`${label}：请选择模型`];
+        }
+
+        const errors = [];
+        const model = (supportedModels?.[assignment.provider] || []).find(item => item.id === assignment.modelId);
+        if (!model) {
+            errors.push(`${label}：模型 ${assignment.provider}/${assignment.modelId} 不在supported-models.json中`);
+        } else if (!(model.allowed_roles || []).includes(role)) {
+            errors.push(`${label}：模型 ${assignment.modelId} 不允许用于 ${role} 角色`);
+        }
+
+        if (!Number.isInteger(assignment.maxTokens) || assignment.maxTokens <= 0) {
+            errors.push(`${label}：maxTokens必须是正整数`);
+        } else if (model?.max_tokens && assignment.maxTokens > model.max_tokens) {
+            errors.push(`${label}：maxTokens不能超过模型的max_tokens（${model.max_tokens}）`);
+        }
+
+        if (typeof assignment.temperature !== 'number' || Number.isNaN(assignment.temperature)
+            || assignment.temperature < 0 || assignment.temperature > MAX_TEMPERATURE) {
+            errors.push(`${label}：temperature必须在0到${MAX_TEMPERATURE}之间`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * 读取 .taskmaster/config.json
+     * @returns {Promise<Object|null>} 文件不存在时返回null
+     */
+    async readConfig() {
+        return (await this.configFile.read())?.config || null;
+    }
+
+    /**
+     * 读取当前的角色配置
+     * @returns {Promise<Object>} 角色 -> 配置
+     */
+    async readRoles() {
+        const config = await this.readConfig();
+        return config?.models || {};
+    }
+
+    /**
+     * 读取可选模型：优先使用TaskMaster包中的supported-models.json（TaskMaster据此校验模型），
+     * 包目录不可用时使用本工具中配置的供应商和模型
+     * @returns {Promise<Object>} supported-models.json格式
+     */
+    async loadSupportedModels() {
+        const packageDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-package');
+        if (packageDirHandle) {
+            const content = await this.saveConfig.readFileFromDirectory(packageDirHandle, SUPPORTED_MODELS_PATH);
+            if (content !== null) {
+                return JSON.parse(content);
+            }
+        }
+
+        const configManager = this.saveConfig.configManager;
+        return this.saveConfig.transformer.uiToTaskMaster(configManager.getAllProviders(), configManager.models).supportedModels;
+    }
+
+    /**
+     * 将角色配置写入现有的 .taskmaster/config.json，只修改给出角色的provider、modelId、maxTokens和temperature，
+     * 文件中的其他内容保持不变
+     * @param {Object} roles - 角色 -> 配置，可以只包含部分角色
+     * @returns {Promise<boolean>} 是否写入（内容不变时不写入）
+     */
+    async writeRoles(roles) {
+        const supportedModels = await this.loadSupportedModels();
+        const errors = Object.entries(roles)
+            .flatMap(([role, assignment]) => ModelRoles.validateRole(role, assignment, supportedModels));
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        return this.configFile.update(config => {
+            config.models = config.models || {};
+            Object.entries(roles).forEach(([role, assignment]) => {
+                const entry = { ...config.models[role] };
+                ROLE_FIELDS.forEach(field => {
+                    entry[field] = assignment[field];
+                });
+                config.models[role] = entry;
+            });
+        });
+    }
+}
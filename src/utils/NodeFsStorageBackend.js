@@ -0,0 +1,82 @@
+/**
+ * NodeFsStorageBackend.js
+ * 基于Node fs的存储后端，以指定目录为根，供CLI和测试直接操作磁盘上的真实目录
+ * 注意：此模块依赖Node内置模块，不能在浏览器端引入
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { StorageBackend, splitPath } from './StorageBackend.js';
+
+// 读取/列出时视为"不存在"的错误码
+const MISSING_CODES = ['ENOENT', 'ENOTDIR'];
+
+export class NodeFsStorageBackend extends StorageBackend {
+    /**
+     * @param {string} rootPath - 根目录路径（会被解析为绝对路径）
+     */
+    constructor(rootPath) {
+        const resolvedRoot = path.resolve(rootPath);
+        super(path.basename(resolvedRoot));
+        this.rootPath = resolvedRoot;
+    }
+
+    /**
+     * 将相对路径解析为根目录下的绝对路径，拒绝越出根目录的路径
+     * @param {string} relativePath - 相对路径
+     * @returns {string} 绝对路径
+     */
+    resolve(relativePath) {
+        const pathParts = splitPath(relativePath);
+        if (pathParts.includes('..')) {
+            throw new Error(`不允许访问根目录之外的路径: ${relativePath}`);
+        }
+        return path.join(this.rootPath, ...pathParts);
+    }
+
+    async readFile(relativePath) {
+        try {
+            return await fs.readFile(this.resolve(relativePath), 'utf8');
+        } catch (error) {
+            if (MISSING_CODES.includes(error.code)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async writeFile(relativePath, content) {
+        const filePath = this.resolve(relativePath);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, content, 'utf8');
+        return true;
+    }
+
+    async deleteFile(relativePath) {
+        try {
+            await fs.unlink(this.resolve(relativePath));
+            return true;
+        } catch (error) {
+            if (MISSING_CODES.includes(error.code)) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async listDirectory(relativePath = '') {
+        let dirents;
+        try {
+            dirents = await fs.readdir(this.resolve(relativePath), { withFileTypes: true });
+        } catch (error) {
+            if (MISSING_CODES.includes(error.code)) {
+                return null;
+            }
+            throw error;
+        }
+
+        return dirents
+            .filter(dirent => dirent.isFile() || dirent.isDirectory())
+            .map(dirent => ({ name: dirent.name, kind: dirent.isDirectory() ? 'directory' : 'file' }));
+    }
+}
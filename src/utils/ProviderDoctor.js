@@ -0,0 +1,519 @@
+/**
+ * ProviderDoctor.js
+ * 供应商一致性检查：核对每个自定义供应商在TaskMaster各个文件中的注册是否完整，
+ * 报告缺失项和孤立条目，并可一键修复（复用TaskMasterFileManager的文件更新步骤）
+ */
+
+import { Logger } from './Logger.js';
+import { SourcePatcher } from './SourcePatcher.js';
+import { toStorageBackend } from './StorageBackend.js';
+import { McpClientRegistry } from './McpClientRegistry.js';
+
+const PROVIDERS_DIR = 'src/ai-providers';
+// src/ai-providers/ 下不是供应商实现的文件
+const NON_PROVIDER_FILES = ['index', 'base-provider'];
+const INDEX_PATH = 'src/ai-providers/index.js';
+const UNIFIED_PATH = 'scripts/modules/ai-services-unified.js';
+const CONFIG_MANAGER_PATH = 'scripts/modules/config-manager.js';
+const SUPPORTED_MODELS_PATH = 'scripts/modules/supported-models.json';
+const INIT_JS_PATH = 'scripts/init.js';
+
+// ai-services-unified.js 中导入供应商类的模块路径结尾
+const PROVIDER_INDEX_IMPORT = 'ai-providers/index.js';
+
+// task-master-ai内置的供应商注册键（部分不在UI的默认供应商列表中），不作为孤立条目
+const BUILTIN_PROVIDER_KEYS = [
+    'anthropic', 'openai', 'google', 'perplexity', 'xai', 'groq', 'mistral', 'azure', 'azure_openai',
+    'openrouter', 'ollama', 'bedrock', 'vertex', 'google-vertex', 'claude-code', 'gemini-cli', 'aws'
+];
+
+// 本工具生成的供应商文件头部说明，用于识别残留的自定义供应商文件
+const GENERATED_PROVIDER_PATTERN = /AI provider implementation for .+ using .+ API\./;
+
+/**
+ * 检查项：每项对应一个文件中的一处注册，repair为修复时执行的文件更新步骤
+ */
+export const DOCTOR_CHECKS = [
+    { id: 'provider-file', file: `${PROVIDERS_DIR}/<key>.js`, label: '供应商文件', repair: 'provider-file' },
+    { id: 'index-export', file: INDEX_PATH, label: 'index.js导出', repair: 'index' },
+    { id: 'unified-import', file: UNIFIED_PATH, label: 'ai-services-unified.js导入', repair: 'unified' },
+    { id: 'unified-providers', file: UNIFIED_PATH, label: 'PROVIDERS映射', repair: 'unified' },
+    { id: 'unified-keymap', file: UNIFIED_PATH, label: 'ai-services-unified.js keyMap', repair: 'unified' },
+    { id: 'config-keymap', file: CONFIG_MANAGER_PATH, label: 'config-manager.js keyMap', repair: 'config-manager' },
+    { id: 'config-switch', file: CONFIG_MANAGER_PATH, label: 'getMcpApiKeyStatus case', repair: 'config-manager' },
+    { id: 'supported-models', file: SUPPORTED_MODELS_PATH, label: 'supported-models.json条目', repair: 'supported-models' },
+    { id: 'init-env', file: INIT_JS_PATH, label: 'init.js MCP模板密钥', repair: 'init' },
+    { id: 'mcp-env', file: 'mcp.json', label: 'MCP客户端配置密钥', repair: 'mcp' }
+];
+
+/**
+ * 修复步骤：按检查项分组后每个步骤只执行一次，各步骤在已存在时不重复添加。
+ * optional的步骤失败时只记录警告，不导致修复事务回滚（与performProviderUpdates对init.js的处理一致）
+ */
+const REPAIR_STEPS = {
+    'provider-file': {
+        file: provider => `${PROVIDERS_DIR}/${provider.key}.js`,
+        run: (manager, provider) => manager.saveConfig.writeJavaScriptFileToPackage(
+            `${PROVIDERS_DIR}/${provider.key}.js`,
+            manager.generateProviderFileContentBasic(provider.name, provider.config)
+        )
+    },
+    index: {
+        file: () => 'index.js',
+        run: (manager, provider) => manager.updateProviderIndexFile(provider.name)
+    },
+    unified: {
+        file: () => 'ai-services-unified.js',
+        run: (manager, provider) => manager.updateAiServicesUnifiedFile(provider.name)
+    },
+    'config-manager': {
+        file: () => 'config-manager.js',
+        run: (manager, provider) => manager.updateConfigManagerFile(provider.name)
+    },
+    'supported-models': {
+        file: () => 'supported-models.json',
+        run: (manager, provider) => manager.updateSupportedModelsFileProviderOnly(provider.name)
+    },
+    init: {
+        file: () => 'init.js',
+        optional: true,
+        run: (manager, provider) => manager.updateInitJsFile(provider.name)
+    },
+    mcp: {
+        file: () => 'mcp.json',
+        run: async (manager, provider) => {
+            if (!await manager.updateMCPConfigFile(provider.name, provider.config.apiKey)) {
+                throw new Error('MCP配置更新失败');
+            }
+        }
+    }
+};
+
+function getClassName(providerName) {
+    return `${providerName.charAt(0).toUpperCase() + providerName.slice(1)}Provider`;
+}
+
+function getApiKeyName(providerKey) {
+    return `${providerKey.toUpperCase()}_API_KEY`;
+}
+
+export class ProviderDoctor {
+    /**
+     * @param {TaskMasterFileManager} fileManager - 提供configManager、saveConfig和文件更新步骤
+     */
+    constructor(fileManager) {
+        this.fileManager = fileManager;
+        this.configManager = fileManager.configManager;
+        this.saveConfig = fileManager.saveConfig;
+    }
+
+    /**
+     * 检查所有自定义供应商（或指定供应商）在TaskMaster文件中的注册情况
+     * @param {Object} [options]
+     * @param {string[]} [options.providerNames] - 只检查这些供应商（不检查孤立条目）
+     * @param {Object[]} [options.providers] - 检查这些供应商配置（如供应商清单中的条目，不检查孤立条目）
+     * @returns {Promise<{providers: Array<{key: string, name: string, config: Object, healthy: boolean,
+     *   checks: Array<{id: string, file: string, label: string, ok: boolean, skipped: boolean, message: string}>}>,
+     *   orphans: Array<{key: string, name: string, locations: string[]}>, issueCount: number, healthy: boolean}>}
+     */
+    async diagnose(options = {}) {
+        if (!this.saveConfig.directoryHandleCache.get('taskmaster-package')) {
+            throw new Error('TaskMaster包目录不可用，请先选择TaskMaster包目录');
+        }
+
+        const snapshot = await this.readSnapshot();
+        const providers = options.providers
+            ? options.providers.map(provider => this.describeProvider(provider.name, provider))
+            : await this.resolveProviders(options.providerNames);
+
+        const diagnosed = providers.map(provider => {
+            const checks = this.checkProvider(snapshot, provider);
+            return { ...provider, checks, healthy: checks.every(check => check.ok) };
+        });
+
+        const orphans = options.providerNames || options.providers ? [] : this.findOrphans(snapshot, providers);
+        const issueCount = diagnosed.reduce((count, provider) =>
+            count + provider.checks.filter(check => !check.ok).length, 0) + orphans.length;
+
+        Logger.info('供应商一致性检查完成', { providers: diagnosed.length, orphans: orphans.length, issueCount });
+        return { providers: diagnosed, orphans, issueCount, healthy: issueCount === 0 };
+    }
+
+    /**
+     * 确定要检查的供应商：默认为本地配置中的全部自定义供应商
+     */
+    async resolveProviders(providerNames) {
+        const configured = await this.configManager.getProviders();
+        if (!providerNames) {
+            return configured.map(provider => this.describeProvider(provider.name, provider));
+        }
+
+        return providerNames.map(providerName => {
+            const provider = configured.find(item => item.name.toLowerCase() === providerName.toLowerCase());
+            return this.describeProvider(providerName, provider || { name: providerName });
+        });
+    }
+
+    describeProvider(providerName, config) {
+        return { key: providerName.toLowerCase(), name: providerName, config };
+    }
+
+    // ---- 读取 ----
+
+    /**
+     * 一次性读取并解析所有相关文件，解析失败的文件记录错误而不中断检查
+     */
+    async readSnapshot() {
+        const packageDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-package');
+        const projectDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-project');
+
+        return {
+            providerFiles: await this.readProviderFiles(packageDirHandle),
+            indexExports: await this.readSource(packageDirHandle, INDEX_PATH, patcher => this.collectExports(patcher)),
+            unified: await this.readSource(packageDirHandle, UNIFIED_PATH, patcher => ({
+                imports: new Set(patcher.getNamedSpecifiers(
+                    patcher.require(patcher.findImport(PROVIDER_INDEX_IMPORT), '供应商index.js的import语句')
+                ).map(specifier => specifier.local.name)),
+                providers: this.collectKeys(patcher.require(patcher.findObjectDeclarations('PROVIDERS'), 'PROVIDERS对象')),
+                keyMaps: patcher.require(patcher.findObjectDeclarations('keyMap'), 'keyMap对象')
+                    .map(keyMap => this.collectKeys([keyMap])),
+                envNames: this.collectStringValues(patcher.findObjectDeclarations('keyMap'))
+            })),
+            configManager: await this.readSource(packageDirHandle, CONFIG_MANAGER_PATH, patcher => ({
+                keyMaps: patcher.require(patcher.findObjectDeclarations('keyMap'), 'keyMap对象')
+                    .map(keyMap => this.collectKeys([keyMap])),
+                envNames: this.collectStringValues(patcher.findObjectDeclarations('keyMap')),
+                cases: new Set(patcher.require(
+                    patcher.findSwitch('getMcpApiKeyStatus', 'providerName'),
+                    'getMcpApiKeyStatus中的switch (providerName)语句'
+                ).cases.filter(switchCase => switchCase.test).map(switchCase => String(switchCase.test.value)))
+            })),
+            supportedModels: await this.readJson(packageDirHandle, SUPPORTED_MODELS_PATH,
+                supportedModels => new Set(Object.keys(supportedModels))),
+            // task-master-ai 0.18.0起init.js不再包含MCP配置模板，此时没有需要写入的密钥
+            initEnv: await this.readSource(packageDirHandle, INIT_JS_PATH, patcher =>
+                patcher.findPropertyObjects('env').length === 0
+                    ? { skipped: 'init.js中没有MCP配置模板，无需添加密钥' }
+                    : this.collectKeys([this.fileManager.findMcpTemplateEnv(patcher)])),
+            mcpEnv: projectDirHandle
+                ? await this.readMcpClients(projectDirHandle)
+                : { skipped: '未选择TaskMaster项目目录' }
+        };
+    }
+
+    async readProviderFiles(packageDirHandle) {
+        const files = new Map();
+        const backend = toStorageBackend(packageDirHandle);
+        const entries = await backend.listDirectory(PROVIDERS_DIR) || [];
+
+        for (const { name, kind } of entries) {
+            const key = name.replace(/\.js$/, '');
+            if (kind === 'file' && name.endsWith('.js') && !NON_PROVIDER_FILES.includes(key)) {
+                files.set(key, await backend.readFile(`${PROVIDERS_DIR}/${name}`));
+            }
+        }
+        return files;
+    }
+
+    /**
+     * 读取并解析JavaScript文件
+     * @returns {Promise<Object>} collect的结果，失败时为 {error}
+     */
+    async readSource(directoryHandle, relativePath, collect) {
+        try {
+            const content = await this.saveConfig.readFileFromDirectory(directoryHandle, relativePath);
+            if (content === null) {
+                return { error: `${relativePath} 不存在` };
+            }
+            return collect(new SourcePatcher(content, relativePath));
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    async readJson(directoryHandle, relativePath, collect) {
+        try {
+            const content = await this.saveConfig.readFileFromDirectory(directoryHandle, relativePath);
+            if (content === null) {
+                return { error: `${relativePath} 不存在` };
+            }
+            return collect(JSON.parse(content));
+        } catch (error) {
+            return { error: `${relativePath} 无法解析: ${error.message}` };
+        }
+    }
+
+    /**
+     * 读取每个需要写入密钥的MCP客户端配置中TaskMaster服务器的env
+     * @returns {Promise<{clients: Array<{path: string, keys?: Set<string>, error?: string}>}|{skipped: string}>}
+     */
+    async readMcpClients(projectDirHandle) {
+        const targets = await new McpClientRegistry(this.saveConfig).getTargets();
+        if (targets.length === 0) {
+            return { skipped: '所有MCP客户端均已停用' };
+        }
+
+        const clients = [];
+        for (const client of targets) {
+            const parsed = await this.readJson(projectDirHandle, client.path,
+                mcpConfig => new Set(Object.keys(McpClientRegistry.getEnv(mcpConfig, client))));
+            clients.push(parsed instanceof Set ? { path: client.path, keys: parsed } : { path: client.path, error: parsed.error });
+        }
+        return { clients };
+    }
+
+    /**
+     * 收集对象字面量中字符串属性值（keyMap中的环境变量名）
+     */
+    collectStringValues(objectNodes) {
+        const values = new Set();
+        objectNodes.forEach(objectNode => objectNode.properties.forEach(property => {
+            if (property.type === 'Property' && property.value?.type === 'Literal' && typeof property.value.value === 'string') {
+                values.add(property.value.value);
+            }
+        }));
+        return values;
+    }
+
+    collectKeys(objectNodes) {
+        const keys = new Set();
+        objectNodes.forEach(objectNode => objectNode.properties.forEach(property => {
+            if (property.type === 'Property' && property.key) {
+                keys.add(property.key.type === 'Identifier' ? property.key.name : String(property.key.value));
+            }
+        }));
+        return keys;
+    }
+
+    /**
+     * 收集index.js中 `export { X } from './x.js'` 的导出名 -> 模块路径
+     */
+    collectExports(patcher) {
+        const exports = new Map();
+        patcher.findAll(node => node.type === 'ExportNamedDeclaration' && node.source).forEach(node => {
+            node.specifiers.forEach(specifier => {
+                exports.set(specifier.exported.name || specifier.exported.value, node.source.value);
+            });
+        });
+        return { exports };
+    }
+
+    // ---- 检查 ----
+
+    /**
+     * 逐项检查单个供应商
+     * @param {Object} snapshot - readSnapshot()的结果
+     * @param {{key: string, name: string}} provider - 供应商
+     * @returns {Array<{id: string, file: string, label: string, ok: boolean, skipped: boolean, message: string}>}
+     */
+    checkProvider(snapshot, provider) {
+        const className = getClassName(provider.name);
+        const apiKeyName = getApiKeyName(provider.key);
+
+        const results = {
+            'provider-file': () => snapshot.providerFiles.has(provider.key) ||
+                `缺少 ${PROVIDERS_DIR}/${provider.key}.js`,
+            'index-export': () => this.whenParsed(snapshot.indexExports, ({ exports }) => {
+                const source = exports.get(className);
+                if (!source) {
+                    return `index.js 没有导出 ${className}`;
+                }
+                return source === `./${provider.key}.js` || `${className} 导出自 ${source}，应为 ./${provider.key}.js`;
+            }),
+            'unified-import': () => this.whenParsed(snapshot.unified, ({ imports }) =>
+                imports.has(className) || `没有从index.js导入 ${className}`),
+            'unified-providers': () => this.whenParsed(snapshot.unified, ({ providers }) =>
+                providers.has(provider.key) || `PROVIDERS中缺少 ${provider.key}`),
+            'unified-keymap': () => this.whenParsed(snapshot.unified, ({ keyMaps }) =>
+                keyMaps.every(keys => keys.has(provider.key)) || `keyMap中缺少 ${provider.key}`),
+            'config-keymap': () => this.whenParsed(snapshot.configManager, ({ keyMaps }) =>
+                keyMaps.every(keys => keys.has(provider.key)) || `keyMap中缺少 ${provider.key}`),
+            'config-switch': () => this.whenParsed(snapshot.configManager, ({ cases }) =>
+                cases.has(provider.key) || `switch中缺少 case '${provider.key}'`),
+            'supported-models': () => this.whenParsed(snapshot.supportedModels, keys =>
+                keys.has(provider.key) || `缺少 "${provider.key}" 条目`),
+            'init-env': () => this.whenParsed(snapshot.initEnv, keys =>
+                keys.has(apiKeyName) || `MCP配置模板中缺少 ${apiKeyName}`),
+            'mcp-env': () => this.whenParsed(snapshot.mcpEnv, ({ clients }) => {
+                const problems = clients
+                    .filter(client => client.error || !client.keys.has(apiKeyName))
+                    .map(client => client.error || `${client.path} 的TaskMaster服务器env中缺少 ${apiKeyName}`);
+                return problems.length === 0 || problems.join('; ');
+            })
+        };
+
+        return DOCTOR_CHECKS.map(check => {
+            const outcome = results[check.id]();
+            const skipped = typeof outcome === 'object' && outcome !== null;
+            return {
+                id: check.id,
+                file: check.file.replace('<key>', provider.key),
+                label: check.label,
+                ok: outcome === true || skipped,
+                skipped,
+                message: skipped ? outcome.skipped : (outcome === true ? '' : outcome)
+            };
+        });
+    }
+
+    /**
+     * 文件读取成功时执行检查；文件缺失或无法解析时返回错误信息，未选择目录时返回 {skipped}
+     */
+    whenParsed(parsed, check) {
+        if (parsed.skipped) {
+            return { skipped: parsed.skipped };
+        }
+        if (parsed.error) {
+            return parsed.error;
+        }
+        return check(parsed);
+    }
+
+    /**
+     * 查找孤立条目：供应商已不在本地配置中，但仍存在本工具生成的供应商文件、index.js导出、
+     * PROVIDERS/keyMap/switch中的注册，或init.js模板中不再被任何keyMap引用的API密钥
+     * @returns {Array<{key: string, name: string, locations: string[]}>}
+     */
+    findOrphans(snapshot, providers) {
+        const configuredKeys = new Set(providers.map(provider => provider.key));
+        const defaultKeys = new Set(this.configManager.getDefaultProviderNames?.() || []);
+        const exports = snapshot.indexExports.exports || new Map();
+        const imports = snapshot.unified.imports || new Set();
+        const candidates = new Map();
+        // 按 <key>Provider 在ai-services-unified.js的导入中查找类名（大小写可能与key不同）
+        const findClassName = key => [...imports].find(name => name.toLowerCase() === `${key}provider`) || null;
+        const addCandidate = key => {
+            if (!candidates.has(key)) {
+                candidates.set(key, findClassName(key));
+            }
+        };
+
+        snapshot.providerFiles.forEach((content, key) => {
+            if (GENERATED_PROVIDER_PATTERN.test(content || '')) {
+                const classMatch = content.match(/export class (\w+) extends/);
+                candidates.set(key, classMatch ? classMatch[1] : null);
+            }
+        });
+        // 指向不存在文件的导出（供应商文件已删除但注册仍在）
+        exports.forEach((source, className) => {
+            const key = source.replace(/^\.\//, '').replace(/\.js$/, '');
+            if (!snapshot.providerFiles.has(key) && !NON_PROVIDER_FILES.includes(key)) {
+                candidates.set(key, className);
+            }
+        });
+
+        // 剩余的注册：供应商文件和导出已删除，但PROVIDERS、keyMap或switch中仍有条目
+        const registeredKeys = [
+            ...(snapshot.unified.providers || []),
+            ...(snapshot.unified.keyMaps || []).flatMap(keys => [...keys]),
+            ...(snapshot.configManager.keyMaps || []).flatMap(keys => [...keys]),
+            ...(snapshot.configManager.cases || [])
+        ];
+        registeredKeys.filter(key => !BUILTIN_PROVIDER_KEYS.includes(key)).forEach(addCandidate);
+
+        // init.js模板中的API密钥：内置供应商的密钥名都被keyMap引用（如 AZURE_OPENAI_API_KEY），
+        // 不再被引用的自定义供应商密钥即为残留
+        const referencedEnvNames = new Set([
+            ...(snapshot.unified.envNames || []),
+            ...(snapshot.configManager.envNames || [])
+        ]);
+        (snapshot.initEnv instanceof Set ? [...snapshot.initEnv] : [])
+            .filter(envName => /_API_KEY$/.test(envName) && !referencedEnvNames.has(envName))
+            .map(envName => envName.replace(/_API_KEY$/, '').toLowerCase())
+            .filter(key => !BUILTIN_PROVIDER_KEYS.includes(key))
+            .forEach(addCandidate);
+
+        const orphans = [];
+        candidates.forEach((className, key) => {
+            if (configuredKeys.has(key) || defaultKeys.has(key)) {
+                return;
+            }
+            const name = className ? className.replace(/Provider$/, '') : key;
+            const locations = this.checkProvider(snapshot, { key, name })
+                .filter(check => check.ok && !check.skipped)
+                .map(check => check.label);
+            orphans.push({ key, name, locations });
+        });
+        return orphans;
+    }
+
+    // ---- 修复 ----
+
+    /**
+     * 在事务中修复检查报告中的问题：任一步骤失败时恢复所有文件
+     * @param {Object} report - diagnose()的结果
+     * @param {Object} [options]
+     * @param {boolean} [options.removeOrphans=false] - 同时删除孤立条目
+     * @returns {Promise<{success: string[], failed: Array<{file: string, error: string}>, warnings: string[]}>}
+     */
+    async repair(report, options = {}) {
+        const { result, rolledBack, rollback } = await this.fileManager.runInTransaction(
+            manager => new ProviderDoctor(manager).performRepair(report, options),
+            results => results.failed.length > 0
+        );
+
+        if (rolledBack) {
+            this.fileManager.annotateRolledBackUpdates(result, rollback);
+        }
+        return result;
+    }
+
+    /**
+     * 规划修复：计算修复将写入的所有变更，但不修改任何文件
+     * @param {Object} report - diagnose()的结果
+     * @param {Object} [options] - 同repair()
+     * @returns {Promise<ChangePlan>}
+     */
+    async planRepair(report, options = {}) {
+        return this.fileManager.planOperation(manager => new ProviderDoctor(manager).performRepair(report, options));
+    }
+
+    /**
+     * 依次执行修复步骤（不带事务，由repair/planRepair调用）
+     */
+    async performRepair(report, options = {}) {
+        const results = {
+            success: [],
+            failed: [],
+            warnings: []
+        };
+
+        for (const provider of report.providers) {
+            const steps = new Set(provider.checks
+                .filter(check => !check.ok)
+                .map(check => DOCTOR_CHECKS.find(definition => definition.id === check.id).repair));
+
+            for (const stepId of steps) {
+                const step = REPAIR_STEPS[stepId];
+                const file = `${provider.name}: ${step.file(provider)}`;
+                try {
+                    await step.run(this.fileManager, provider);
+                    results.success.push(file);
+                } catch (error) {
+                    if (step.optional) {
+                        results.warnings.push(`${file} 更新失败: ${error.message}`);
+                    } else {
+                        results.failed.push({ file, error: error.message });
+                    }
+                }
+            }
+        }
+
+        if (options.removeOrphans) {
+            for (const orphan of report.orphans) {
+                const deletion = await this.fileManager.performProviderDeletion(orphan.name);
+                if (deletion.success) {
+                    [...deletion.deletedFiles, ...deletion.updatedFiles]
+                        .forEach(file => results.success.push(`${orphan.name}: ${file}`));
+                } else {
+                    deletion.errors.forEach(error => results.failed.push({ file: orphan.name, error }));
+                }
+                deletion.warnings.forEach(warning => results.warnings.push(warning));
+            }
+        } else if (report.orphans.length > 0) {
+            results.warnings.push(`发现 ${report.orphans.length} 个孤立供应商（${report.orphans.map(orphan => orphan.key).join(', ')}），未清理`);
+        }
+
+        return results;
+    }
+}
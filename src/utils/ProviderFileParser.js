@@ -3,6 +3,10 @@
  * 解析 src/ai-providers/ 目录下的JavaScript文件，提取供应商配置信息
  */
 
+import { toStorageBackend } from './StorageBackend.js';
+
+const PROVIDERS_DIR = 'src/ai-providers';
+
 export class ProviderFileParser {
     constructor(saveConfig) {
         this.saveConfig = saveConfig;
@@ -10,24 +14,23 @@ export class ProviderFileParser {
 
     /**
      * 扫描并解析所有供应商文件
-     * @param {FileSystemDirectoryHandle} projectDirHandle - TaskMaster项目目录句柄
+     * @param {StorageBackend|FileSystemDirectoryHandle} projectDirHandle - TaskMaster目录的存储后端或目录句柄
      * @returns {Object} 供应商配置信息映射表
      */
     async parseAllProviderFiles(projectDirHandle) {
         const providerConfigs = {};
         
         try {
-            // 获取 src/ai-providers 目录
-            const srcDir = await projectDirHandle.getDirectoryHandle('src');
-            const providersDir = await srcDir.getDirectoryHandle('ai-providers');
+            const backend = toStorageBackend(projectDirHandle);
+            const entries = await backend.listDirectory(PROVIDERS_DIR) || [];
             
             // 遍历目录中的所有文件
-            for await (const [name, handle] of providersDir.entries()) {
-                if (handle.kind === 'file' && name.endsWith('.js') && 
+            for (const { name, kind } of entries) {
+                if (kind === 'file' && name.endsWith('.js') && 
                     name !== 'index.js' && name !== 'base-provider.js') {
                     
                     try {
-                        const config = await this.parseProviderFile(handle, name);
+                        const config = await this.parseProviderFile(backend, name);
                         if (config) {
                             providerConfigs[config.key] = config;
                         }
@@ -45,14 +48,16 @@ export class ProviderFileParser {
 
     /**
      * 解析单个供应商文件
-     * @param {FileSystemFileHandle} fileHandle - 文件句柄
-     * @param {string} fileName - 文件名
+     * @param {StorageBackend} backend - 存储后端
+     * @param {string} fileName - 文件名（位于 src/ai-providers/ 下）
      * @returns {Object|null} 供应商配置信息
      */
-    async parseProviderFile(fileHandle, fileName) {
+    async parseProviderFile(backend, fileName) {
         try {
-            const file = await fileHandle.getFile();
-            const content = await file.text();
+            const content = await backend.readFile(`${PROVIDERS_DIR}/${fileName}`);
+            if (content === null) {
+                return null;
+            }
             
             const providerKey = fileName.replace('.js', '');
             const config = {
@@ -146,6 +151,11 @@ export class ProviderFileParser {
             return 'google';
         }
         
+        // 检查是否使用 createAzure
+        if (content.includes('createAzure')) {
+            return 'azure';
+        }
+
         // 检查是否是 Ollama
         if (content.includes('ollama') || content.includes('Ollama')) {
             return 'ollama';
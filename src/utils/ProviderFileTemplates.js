@@ -0,0 +1,301 @@
+/**
+ * ProviderFileTemplates.js
+ * src/ai-providers/<供应商>.js 的文件模板，按供应商类型选择：
+ * OpenAI兼容（@ai-sdk/openai）、Anthropic兼容（@ai-sdk/anthropic）、Google（@ai-sdk/google）、
+ * Ollama（ollama-ai-provider）和Azure OpenAI（@ai-sdk/azure，带api-version）。
+ * 这些SDK包都是task-master-ai的依赖，生成的文件不需要额外安装
+ */
+
+export const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+const JS_STRING_ESCAPES = { '\\': '\\\\', "'": "\\'", '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+// 生成单引号的JavaScript字符串字面量，其余控制字符和行/段分隔符（U+2028、U+2029）转义为 \uXXXX
+function toJsString(value) {
+    const escaped = Array.from(String(value), char => {
+        if (JS_STRING_ESCAPES[char]) {
+            return JS_STRING_ESCAPES[char];
+        }
+        const code = char.charCodeAt(0);
+        return code < 0x20 || code === 0x7f || code === 0x2028 || code === 0x2029
+            ? `\\u${code.toString(16).padStart(4, '0')}`
+            : char;
+    }).join('');
+    return `'${escaped}'`;
+}
+
+function toJsObject(values) {
+    const lines = Object.entries(values).map(([key, value]) => `    ${toJsString(key)}: ${toJsString(value)}`);
+    return `{\n${lines.join(',\n')}\n}`;
+}
+
+/**
+ * 模板定义：
+ * - label: 界面中显示的名称
+ * - apiName: 文件头部说明中的接口名称
+ * - packageName/factory: 导入的SDK包和创建客户端的函数
+ * - requiresApiKey: 为false时生成的供应商不要求API密钥
+ * - normalize: 生成规范化baseURL的代码（effectiveBaseURL -> normalizedBaseURL）
+ * - resolveBaseURL: 与normalize相同的规范化，供导出配置和连接测试使用
+ * - options: 传给factory的参数（每项一行代码）
+ */
+export const PROVIDER_FILE_TEMPLATES = {
+    openai: {
+        label: 'OpenAI 兼容',
+        apiName: 'OpenAI-compatible',
+        packageName: '@ai-sdk/openai',
+        factory: 'createOpenAI',
+        requiresApiKey: true,
+        normalize: `            // 确保baseURL以/v1结尾（如果需要）
+            const normalizedBaseURL = effectiveBaseURL.endsWith('/v1')
+                ? effectiveBaseURL
+                : \`\${effectiveBaseURL}/v1\`.replace(/\\/+v1$/g, '/v1');`,
+        resolveBaseURL: endpoint => endpoint.endsWith('/v1') ? endpoint : `${endpoint}/v1`.replace(/\/+v1$/g, '/v1'),
+        options: () => ['apiKey', 'baseURL: normalizedBaseURL']
+    },
+    anthropic: {
+        label: 'Anthropic 兼容',
+        apiName: 'Anthropic-compatible',
+        packageName: '@ai-sdk/anthropic',
+        factory: 'createAnthropic',
+        requiresApiKey: true,
+        normalize: `            // Anthropic接口的请求路径为 {baseURL}/messages，baseURL需要以/v1结尾
+            const normalizedBaseURL = effectiveBaseURL.endsWith('/v1')
+                ? effectiveBaseURL
+                : \`\${effectiveBaseURL}/v1\`.replace(/\\/+v1$/g, '/v1');`,
+        resolveBaseURL: endpoint => endpoint.endsWith('/v1') ? endpoint : `${endpoint}/v1`.replace(/\/+v1$/g, '/v1'),
+        options: () => ['apiKey', 'baseURL: normalizedBaseURL']
+    },
+    google: {
+        label: 'Google Gemini 兼容',
+        apiName: 'Google Gemini-compatible',
+        packageName: '@ai-sdk/google',
+        factory: 'createGoogleGenerativeAI',
+        requiresApiKey: true,
+        normalize: `            // Gemini接口的baseURL以版本结尾（默认/v1beta）
+            const normalizedBaseURL = /\\/v1(beta)?$/.test(effectiveBaseURL)
+                ? effectiveBaseURL
+                : \`\${effectiveBaseURL.replace(/\\/+$/, '')}/v1beta\`;`,
+        resolveBaseURL: endpoint => /\/v1(beta)?$/.test(endpoint) ? endpoint : `${endpoint.replace(/\/+$/, '')}/v1beta`,
+        options: () => ['apiKey', 'baseURL: normalizedBaseURL']
+    },
+    ollama: {
+        label: 'Ollama',
+        apiName: 'Ollama',
+        packageName: 'ollama-ai-provider',
+        factory: 'createOllama',
+        requiresApiKey: false,
+        normalize: `            // Ollama的接口位于 /api 下
+            const normalizedBaseURL = effectiveBaseURL.endsWith('/api')
+                ? effectiveBaseURL
+                : \`\${effectiveBaseURL.replace(/\\/+$/, '')}/api\`;`,
+        resolveBaseURL: endpoint => endpoint.endsWith('/api') ? endpoint : `${endpoint.replace(/\/+$/, '')}/api`,
+        options: () => ['baseURL: normalizedBaseURL']
+    },
+    azure: {
+        label: 'Azure OpenAI',
+        apiName: 'Azure OpenAI',
+        packageName: '@ai-sdk/azure',
+        factory: 'createAzure',
+        requiresApiKey: true,
+        normalize: `            // @ai-sdk/azure的请求路径为 {baseURL}/{部署名称}{路径}，模型ID即部署名称，
+            // baseURL需要以 https://<资源名>.openai.azure.com/openai/deployments 结尾
+            const trimmedBaseURL = effectiveBaseURL.replace(/\\/+$/, '');
+            const normalizedBaseURL = trimmedBaseURL.endsWith('/openai/deployments')
+                ? trimmedBaseURL
+                : \`\${trimmedBaseURL.replace(/\\/openai$/, '')}/openai/deployments\`;`,
+        resolveBaseURL: endpoint => {
+            const trimmed = endpoint.replace(/\/+$/, '');
+            return trimmed.endsWith('/openai/deployments') ? trimmed : `${trimmed.replace(/\/openai$/, '')}/openai/deployments`;
+        },
+        options: providerConfig => [
+            'apiKey',
+            'baseURL: normalizedBaseURL',
+            `apiVersion: ${toJsString(providerConfig?.apiVersion || DEFAULT_AZURE_API_VERSION)}`
+        ]
+    }
+};
+
+export class ProviderFileTemplates {
+    /**
+     * 供应商类型对应的模板键，PoloAI、FoApi、自定义等其他类型使用OpenAI兼容模板
+     * @param {string} type - 供应商类型
+     * @returns {string}
+     */
+    static getTemplateKey(type) {
+        return Object.prototype.hasOwnProperty.call(PROVIDER_FILE_TEMPLATES, type) ? type : 'openai';
+    }
+
+    /**
+     * @param {string} type - 供应商类型
+     * @returns {Object} PROVIDER_FILE_TEMPLATES中的模板
+     */
+    static getTemplate(type) {
+        return PROVIDER_FILE_TEMPLATES[this.getTemplateKey(type)];
+    }
+
+    /**
+     * 生成的供应商文件传给SDK的baseURL（按供应商类型规范化端点）
+     * @param {string} type - 供应商类型
+     * @param {string} endpoint - 配置的端点
+     * @returns {string} 端点为空时返回空字符串
+     */
+    static resolveBaseURL(type, endpoint) {
+        return endpoint ? this.getTemplate(type).resolveBaseURL(endpoint) : '';
+    }
+
+    /**
+     * 生成供应商文件内容
+     * @param {string} providerName - 供应商名称
+     * @param {object} [providerConfig] - 供应商配置（endpoint、type、headers、queryParams，Azure还使用apiVersion）
+     * @returns {string}
+     */
+    static generate(providerName, providerConfig = null) {
+        const template = this.getTemplate(providerConfig?.type);
+        const className = `${providerName.charAt(0).toUpperCase() + providerName.slice(1)}Provider`;
+        const configuredEndpoint = providerConfig?.endpoint || '';
+        const key = providerName.toLowerCase();
+        const headers = providerConfig?.headers || {};
+        const queryParams = providerConfig?.queryParams || {};
+
+        const options = template.options(providerConfig);
+        let requestOptions = '';
+        if (Object.keys(headers).length > 0) {
+            options.push('headers: CUSTOM_HEADERS');
+            requestOptions += `
+// 附加到每个请求的请求头，在配置工具的供应商设置中修改
+const CUSTOM_HEADERS = ${toJsObject(headers)};
+`;
+        }
+        if (Object.keys(queryParams).length > 0) {
+            options.push('fetch: fetchWithQueryParams');
+            requestOptions += `
+// 附加到每个请求URL的查询参数，在配置工具的供应商设置中修改
+const CUSTOM_QUERY_PARAMS = ${toJsObject(queryParams)};
+
+function fetchWithQueryParams(input, init) {
+    const url = new URL(typeof input === 'object' && 'url' in input ? input.url : String(input));
+    Object.entries(CUSTOM_QUERY_PARAMS).forEach(([name, value]) => url.searchParams.set(name, value));
+    return fetch(url, init);
+}
+`;
+        }
+
+        return `/**
+ * ${key}.js
+ * AI provider implementation for ${providerName} using ${template.apiName} API.
+ */
+
+import { ${template.factory} } from '${template.packageName}';
+import { BaseAIProvider } from './base-provider.js';
+${requestOptions}
+export class ${className} extends BaseAIProvider {
+    constructor() {
+        super();
+        this.name = '${providerName}';
+    }
+${template.requiresApiKey ? '' : `
+    /**
+     * ${providerName} runs without an API key.
+     */
+    validateAuth(_params) {
+        // 不需要API密钥
+    }
+
+    isRequiredApiKey() {
+        return false;
+    }
+`}
+    /**
+     * Creates and returns a ${providerName} client instance.
+     * @param {object} params - Parameters for client initialization
+     * @param {string} ${template.requiresApiKey ? 'params.apiKey' : '[params.apiKey]'} - ${providerName} API key${template.requiresApiKey ? '' : ' (not required)'}
+     * @param {string} [params.baseURL] - Optional custom API endpoint
+     * @returns {Function} ${providerName} client function
+     * @throws {Error} If ${template.requiresApiKey ? 'API key is missing or ' : ''}initialization fails
+     */
+    getClient(params) {
+        try {
+            const { ${template.requiresApiKey ? 'apiKey, ' : ''}baseURL } = params;
+${template.requiresApiKey ? `
+            if (!apiKey) {
+                throw new Error('${providerName} API key is required.');
+            }
+` : ''}
+            // 使用配置的API端点，可以通过baseURL参数覆盖
+            const effectiveBaseURL = baseURL || ${toJsString(configuredEndpoint)};
+
+${template.normalize}
+
+            return ${template.factory}({
+${options.map(option => `                ${option}`).join(',\n')}
+            });
+        } catch (error) {
+            this.handleError('client initialization', error);
+        }
+    }
+
+    /**
+     * Maps ${providerName} model IDs to actual API model names
+     * @param {string} modelId - The model ID from supported-models.json
+     * @returns {string} The actual model name to use with the API
+     */
+    mapModelId(modelId) {
+        // 自动去除${key}-前缀，类似poloai的处理方式
+        if (modelId.startsWith('${key}-')) {
+            return modelId.replace('${key}-', '');
+        }
+
+        // 对于特殊情况的手动映射（如果需要）
+        const modelMap = {
+            // 在这里添加特殊的模型映射，如果有的话
+        };
+
+        return modelMap[modelId] || modelId;
+    }
+
+    /**
+     * Generates text using ${providerName} with model ID mapping
+     */
+    async generateText(params) {
+        // Map the model ID to the actual API model name
+        const mappedParams = {
+            ...params,
+            modelId: this.mapModelId(params.modelId)
+        };
+
+        // Call the parent generateText with mapped model ID
+        return super.generateText(mappedParams);
+    }
+
+    /**
+     * Generates streaming text using ${providerName} with model ID mapping
+     */
+    async streamText(params) {
+        // Map the model ID to the actual API model name
+        const mappedParams = {
+            ...params,
+            modelId: this.mapModelId(params.modelId)
+        };
+
+        // Call the parent streamText with mapped model ID
+        return super.streamText(mappedParams);
+    }
+
+    /**
+     * Generates object using ${providerName} with model ID mapping
+     */
+    async generateObject(params) {
+        // Map the model ID to the actual API model name
+        const mappedParams = {
+            ...params,
+            modelId: this.mapModelId(params.modelId)
+        };
+
+        // Call the parent generateObject with mapped model ID
+        return super.generateObject(mappedParams);
+    }
+}
+`;
+    }
+}
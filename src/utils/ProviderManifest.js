@@ -0,0 +1,263 @@
+/**
+ * ProviderManifest.js
+ * 供应商清单：在 .taskmaster-tool/manifest.json 中记录本工具安装到task-master-ai包中的供应商、
+ * 导入到supported-models.json的模型条目以及安装时的包版本，
+ * 用于在 `npm update` 覆盖包文件后检测升级并重新应用这些供应商和模型
+ */
+
+import { Logger } from './Logger.js';
+import { toStorageBackend } from './StorageBackend.js';
+import { ProviderRequestOptions } from './ProviderRequestOptions.js';
+
+export const MANIFEST_PATH = '.taskmaster-tool/manifest.json';
+
+// 清单存放位置的优先顺序：优先项目目录（包升级时不会被覆盖），其次TaskMaster包目录
+const STORAGE_ROOTS = ['taskmaster-project', 'taskmaster-package'];
+
+/**
+ * 延迟写入的清单：读取直接委托给目标清单，修改操作排队，flush()时依次执行
+ */
+export class DeferredProviderManifest {
+    /**
+     * @param {ProviderManifest|DeferredProviderManifest} target - 最终写入的清单
+     */
+    constructor(target) {
+        this.target = target;
+        this.pending = [];
+    }
+
+    getPackageVersion() {
+        return this.target.getPackageVersion();
+    }
+
+    listProviders() {
+        return this.target.listProviders();
+    }
+
+    detectUpgrade() {
+        return this.target.detectUpgrade();
+    }
+
+    async recordProvider(...args) {
+        this.pending.push(manifest => manifest.recordProvider(...args));
+    }
+
+    async removeProvider(...args) {
+        this.pending.push(manifest => manifest.removeProvider(...args));
+    }
+
+    async recordModel(...args) {
+        this.pending.push(manifest => manifest.recordModel(...args));
+    }
+
+    async removeModel(...args) {
+        this.pending.push(manifest => manifest.removeModel(...args));
+    }
+
+    async markReplayed(...args) {
+        this.pending.push(manifest => manifest.markReplayed(...args));
+    }
+
+    defer() {
+        return new DeferredProviderManifest(this);
+    }
+
+    /**
+     * 将排队的修改写入目标清单
+     */
+    async flush() {
+        const pending = this.pending;
+        this.pending = [];
+        for (const update of pending) {
+            await update(this.target);
+        }
+    }
+}
+
+export class ProviderManifest {
+    /**
+     * @param {SaveConfig} saveConfig - 提供目录缓存的SaveConfig实例
+     */
+    constructor(saveConfig) {
+        this.saveConfig = saveConfig;
+    }
+
+    /**
+     * 获取存放清单的存储后端
+     * @returns {StorageBackend|null} 没有可用目录时返回null
+     */
+    getStorage() {
+        const root = STORAGE_ROOTS.find(key => this.saveConfig.directoryHandleCache.has(key));
+        return root ? toStorageBackend(this.saveConfig.directoryHandleCache.get(root)) : null;
+    }
+
+    /**
+     * 读取清单
+     * @returns {Promise<{version: number, providers: Object<string, Object>}>}
+     */
+    async read() {
+        const storage = this.getStorage();
+        const content = storage ? await storage.readFile(MANIFEST_PATH) : null;
+        if (content === null) {
+            return { version: 1, providers: {} };
+        }
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            throw new Error(`供应商清单文件已损坏: ${error.message}`);
+        }
+    }
+
+    async write(manifest) {
+        const storage = this.getStorage();
+        if (!storage) {
+            Logger.warn('没有可用的目录保存供应商清单，跳过记录');
+            return;
+        }
+        await storage.writeFile(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+    }
+
+    /**
+     * 读取当前TaskMaster包的版本号
+     * @returns {Promise<string|null>} 未选择包目录或无法读取时返回null
+     */
+    async getPackageVersion() {
+        const packageDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-package');
+        if (!packageDirHandle) {
+            return null;
+        }
+        try {
+            const content = await toStorageBackend(packageDirHandle).readFile('package.json');
+            return content === null ? null : (JSON.parse(content).version || 'unknown');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 记录已安装到包中的供应商（API密钥不写入清单）
+     * @param {string} providerName - 供应商名称
+     * @param {object} providerConfig - 供应商配置信息
+     */
+    async recordProvider(providerName, providerConfig = {}) {
+        const manifest = await this.read();
+        const key = providerName.toLowerCase();
+        const previous = manifest.providers[key];
+
+        manifest.providers[key] = {
+            name: providerName,
+            endpoint: providerConfig.endpoint || '',
+            type: providerConfig.type || 'openai',
+            ...(providerConfig.apiVersion ? { apiVersion: providerConfig.apiVersion } : {}),
+            // 密钥类请求头与API密钥一样不写入清单，重新应用时从本地配置中取回
+            ...(providerConfig.headers ? { headers: ProviderRequestOptions.splitSecretHeaders(providerConfig.headers).headers } : {}),
+            ...(providerConfig.queryParams ? { queryParams: providerConfig.queryParams } : {}),
+            ...(previous?.models ? { models: previous.models } : {}),
+            packageVersion: await this.getPackageVersion(),
+            installedAt: previous?.installedAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.write(manifest);
+        Logger.info(`已在供应商清单中记录 ${providerName}`);
+    }
+
+    /**
+     * 从清单中移除供应商
+     * @param {string} providerName - 供应商名称
+     */
+    async removeProvider(providerName) {
+        const manifest = await this.read();
+        const key = providerName.toLowerCase();
+        if (!manifest.providers[key]) {
+            return;
+        }
+        delete manifest.providers[key];
+        await this.write(manifest);
+        Logger.info(`已从供应商清单中移除 ${providerName}`);
+    }
+
+    /**
+     * 记录导入到supported-models.json的模型条目，包升级后随供应商一起重新应用
+     * @param {string} providerName - 供应商名称
+     * @param {object} modelEntry - supported-models.json中的模型条目
+     */
+    async recordModel(providerName, modelEntry) {
+        const manifest = await this.read();
+        const entry = manifest.providers[providerName.toLowerCase()];
+        if (!entry) {
+            Logger.warn(`供应商清单中没有 ${providerName}，跳过记录模型 ${modelEntry.id}`);
+            return;
+        }
+        entry.models = [...(entry.models || []).filter(model => model.id !== modelEntry.id), modelEntry];
+        entry.updatedAt = new Date().toISOString();
+        await this.write(manifest);
+    }
+
+    /**
+     * 从清单中移除模型条目
+     * @param {string} providerName - 供应商名称
+     * @param {string} modelId - 带前缀的模型ID
+     */
+    async removeModel(providerName, modelId) {
+        const manifest = await this.read();
+        const entry = manifest.providers[providerName.toLowerCase()];
+        if (!entry?.models?.some(model => model.id === modelId)) {
+            return;
+        }
+        entry.models = entry.models.filter(model => model.id !== modelId);
+        entry.updatedAt = new Date().toISOString();
+        await this.write(manifest);
+    }
+
+    /**
+     * 列出清单中的供应商
+     * @returns {Promise<Array<{key: string, name: string, endpoint: string, type: string, packageVersion: string|null,
+     *   models?: Array<Object>}>>}
+     */
+    async listProviders() {
+        const manifest = await this.read();
+        return Object.entries(manifest.providers).map(([key, entry]) => ({ key, ...entry }));
+    }
+
+    /**
+     * 检测包版本是否与安装供应商时的版本不同（即包已升级或重新安装）
+     * @returns {Promise<{upgraded: boolean, currentVersion: string|null, providers: Array<Object>}>}
+     *   providers为安装时版本与当前版本不同的供应商
+     */
+    async detectUpgrade() {
+        const currentVersion = await this.getPackageVersion();
+        if (!currentVersion) {
+            return { upgraded: false, currentVersion, providers: [] };
+        }
+
+        const providers = (await this.listProviders())
+            .filter(entry => entry.packageVersion !== currentVersion);
+        return { upgraded: providers.length > 0, currentVersion, providers };
+    }
+
+    /**
+     * 将重新应用成功的供应商标记为已安装到指定版本
+     * @param {string[]} providerNames - 供应商名称
+     * @param {string} version - 包版本
+     */
+    async markReplayed(providerNames, version) {
+        const manifest = await this.read();
+        providerNames.forEach(providerName => {
+            const entry = manifest.providers[providerName.toLowerCase()];
+            if (entry) {
+                entry.packageVersion = version;
+                entry.updatedAt = new Date().toISOString();
+            }
+        });
+        await this.write(manifest);
+    }
+
+    /**
+     * 创建延迟写入的清单：规划模式下记录的修改在变更计划应用后才写入
+     * @returns {DeferredProviderManifest}
+     */
+    defer() {
+        return new DeferredProviderManifest(this);
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * ProviderRequestOptions.js
+ * 供应商的附加请求头和查询参数（如 HTTP-Referer、X-Title、OpenAI-Organization、租户ID、api-version），
+ * 保存在供应商的 headers 和 queryParams 字段中。连接测试、模型测试和生成的供应商文件都会附加这些设置
+ */
+
+import { Redactor } from './Redactor.js';
+
+// 请求头名称输入框的建议值
+export const HEADER_SUGGESTIONS = ['HTTP-Referer', 'X-Title', 'OpenAI-Organization', 'OpenAI-Project', 'X-Tenant-Id'];
+
+// HTTP请求头名称（RFC 9110 token）
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// 是否包含控制字符（包括换行和DEL）
+function hasControlCharacters(value) {
+    return Array.from(value).some(char => char.charCodeAt(0) < 0x20 || char.charCodeAt(0) === 0x7f);
+}
+
+export class ProviderRequestOptions {
+    /**
+     * 将编辑器中的行转换为供应商字段，名称和值都为空的行忽略
+     * @param {Array<{kind: string, key: string, value: string}>} entries - kind为 header 或 query
+     * @returns {{headers: Object<string, string>, queryParams: Object<string, string>, errors: string[]}}
+     */
+    static fromEntries(entries) {
+        const headers = {};
+        const queryParams = {};
+        const errors = [];
+
+        entries.forEach(({ kind, key = '', value = '' }, index) => {
+            const name = key.trim();
+            if (!name && !value.trim()) {
+                return;
+            }
+            if (!name) {
+                errors.push(`第 ${index + 1} 行缺少名称`);
+                return;
+            }
+
+            if (kind === 'query') {
+                if (Object.prototype.hasOwnProperty.call(queryParams, name)) {
+                    errors.push(`重复的查询参数: ${name}`);
+                    return;
+                }
+                if (hasControlCharacters(value)) {
+                    errors.push(`查询参数 ${name} 的值不能包含控制字符`);
+                    return;
+                }
+                queryParams[name] = value;
+                return;
+            }
+
+            if (!HEADER_NAME_PATTERN.test(name)) {
+                errors.push(`请求头名称无效: ${name}`);
+            } else if (/[\r\n]/.test(value)) {
+                errors.push(`请求头 ${name} 的值不能包含换行`);
+            } else if (Object.keys(headers).some(existing => existing.toLowerCase() === name.toLowerCase())) {
+                errors.push(`重复的请求头: ${name}`);
+            } else {
+                headers[name] = value.trim();
+            }
+        });
+
+        return { headers, queryParams, errors };
+    }
+
+    /**
+     * 供应商的请求头和查询参数，转换为编辑器中的行
+     * @param {Object} provider - 供应商
+     * @returns {Array<{kind: string, key: string, value: string}>}
+     */
+    static toEntries(provider) {
+        return [
+            ...Object.entries(provider?.headers || {}).map(([key, value]) => ({ kind: 'header', key, value })),
+            ...Object.entries(provider?.queryParams || {}).map(([key, value]) => ({ kind: 'query', key, value }))
+        ];
+    }
+
+    /**
+     * @param {Object} provider - 供应商
+     * @returns {boolean} 是否设置了请求头或查询参数
+     */
+    static hasOptions(provider) {
+        return Object.keys(provider?.headers || {}).length > 0 || Object.keys(provider?.queryParams || {}).length > 0;
+    }
+
+    /**
+     * 按名称拆分请求头：名称表示密钥的请求头（Authorization、x-api-key等，见 Redactor.isSecretKey）
+     * 与API密钥一样只保存在本地配置中，不写入项目文件、供应商清单和导出的配置
+     * @param {Object<string, string>} [headers] - 请求头
+     * @returns {{headers: Object<string, string>, secretHeaders: Object<string, string>}}
+     */
+    static splitSecretHeaders(headers) {
+        const entries = Object.entries(headers || {});
+        return {
+            headers: Object.fromEntries(entries.filter(([name]) => !Redactor.isSecretKey(name))),
+            secretHeaders: Object.fromEntries(entries.filter(([name]) => Redactor.isSecretKey(name)))
+        };
+    }
+
+    /**
+     * 在测试请求上附加供应商的请求头和查询参数，同名请求头（不区分大小写）以供应商的设置为准
+     * @param {Object} provider - 供应商
+     * @param {string} url - 请求地址
+     * @param {Object<string, string>} [headers] - 默认请求头
+     * @returns {{url: string, headers: Object<string, string>}}
+     */
+    static apply(provider, url, headers = {}) {
+        const custom = provider?.headers || {};
+        const overridden = new Set(Object.keys(custom).map(name => name.toLowerCase()));
+        const merged = Object.fromEntries(Object.entries(headers).filter(([name]) => !overridden.has(name.toLowerCase())));
+
+        return {
+            url: this.appendQueryParams(url, provider?.queryParams || {}),
+            headers: { ...merged, ...custom }
+        };
+    }
+
+    /**
+     * 在URL上追加查询参数（保留已有参数和 # 片段）
+     * @param {string} url - 请求地址
+     * @param {Object<string, string>} params - 查询参数
+     * @returns {string}
+     */
+    static appendQueryParams(url, params) {
+        const query = Object.entries(params)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+            .join('&');
+        if (!query) {
+            return url;
+        }
+
+        const hashIndex = url.indexOf('#');
+        const base = hashIndex >= 0 ? url.slice(0, hashIndex) : url;
+        const hash = hashIndex >= 0 ? url.slice(hashIndex) : '';
+        const separator = !base.includes('?') ? '?' : (base.endsWith('?') || base.endsWith('&') ? '' : '&');
+        return `${base}${separator}${query}${hash}`;
+    }
+}
@@ -4,6 +4,8 @@
  */
 
 import { NetworkClient } from './NetworkClient.js';
+import { ProviderRequestOptions } from './ProviderRequestOptions.js';
+import { DEFAULT_AZURE_API_VERSION, ProviderFileTemplates } from './ProviderFileTemplates.js';
 
 export class ProviderValidator {
     constructor() {
@@ -33,6 +35,12 @@ export class ProviderValidator {
             'openrouter': {
                 requiredFields: ['name', 'endpoint', 'apiKey', 'type']
             },
+            'ollama': {
+                requiredFields: ['name', 'endpoint', 'type']
+            },
+            'azure': {
+                requiredFields: ['name', 'endpoint', 'apiKey', 'type']
+            },
             'custom': {
                 requiredFields: ['name', 'endpoint', 'type']
             }
@@ -73,8 +81,8 @@ export class ProviderValidator {
             if (!apiKeyValidation.isValid) {
                 errors.push(...apiKeyValidation.errors);
             }
-        } else if (provider.type !== 'custom') {
-            // API key is required for non-custom providers
+        } else if (provider.type !== 'custom' && provider.type !== 'ollama') {
+            // API key is required for non-custom providers (Ollama runs without a key)
             errors.push('此服务商类型需要API密钥');
         }
 
@@ -229,6 +237,12 @@ export class ProviderValidator {
                 case 'polo':
                     testResult = await this.testGoogleAPI(provider);
                     break;
+                case 'azure':
+                    testResult = await this.testAzureAPI(provider);
+                    break;
+                case 'ollama':
+                    testResult = await this.testOllamaAPI(provider);
+                    break;
                 case 'custom':
                     testResult = await this.testCustomAPI(provider);
                     break;
@@ -264,13 +278,13 @@ export class ProviderValidator {
      */
     async testOpenAICompatibleAPI(provider) {
         try {
-            const endpoint = provider.endpoint.replace(/\/$/, '') + '/v1/models';
+            const { url: endpoint, headers } = ProviderRequestOptions.apply(provider, provider.endpoint.replace(/\/$/, '') + '/v1/models', {
+                'Authorization': `Bearer ${provider.apiKey}`,
+                'Content-Type': 'application/json'
+            });
 
             const response = await this.networkClient.get(endpoint, {
-                headers: {
-                    'Authorization': `Bearer ${provider.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
+                headers,
                 onRetry: () => {
                     // API重试中
                 }
@@ -329,17 +343,17 @@ export class ProviderValidator {
      */
     async testAnthropicAPI(provider) {
         try {
-            const endpoint = provider.endpoint.replace(/\/$/, '') + '/v1/messages';
+            const { url: endpoint, headers } = ProviderRequestOptions.apply(provider, provider.endpoint.replace(/\/$/, '') + '/v1/messages', {
+                'x-api-key': provider.apiKey,
+                'anthropic-version': '2023-06-01'
+            });
 
             const response = await this.networkClient.post(endpoint, {
                 model: 'claude-3-haiku-20240307',
                 max_tokens: 10,
                 messages: [{ role: 'user', content: 'test' }]
             }, {
-                headers: {
-                    'x-api-key': provider.apiKey,
-                    'anthropic-version': '2023-06-01'
-                },
+                headers,
                 onRetry: () => {
                     // API重试中
                 }
@@ -409,13 +423,13 @@ export class ProviderValidator {
     async testGoogleAPI(provider) {
         try {
             // For Google/Polo, we'll try a simple request
-            const endpoint = provider.endpoint.replace(/\/$/, '') + '/v1/models';
+            const { url: endpoint, headers } = ProviderRequestOptions.apply(provider, provider.endpoint.replace(/\/$/, '') + '/v1/models', {
+                'Authorization': `Bearer ${provider.apiKey}`,
+                'Content-Type': 'application/json'
+            });
 
             const response = await this.networkClient.get(endpoint, {
-                headers: {
-                    'Authorization': `Bearer ${provider.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
+                headers,
                 onRetry: () => {
                     // API重试中
                 }
@@ -465,17 +479,139 @@ export class ProviderValidator {
         }
     }
 
+    /**
+     * Azure OpenAI请求地址：{资源}/openai{path}?api-version=，与生成的供应商文件使用相同的端点规范化，
+     * 供应商的查询参数中已设置api-version时以其为准
+     * @param {Object} provider - Provider configuration
+     * @param {string} path - /openai 下的路径（如 /models、/deployments/<部署名称>/chat/completions）
+     * @returns {string}
+     */
+    static buildAzureURL(provider, path) {
+        const resourceURL = ProviderFileTemplates.resolveBaseURL('azure', provider.endpoint).replace(/\/deployments$/, '');
+        const apiVersion = Object.prototype.hasOwnProperty.call(provider.queryParams || {}, 'api-version')
+            ? {}
+            : { 'api-version': provider.apiVersion || DEFAULT_AZURE_API_VERSION };
+        return ProviderRequestOptions.appendQueryParams(`${resourceURL}${path}`, apiVersion);
+    }
+
+    /**
+     * Test Azure OpenAI API (api-key header, api-version query param)
+     */
+    async testAzureAPI(provider) {
+        const { url: endpoint, headers } = ProviderRequestOptions.apply(provider, ProviderValidator.buildAzureURL(provider, '/models'), {
+            'api-key': provider.apiKey,
+            'Content-Type': 'application/json'
+        });
+
+        try {
+            const response = await this.networkClient.get(endpoint, {
+                headers,
+                onRetry: () => {
+                    // API重试中
+                }
+            });
+
+            const data = await response.json();
+            return {
+                isValid: true,
+                errors: [],
+                message: `✅ ${provider.name} API连接成功`,
+                details: {
+                    status: response.status,
+                    modelsCount: data.data?.length || 0,
+                    endpoint: endpoint
+                }
+            };
+        } catch (error) {
+            return this.createFailureResult(provider, error, endpoint);
+        }
+    }
+
+    /**
+     * Test Ollama API (lists local models, no API key)
+     */
+    async testOllamaAPI(provider) {
+        const { url: endpoint, headers } = ProviderRequestOptions.apply(provider, `${ProviderFileTemplates.resolveBaseURL('ollama', provider.endpoint)}/tags`);
+
+        try {
+            const response = await this.networkClient.get(endpoint, {
+                headers,
+                timeout: 10000, // 本地服务使用较短超时
+                retries: 1,
+                onRetry: () => {
+                    // API重试中
+                }
+            });
+
+            const data = await response.json();
+            return {
+                isValid: true,
+                errors: [],
+                message: `✅ ${provider.name} 连接成功`,
+                details: {
+                    status: response.status,
+                    modelsCount: data.models?.length || 0,
+                    endpoint: endpoint
+                }
+            };
+        } catch (error) {
+            return this.createFailureResult(provider, error, endpoint);
+        }
+    }
+
+    /**
+     * 连接测试失败的结果，按错误类型给出说明
+     */
+    createFailureResult(provider, error, endpoint) {
+        let errorMessage = error.message;
+        let errorType = 'network';
+
+        if (error.name === 'TimeoutError') {
+            errorMessage = `请求超时 (${error.timeout}ms)`;
+            errorType = 'timeout';
+        } else if (error.status === 401) {
+            errorMessage = 'API密钥无效或已过期';
+            errorType = 'auth';
+        } else if (error.status === 403) {
+            errorMessage = 'API访问被拒绝，请检查权限';
+            errorType = 'permission';
+        } else if (error.status === 404) {
+            errorMessage = '端点不存在，请检查URL';
+            errorType = 'not_found';
+        } else if (error.status === 429) {
+            errorMessage = 'API请求频率限制，请稍后重试';
+            errorType = 'rate_limit';
+        } else if (error.status >= 500) {
+            errorMessage = `服务器错误 (${error.status})`;
+            errorType = 'server';
+        }
+
+        return {
+            isValid: false,
+            errors: [`${errorMessage}`],
+            message: `❌ ${provider.name} 连接失败`,
+            details: {
+                error: error.message,
+                errorType,
+                status: error.status,
+                endpoint: endpoint
+            }
+        };
+    }
+
     /**
      * Test Custom API
      */
     async testCustomAPI(provider) {
         try {
             // For custom APIs, we'll try a basic connectivity test
-            const response = await this.networkClient.get(provider.endpoint, {
-                headers: {
-                    'Authorization': `Bearer ${provider.apiKey || ''}`,
-                    'Content-Type': 'application/json'
-                },
+            const { url: endpoint, headers } = ProviderRequestOptions.apply(provider, provider.endpoint, {
+                'Authorization': `Bearer ${provider.apiKey || ''}`,
+                'Content-Type': 'application/json'
+            });
+
+            const response = await this.networkClient.get(endpoint, {
+                headers,
                 timeout: 10000, // 自定义API使用较短超时
                 retries: 1,     // 自定义API只重试1次
                 onRetry: () => {
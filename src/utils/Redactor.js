@@ -0,0 +1,122 @@
+/**
+ * Redactor.js
+ * 敏感信息脱敏：统一遮盖日志上下文、日志复制/导出、错误报告和配置导出中的
+ * API密钥、Authorization请求头和Bearer令牌
+ */
+
+export class Redactor {
+    // 替换敏感值的文本
+    static MASK = '[REDACTED]';
+
+    // 值需要遮盖的字段名（apiKey、OPENAI_API_KEY、authorization、x-api-key、token、password等）
+    static SECRET_KEY_PATTERN = /(api[-_]?key|authorization|secret|token|password|passphrase)$/i;
+
+    // 文本中的敏感片段：前缀保留，值替换为MASK
+    static TEXT_PATTERNS = [
+        // Authorization: Bearer xxx / Authorization: Basic xxx
+        /(\bauthorization["']?\s*[:=]\s*["']?(?:bearer|basic)?\s*)[^\s"',;}]+/gi,
+        // 单独出现的Bearer令牌
+        /(\bbearer\s+)[A-Za-z0-9._~+/=-]+/gi,
+        // x-api-key: xxx、apiKey=xxx、"apiKey": "xxx"、OPENAI_API_KEY=xxx
+        /(\b[\w-]*api[-_]?key["']?\s*[:=]\s*["']?)(?!\[REDACTED\])[^\s"',;}&]+/gi,
+        // 常见的密钥格式：sk-...（OpenAI、Anthropic等）、AIza...（Google）
+        /()\b(?:sk-[A-Za-z0-9_-]{16,}|AIza[0-9A-Za-z_-]{30,})/g
+    ];
+
+    // 最少长度：过短的值（如空字符串、占位符）不作为已知密钥
+    static MIN_SECRET_LENGTH = 8;
+
+    // 运行期间已知的密钥值（如已配置的供应商API密钥），出现在任何文本中都会被遮盖
+    static knownSecrets = new Set();
+
+    /**
+     * 登记已知的密钥值
+     * @param {...string} values - 密钥值
+     */
+    static registerSecrets(...values) {
+        values.forEach(value => {
+            if (typeof value === 'string' && value.length >= this.MIN_SECRET_LENGTH && value !== this.MASK) {
+                this.knownSecrets.add(value);
+            }
+        });
+    }
+
+    static clearSecrets() {
+        this.knownSecrets.clear();
+    }
+
+    /**
+     * 字段名是否表示敏感值
+     * @param {string} key - 字段名
+     * @returns {boolean}
+     */
+    static isSecretKey(key) {
+        return this.SECRET_KEY_PATTERN.test(key);
+    }
+
+    /**
+     * 遮盖文本中的敏感片段
+     * @param {string} text - 文本
+     * @returns {string}
+     */
+    static redactString(text) {
+        if (typeof text !== 'string' || text === '') {
+            return text;
+        }
+
+        let result = text;
+        this.knownSecrets.forEach(secret => {
+            result = result.split(secret).join(this.MASK);
+        });
+        this.TEXT_PATTERNS.forEach(pattern => {
+            result = result.replace(pattern, (match, prefix) => `${prefix}${this.MASK}`);
+        });
+        return result;
+    }
+
+    /**
+     * 深拷贝并遮盖任意值中的敏感信息：敏感字段名对应的字符串值整体遮盖，其余字符串按文本规则遮盖
+     * @param {*} value - 对象、数组、字符串或Error
+     * @returns {*} 脱敏后的副本（原值不变）
+     */
+    static redact(value) {
+        return this.redactValue(value, new WeakSet());
+    }
+
+    static redactValue(value, seen) {
+        if (typeof value === 'string') {
+            return this.redactString(value);
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        seen.add(value);
+
+        if (value instanceof Error) {
+            return {
+                name: value.name,
+                message: this.redactString(value.message),
+                stack: this.redactString(value.stack)
+            };
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.redactValue(item, seen));
+        }
+        // DOM节点、Date等非普通对象原样保留
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype !== Object.prototype && prototype !== null) {
+            return value;
+        }
+
+        const result = {};
+        Object.entries(value).forEach(([key, item]) => {
+            result[key] = typeof item === 'string' && item !== '' && this.isSecretKey(key)
+                ? this.MASK
+                : this.redactValue(item, seen);
+        });
+        return result;
+    }
+}
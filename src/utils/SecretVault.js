@@ -0,0 +1,261 @@
+/**
+ * SecretVault.js
+ * API密钥的本地加密：使用用户密码通过PBKDF2派生AES-GCM密钥，加密保存在localStorage中的密钥字段。
+ * 密钥只保存在内存中，锁定（手动或超时自动锁定）后需要重新输入密码解锁
+ */
+
+export const VAULT_STORAGE_KEY = 'taskmaster-ui-vault';
+
+// 加密后的字段值格式：enc:v1:<iv>:<密文>（均为base64）
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+const VAULT_VERSION = 1;
+const DEFAULT_ITERATIONS = 310000;
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// 用于校验密码是否正确的明文
+const CHECK_TEXT = 'taskmaster-ui-vault';
+
+function toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+export class SecretVault {
+    /**
+     * @param {Storage} storage - 保存加密参数的localStorage兼容存储
+     * @param {object} [options]
+     * @param {Crypto} [options.crypto] - WebCrypto实现，默认为全局的 crypto
+     * @param {number} [options.iterations] - 新建保险库时PBKDF2的迭代次数
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.crypto = options.crypto || crypto;
+        this.iterations = options.iterations || DEFAULT_ITERATIONS;
+        this.key = null;
+        this.autoLockTimer = null;
+        this.lockListeners = new Set();
+    }
+
+    /**
+     * 字段值是否为加密后的值
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+    }
+
+    getMeta() {
+        try {
+            return JSON.parse(this.storage.getItem(VAULT_STORAGE_KEY)) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveMeta(meta) {
+        this.storage.setItem(VAULT_STORAGE_KEY, JSON.stringify(meta));
+    }
+
+    /**
+     * 是否已启用加密
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.getMeta() !== null;
+    }
+
+    isUnlocked() {
+        return this.key !== null;
+    }
+
+    /**
+     * 自动锁定时间（分钟），0表示不自动锁定
+     * @returns {number}
+     */
+    getAutoLockMinutes() {
+        return this.getMeta()?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES;
+    }
+
+    setAutoLockMinutes(minutes) {
+        const meta = this.getMeta();
+        if (!meta) {
+            throw new Error('尚未启用API密钥加密');
+        }
+        if (!Number.isInteger(minutes) || minutes < 0) {
+            throw new Error('自动锁定时间必须是非负整数（分钟）');
+        }
+        this.saveMeta({ ...meta, autoLockMinutes: minutes });
+        this.touch();
+    }
+
+    getSubtle() {
+        if (!this.crypto?.subtle) {
+            throw new Error('当前环境不支持WebCrypto，无法加密API密钥');
+        }
+        return this.crypto.subtle;
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const subtle = this.getSubtle();
+        const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * 启用加密：生成盐值并用密码派生密钥，启用后处于解锁状态
+     * @param {string} passphrase - 密码
+     * @param {object} [options]
+     * @param {number} [options.autoLockMinutes] - 自动锁定时间（分钟）
+     */
+    async enable(passphrase, options = {}) {
+        if (this.isEnabled()) {
+            throw new Error('API密钥加密已启用');
+        }
+        if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`密码至少需要${MIN_PASSPHRASE_LENGTH}个字符`);
+        }
+
+        const salt = this.crypto.getRandomValues(new Uint8Array(16));
+        this.key = await this.deriveKey(passphrase, salt, this.iterations);
+        this.saveMeta({
+            version: VAULT_VERSION,
+            salt: toBase64(salt),
+            iterations: this.iterations,
+            check: await this.encrypt(CHECK_TEXT),
+            autoLockMinutes: options.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES
+        });
+        this.touch();
+    }
+
+    /**
+     * 用密码解锁
+     * @param {string} passphrase - 密码
+     */
+    async unlock(passphrase) {
+        const meta = this.getMeta();
+        if (!meta) {
+            throw new Error('尚未启用API密钥加密');
+        }
+
+        const key = await this.deriveKey(passphrase || '', fromBase64(meta.salt), meta.iterations);
+        try {
+            if (await this.decryptWithKey(key, meta.check) !== CHECK_TEXT) {
+                throw new Error('check mismatch');
+            }
+        } catch (error) {
+            throw new Error('密码错误');
+        }
+
+        this.key = key;
+        this.touch();
+    }
+
+    /**
+     * 锁定：丢弃内存中的密钥并通知监听者
+     */
+    lock() {
+        clearTimeout(this.autoLockTimer);
+        this.autoLockTimer = null;
+        if (!this.key) {
+            return;
+        }
+        this.key = null;
+        this.lockListeners.forEach(listener => listener());
+    }
+
+    /**
+     * 监听锁定事件
+     * @param {Function} listener - 锁定后调用
+     * @returns {Function} 取消监听
+     */
+    onLock(listener) {
+        this.lockListeners.add(listener);
+        return () => this.lockListeners.delete(listener);
+    }
+
+    /**
+     * 记录一次用户活动，重新开始自动锁定计时
+     */
+    touch() {
+        clearTimeout(this.autoLockTimer);
+        this.autoLockTimer = null;
+
+        const minutes = this.isUnlocked() ? this.getAutoLockMinutes() : 0;
+        if (minutes > 0) {
+            this.autoLockTimer = setTimeout(() => this.lock(), minutes * 60 * 1000);
+            // Node中不让计时器阻止CLI进程退出
+            this.autoLockTimer.unref?.();
+        }
+    }
+
+    /**
+     * 停用加密（需要先解锁），调用方负责以明文重新保存密钥
+     */
+    disable() {
+        if (!this.isUnlocked()) {
+            throw new Error('API密钥已锁定，请先输入密码解锁');
+        }
+        this.reset();
+    }
+
+    /**
+     * 删除加密参数（忘记密码时使用，已加密的密钥将无法恢复）
+     */
+    reset() {
+        clearTimeout(this.autoLockTimer);
+        this.autoLockTimer = null;
+        this.key = null;
+        this.storage.removeItem(VAULT_STORAGE_KEY);
+    }
+
+    /**
+     * 加密字符串
+     * @param {string} text - 明文
+     * @returns {Promise<string>} enc:v1:... 格式的密文
+     */
+    async encrypt(text) {
+        if (!this.key) {
+            throw new Error('API密钥已锁定，请先输入密码解锁');
+        }
+        const iv = this.crypto.getRandomValues(new Uint8Array(12));
+        const data = await this.getSubtle().encrypt({ name: 'AES-GCM', iv }, this.key, new TextEncoder().encode(text));
+        return `${ENCRYPTED_PREFIX}${toBase64(iv)}:${toBase64(data)}`;
+    }
+
+    /**
+     * 解密 encrypt() 的结果
+     * @param {string} value - 密文
+     * @returns {Promise<string>}
+     */
+    async decrypt(value) {
+        if (!this.key) {
+            throw new Error('API密钥已锁定，请先输入密码解锁');
+        }
+        return this.decryptWithKey(this.key, value);
+    }
+
+    async decryptWithKey(key, value) {
+        if (!SecretVault.isEncrypted(value)) {
+            throw new Error('不是有效的加密值');
+        }
+        const [iv, data] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+        const plain = await this.getSubtle().decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+        return new TextDecoder().decode(plain);
+    }
+}
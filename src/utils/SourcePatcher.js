@@ -0,0 +1,569 @@
+/**
+ * SourcePatcher.js
+ * 基于语法树的JavaScript源码修补：用acorn解析源码，按结构定位import列表、对象字面量、
+ * switch语句和export语句，只在对应位置插入或删除文本，其余内容（缩进、注释、引号风格）保持不变。
+ * 修补结果会重新解析验证，结构不受支持或结果无法解析时抛出错误，而不是写入损坏的文件。
+ */
+
+import { parse } from 'acorn';
+
+const PARSE_OPTIONS = {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    allowHashBang: true
+};
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+// 行尾只剩空白或注释
+const TRAILING_TRIVIA_PATTERN = /^[ \t]*(\/\/.*|\/\*.*\*\/[ \t]*)?$/;
+
+function parseSource(source, fileName) {
+    try {
+        return parse(source, PARSE_OPTIONS);
+    } catch (error) {
+        throw new Error(`无法解析 ${fileName}: ${error.message}`);
+    }
+}
+
+/**
+ * 深度优先遍历语法树
+ * @param {Object} node - 语法树节点
+ * @param {Function} visit - 访问函数，接收(node, ancestors)
+ * @param {Object[]} [ancestors] - 祖先节点（由近及远）
+ */
+function walk(node, visit, ancestors = []) {
+    visit(node, ancestors);
+    const childAncestors = [node, ...ancestors];
+    Object.keys(node).forEach(key => {
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(child => {
+                if (child && typeof child.type === 'string') {
+                    walk(child, visit, childAncestors);
+                }
+            });
+        } else if (value && typeof value.type === 'string') {
+            walk(value, visit, childAncestors);
+        }
+    });
+}
+
+function getKeyName(key) {
+    if (key.type === 'Identifier') {
+        return key.name;
+    }
+    if (key.type === 'Literal') {
+        return String(key.value);
+    }
+    return null;
+}
+
+export class SourcePatcher {
+    /**
+     * @param {string} source - 源码
+     * @param {string} fileName - 文件名（用于错误信息）
+     */
+    constructor(source, fileName) {
+        this.source = source;
+        this.fileName = fileName;
+        this.ast = parseSource(source, fileName);
+        this.edits = [];
+        this.indentUnit = this.detectIndentUnit();
+        this.quoteChar = this.detectQuoteChar();
+    }
+
+    // ---- 定位 ----
+
+    /**
+     * 查找所有满足条件的节点
+     * @param {Function} predicate - 接收(node, ancestors)
+     * @returns {Object[]}
+     */
+    findAll(predicate) {
+        const nodes = [];
+        walk(this.ast, (node, ancestors) => {
+            if (predicate(node, ancestors)) {
+                nodes.push(node);
+            }
+        });
+        return nodes;
+    }
+
+    /**
+     * 查找来源以指定路径结尾的import语句
+     * @param {string} sourceSuffix - 模块路径结尾（如 'ai-providers/index.js'）
+     * @returns {Object|null}
+     */
+    findImport(sourceSuffix) {
+        return this.ast.body.find(node => node.type === 'ImportDeclaration' &&
+            node.source.value.endsWith(sourceSuffix)) || null;
+    }
+
+    /**
+     * 查找所有 `const name = { ... }` 声明的对象字面量
+     * @param {string} name - 变量名
+     * @returns {Object[]} ObjectExpression节点
+     */
+    findObjectDeclarations(name) {
+        return this.findAll(node => node.type === 'VariableDeclarator' &&
+            node.id.type === 'Identifier' && node.id.name === name &&
+            node.init && node.init.type === 'ObjectExpression')
+            .map(declarator => declarator.init);
+    }
+
+    /**
+     * 查找所有键为指定名称、值为对象字面量的属性（如 `env: { ... }`）
+     * @param {string} key - 属性名
+     * @returns {Object[]} ObjectExpression节点
+     */
+    findPropertyObjects(key) {
+        return this.findAll(node => node.type === 'Property' && getKeyName(node.key) === key &&
+            node.value.type === 'ObjectExpression')
+            .map(property => property.value);
+    }
+
+    /**
+     * 查找以指定变量为判断条件的switch语句，优先查找指定函数内部的
+     * @param {string} functionName - 所在函数名
+     * @param {string} discriminant - switch判断的变量名
+     * @returns {Object|null}
+     */
+    findSwitch(functionName, discriminant) {
+        const switches = this.findAll(node => node.type === 'SwitchStatement' &&
+            node.discriminant.type === 'Identifier' && node.discriminant.name === discriminant);
+
+        const inFunction = switches.filter(node => this.isInsideFunction(node, functionName));
+        if (inFunction.length > 0) {
+            return inFunction[0];
+        }
+        // 找不到该函数时，只接受文件中唯一的一个switch，避免改错位置
+        const hasFunction = this.findAll(node => this.getFunctionName(node) === functionName).length > 0;
+        return !hasFunction && switches.length === 1 ? switches[0] : null;
+    }
+
+    getFunctionName(node) {
+        if (node.type === 'FunctionDeclaration' && node.id) {
+            return node.id.name;
+        }
+        if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init &&
+            ['FunctionExpression', 'ArrowFunctionExpression'].includes(node.init.type)) {
+            return node.id.name;
+        }
+        return null;
+    }
+
+    isInsideFunction(target, functionName) {
+        return this.findAll(node => this.getFunctionName(node) === functionName)
+            .some(node => node.start <= target.start && target.end <= node.end);
+    }
+
+    /**
+     * 查找导出指定名称的 `export { ... } from '...'` 语句
+     * @param {string} exportedName - 导出名
+     * @returns {Object|null}
+     */
+    findExportFrom(exportedName) {
+        return this.ast.body.find(node => node.type === 'ExportNamedDeclaration' && node.source &&
+            node.specifiers.some(specifier => getKeyName(specifier.exported) === exportedName)) || null;
+    }
+
+    /**
+     * 要求节点存在，否则抛出说明文件结构不受支持的错误
+     * @param {Object|Object[]|null} found - 查找结果
+     * @param {string} description - 要查找的结构描述
+     * @returns {Object|Object[]}
+     */
+    require(found, description) {
+        if (!found || (Array.isArray(found) && found.length === 0)) {
+            throw new Error(`${this.fileName} 中找不到${description}，文件结构不受支持`);
+        }
+        return found;
+    }
+
+    // ---- 对象属性 ----
+
+    findProperty(objectNode, key) {
+        return objectNode.properties.find(property => property.type === 'Property' &&
+            getKeyName(property.key) === key) || null;
+    }
+
+    /**
+     * 在对象字面量末尾添加属性，属性已存在时不做修改
+     * @param {Object} objectNode - ObjectExpression节点
+     * @param {string} key - 属性名
+     * @param {string} valueSource - 属性值源码
+     * @returns {boolean} 是否添加
+     */
+    addProperty(objectNode, key, valueSource) {
+        if (this.findProperty(objectNode, key)) {
+            return false;
+        }
+        this.insertListItem(objectNode.properties, objectNode.start, objectNode.end - 1,
+            `${this.formatKey(key)}: ${valueSource}`);
+        return true;
+    }
+
+    /**
+     * 删除对象字面量中的属性
+     * @param {Object} objectNode - ObjectExpression节点
+     * @param {string} key - 属性名
+     * @returns {boolean} 是否删除
+     */
+    removeProperty(objectNode, key) {
+        const property = this.findProperty(objectNode, key);
+        if (!property) {
+            return false;
+        }
+        this.removeListItem(objectNode.properties, objectNode.properties.indexOf(property));
+        return true;
+    }
+
+    // ---- import ----
+
+    getImportBraces(importNode) {
+        const open = this.source.indexOf('{', importNode.start);
+        const close = this.source.lastIndexOf('}', importNode.source.start);
+        if (open === -1 || open > importNode.source.start || close < open) {
+            throw new Error(`${this.fileName} 中的import语句没有命名导入列表，文件结构不受支持`);
+        }
+        return { open, close };
+    }
+
+    getNamedSpecifiers(importNode) {
+        return importNode.specifiers.filter(specifier => specifier.type === 'ImportSpecifier');
+    }
+
+    /**
+     * 在import的命名导入列表末尾添加名称，已存在时不做修改
+     * @returns {boolean} 是否添加
+     */
+    addImportSpecifier(importNode, name) {
+        const specifiers = this.getNamedSpecifiers(importNode);
+        if (specifiers.some(specifier => getKeyName(specifier.local) === name)) {
+            return false;
+        }
+        const { open, close } = this.getImportBraces(importNode);
+        this.insertListItem(specifiers, open, close, name);
+        return true;
+    }
+
+    /**
+     * 从import的命名导入列表中删除名称
+     * @returns {boolean} 是否删除
+     */
+    removeImportSpecifier(importNode, name) {
+        const specifiers = this.getNamedSpecifiers(importNode);
+        const index = specifiers.findIndex(specifier => getKeyName(specifier.local) === name);
+        if (index === -1) {
+            return false;
+        }
+        this.removeListItem(specifiers, index);
+        return true;
+    }
+
+    // ---- export ----
+
+    /**
+     * 添加 `export { name } from 'path';` 语句（放在最后一条export语句之后）
+     * @returns {boolean} 是否添加
+     */
+    addExportFrom(exportedName, modulePath) {
+        if (this.findExportFrom(exportedName)) {
+            return false;
+        }
+
+        const statement = `export { ${exportedName} } from ${this.stringLiteral(modulePath)};`;
+        const exports = this.ast.body.filter(node => node.type.startsWith('Export'));
+        const anchor = exports[exports.length - 1] || this.ast.body[this.ast.body.length - 1];
+        if (anchor) {
+            this.insert(anchor.end, `\n${statement}`);
+        } else {
+            this.insert(this.source.length, `${statement}\n`);
+        }
+        return true;
+    }
+
+    /**
+     * 删除导出指定名称的export语句；同一语句导出多个名称时只删除该名称
+     * @returns {boolean} 是否删除
+     */
+    removeExportFrom(exportedName) {
+        const statement = this.findExportFrom(exportedName);
+        if (!statement) {
+            return false;
+        }
+
+        if (statement.specifiers.length === 1) {
+            this.removeLines(statement.start, statement.end);
+        } else {
+            const index = statement.specifiers.findIndex(specifier => getKeyName(specifier.exported) === exportedName);
+            this.removeListItem(statement.specifiers, index);
+        }
+        return true;
+    }
+
+    // ---- switch ----
+
+    findSwitchCase(switchNode, value) {
+        return switchNode.cases.find(switchCase => switchCase.test &&
+            switchCase.test.type === 'Literal' && switchCase.test.value === value) || null;
+    }
+
+    /**
+     * 在switch的default之前（没有default时在末尾）添加case
+     * @param {Object} switchNode - SwitchStatement节点
+     * @param {string} value - case的值
+     * @param {string[]} bodyLines - case内的语句（每行一条，不含缩进）
+     * @returns {boolean} 是否添加
+     */
+    addSwitchCase(switchNode, value, bodyLines) {
+        if (this.findSwitchCase(switchNode, value)) {
+            return false;
+        }
+
+        const cases = switchNode.cases;
+        const defaultCase = cases.find(switchCase => switchCase.test === null);
+        const reference = defaultCase || cases[cases.length - 1];
+        if (!reference || !this.isLineLeading(reference.start)) {
+            throw new Error(`${this.fileName} 中的switch语句格式不受支持，无法确定新case的位置`);
+        }
+
+        const caseIndent = this.getLineIndent(reference.start);
+        const bodyIndent = this.detectCaseBodyIndent(cases) || `${caseIndent}${this.indentUnit}`;
+        const block = [
+            `${caseIndent}case ${this.stringLiteral(value)}:`,
+            ...bodyLines.map(line => `${bodyIndent}${line}`)
+        ].join('\n');
+
+        if (defaultCase) {
+            this.insert(this.getLineStart(defaultCase.start), `${block}\n`);
+        } else {
+            this.insert(this.getLineEnd(reference.end), `\n${block}`);
+        }
+        return true;
+    }
+
+    /**
+     * 删除switch中的case
+     * @returns {boolean} 是否删除
+     */
+    removeSwitchCase(switchNode, value) {
+        const switchCase = this.findSwitchCase(switchNode, value);
+        if (!switchCase) {
+            return false;
+        }
+
+        const index = switchNode.cases.indexOf(switchCase);
+        const previous = switchNode.cases[index - 1];
+        if (switchCase.consequent.length > 0 && previous && previous.consequent.length === 0) {
+            throw new Error(`${this.fileName} 中 case ${this.stringLiteral(value)} 与前面的case共用代码，无法安全删除`);
+        }
+
+        this.removeLines(switchCase.start, switchCase.end);
+        return true;
+    }
+
+    // ---- 输出 ----
+
+    hasChanges() {
+        return this.edits.length > 0;
+    }
+
+    /**
+     * 应用所有修改并验证结果仍可解析
+     * @returns {string} 修改后的源码
+     */
+    toString() {
+        if (this.edits.length === 0) {
+            return this.source;
+        }
+
+        // 从后往前应用；同一位置的插入按添加顺序排列
+        const edits = this.edits
+            .map((edit, order) => ({ ...edit, order }))
+            .sort((a, b) => b.start - a.start || b.order - a.order);
+        let result = this.source;
+        edits.forEach(({ start, end, text }) => {
+            result = result.slice(0, start) + text + result.slice(end);
+        });
+
+        try {
+            parse(result, PARSE_OPTIONS);
+        } catch (error) {
+            throw new Error(`修改后的 ${this.fileName} 无法解析（${error.message}），已放弃修改`);
+        }
+        return result;
+    }
+
+    // ---- 内部：列表编辑 ----
+
+    insert(position, text) {
+        this.edits.push({ start: position, end: position, text });
+    }
+
+    remove(start, end) {
+        this.edits.push({ start, end, text: '' });
+    }
+
+    /**
+     * 在逗号分隔的列表末尾插入一项，沿用最后一项的换行、缩进和末尾逗号风格
+     * @param {Object[]} items - 列表中的节点
+     * @param {number} open - 左括号位置
+     * @param {number} close - 右括号位置
+     * @param {string} text - 新项源码
+     */
+    insertListItem(items, open, close, text) {
+        if (items.length === 0) {
+            const indent = this.getLineIndent(open);
+            this.edits.push({ start: open + 1, end: close, text: `\n${indent}${this.indentUnit}${text}\n${indent}` });
+            return;
+        }
+
+        const last = items[items.length - 1];
+        const commaPosition = this.findCommaAfter(last.end, close);
+        const hasTrailingComma = commaPosition !== -1;
+
+        if (!this.isLineLeading(last.start)) {
+            // 单行列表：{ a: 1, b: 2 }
+            if (hasTrailingComma) {
+                this.insert(commaPosition + 1, ` ${text},`);
+            } else {
+                this.insert(last.end, `, ${text}`);
+            }
+            return;
+        }
+
+        const anchor = hasTrailingComma ? commaPosition + 1 : last.end;
+        const lineEnd = this.getLineEnd(anchor);
+        const insertPosition = lineEnd <= close && TRAILING_TRIVIA_PATTERN.test(this.source.slice(anchor, lineEnd))
+            ? lineEnd
+            : anchor;
+        const line = `\n${this.getLineIndent(last.start)}${text}${hasTrailingComma ? ',' : ''}`;
+
+        if (!hasTrailingComma) {
+            this.insert(last.end, ',');
+        }
+        this.insert(insertPosition, line);
+    }
+
+    /**
+     * 删除列表中的一项及其分隔逗号；该项独占一行时删除整行
+     * @param {Object[]} items - 列表中的节点
+     * @param {number} index - 要删除的项
+     */
+    removeListItem(items, index) {
+        const item = items[index];
+        const previous = items[index - 1];
+        const next = items[index + 1];
+        const limit = next ? next.start : this.source.length;
+        const commaPosition = this.findCommaAfter(item.end, limit);
+        const itemEnd = commaPosition !== -1 ? commaPosition + 1 : item.end;
+        const lineEnd = this.getLineEnd(itemEnd);
+
+        if (this.isLineLeading(item.start) && TRAILING_TRIVIA_PATTERN.test(this.source.slice(itemEnd, lineEnd))) {
+            this.removeLines(item.start, itemEnd);
+            // 删除没有末尾逗号的最后一项时，同时删除前一项后的逗号，保持原有风格
+            if (!next && commaPosition === -1 && previous) {
+                const previousComma = this.findCommaAfter(previous.end, item.start);
+                if (previousComma !== -1) {
+                    this.remove(previousComma, previousComma + 1);
+                }
+            }
+            return;
+        }
+
+        if (next) {
+            this.remove(item.start, next.start);
+        } else if (previous) {
+            this.remove(previous.end, item.end);
+        } else {
+            this.remove(item.start, itemEnd);
+        }
+    }
+
+    /**
+     * 删除从start到end的内容；若它独占若干整行，则连同行首缩进和行尾换行一起删除
+     */
+    removeLines(start, end) {
+        const lineEnd = this.getLineEnd(end);
+        if (this.isLineLeading(start) && TRAILING_TRIVIA_PATTERN.test(this.source.slice(end, lineEnd))) {
+            const removeEnd = lineEnd < this.source.length ? lineEnd + 1 : lineEnd;
+            this.remove(this.getLineStart(start), removeEnd);
+        } else {
+            this.remove(start, end);
+        }
+    }
+
+    /**
+     * 查找position之后（跳过空白和注释）紧跟的逗号
+     * @returns {number} 逗号位置，没有时返回-1
+     */
+    findCommaAfter(position, limit) {
+        let index = position;
+        while (index < limit) {
+            const rest = this.source.slice(index, limit);
+            const trivia = rest.match(/^(\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)/);
+            if (trivia) {
+                index += trivia[0].length;
+            } else {
+                return rest.startsWith(',') ? index : -1;
+            }
+        }
+        return -1;
+    }
+
+    // ---- 内部：格式 ----
+
+    getLineStart(position) {
+        return this.source.lastIndexOf('\n', position - 1) + 1;
+    }
+
+    getLineEnd(position) {
+        const index = this.source.indexOf('\n', position);
+        return index === -1 ? this.source.length : index;
+    }
+
+    isLineLeading(position) {
+        return this.source.slice(this.getLineStart(position), position).trim() === '';
+    }
+
+    getLineIndent(position) {
+        return this.source.slice(this.getLineStart(position), position).match(/^[ \t]*/)[0];
+    }
+
+    detectCaseBodyIndent(cases) {
+        const switchCase = cases.find(item => item.consequent.length > 0 &&
+            this.isLineLeading(item.consequent[0].start));
+        return switchCase ? this.getLineIndent(switchCase.consequent[0].start) : null;
+    }
+
+    detectIndentUnit() {
+        const indents = this.source.split('\n')
+            .map(line => line.match(/^[ \t]*/)[0])
+            .filter(indent => indent.length > 0);
+        if (indents.length === 0 || indents.some(indent => indent.startsWith('\t'))) {
+            return '\t';
+        }
+        return ' '.repeat(Math.min(...indents.map(indent => indent.length)));
+    }
+
+    detectQuoteChar() {
+        const literal = this.findAll(node => node.type === 'Literal' && typeof node.value === 'string')[0];
+        return literal && literal.raw.startsWith('"') ? '"' : '\'';
+    }
+
+    /**
+     * 按文件的引号风格生成字符串字面量
+     * @param {string} value - 字符串值
+     * @returns {string}
+     */
+    stringLiteral(value) {
+        const escaped = String(value).replace(/\\/g, '\\\\').split(this.quoteChar).join(`\\${this.quoteChar}`);
+        return `${this.quoteChar}${escaped}${this.quoteChar}`;
+    }
+
+    formatKey(key) {
+        return IDENTIFIER_PATTERN.test(key) ? key : this.stringLiteral(key);
+    }
+}
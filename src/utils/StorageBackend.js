@@ -0,0 +1,486 @@
+/**
+ * StorageBackend.js
+ * 文件存储后端接口及浏览器端实现
+ *
+ * SaveConfig的读写辅助方法只依赖这里定义的接口，因此TaskMasterFileManager、ProviderFileParser
+ * 和导入流程可以在浏览器（File System Access API）、Node（见 NodeFsStorageBackend.js）
+ * 以及测试（内存树）中以相同方式运行。所有路径均为相对于根目录、以 '/' 分隔的相对路径。
+ */
+
+/**
+ * 将相对路径拆分为路径片段
+ * @param {string} relativePath - 相对路径
+ * @returns {string[]} 路径片段
+ */
+export function splitPath(relativePath) {
+    return String(relativePath || '')
+        .split('/')
+        .filter(part => part.length > 0 && part !== '.');
+}
+
+/**
+ * 存储后端基类，定义所有实现必须提供的方法
+ */
+export class StorageBackend {
+    /**
+     * @param {string} name - 根目录名称（用于日志显示）
+     */
+    constructor(name = '') {
+        this.name = name;
+    }
+
+    /**
+     * 读取文本文件
+     * @param {string} _relativePath - 相对路径
+     * @returns {Promise<string|null>} 文件内容，文件或目录不存在时返回null
+     */
+    async readFile(_relativePath) {
+        throw new Error(`${this.constructor.name} 未实现 readFile`);
+    }
+
+    /**
+     * 写入文本文件，自动创建缺失的目录
+     * @param {string} _relativePath - 相对路径
+     * @param {string} _content - 文件内容
+     * @returns {Promise<boolean>}
+     */
+    async writeFile(_relativePath, _content) {
+        throw new Error(`${this.constructor.name} 未实现 writeFile`);
+    }
+
+    /**
+     * 删除文件
+     * @param {string} _relativePath - 相对路径
+     * @returns {Promise<boolean>} 是否删除了文件，文件不存在时返回false
+     */
+    async deleteFile(_relativePath) {
+        throw new Error(`${this.constructor.name} 未实现 deleteFile`);
+    }
+
+    /**
+     * 列出目录内容
+     * @param {string} _relativePath - 目录相对路径，空字符串表示根目录
+     * @returns {Promise<Array<{name: string, kind: 'file'|'directory'}>|null>} 目录不存在时返回null
+     */
+    async listDirectory(_relativePath) {
+        throw new Error(`${this.constructor.name} 未实现 listDirectory`);
+    }
+
+    /**
+     * 检查文件是否存在
+     * @param {string} relativePath - 相对路径
+     * @returns {Promise<boolean>}
+     */
+    async exists(relativePath) {
+        return (await this.readFile(relativePath)) !== null;
+    }
+
+    // 与FileSystemHandle的权限接口保持一致，便于DirectoryHandleManager统一处理
+    async queryPermission() {
+        return 'granted';
+    }
+
+    async requestPermission() {
+        return 'granted';
+    }
+}
+
+/**
+ * 基于File System Access API目录句柄的存储后端
+ */
+export class FileSystemAccessBackend extends StorageBackend {
+    /**
+     * @param {FileSystemDirectoryHandle} directoryHandle - 根目录句柄
+     */
+    constructor(directoryHandle) {
+        super(directoryHandle.name);
+        this.directoryHandle = directoryHandle;
+    }
+
+    /**
+     * 导航到指定目录
+     * @param {string[]} dirParts - 目录路径片段
+     * @param {boolean} create - 目录不存在时是否创建
+     * @returns {Promise<FileSystemDirectoryHandle|null>} 目录不存在且不创建时返回null
+     */
+    async getDirectory(dirParts, create = false) {
+        let currentHandle = this.directoryHandle;
+        for (const dirName of dirParts) {
+            try {
+                currentHandle = await currentHandle.getDirectoryHandle(dirName);
+            } catch (error) {
+                if (error.name !== 'NotFoundError') {
+                    throw error;
+                }
+                if (!create) {
+                    return null;
+                }
+                currentHandle = await currentHandle.getDirectoryHandle(dirName, { create: true });
+            }
+        }
+        return currentHandle;
+    }
+
+    async readFile(relativePath) {
+        const pathParts = splitPath(relativePath);
+        const dirHandle = await this.getDirectory(pathParts.slice(0, -1));
+        if (!dirHandle) {
+            return null;
+        }
+
+        try {
+            const fileHandle = await dirHandle.getFileHandle(pathParts[pathParts.length - 1]);
+            const file = await fileHandle.getFile();
+            return await file.text();
+        } catch (error) {
+            if (error.name === 'NotFoundError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async writeFile(relativePath, content) {
+        const pathParts = splitPath(relativePath);
+        const dirHandle = await this.getDirectory(pathParts.slice(0, -1), true);
+        const fileHandle = await dirHandle.getFileHandle(pathParts[pathParts.length - 1], { create: true });
+
+        const writable = await fileHandle.createWritable();
+        await writable.write(content);
+        await writable.close();
+        return true;
+    }
+
+    async deleteFile(relativePath) {
+        const pathParts = splitPath(relativePath);
+        const dirHandle = await this.getDirectory(pathParts.slice(0, -1));
+        if (!dirHandle) {
+            return false;
+        }
+
+        try {
+            await dirHandle.removeEntry(pathParts[pathParts.length - 1]);
+            return true;
+        } catch (error) {
+            if (error.name === 'NotFoundError') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async listDirectory(relativePath = '') {
+        const dirHandle = await this.getDirectory(splitPath(relativePath));
+        if (!dirHandle) {
+            return null;
+        }
+
+        const entries = [];
+        for await (const [name, handle] of dirHandle.entries()) {
+            entries.push({ name, kind: handle.kind });
+        }
+        return entries;
+    }
+
+    async queryPermission(descriptor) {
+        return this.directoryHandle.queryPermission(descriptor);
+    }
+
+    async requestPermission(descriptor) {
+        return this.directoryHandle.requestPermission(descriptor);
+    }
+}
+
+/**
+ * 内存中的目录树存储后端，用于测试和预览（不会触碰真实文件）
+ */
+export class MemoryStorageBackend extends StorageBackend {
+    /**
+     * @param {Object<string, string>} [files] - 初始文件，键为相对路径，值为文件内容
+     * @param {string} [name] - 根目录名称
+     */
+    constructor(files = {}, name = 'memory') {
+        super(name);
+        this.files = new Map();
+        this.directories = new Set();
+        Object.entries(files).forEach(([filePath, content]) => this.setFile(filePath, content));
+    }
+
+    normalize(relativePath) {
+        return splitPath(relativePath).join('/');
+    }
+
+    setFile(relativePath, content) {
+        const pathParts = splitPath(relativePath);
+        for (let i = 1; i < pathParts.length; i++) {
+            this.directories.add(pathParts.slice(0, i).join('/'));
+        }
+        this.files.set(pathParts.join('/'), String(content));
+    }
+
+    async readFile(relativePath) {
+        const key = this.normalize(relativePath);
+        return this.files.has(key) ? this.files.get(key) : null;
+    }
+
+    async writeFile(relativePath, content) {
+        const key = this.normalize(relativePath);
+        if (this.directories.has(key)) {
+            throw new Error(`路径是目录，无法写入: ${key}`);
+        }
+        this.setFile(key, content);
+        return true;
+    }
+
+    async deleteFile(relativePath) {
+        return this.files.delete(this.normalize(relativePath));
+    }
+
+    async listDirectory(relativePath = '') {
+        const dirKey = this.normalize(relativePath);
+        if (dirKey && !this.directories.has(dirKey)) {
+            return null;
+        }
+
+        const prefix = dirKey ? `${dirKey}/` : '';
+        const entries = new Map();
+        const collect = (entryPath, kind) => {
+            if (entryPath.startsWith(prefix) && !entryPath.slice(prefix.length).includes('/')) {
+                entries.set(entryPath.slice(prefix.length), kind);
+            }
+        };
+        this.directories.forEach(dirPath => collect(dirPath, 'directory'));
+        this.files.forEach((_content, filePath) => collect(filePath, 'file'));
+
+        return Array.from(entries, ([name, kind]) => ({ name, kind }));
+    }
+
+    /**
+     * 导出当前所有文件（便于断言和预览）
+     * @returns {Object<string, string>}
+     */
+    toJSON() {
+        return Object.fromEntries(this.files);
+    }
+}
+
+/**
+ * 叠加层存储后端：读取穿透到底层后端，写入和删除只记录在内存中，
+ * 用于在不触碰真实文件的情况下计算一组操作的全部变更（规划模式）
+ */
+export class OverlayStorageBackend extends StorageBackend {
+    /**
+     * @param {StorageBackend} base - 底层存储后端
+     */
+    constructor(base) {
+        super(base.name);
+        this.base = base;
+        // 路径 -> 新内容（null表示已删除）
+        this.pending = new Map();
+        // 路径 -> 首次修改前的原始内容
+        this.originals = new Map();
+    }
+
+    async recordOriginal(key) {
+        if (!this.originals.has(key)) {
+            this.originals.set(key, await this.base.readFile(key));
+        }
+    }
+
+    async readFile(relativePath) {
+        const key = splitPath(relativePath).join('/');
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+        return this.base.readFile(key);
+    }
+
+    async writeFile(relativePath, content) {
+        const key = splitPath(relativePath).join('/');
+        await this.recordOriginal(key);
+        this.pending.set(key, String(content));
+        return true;
+    }
+
+    async deleteFile(relativePath) {
+        const key = splitPath(relativePath).join('/');
+        const existed = (await this.readFile(key)) !== null;
+        if (existed) {
+            await this.recordOriginal(key);
+            this.pending.set(key, null);
+        }
+        return existed;
+    }
+
+    async listDirectory(relativePath = '') {
+        const dirKey = splitPath(relativePath).join('/');
+        const prefix = dirKey ? `${dirKey}/` : '';
+        const baseEntries = await this.base.listDirectory(dirKey);
+        const entries = new Map((baseEntries || []).map(entry => [entry.name, entry.kind]));
+        let touched = baseEntries !== null;
+
+        this.pending.forEach((content, filePath) => {
+            if (!filePath.startsWith(prefix)) {
+                return;
+            }
+            const [name, ...rest] = filePath.slice(prefix.length).split('/');
+            if (rest.length > 0) {
+                if (content !== null) {
+                    entries.set(name, 'directory');
+                    touched = true;
+                }
+            } else if (content === null) {
+                entries.delete(name);
+            } else {
+                entries.set(name, 'file');
+                touched = true;
+            }
+        });
+
+        return touched ? Array.from(entries, ([name, kind]) => ({ name, kind })) : null;
+    }
+
+    /**
+     * 获取所有待写入的变更（内容未变化的写入会被忽略）
+     * @returns {Array<{path: string, before: string|null, after: string|null}>}
+     */
+    getChanges() {
+        const changes = [];
+        this.pending.forEach((after, filePath) => {
+            const before = this.originals.get(filePath);
+            if (before !== after) {
+                changes.push({ path: filePath, before, after });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * 将所有变更写入底层后端
+     * @param {StorageBackend} [target] - 写入目标，默认为底层后端（事务中传入包装了底层后端的日志后端）
+     * @returns {Promise<string[]>} 实际写入或删除的文件路径
+     */
+    async commit(target = this.base) {
+        const changes = this.getChanges();
+
+        // 规划之后文件若被其他操作修改，拒绝覆盖
+        for (const { path: filePath, before } of changes) {
+            if ((await target.readFile(filePath)) !== before) {
+                throw new Error(`文件在生成变更计划后已被修改: ${filePath}`);
+            }
+        }
+
+        const applied = [];
+        for (const { path: filePath, after } of changes) {
+            if (after === null) {
+                await target.deleteFile(filePath);
+            } else {
+                await target.writeFile(filePath, after);
+            }
+            applied.push(filePath);
+        }
+        this.pending.clear();
+        this.originals.clear();
+        return applied;
+    }
+}
+
+/**
+ * 日志式存储后端：写入和删除直接作用于底层后端，但在每个文件第一次被修改前保存快照，
+ * 以便在事务失败时将所有被修改的文件恢复原状
+ */
+export class JournalingStorageBackend extends StorageBackend {
+    /**
+     * @param {StorageBackend} base - 底层存储后端
+     */
+    constructor(base) {
+        super(base.name);
+        this.base = base;
+        // 路径 -> 首次修改前的原始内容（null表示文件原本不存在），按首次修改的顺序排列
+        this.snapshots = new Map();
+    }
+
+    async snapshot(key) {
+        if (!this.snapshots.has(key)) {
+            this.snapshots.set(key, await this.base.readFile(key));
+        }
+    }
+
+    async readFile(relativePath) {
+        return this.base.readFile(relativePath);
+    }
+
+    async writeFile(relativePath, content) {
+        const key = splitPath(relativePath).join('/');
+        await this.snapshot(key);
+        return this.base.writeFile(key, content);
+    }
+
+    async deleteFile(relativePath) {
+        const key = splitPath(relativePath).join('/');
+        await this.snapshot(key);
+        return this.base.deleteFile(key);
+    }
+
+    async listDirectory(relativePath = '') {
+        return this.base.listDirectory(relativePath);
+    }
+
+    /**
+     * 获取所有被修改过的文件路径
+     * @returns {string[]}
+     */
+    getTouchedFiles() {
+        return Array.from(this.snapshots.keys());
+    }
+
+    /**
+     * 按修改的逆序恢复所有快照：原本存在的文件写回原内容，新建的文件被删除
+     * @returns {Promise<{restored: string[], failed: Array<{file: string, error: string}>}>}
+     */
+    async rollback() {
+        const result = { restored: [], failed: [] };
+        const entries = Array.from(this.snapshots.entries()).reverse();
+
+        for (const [filePath, original] of entries) {
+            try {
+                if (original === null) {
+                    await this.base.deleteFile(filePath);
+                } else {
+                    await this.base.writeFile(filePath, original);
+                }
+                result.restored.push(filePath);
+            } catch (error) {
+                result.failed.push({ file: filePath, error: error.message });
+            }
+        }
+
+        this.snapshots.clear();
+        return result;
+    }
+
+    /**
+     * 丢弃快照（事务成功后调用）
+     */
+    discardSnapshots() {
+        this.snapshots.clear();
+    }
+}
+
+/**
+ * 将目录句柄或存储后端统一转换为存储后端
+ * @param {StorageBackend|FileSystemDirectoryHandle} target - 存储后端或FSA目录句柄
+ * @returns {StorageBackend}
+ */
+export function toStorageBackend(target) {
+    if (!target) {
+        throw new Error('目录句柄无效');
+    }
+    if (target instanceof StorageBackend) {
+        return target;
+    }
+    if (typeof target.getDirectoryHandle === 'function') {
+        return new FileSystemAccessBackend(target);
+    }
+    throw new Error('不支持的存储目标：需要StorageBackend或目录句柄');
+}
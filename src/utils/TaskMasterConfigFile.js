@@ -0,0 +1,62 @@
+/**
+ * TaskMasterConfigFile.js
+ * 项目 .taskmaster/config.json 的读取和局部修改：只改动调用方修改的部分，
+ * 其余内容（包括本工具不认识的字段）和文件结尾换行保持不变
+ */
+
+export const TASKMASTER_CONFIG_PATH = '.taskmaster/config.json';
+
+export class TaskMasterConfigFile {
+    /**
+     * @param {SaveConfig} saveConfig - 提供项目目录的SaveConfig实例（可以是规划或事务副本）
+     */
+    constructor(saveConfig) {
+        this.saveConfig = saveConfig;
+    }
+
+    getProjectDirHandle() {
+        const projectDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-project');
+        if (!projectDirHandle) {
+            throw new Error('TaskMaster项目目录不可用，请先选择项目目录');
+        }
+        return projectDirHandle;
+    }
+
+    /**
+     * 读取 .taskmaster/config.json
+     * @returns {Promise<{content: string, config: Object}|null>} 文件不存在时返回null
+     */
+    async read() {
+        const content = await this.saveConfig.readFileFromDirectory(this.getProjectDirHandle(), TASKMASTER_CONFIG_PATH);
+        if (content === null) {
+            return null;
+        }
+        try {
+            return { content, config: JSON.parse(content) };
+        } catch (error) {
+            throw new Error(`${TASKMASTER_CONFIG_PATH} 不是有效的JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * 修改现有的 .taskmaster/config.json
+     * @param {Function} mutate - 接收解析后的配置对象并就地修改
+     * @returns {Promise<boolean>} 是否写入（内容不变时不写入）
+     */
+    async update(mutate) {
+        const file = await this.read();
+        if (!file) {
+            throw new Error(`未找到 ${TASKMASTER_CONFIG_PATH}，请先在项目中运行 task-master init`);
+        }
+
+        mutate(file.config);
+
+        // 保留文件原有的结尾换行
+        const content = JSON.stringify(file.config, null, 2) + (file.content.endsWith('\n') ? '\n' : '');
+        if (content === file.content) {
+            return false;
+        }
+        await this.saveConfig.writeFileToDirectory(this.getProjectDirHandle(), TASKMASTER_CONFIG_PATH, content);
+        return true;
+    }
+}
@@ -4,6 +4,20 @@
  */
 
 import { Logger } from './Logger.js';
+import { ChangePlan } from './ChangePlan.js';
+import { SourcePatcher } from './SourcePatcher.js';
+import { ProviderDoctor } from './ProviderDoctor.js';
+import { McpClientRegistry } from './McpClientRegistry.js';
+import { ProjectEnvFile } from './DotEnvFile.js';
+import { ModelRoles } from './ModelRoles.js';
+import { GlobalSettings } from './GlobalSettings.js';
+import { TASKMASTER_CONFIG_PATH } from './TaskMasterConfigFile.js';
+import { toStorageBackend } from './StorageBackend.js';
+import { ProviderFileTemplates } from './ProviderFileTemplates.js';
+import { ProviderRequestOptions } from './ProviderRequestOptions.js';
+
+// ai-services-unified.js 中导入供应商类的模块路径结尾
+const PROVIDER_INDEX_IMPORT = 'ai-providers/index.js';
 
 export class TaskMasterFileManager {
     constructor(configManager, saveConfig) {
@@ -16,14 +30,15 @@ export class TaskMasterFileManager {
      * @param {string} providerName - 供应商名称（如 'foapi'）
      * @param {string} originalModelId - 原始模型ID（如 'gpt-4o'）
      * @param {object} modelConfig - 模型配置信息
+     * @param {object} [providerConfig] - 供应商配置，provider文件不存在时用于生成文件（端点、类型等）
      */
-    async addProviderModel(providerName, originalModelId, modelConfig) {
+    async addProviderModel(providerName, originalModelId, modelConfig, providerConfig = null) {
         const prefixedModelId = `${providerName.toLowerCase()}-${originalModelId}`;
 
         // 开始添加供应商模型
 
         // 1. 确保AI provider文件存在（如果已存在则跳过，避免覆盖端点配置）
-        await this.ensureProviderFile(providerName, originalModelId, prefixedModelId);
+        await this.ensureProviderFile(providerName, originalModelId, prefixedModelId, providerConfig);
 
         // 2. 更新supported-models.json
         await this.updateSupportedModelsFile(providerName, prefixedModelId, modelConfig);
@@ -41,15 +56,44 @@ export class TaskMasterFileManager {
         };
     }
 
+    /**
+     * 将UI配置中的模型导入到TaskMaster（ModelConfig和CLI共用）
+     * @param {object} model - UI模型对象（modelId为带前缀的模型ID）
+     * @param {object} provider - 模型所属的UI供应商对象
+     */
+    async importModel(model, provider) {
+        // 准备模型配置
+        const modelConfig = {
+            sweScore: model.sweScore || 0,
+            costPer1MTokens: model.costPer1MTokens || { input: 0, output: 0 },
+            allowedRoles: model.allowedRoles || ['main', 'fallback', 'research'],
+            maxTokens: model.maxTokens || 128000
+        };
+
+        // 提取原始模型ID（去掉供应商前缀）
+        const providerPrefix = provider.name.toLowerCase() + '-';
+        const originalModelId = model.modelId.startsWith(providerPrefix)
+            ? model.modelId.substring(providerPrefix.length)
+            : model.modelId;
+
+        const result = await this.addProviderModel(provider.name.toLowerCase(), originalModelId, modelConfig, provider);
+
+        return {
+            ...result,
+            modelConfig
+        };
+    }
+
     /**
      * 创建AI provider文件（仅在添加供应商时使用，导入模型时不应调用此方法）
+     * @param {object} [providerConfig] - 供应商配置（端点、类型、请求头等）
      */
-    async createProviderFile(providerName, originalModelId, prefixedModelId) {
+    async createProviderFile(providerName, originalModelId, prefixedModelId, providerConfig = null) {
         const providerFileName = `${providerName.toLowerCase()}.js`;
         const providerFilePath = `src/ai-providers/${providerFileName}`;
 
         // 生成provider文件内容
-        const providerContent = this.generateProviderFileContent(providerName, originalModelId, prefixedModelId);
+        const providerContent = this.generateProviderFileContent(providerName, originalModelId, prefixedModelId, providerConfig);
 
         // 直接写入文件到TaskMaster包目录
         await this.saveConfig.writeJavaScriptFileToPackage(providerFilePath, providerContent);
@@ -60,10 +104,34 @@ export class TaskMasterFileManager {
 
     /**
      * 只创建AI provider文件（不需要模型信息）
+     * 在事务中执行：任一关键文件更新失败时，包括供应商文件在内的所有修改都会被恢复
      * @param {string} providerName - 供应商名称
      * @param {object} providerConfig - 供应商配置信息
      */
     async createProviderFileOnly(providerName, providerConfig) {
+        const { result, rolledBack, rollback } = await this.runInTransaction(
+            manager => manager.performProviderFileCreation(providerName, providerConfig),
+            creation => creation.created && creation.updateResults.failed.length > 0
+        );
+
+        if (rolledBack) {
+            this.annotateRolledBackUpdates(result.updateResults, rollback);
+            return { created: false, reason: 'rolled_back', updateResults: result.updateResults };
+        }
+
+        if (result.created) {
+            await this.updateManifest(manifest => manifest.recordProvider(providerName, providerConfig));
+        }
+
+        return result;
+    }
+
+    /**
+     * 创建供应商文件并执行所有相关文件更新（不带事务，由createProviderFileOnly调用）
+     * @param {string} providerName - 供应商名称
+     * @param {object} providerConfig - 供应商配置信息
+     */
+    async performProviderFileCreation(providerName, providerConfig) {
         const providerFileName = `${providerName.toLowerCase()}.js`;
         const providerFilePath = `src/ai-providers/${providerFileName}`;
 
@@ -93,10 +161,30 @@ export class TaskMasterFileManager {
 
     /**
      * 执行所有供应商相关的文件更新
+     * 在事务中执行：任一关键步骤失败时恢复所有已修改的文件，避免包处于半修改状态
      * @param {string} providerName - 供应商名称
      * @param {object} providerConfig - 供应商配置
      */
     async executeAllProviderUpdates(providerName, providerConfig) {
+        const { result, rolledBack, rollback } = await this.runInTransaction(
+            manager => manager.performProviderUpdates(providerName, providerConfig),
+            updates => updates.failed.length > 0
+        );
+
+        if (rolledBack) {
+            this.annotateRolledBackUpdates(result, rollback);
+        }
+
+        return result;
+    }
+
+    /**
+     * 依次执行供应商相关的7个文件更新步骤（不带事务，由executeAllProviderUpdates调用）
+     * 步骤1-4失败记录在failed中（关键步骤），步骤5-7失败只记录警告
+     * @param {string} providerName - 供应商名称
+     * @param {object} providerConfig - 供应商配置信息
+     */
+    async performProviderUpdates(providerName, providerConfig) {
         const results = {
             success: [],
             failed: [],
@@ -151,6 +239,15 @@ export class TaskMasterFileManager {
             results.warnings.push(`MCP配置更新失败: ${error.message}`);
         }
 
+        // 5.1 同步 .env 中的API密钥（非关键，失败不影响整体）
+        try {
+            if (await this.updateEnvFile(providerName, providerConfig.apiKey)) {
+                results.success.push('.env');
+            }
+        } catch (error) {
+            results.warnings.push(`.env更新失败: ${error.message}`);
+        }
+
         // 6. 更新init.js文件（非关键，失败不影响整体）
         try {
             await this.updateInitJsFile(providerName);
@@ -171,328 +268,464 @@ export class TaskMasterFileManager {
     }
 
     /**
-     * 手动修复遗漏的供应商配置
-     * @param {string} providerName - 供应商名称
+     * 在事务中运行文件操作：所有被修改的文件先保存快照，
+     * 操作抛出异常或isFailure返回true时，将这些文件全部恢复原状
+     * @param {Function} operation - 接收事务用TaskMasterFileManager的异步函数
+     * @param {Function} isFailure - 根据操作结果判断是否需要回滚
+     * @returns {Promise<{result: *, rolledBack: boolean, rollback: Object|null}>}
      */
-    async fixMissingProviderConfig(providerName) {
-        const results = {
-            success: [],
-            failed: [],
-            warnings: []
-        };
+    async runInTransaction(operation, isFailure) {
+        const { saveConfig, transaction } = this.saveConfig.createTransactionCopy();
+        const transactionalManager = new TaskMasterFileManager(this.configManager, saveConfig);
 
-        // 强制更新config-manager.js
+        let result;
         try {
-            await this.updateConfigManagerFile(providerName);
-            results.success.push('config-manager.js');
+            result = await operation(transactionalManager);
         } catch (error) {
-            results.failed.push({ file: 'config-manager.js', error: error.message });
+            const rollback = await transaction.rollback();
+            Logger.warn('文件操作异常，已回滚所有修改', { error: error.message, ...rollback });
+            throw error;
         }
 
-        return results;
+        if (isFailure(result)) {
+            const rollback = await transaction.rollback();
+            Logger.warn('关键步骤失败，已回滚所有修改', rollback);
+            return { result, rolledBack: true, rollback };
+        }
+
+        transaction.commit();
+        return { result, rolledBack: false, rollback: null };
     }
 
     /**
-     * 更新现有供应商的API密钥
+     * 在回滚后的更新结果中注明文件已恢复
+     * @param {object} results - {success, failed, warnings} 结构的更新结果
+     * @param {object} rollback - FileTransaction.rollback()的结果
+     */
+    annotateRolledBackUpdates(results, rollback) {
+        // 嵌套事务（如创建供应商文件内的executeAllProviderUpdates）已注明时不重复说明
+        if (!results.rolledBack) {
+            results.rolledBack = true;
+            results.success = [];
+            results.warnings.push(`关键步骤失败，已将 ${rollback.restored.length} 个文件恢复到修改前的状态`);
+        }
+        rollback.failed.forEach(({ file, error }) => results.warnings.push(`恢复 ${file} 失败: ${error}`));
+    }
+
+    /**
+     * 在规划模式下运行文件操作：计算所有将要写入的变更，但不修改任何文件
+     * @param {Function} operation - 接收规划用TaskMasterFileManager的异步函数
+     * @returns {Promise<ChangePlan>} 变更计划，operation的返回值保存在plan.result中
+     */
+    async planOperation(operation) {
+        const { saveConfig, overlays } = this.saveConfig.createPlanningCopy();
+        const planningManager = new TaskMasterFileManager(this.configManager, saveConfig);
+        const result = await operation(planningManager);
+        return new ChangePlan(overlays, result, this.saveConfig.backupManager, saveConfig.providerManifest);
+    }
+
+    /**
+     * 规划新供应商的创建（供应商文件 + executeAllProviderUpdates的全部步骤）
      * @param {string} providerName - 供应商名称
-     * @param {string} apiKeyValue - 新的API密钥值
+     * @param {object} providerConfig - 供应商配置信息
+     * @returns {Promise<ChangePlan>}
      */
-    async updateProviderApiKey(providerName, apiKeyValue) {
+    async planProviderCreation(providerName, providerConfig) {
+        return this.planOperation(manager => manager.createProviderFileOnly(providerName, providerConfig));
+    }
+
+    /**
+     * 规划现有供应商文件的重新生成（updateProviderFile的全部步骤）
+     * @param {string} providerName - 供应商名称
+     * @param {object} providerConfig - 供应商配置信息
+     * @returns {Promise<ChangePlan>}
+     */
+    async planProviderFileUpdate(providerName, providerConfig) {
+        return this.planOperation(manager => manager.updateProviderFile(providerName, providerConfig));
+    }
+
+    /**
+     * 规划executeAllProviderUpdates的全部步骤
+     * @param {string} providerName - 供应商名称
+     * @param {object} providerConfig - 供应商配置信息
+     * @returns {Promise<ChangePlan>}
+     */
+    async planProviderUpdates(providerName, providerConfig) {
+        return this.planOperation(manager => manager.executeAllProviderUpdates(providerName, providerConfig));
+    }
+
+    /**
+     * 规划供应商的删除（deleteProviderFromTaskMaster的全部步骤）
+     * @param {string} providerName - 供应商名称
+     * @returns {Promise<ChangePlan>}
+     */
+    async planProviderDeletion(providerName) {
+        return this.planOperation(manager => manager.deleteProviderFromTaskMaster(providerName));
+    }
+
+    /**
+     * 规划模型角色的修改（.taskmaster/config.json 的 models 部分）
+     * @param {Object} roles - 角色 -> {provider, modelId, maxTokens, temperature}
+     * @returns {Promise<ChangePlan>}
+     */
+    async planModelRolesUpdate(roles) {
+        return this.planOperation(manager => manager.updateModelRoles(roles));
+    }
+
+    /**
+     * 将模型角色写入 .taskmaster/config.json，文件中的其他配置保持不变
+     * @param {Object} roles - 角色 -> {provider, modelId, maxTokens, temperature}
+     * @returns {Promise<{success: string[], failed: Array, warnings: string[]}>}
+     */
+    async updateModelRoles(roles) {
         const results = {
             success: [],
             failed: [],
             warnings: []
         };
 
-        // 更新MCP配置中的API密钥
         try {
-            const mcpResult = await this.updateMCPConfigFile(providerName, apiKeyValue);
-            if (mcpResult) {
-                results.success.push('mcp.json');
-            } else {
-                results.failed.push({ file: 'mcp.json', error: 'API密钥更新失败' });
+            if (await new ModelRoles(this.saveConfig).writeRoles(roles)) {
+                results.success.push(TASKMASTER_CONFIG_PATH);
             }
         } catch (error) {
-            results.failed.push({ file: 'mcp.json', error: error.message });
+            results.failed.push({ file: TASKMASTER_CONFIG_PATH, error: error.message });
         }
 
         return results;
     }
 
     /**
-     * 更新现有的AI provider文件（强制重新生成以更新配置）
-     * @param {string} providerName - 供应商名称
-     * @param {object} providerConfig - 供应商配置信息
+     * 规划global设置的修改（.taskmaster/config.json 的 global 部分）
+     * @param {Object} values - 字段 -> 值
+     * @returns {Promise<ChangePlan>}
      */
-    async updateProviderFile(providerName, providerConfig) {
-        const providerFileName = `${providerName.toLowerCase()}.js`;
-        const providerFilePath = `src/ai-providers/${providerFileName}`;
-
-        // 强制重新生成provider文件内容（覆盖现有文件）
-        const providerContent = this.generateProviderFileContentBasic(providerName, providerConfig);
+    async planGlobalSettingsUpdate(values) {
+        return this.planOperation(manager => manager.updateGlobalSettings(values));
+    }
 
-        // 直接写入文件到TaskMaster包目录（覆盖现有文件）
-        await this.saveConfig.writeJavaScriptFileToPackage(providerFilePath, providerContent);
+    /**
+     * 将global设置写入 .taskmaster/config.json，未知字段保持不变
+     * @param {Object} values - 字段 -> 值
+     * @returns {Promise<{success: string[], failed: Array, warnings: string[]}>}
+     */
+    async updateGlobalSettings(values) {
+        const results = {
+            success: [],
+            failed: [],
+            warnings: []
+        };
 
-        // 更新init.js文件（确保新项目初始化时包含此供应商）
         try {
-            await this.updateInitJsFile(providerName);
+            if (await new GlobalSettings(this.saveConfig).write(values)) {
+                results.success.push(TASKMASTER_CONFIG_PATH);
+            }
         } catch (error) {
-            // init.js更新失败不影响主要功能，只记录警告
-            // 使用静默方式处理，避免影响用户体验
+            results.failed.push({ file: TASKMASTER_CONFIG_PATH, error: error.message });
         }
 
-        // 跳过UI工具配置文件更新，避免触发页面刷新
-        // 注意：更新现有供应商时不需要修改UI工具源代码
-        // await this.updateUIToolConfigs(providerName, providerConfig);
-
-        // 成功更新文件
-        // 注意：API密钥更新由syncProviderToTaskMaster方法统一处理
-        return { updated: true, filePath: providerFilePath };
+        return results;
     }
 
-
-
     /**
-     * 生成AI provider文件内容
+     * 规划文件恢复（撤销/重做历史中关联的文件变更）
+     * @param {Array<{root: string, path: string, expected: string|null, content: string|null}>} files - 文件当前应为expected，恢复为content（null表示删除）
+     * @returns {Promise<ChangePlan>}
      */
-    generateProviderFileContent(providerName, _originalModelId, _prefixedModelId, providerConfig = null) {
-        const className = `${providerName.charAt(0).toUpperCase() + providerName.slice(1)}Provider`;
-        const configuredEndpoint = providerConfig?.endpoint || '';
-
-        return `/**
- * ${providerName.toLowerCase()}.js
- * AI provider implementation for ${providerName} using OpenAI-compatible API.
- */
-
-import { createOpenAI } from '@ai-sdk/openai';
-import { BaseAIProvider } from './base-provider.js';
-
-export class ${className} extends BaseAIProvider {
-    constructor() {
-        super();
-        this.name = '${providerName}';
+    async planFileRestore(files) {
+        return this.planOperation(manager => manager.restoreFiles(files));
     }
 
     /**
-     * Creates and returns a ${providerName} client instance.
-     * @param {object} params - Parameters for client initialization
-     * @param {string} params.apiKey - ${providerName} API key
-     * @param {string} [params.baseURL] - Optional custom API endpoint
-     * @returns {Function} ${providerName} client function
-     * @throws {Error} If API key is missing or initialization fails
+     * 将文件恢复为指定内容；此后又被修改过的文件不会被覆盖，记录在failed中
+     * @param {Array<{root: string, path: string, expected: string|null, content: string|null}>} files - 要恢复的文件
+     * @returns {Promise<{success: string[], failed: Array<{file: string, error: string}>, warnings: string[]}>}
      */
-    getClient(params) {
-        try {
-            const { apiKey, baseURL } = params;
+    async restoreFiles(files) {
+        const results = {
+            success: [],
+            failed: [],
+            warnings: []
+        };
 
-            if (!apiKey) {
-                throw new Error('${providerName} API key is required.');
+        for (const { root, path, expected, content } of files) {
+            try {
+                const target = this.saveConfig.directoryHandleCache.get(root);
+                if (!target) {
+                    throw new Error('目录未选择或无法访问');
+                }
+                const backend = toStorageBackend(target);
+                if ((await backend.readFile(path)) !== expected) {
+                    throw new Error('文件在此后已被修改，未覆盖');
+                }
+                if (content === null) {
+                    await backend.deleteFile(path);
+                } else {
+                    await backend.writeFile(path, content);
+                }
+                results.success.push(path);
+            } catch (error) {
+                results.failed.push({ file: path, error: error.message });
             }
+        }
 
-            // 使用配置的API端点，可以通过baseURL参数覆盖
-            const effectiveBaseURL = baseURL || '${configuredEndpoint}';
-
-            // 确保baseURL以/v1结尾（如果需要）
-            const normalizedBaseURL = effectiveBaseURL.endsWith('/v1')
-                ? effectiveBaseURL
-                : \`\${effectiveBaseURL}/v1\`.replace(/\\/+v1$/g, '/v1');
+        return results;
+    }
 
-            return createOpenAI({
-                apiKey,
-                baseURL: normalizedBaseURL
-            });
+    /**
+     * 更新供应商清单：清单只用于包升级后重新应用，记录失败不影响文件操作
+     * @param {Function} update - 接收ProviderManifest的异步函数
+     */
+    async updateManifest(update) {
+        const manifest = this.saveConfig.providerManifest;
+        if (!manifest) {
+            return;
+        }
+        try {
+            await update(manifest);
         } catch (error) {
-            this.handleError('client initialization', error);
+            Logger.warn('更新供应商清单失败', { error: error.message });
         }
     }
 
     /**
-     * Maps ${providerName} model IDs to actual API model names
-     * @param {string} modelId - The model ID from supported-models.json
-     * @returns {string} The actual model name to use with the API
+     * task-master-ai包升级后，将清单中记录的供应商重新应用到新版本的包文件
+     * 每个供应商在独立的事务中补齐缺失的文件和注册，随后补回清单中记录的模型，无法应用的修改逐项记录在failed中
+     * @returns {Promise<{success: string[], failed: Array<{file: string, error: string}>, warnings: string[],
+     *   replayed: string[], packageVersion: string|null}>}
      */
-    mapModelId(modelId) {
-        // 自动去除${providerName.toLowerCase()}-前缀，类似poloai的处理方式
-        if (modelId.startsWith('${providerName.toLowerCase()}-')) {
-            return modelId.replace('${providerName.toLowerCase()}-', '');
+    async replayManifestProviders() {
+        const manifest = this.saveConfig.providerManifest;
+        const results = {
+            success: [],
+            failed: [],
+            warnings: [],
+            replayed: [],
+            packageVersion: await manifest.getPackageVersion()
+        };
+
+        const entries = await manifest.listProviders();
+        if (entries.length === 0) {
+            return results;
         }
 
-        // 对于特殊情况的手动映射（如果需要）
-        const modelMap = {
-            // 在这里添加特殊的模型映射，如果有的话
-        };
+        // 清单不包含密钥类请求头，按名称从本地配置中取回后再生成供应商文件
+        const configured = await this.configManager.getProviders?.() || [];
+        const providers = entries.map(entry => {
+            const local = configured.find(provider => provider.name.toLowerCase() === entry.name.toLowerCase());
+            const { secretHeaders } = ProviderRequestOptions.splitSecretHeaders(local?.headers);
+            return Object.keys(secretHeaders).length > 0 ? { ...entry, headers: { ...entry.headers, ...secretHeaders } } : entry;
+        });
 
-        return modelMap[modelId] || modelId;
-    }
+        const doctor = new ProviderDoctor(this);
+        const report = await doctor.diagnose({ providers });
+
+        for (const provider of report.providers) {
+            if (!provider.healthy) {
+                const repair = await doctor.repair({ providers: [provider], orphans: [] });
+                results.success.push(...repair.success);
+                results.failed.push(...repair.failed);
+                results.warnings.push(...repair.warnings);
+                if (repair.failed.length > 0) {
+                    continue;
+                }
+            }
 
-    /**
-     * Generates text using ${providerName} with model ID mapping
-     */
-    async generateText(params) {
-        // Map the model ID to the actual API model name
-        const mappedParams = {
-            ...params,
-            modelId: this.mapModelId(params.modelId)
-        };
+            try {
+                const restored = await this.restoreSupportedModels(provider.name, provider.config.models || []);
+                if (restored.length > 0) {
+                    results.success.push(`${provider.name}: supported-models.json (${restored.join(', ')})`);
+                }
+            } catch (error) {
+                results.failed.push({ file: `${provider.name}: supported-models.json`, error: error.message });
+                continue;
+            }
+            results.replayed.push(provider.name);
+        }
 
-        // Call the parent generateText with mapped model ID
-        return super.generateText(mappedParams);
+        if (results.replayed.length > 0 && results.packageVersion) {
+            await this.updateManifest(current => current.markReplayed(results.replayed, results.packageVersion));
+        }
+        return results;
     }
 
     /**
-     * Generates streaming text using ${providerName} with model ID mapping
+     * 规划清单中供应商的重新应用
+     * @returns {Promise<ChangePlan>}
      */
-    async streamText(params) {
-        // Map the model ID to the actual API model name
-        const mappedParams = {
-            ...params,
-            modelId: this.mapModelId(params.modelId)
-        };
-
-        // Call the parent streamText with mapped model ID
-        return super.streamText(mappedParams);
+    async planManifestReplay() {
+        return this.planOperation(manager => manager.replayManifestProviders());
     }
 
     /**
-     * Generates object using ${providerName} with model ID mapping
+     * 将供应商对task-master-ai包的全部修改（供应商文件及index.js、ai-services-unified.js、config-manager.js、
+     * supported-models.json、init.js中的注册）导出为与patch-package兼容的补丁，不修改任何文件。
+     * 补丁基于当前包目录计算，因此包目录应为未修改的干净安装；包中已存在某个供应商的部分修改时拒绝导出
+     * @param {string[]} [providerNames] - 供应商名称，默认为全部自定义供应商
+     * @returns {Promise<{fileName: string, patch: string, files: string[], warnings: string[]}>}
      */
-    async generateObject(params) {
-        // Map the model ID to the actual API model name
-        const mappedParams = {
-            ...params,
-            modelId: this.mapModelId(params.modelId)
-        };
+    async exportPackagePatch(providerNames) {
+        const packageDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-package');
+        if (!packageDirHandle) {
+            throw new Error('TaskMaster包目录不可用，请先选择TaskMaster包目录');
+        }
 
-        // Call the parent generateObject with mapped model ID
-        return super.generateObject(mappedParams);
-    }
-}
-`;
+        const configured = await this.configManager.getProviders();
+        (providerNames || []).forEach(providerName => {
+            if (!configured.some(provider => provider.name.toLowerCase() === providerName.toLowerCase())) {
+                throw new Error(`未找到服务商: ${providerName}`);
+            }
+        });
+
+        const doctor = new ProviderDoctor(this);
+        const report = await doctor.diagnose(providerNames ? { providerNames } : {});
+        if (report.providers.length === 0) {
+            throw new Error('没有可导出的自定义供应商');
+        }
+
+        // 部分注册已存在于包中的供应商：补丁只会包含缺失的部分，在干净安装上应用后供应商仍不完整
+        const partial = report.providers
+            .filter(provider => !provider.healthy)
+            .map(provider => ({
+                name: provider.name,
+                present: provider.checks
+                    .filter(check => check.ok && !check.skipped && check.id !== 'mcp-env')
+                    .map(check => check.label)
+            }))
+            .filter(provider => provider.present.length > 0);
+        if (partial.length > 0) {
+            throw new Error(`当前TaskMaster包已包含部分供应商修改（${partial.map(({ name, present }) => `${name}: ${present.join('、')}`).join('; ')}），` +
+                '导出的补丁将不完整，请在未修改的task-master-ai包上导出补丁（例如重新执行 npm ci 后）');
+        }
+
+        const warnings = report.providers
+            .filter(provider => provider.healthy)
+            .map(provider => `${provider.name} 已安装在当前TaskMaster包中，补丁中不包含其修改`);
+        const plan = await doctor.planRepair({ providers: report.providers.filter(provider => !provider.healthy), orphans: [] });
+        if (plan.result.failed.length > 0) {
+            throw new Error(`无法生成补丁: ${plan.result.failed.map(({ file, error }) => `${file}: ${error}`).join('; ')}`);
+        }
+        // 可选步骤（init.js的MCP模板密钥）失败时补丁中不包含该文件的修改
+        warnings.push(...plan.result.warnings);
+
+        const files = plan.getChanges()
+            .filter(change => change.root === 'taskmaster-package')
+            .map(change => change.path);
+        if (files.length === 0) {
+            throw new Error('当前TaskMaster包已包含这些供应商的全部修改，请在未修改的task-master-ai包上导出补丁（例如重新执行 npm ci 后）');
+        }
+
+        const packageJson = JSON.parse(await this.saveConfig.readFileFromDirectory(packageDirHandle, 'package.json') || '{}');
+        const packageName = packageJson.name || 'task-master-ai';
+
+        return {
+            // patch-package的文件命名约定：<包名>+<版本>.patch，作用域包的 / 替换为 +
+            fileName: `${packageName.replace('/', '+')}+${packageJson.version || '0.0.0'}.patch`,
+            patch: plan.toPatch({ pathPrefix: `node_modules/${packageName}/` }),
+            files,
+            warnings
+        };
     }
 
     /**
-     * 生成基础AI provider文件内容（无模型信息）
+     * 手动修复遗漏的供应商配置：检查该供应商在所有TaskMaster文件中的注册，
+     * 在一个事务中补齐缺失的部分
      * @param {string} providerName - 供应商名称
-     * @param {object} providerConfig - 供应商配置
+     * @returns {Promise<{success: string[], failed: Array<{file: string, error: string}>, warnings: string[]}>}
      */
-    generateProviderFileContentBasic(providerName, providerConfig) {
-        const className = `${providerName.charAt(0).toUpperCase() + providerName.slice(1)}Provider`;
-        const configuredEndpoint = providerConfig?.endpoint || '';
-
-        return `/**
- * ${providerName.toLowerCase()}.js
- * AI provider implementation for ${providerName} using OpenAI-compatible API.
- */
-
-import { createOpenAI } from '@ai-sdk/openai';
-import { BaseAIProvider } from './base-provider.js';
-
-export class ${className} extends BaseAIProvider {
-    constructor() {
-        super();
-        this.name = '${providerName}';
+    async fixMissingProviderConfig(providerName) {
+        const doctor = new ProviderDoctor(this);
+        const report = await doctor.diagnose({ providerNames: [providerName] });
+        return doctor.repair(report);
     }
 
     /**
-     * Creates and returns a ${providerName} client instance.
-     * @param {object} params - Parameters for client initialization
-     * @param {string} params.apiKey - ${providerName} API key
-     * @param {string} [params.baseURL] - Optional custom API endpoint
-     * @returns {Function} ${providerName} client function
-     * @throws {Error} If API key is missing or initialization fails
+     * 更新现有供应商的API密钥
+     * @param {string} providerName - 供应商名称
+     * @param {string} apiKeyValue - 新的API密钥值
      */
-    getClient(params) {
-        try {
-            const { apiKey, baseURL } = params;
+    async updateProviderApiKey(providerName, apiKeyValue) {
+        const results = {
+            success: [],
+            failed: [],
+            warnings: []
+        };
 
-            if (!apiKey) {
-                throw new Error('${providerName} API key is required.');
+        // 更新MCP配置中的API密钥
+        try {
+            const mcpResult = await this.updateMCPConfigFile(providerName, apiKeyValue);
+            if (mcpResult) {
+                results.success.push('mcp.json');
+            } else {
+                results.failed.push({ file: 'mcp.json', error: 'API密钥更新失败' });
             }
+        } catch (error) {
+            results.failed.push({ file: 'mcp.json', error: error.message });
+        }
 
-            // 使用配置的API端点，可以通过baseURL参数覆盖
-            const effectiveBaseURL = baseURL || '${configuredEndpoint}';
-
-            // 确保baseURL以/v1结尾（如果需要）
-            const normalizedBaseURL = effectiveBaseURL.endsWith('/v1')
-                ? effectiveBaseURL
-                : \`\${effectiveBaseURL}/v1\`.replace(/\\/+v1$/g, '/v1');
-
-            return createOpenAI({
-                apiKey,
-                baseURL: normalizedBaseURL
-            });
+        // 同步 .env 中的API密钥
+        try {
+            if (await this.updateEnvFile(providerName, apiKeyValue)) {
+                results.success.push('.env');
+            }
         } catch (error) {
-            this.handleError('client initialization', error);
+            results.failed.push({ file: '.env', error: error.message });
         }
+
+        return results;
     }
 
     /**
-     * Maps ${providerName} model IDs to actual API model names
-     * @param {string} modelId - The model ID from supported-models.json
-     * @returns {string} The actual model name to use with the API
+     * 更新现有的AI provider文件（强制重新生成以更新配置）
+     * @param {string} providerName - 供应商名称
+     * @param {object} providerConfig - 供应商配置信息
      */
-    mapModelId(modelId) {
-        // 自动去除${providerName.toLowerCase()}-前缀，类似poloai的处理方式
-        if (modelId.startsWith('${providerName.toLowerCase()}-')) {
-            return modelId.replace('${providerName.toLowerCase()}-', '');
+    async updateProviderFile(providerName, providerConfig) {
+        const providerFileName = `${providerName.toLowerCase()}.js`;
+        const providerFilePath = `src/ai-providers/${providerFileName}`;
+
+        // 强制重新生成provider文件内容（覆盖现有文件）
+        const providerContent = this.generateProviderFileContentBasic(providerName, providerConfig);
+
+        // 直接写入文件到TaskMaster包目录（覆盖现有文件）
+        await this.saveConfig.writeJavaScriptFileToPackage(providerFilePath, providerContent);
+        await this.updateManifest(manifest => manifest.recordProvider(providerName, providerConfig));
+
+        // 更新init.js文件（确保新项目初始化时包含此供应商）
+        try {
+            await this.updateInitJsFile(providerName);
+        } catch (error) {
+            // init.js更新失败不影响主要功能，只记录警告
+            // 使用静默方式处理，避免影响用户体验
         }
 
-        // 对于特殊情况的手动映射（如果需要）
-        const modelMap = {
-            // 在这里添加特殊的模型映射，如果有的话
-        };
+        // 跳过UI工具配置文件更新，避免触发页面刷新
+        // 注意：更新现有供应商时不需要修改UI工具源代码
+        // await this.updateUIToolConfigs(providerName, providerConfig);
 
-        return modelMap[modelId] || modelId;
+        // 成功更新文件
+        // 注意：API密钥更新由syncProviderToTaskMaster方法统一处理
+        return { updated: true, filePath: providerFilePath };
     }
 
-    /**
-     * Generates text using ${providerName} with model ID mapping
-     */
-    async generateText(params) {
-        // Map the model ID to the actual API model name
-        const mappedParams = {
-            ...params,
-            modelId: this.mapModelId(params.modelId)
-        };
 
-        // Call the parent generateText with mapped model ID
-        return super.generateText(mappedParams);
-    }
 
     /**
-     * Generates streaming text using ${providerName} with model ID mapping
+     * 生成AI provider文件内容
      */
-    async streamText(params) {
-        // Map the model ID to the actual API model name
-        const mappedParams = {
-            ...params,
-            modelId: this.mapModelId(params.modelId)
-        };
-
-        // Call the parent streamText with mapped model ID
-        return super.streamText(mappedParams);
+    generateProviderFileContent(providerName, _originalModelId, _prefixedModelId, providerConfig = null) {
+        return ProviderFileTemplates.generate(providerName, providerConfig);
     }
 
     /**
-     * Generates object using ${providerName} with model ID mapping
+     * 生成基础AI provider文件内容（无模型信息），按供应商类型选择模板，见 ProviderFileTemplates
+     * @param {string} providerName - 供应商名称
+     * @param {object} providerConfig - 供应商配置
      */
-    async generateObject(params) {
-        // Map the model ID to the actual API model name
-        const mappedParams = {
-            ...params,
-            modelId: this.mapModelId(params.modelId)
-        };
-
-        // Call the parent generateObject with mapped model ID
-        return super.generateObject(mappedParams);
-    }
-}
-`;
+    generateProviderFileContentBasic(providerName, providerConfig) {
+        return ProviderFileTemplates.generate(providerName, providerConfig);
     }
 
-
-
     /**
      * 检查provider文件是否已存在
      * @param {string} filePath - 文件路径
@@ -565,11 +798,83 @@ export class ${className} extends BaseAIProvider {
             supportedModelsPath,
             JSON.stringify(supportedModels, null, 2)
         );
+        await this.updateManifest(manifest => manifest.recordModel(providerName, newModelEntry));
 
         // 成功更新文件
         return true;
     }
 
+    /**
+     * 将供应商清单中记录的模型条目补回supported-models.json，已存在的模型保持不变
+     * @param {string} providerName - 供应商名称
+     * @param {Array<Object>} modelEntries - 清单中记录的supported-models.json条目
+     * @returns {Promise<string[]>} 补回的模型ID
+     */
+    async restoreSupportedModels(providerName, modelEntries) {
+        const supportedModelsPath = 'scripts/modules/supported-models.json';
+        const packageDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-package');
+
+        const existingContent = await this.saveConfig.readFileFromDirectory(packageDirHandle, supportedModelsPath);
+        const supportedModels = existingContent ? JSON.parse(existingContent) : {};
+        const providerKey = providerName.toLowerCase();
+        const models = supportedModels[providerKey] || [];
+
+        const missing = modelEntries.filter(entry => !models.some(model => model.id === entry.id));
+        if (missing.length === 0) {
+            return [];
+        }
+
+        supportedModels[providerKey] = [...models, ...missing];
+        await this.saveConfig.writeFileToDirectory(packageDirHandle, supportedModelsPath, JSON.stringify(supportedModels, null, 2));
+        return missing.map(entry => entry.id);
+    }
+
+    /**
+     * 从supported-models.json中删除指定模型
+     * @param {string} providerName - 供应商名称
+     * @param {string} modelId - 带前缀的模型ID
+     */
+    async removeModelFromSupportedModels(providerName, modelId) {
+        const supportedModelsPath = 'scripts/modules/supported-models.json';
+        const packageDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-package');
+
+        if (!packageDirHandle) {
+            throw new Error('TaskMaster包目录不可用');
+        }
+
+        // 读取现有的supported-models.json
+        const existingContent = await this.saveConfig.readFileFromDirectory(packageDirHandle, supportedModelsPath);
+
+        if (!existingContent) {
+            throw new Error('supported-models.json文件不存在');
+        }
+
+        const supportedModels = JSON.parse(existingContent);
+        const providerKey = providerName.toLowerCase();
+
+        if (!supportedModels[providerKey] || !Array.isArray(supportedModels[providerKey])) {
+            throw new Error(`供应商 ${providerKey} 不存在于supported-models.json中`);
+        }
+
+        // 查找并删除模型
+        const modelIndex = supportedModels[providerKey].findIndex(m => m.id === modelId);
+        if (modelIndex === -1) {
+            throw new Error(`模型 ${modelId} 不存在于TaskMaster项目中`);
+        }
+
+        supportedModels[providerKey].splice(modelIndex, 1);
+
+        // 写入更新后的文件
+        await this.saveConfig.writeFileToDirectory(
+            packageDirHandle,
+            supportedModelsPath,
+            JSON.stringify(supportedModels, null, 2)
+        );
+        await this.updateManifest(manifest => manifest.removeModel(providerName, modelId));
+
+        return true;
+    }
+
     /**
      * 更新supported-models.json文件，只添加供应商条目（不添加模型）
      * @param {string} providerName - 供应商名称
@@ -675,24 +980,12 @@ export class ${className} extends BaseAIProvider {
     async updateProviderIndexFile(providerName) {
         const indexPath = 'src/ai-providers/index.js';
         const className = `${providerName.charAt(0).toUpperCase() + providerName.slice(1)}Provider`;
-        const exportLine = `export { ${className} } from './${providerName.toLowerCase()}.js';`;
 
-        // 使用updateExistingFileInPackage方法更新index.js
+        // 使用updateExistingFileInPackage方法更新index.js，导出已存在时内容不变
         await this.saveConfig.updateExistingFileInPackage(indexPath, (existingContent) => {
-            // 检查是否已存在该导出
-            if (existingContent.includes(exportLine)) {
-                // 导出已存在
-                return existingContent;
-            }
-
-            // 确保内容以换行符结尾，然后添加新的导出行
-            let updatedContent = existingContent.trim();
-            if (updatedContent.length > 0) {
-                updatedContent += '\n';
-            }
-            updatedContent += exportLine;
-
-            return updatedContent;
+            const patcher = new SourcePatcher(existingContent, indexPath);
+            patcher.addExportFrom(className, `./${providerName.toLowerCase()}.js`);
+            return patcher.toString();
         });
 
         // 成功更新文件
@@ -706,80 +999,24 @@ export class ${className} extends BaseAIProvider {
         const unifiedPath = 'scripts/modules/ai-services-unified.js';
         const className = `${providerName.charAt(0).toUpperCase() + providerName.slice(1)}Provider`;
         const providerKey = providerName.toLowerCase();
+        const apiKeyName = `${providerKey.toUpperCase()}_API_KEY`;
 
         await this.saveConfig.updateExistingFileInPackage(unifiedPath, (existingContent) => {
-            let updatedContent = existingContent;
+            const patcher = new SourcePatcher(existingContent, unifiedPath);
 
             // 1. 添加到import语句中
-            const importRegex = /import\s*\{([^}]+)\}\s*from\s*['"]\.\.\/\.\.\/src\/ai-providers\/index\.js['"];?/;
-            const importMatch = existingContent.match(importRegex);
-
-            if (importMatch && !importMatch[1].includes(className)) {
-                const currentImports = importMatch[1].trim();
-                const newImports = currentImports + ',\n\t' + className;
-                updatedContent = updatedContent.replace(importRegex,
-                    `import {\n\t${newImports}\n} from '../../src/ai-providers/index.js';`);
-            }
+            const importDeclaration = patcher.require(patcher.findImport(PROVIDER_INDEX_IMPORT), '供应商index.js的import语句');
+            patcher.addImportSpecifier(importDeclaration, className);
 
             // 2. 添加到PROVIDERS对象中
-            const providersRegex = /const PROVIDERS = \{([\s\S]*?)\};/s;
-            const providersMatch = updatedContent.match(providersRegex);
-
-            if (providersMatch && !providersMatch[1].includes(`${providerKey}:`)) {
-                const providersContent = providersMatch[1];
-
-                // 按行处理，更安全的方式
-                const lines = providersContent.split('\n');
-                const filteredLines = lines.filter(line => line.trim().length > 0);
-
-                // 确保最后一行有逗号
-                if (filteredLines.length > 0) {
-                    const lastLineIndex = filteredLines.length - 1;
-                    const lastLine = filteredLines[lastLineIndex].trim();
-                    if (!lastLine.endsWith(',')) {
-                        filteredLines[lastLineIndex] = filteredLines[lastLineIndex] + ',';
-                    }
-                }
-
-                // 添加新的供应商行
-                filteredLines.push(`\t${providerKey}: new ${className}()`);
-
-                const newProvidersContent = filteredLines.join('\n');
-                updatedContent = updatedContent.replace(providersRegex,
-                    `const PROVIDERS = {\n${newProvidersContent}\n};`);
-            }
+            const providers = patcher.require(patcher.findObjectDeclarations('PROVIDERS'), 'PROVIDERS对象');
+            patcher.addProperty(providers[0], providerKey, `new ${className}()`);
 
             // 3. 添加到keyMap中
-            const keyMapRegex = /const keyMap = \{([\s\S]*?)\};/;
-            const keyMapMatch = updatedContent.match(keyMapRegex);
-
-            if (keyMapMatch && !keyMapMatch[1].includes(`${providerKey}:`)) {
-                const apiKeyName = `${providerKey.toUpperCase()}_API_KEY`;
-                const keyMapContent = keyMapMatch[1];
-
-                // 从开头插入新条目，避免末尾逗号问题
-                const lines = keyMapContent.split('\n');
-                const filteredLines = lines.filter(line => line.trim().length > 0);
-
-                // 找到第一个有效的keyMap条目行，在其前面插入新条目
-                let insertIndex = 0;
-                for (let i = 0; i < filteredLines.length; i++) {
-                    const line = filteredLines[i].trim();
-                    if (line.includes(':') && !line.startsWith('//')) {
-                        insertIndex = i;
-                        break;
-                    }
-                }
-
-                // 插入新的keyMap条目（带逗号）
-                const newEntry = `\t\t\t${providerKey}: '${apiKeyName}',`;
-                filteredLines.splice(insertIndex, 0, newEntry);
-
-                const newKeyMapContent = filteredLines.join('\n');
-                updatedContent = updatedContent.replace(keyMapRegex, `const keyMap = {\n${newKeyMapContent}\n\t\t};`);
-            }
+            patcher.require(patcher.findObjectDeclarations('keyMap'), 'keyMap对象')
+                .forEach(keyMap => patcher.addProperty(keyMap, providerKey, patcher.stringLiteral(apiKeyName)));
 
-            return updatedContent;
+            return patcher.toString();
         });
 
         return true;
@@ -796,73 +1033,30 @@ export class ${className} extends BaseAIProvider {
 
         try {
             const result = await this.saveConfig.updateExistingFileInPackage(configManagerPath, (existingContent) => {
-                let updatedContent = existingContent;
-                let keyMapUpdated = false;
-                let switchUpdated = false;
+                const patcher = new SourcePatcher(existingContent, configManagerPath);
 
                 // 1. 添加到keyMap中
-                const keyMapRegex = /const keyMap = \{([\s\S]*?)\};/;
-                const keyMapMatch = existingContent.match(keyMapRegex);
-
-                if (keyMapMatch) {
-                    if (!keyMapMatch[1].includes(`${providerKey}:`)) {
-                        const keyMapContent = keyMapMatch[1];
-
-                        // 从开头插入新条目，避免末尾逗号问题
-                        const lines = keyMapContent.split('\n');
-                        const filteredLines = lines.filter(line => line.trim().length > 0);
-
-                        // 找到第一个有效的keyMap条目行，在其前面插入新条目
-                        let insertIndex = 0;
-                        for (let i = 0; i < filteredLines.length; i++) {
-                            const line = filteredLines[i].trim();
-                            if (line.includes(':') && !line.startsWith('//')) {
-                                insertIndex = i;
-                                break;
-                            }
-                        }
-
-                        // 插入新的keyMap条目（带逗号）
-                        const newEntry = `\t\t\t${providerKey}: '${apiKeyName}',`;
-                        filteredLines.splice(insertIndex, 0, newEntry);
-
-                        const newKeyMapContent = filteredLines.join('\n');
-                        updatedContent = updatedContent.replace(keyMapRegex, `const keyMap = {\n${newKeyMapContent}\n\t\t};`);
-                        keyMapUpdated = true;
-                    }
-                } else {
-                    throw new Error('无法找到keyMap对象');
-                }
+                const keyMapUpdated = patcher.require(patcher.findObjectDeclarations('keyMap'), 'keyMap对象')
+                    .map(keyMap => patcher.addProperty(keyMap, providerKey, patcher.stringLiteral(apiKeyName)))
+                    .some(Boolean);
 
                 // 2. 添加到getMcpApiKeyStatus函数的switch语句中
-                const switchRegex = /switch \(providerName\) \{([\s\S]*?)\s*default:/;
-                const switchMatch = updatedContent.match(switchRegex);
-
-                if (switchMatch) {
-                    if (!switchMatch[1].includes(`case '${providerKey}':`)) {
-                        const switchContent = switchMatch[1];
-                        const newCaseStatement = `\t\t\tcase '${providerKey}':\n\t\t\t\tapiKeyToCheck = mcpEnv.${apiKeyName}; // ${providerName} uses its own API key\n\t\t\t\tplaceholderValue = 'YOUR_${apiKeyName}_HERE';\n\t\t\t\tbreak;`;
-
-                        // 确保switch内容正确格式化，在default前添加新的case
-                        let newSwitchContent = switchContent.trim();
-                        if (newSwitchContent.length > 0 && !newSwitchContent.endsWith('\n')) {
-                            newSwitchContent += '\n';
-                        }
-                        newSwitchContent += newCaseStatement + '\n\t\t\t';
-
-                        updatedContent = updatedContent.replace(switchRegex, `switch (providerName) {\n${newSwitchContent}default:`);
-                        switchUpdated = true;
-                    }
-                } else {
-                    throw new Error('无法找到switch语句');
-                }
+                const switchStatement = patcher.require(
+                    patcher.findSwitch('getMcpApiKeyStatus', 'providerName'),
+                    'getMcpApiKeyStatus中的switch (providerName)语句'
+                );
+                const switchUpdated = patcher.addSwitchCase(switchStatement, providerKey, [
+                    `apiKeyToCheck = mcpEnv.${apiKeyName}; // ${providerName} uses its own API key`,
+                    `placeholderValue = ${patcher.stringLiteral(`YOUR_${apiKeyName}_HERE`)};`,
+                    'break;'
+                ]);
 
                 // 验证更新是否成功
                 if (!keyMapUpdated && !switchUpdated) {
                     throw new Error(`供应商 ${providerKey} 已存在于config-manager.js中`);
                 }
 
-                return updatedContent;
+                return patcher.toString();
             });
 
             return result;
@@ -872,97 +1066,54 @@ export class ${className} extends BaseAIProvider {
     }
 
     /**
-     * 查找现有的TaskMaster服务器名称
-     * @param {object} mcpConfig - MCP配置对象
-     * @returns {string} - 找到的服务器名称或默认名称
-     */
-    findTaskMasterServer(mcpConfig) {
-        const possibleNames = ['taskmaster-ai', 'task-master-ai'];
-
-        if (mcpConfig.mcpServers) {
-            for (const serverName of possibleNames) {
-                if (mcpConfig.mcpServers[serverName]) {
-                    return serverName;
-                }
-            }
-        }
-
-        // 如果都不存在，返回默认名称
-        return 'taskmaster-ai';
-    }
-
-    /**
-     * 更新MCP配置文件，添加API密钥
+     * 更新项目中所有启用的MCP客户端配置（见McpClientRegistry），添加API密钥
      * @param {string} providerName - 供应商名称
      * @param {string} [apiKeyValue] - 实际的API密钥值，如果不提供则使用占位符
+     * @returns {Promise<boolean>} 所有客户端配置是否都更新成功
      */
     async updateMCPConfigFile(providerName, apiKeyValue = null) {
-        const mcpConfigPath = '.cursor/mcp.json';
         const apiKeyName = `${providerName.toUpperCase()}_API_KEY`;
-        const projectDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-project');
 
-        try {
-            // 读取现有的MCP配置
-            let mcpConfig = {};
-            try {
-                const mcpContent = await this.saveConfig.readFileFromDirectory(projectDirHandle, mcpConfigPath);
-                if (mcpContent) {
-                    mcpConfig = JSON.parse(mcpContent);
-                }
-            } catch (error) {
-                // 文件不存在，创建默认结构
-                mcpConfig = {
-                    mcpServers: {
-                        'taskmaster-ai': {
-                            command: 'node',
-                            args: ['dist/index.js'],
-                            env: {}
-                        }
-                    }
-                };
-            }
+        // 设置API密钥值
+        const keyValue = apiKeyValue && apiKeyValue.trim() !== ''
+            ? apiKeyValue.trim()
+            : `${apiKeyName}_HERE`;
 
-            // 查找现有的TaskMaster服务器名称
-            const serverName = this.findTaskMasterServer(mcpConfig);
-
-            // 确保MCP配置结构存在
-            if (!mcpConfig.mcpServers) {
-                mcpConfig.mcpServers = {};
-            }
-            if (!mcpConfig.mcpServers[serverName]) {
-                mcpConfig.mcpServers[serverName] = {
-                    command: 'node',
-                    args: ['dist/index.js'],
-                    env: {}
-                };
-            }
-            if (!mcpConfig.mcpServers[serverName].env) {
-                mcpConfig.mcpServers[serverName].env = {};
+        const { failed } = await new McpClientRegistry(this.saveConfig).updateEnv(env => {
+            if (env[apiKeyName] === keyValue) {
+                return false;
             }
+            env[apiKeyName] = keyValue;
+            return true;
+        });
 
-            const mcpEnv = mcpConfig.mcpServers[serverName].env;
-
-            // 设置API密钥值
-            const keyValue = apiKeyValue && apiKeyValue.trim() !== ''
-                ? apiKeyValue.trim()
-                : `${apiKeyName}_HERE`;
-
-            // 添加或更新API密钥
-            mcpEnv[apiKeyName] = keyValue;
+        // MCP配置更新失败不应该阻止供应商创建，只记录日志并返回false
+        failed.forEach(({ file, error }) => Logger.warn(`更新 ${file} 失败: ${error}`));
+        return failed.length === 0;
+    }
 
-            // 写入更新后的MCP配置
-            await this.saveConfig.writeFileToDirectory(
-                projectDirHandle,
-                mcpConfigPath,
-                JSON.stringify(mcpConfig, null, 2)
-            );
+    /**
+     * 读取项目 .env 中的API密钥
+     * @returns {Promise<Object<string, string>>} 变量名 -> 值，只包含 *_API_KEY
+     */
+    async readEnvFileApiKeys() {
+        const values = await new ProjectEnvFile(this.saveConfig).readValues();
+        return Object.fromEntries(Object.entries(values).filter(([key]) => key.endsWith('_API_KEY')));
+    }
 
-            return true;
-        } catch (error) {
-            // MCP配置更新失败不应该阻止供应商创建
-            // 静默处理错误，不影响供应商创建流程
+    /**
+     * 在项目 .env 中添加或更新供应商的API密钥（保留注释和原有顺序）。
+     * 没有实际密钥时不写入占位符，以免TaskMaster CLI把占位符当作密钥使用
+     * @param {string} providerName - 供应商名称
+     * @param {string} [apiKeyValue] - 实际的API密钥值
+     * @returns {Promise<boolean>} 是否写入了 .env
+     */
+    async updateEnvFile(providerName, apiKeyValue = null) {
+        if (!apiKeyValue || apiKeyValue.trim() === '') {
             return false;
         }
+        const apiKeyName = `${providerName.toUpperCase()}_API_KEY`;
+        return new ProjectEnvFile(this.saveConfig).setValues({ [apiKeyName]: apiKeyValue.trim() });
     }
 
     /**
@@ -975,57 +1126,12 @@ export class ${className} extends BaseAIProvider {
 
         try {
             const result = await this.saveConfig.updateExistingFileInPackage(initJsPath, (content) => {
-                // 查找MCP配置模板中的env部分
-                const envSectionRegex = /(\s+env:\s*\{\s*\n)([\s\S]*?)(\n\s+\}\s*\n)/;
-                const match = content.match(envSectionRegex);
+                const patcher = new SourcePatcher(content, initJsPath);
+                const envObject = this.findMcpTemplateEnv(patcher);
 
-                if (!match) {
-                    throw new Error('未找到MCP配置模板中的env部分');
-                }
-
-                const [, envStart, envContent, envEnd] = match;
-
-                // 检查API密钥是否已存在
-                if (envContent.includes(`${apiKeyName}:`)) {
-                    // API密钥已存在，不需要添加
-                    return content;
-                }
-
-                // 解析现有的env条目，保持格式一致
-                const envLines = envContent.split('\n').filter(line => line.trim());
-
-                // 找到最后一个API密钥条目的缩进格式
-                let indentation = '\t\t\t\t\t';  // 默认缩进
-                if (envLines.length > 0) {
-                    const lastLine = envLines[envLines.length - 1];
-                    const indentMatch = lastLine.match(/^(\s*)/);
-                    if (indentMatch) {
-                        indentation = indentMatch[1];
-                    }
-                }
-
-                // 构建新的API密钥条目
-                const newApiKeyEntry = `${indentation}${apiKeyName}: '${apiKeyName}_HERE'`;
-
-                // 在最后一个条目后添加新的API密钥（确保有逗号）
-                let updatedEnvContent = envContent;
-                if (envLines.length > 0) {
-                    // 确保最后一行有逗号
-                    const lastLineIndex = updatedEnvContent.lastIndexOf(envLines[envLines.length - 1]);
-                    const lastLine = envLines[envLines.length - 1];
-                    if (!lastLine.trim().endsWith(',')) {
-                        updatedEnvContent = updatedEnvContent.substring(0, lastLineIndex + lastLine.length) +
-                                          ',' + updatedEnvContent.substring(lastLineIndex + lastLine.length);
-                    }
-                    updatedEnvContent += `\n${newApiKeyEntry}`;
-                } else {
-                    updatedEnvContent = `\n${newApiKeyEntry}`;
-                }
-
-                // 替换env部分
-                const updatedContent = content.replace(envSectionRegex, `${envStart}${updatedEnvContent}${envEnd}`);
-
-                return updatedContent;
+                // API密钥已存在时内容不变
+                patcher.addProperty(envObject, apiKeyName, patcher.stringLiteral(`${apiKeyName}_HERE`));
+                return patcher.toString();
             });
 
             return result;
@@ -1034,6 +1140,18 @@ export class ${className} extends BaseAIProvider {
         }
     }
 
+    /**
+     * 查找init.js中MCP配置模板的env对象：优先选择包含 *_API_KEY 条目的env
+     * @param {SourcePatcher} patcher - init.js的修补器
+     * @returns {Object} ObjectExpression节点
+     */
+    findMcpTemplateEnv(patcher) {
+        const envObjects = patcher.require(patcher.findPropertyObjects('env'), 'MCP配置模板中的env对象');
+        const apiKeyEnv = envObjects.find(envObject => envObject.properties.some(property =>
+            property.key && /_API_KEY$/.test(property.key.name || property.key.value)));
+        return apiKeyEnv || envObjects[0];
+    }
+
     /**
      * 更新UI工具配置文件
      * @param {string} providerName - 供应商名称
@@ -1127,9 +1245,10 @@ export class ${className} extends BaseAIProvider {
      * @param {string} providerName - 供应商名称
      * @param {string} originalModelId - 原始模型ID
      * @param {string} prefixedModelId - 带前缀的模型ID
+     * @param {object} [providerConfig] - 供应商配置（端点、类型、请求头等）
      * @returns {Promise<boolean>} - 是否成功创建或确认存在
      */
-    async ensureProviderFile(providerName, originalModelId, prefixedModelId) {
+    async ensureProviderFile(providerName, originalModelId, prefixedModelId, providerConfig = null) {
         const providerFileName = `${providerName.toLowerCase()}.js`;
         const providerFilePath = `src/ai-providers/${providerFileName}`;
 
@@ -1141,7 +1260,7 @@ export class ${className} extends BaseAIProvider {
         }
 
         // 文件不存在，创建新文件
-        const providerContent = this.generateProviderFileContent(providerName, originalModelId, prefixedModelId);
+        const providerContent = this.generateProviderFileContent(providerName, originalModelId, prefixedModelId, providerConfig);
         await this.saveConfig.writeJavaScriptFileToPackage(providerFilePath, providerContent);
 
         return true;
@@ -1149,12 +1268,13 @@ export class ${className} extends BaseAIProvider {
 
     /**
      * 生成完整的文件更新包
+     * @param {object} [providerConfig] - 供应商配置（端点、类型、请求头等）
      */
-    async generateFileUpdatePackage(providerName, originalModelId, modelConfig) {
-        const result = await this.addProviderModel(providerName, originalModelId, modelConfig);
+    async generateFileUpdatePackage(providerName, originalModelId, modelConfig, providerConfig = null) {
+        const result = await this.addProviderModel(providerName, originalModelId, modelConfig, providerConfig);
 
         if (result.success) {
-            const providerFile = await this.ensureProviderFile(providerName, originalModelId, result.prefixedModelId);
+            const providerFile = await this.ensureProviderFile(providerName, originalModelId, result.prefixedModelId, providerConfig);
             const supportedModels = await this.updateSupportedModelsFile(providerName, result.prefixedModelId, modelConfig);
             const indexUpdate = await this.updateProviderIndexFile(providerName);
             const unifiedUpdate = await this.updateAiServicesUnifiedFile(providerName);
@@ -1176,10 +1296,35 @@ export class ${className} extends BaseAIProvider {
 
     /**
      * 完整删除供应商及其相关文件和配置
+     * 在事务中执行：任一步骤失败时恢复所有文件，供应商要么被完整删除，要么保持原状
      * @param {string} providerName - 供应商名称
      * @returns {Promise<Object>} - 删除结果
      */
     async deleteProviderFromTaskMaster(providerName) {
+        const { result, rolledBack, rollback } = await this.runInTransaction(
+            manager => manager.performProviderDeletion(providerName),
+            deletion => !deletion.success
+        );
+
+        if (rolledBack) {
+            result.rolledBack = true;
+            result.deletedFiles = [];
+            result.updatedFiles = [];
+            result.errors.push(`删除未完成，已将 ${rollback.restored.length} 个文件恢复到删除前的状态`);
+            rollback.failed.forEach(({ file, error }) => result.errors.push(`恢复 ${file} 失败: ${error}`));
+        } else if (result.success) {
+            await this.updateManifest(manifest => manifest.removeProvider(providerName));
+        }
+
+        return result;
+    }
+
+    /**
+     * 依次执行删除供应商的各个步骤（不带事务，由deleteProviderFromTaskMaster调用）
+     * @param {string} providerName - 供应商名称
+     * @returns {Promise<Object>} - 删除结果
+     */
+    async performProviderDeletion(providerName) {
         const results = {
             success: true,
             deletedFiles: [],
@@ -1217,17 +1362,25 @@ export class ${className} extends BaseAIProvider {
                 results.success = false;
             }
 
-            // 3. 删除 .cursor/mcp.json 中的API密钥
+            // 3. 删除各MCP客户端配置中的API密钥
             try {
-                const removed = await this.removeProviderFromMCPConfig(providerName);
-                if (removed) {
-                    results.updatedFiles.push('.cursor/mcp.json');
-                }
+                const removedFrom = await this.removeProviderFromMCPConfig(providerName);
+                results.updatedFiles.push(...removedFrom);
             } catch (error) {
                 results.errors.push(`删除 MCP 配置中的API密钥失败: ${error.message}`);
                 results.success = false;
             }
 
+            // 3.1 删除 .env 中的API密钥
+            try {
+                if (await this.removeProviderFromEnvFile(providerName)) {
+                    results.updatedFiles.push('.env');
+                }
+            } catch (error) {
+                results.errors.push(`删除 .env 中的API密钥失败: ${error.message}`);
+                results.success = false;
+            }
+
             // 4. 删除供应商JavaScript文件
             try {
                 const deleted = await this.deleteProviderFile(providerName);
@@ -1272,6 +1425,16 @@ export class ${className} extends BaseAIProvider {
                 results.success = false;
             }
 
+            // 7.1 删除 init.js MCP配置模板中的API密钥
+            try {
+                if (await this.removeProviderFromInitJsFile(providerName)) {
+                    results.updatedFiles.push('scripts/init.js');
+                }
+            } catch (error) {
+                results.errors.push(`更新 init.js 失败: ${error.message}`);
+                results.success = false;
+            }
+
             // 8. 更新 UI工具的 ConfigTransformer.js 文件（跳过configManager.js，因为UI只显示实际导入的供应商）
             try {
                 const updated = await this.removeProviderFromConfigTransformer(providerName);
@@ -1367,47 +1530,35 @@ export class ${className} extends BaseAIProvider {
     }
 
     /**
-     * 从 .cursor/mcp.json 中删除供应商的API密钥
+     * 从项目中所有启用的MCP客户端配置中删除供应商的API密钥
      * @param {string} providerName - 供应商名称
-     * @returns {Promise<boolean>} - 是否删除成功
+     * @returns {Promise<string[]>} - 删除了密钥的配置文件路径
      */
     async removeProviderFromMCPConfig(providerName) {
-        const mcpConfigPath = '.cursor/mcp.json';
-        const projectDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-project');
-
-        try {
-            const content = await this.saveConfig.readFileFromDirectory(projectDirHandle, mcpConfigPath);
-            if (!content) {
-                return false; // 文件不存在
-            }
-
-            const mcpConfig = JSON.parse(content);
-            const apiKeyName = `${providerName.toUpperCase()}_API_KEY`;
-            let removed = false;
-
-            // 查找现有的TaskMaster服务器名称并删除API密钥
-            const serverName = this.findTaskMasterServer(mcpConfig);
-            if (mcpConfig.mcpServers && mcpConfig.mcpServers[serverName] && mcpConfig.mcpServers[serverName].env) {
-                const env = mcpConfig.mcpServers[serverName].env;
-                if (env[apiKeyName]) {
-                    delete env[apiKeyName];
-                    removed = true;
-                }
-            }
+        const apiKeyName = `${providerName.toUpperCase()}_API_KEY`;
 
-            if (removed) {
-                // 写入更新后的文件
-                await this.saveConfig.writeFileToDirectory(
-                    projectDirHandle,
-                    mcpConfigPath,
-                    JSON.stringify(mcpConfig, null, 2)
-                );
+        const { updated, failed } = await new McpClientRegistry(this.saveConfig).updateEnv(env => {
+            if (env[apiKeyName] === undefined) {
+                return false;
             }
+            delete env[apiKeyName];
+            return true;
+        }, { create: false });
 
-            return removed;
-        } catch (error) {
-            throw new Error(`删除 MCP 配置中的API密钥失败: ${error.message}`);
+        if (failed.length > 0) {
+            throw new Error(failed.map(({ file, error }) => `${file}: ${error}`).join('; '));
         }
+        return updated;
+    }
+
+    /**
+     * 从项目 .env 中删除供应商的API密钥
+     * @param {string} providerName - 供应商名称
+     * @returns {Promise<boolean>} - 是否删除（.env 不存在或没有该密钥时返回false）
+     */
+    async removeProviderFromEnvFile(providerName) {
+        const apiKeyName = `${providerName.toUpperCase()}_API_KEY`;
+        return new ProjectEnvFile(this.saveConfig).removeKeys([apiKeyName]);
     }
 
     /**
@@ -1439,11 +1590,10 @@ export class ${className} extends BaseAIProvider {
 
         try {
             const updated = await this.saveConfig.updateFileContent(packageDirHandle, indexPath, (existingContent) => {
-                // 删除导出行
-                const exportLine = `export { ${className} } from './${providerName.toLowerCase()}.js';`;
-                const lines = existingContent.split('\n');
-                const filteredLines = lines.filter(line => !line.includes(exportLine.trim()));
-                return filteredLines.join('\n');
+                // 删除导出语句
+                const patcher = new SourcePatcher(existingContent, indexPath);
+                patcher.removeExportFrom(className);
+                return patcher.toString();
             });
 
             return updated;
@@ -1465,50 +1615,20 @@ export class ${className} extends BaseAIProvider {
 
         try {
             const updated = await this.saveConfig.updateFileContent(packageDirHandle, unifiedPath, (existingContent) => {
-                let updatedContent = existingContent;
+                const patcher = new SourcePatcher(existingContent, unifiedPath);
 
                 // 1. 从import语句中删除
-                const importRegex = /import\s*\{([^}]+)\}\s*from\s*['"]\.\.\/\.\.\/src\/ai-providers\/index\.js['"];?/;
-                const importMatch = existingContent.match(importRegex);
-
-                if (importMatch && importMatch[1].includes(className)) {
-                    const currentImports = importMatch[1]
-                        .split(',')
-                        .map(imp => imp.trim())
-                        .filter(imp => imp !== className)
-                        .join(',\n\t');
-
-                    updatedContent = updatedContent.replace(importRegex,
-                        `import {\n\t${currentImports}\n} from '../../src/ai-providers/index.js';`);
-                }
+                const importDeclaration = patcher.require(patcher.findImport(PROVIDER_INDEX_IMPORT), '供应商index.js的import语句');
+                patcher.removeImportSpecifier(importDeclaration, className);
 
                 // 2. 从PROVIDERS对象中删除
-                const providerInstanceRegex = new RegExp(`\\s*${providerKey}:\\s*new\\s+${className}\\(\\)\\s*,?`, 'g');
-                updatedContent = updatedContent.replace(providerInstanceRegex, '');
+                patcher.require(patcher.findObjectDeclarations('PROVIDERS'), 'PROVIDERS对象')
+                    .forEach(providers => patcher.removeProperty(providers, providerKey));
 
                 // 3. 从keyMap中删除
-                const keyMapRegex = /const keyMap = \{([\s\S]*?)\};/;
-                const keyMapMatch = updatedContent.match(keyMapRegex);
-
-                if (keyMapMatch) {
-                    const keyMapContent = keyMapMatch[1];
-                    // 删除该供应商的行，更精确的匹配
-                    const lines = keyMapContent.split('\n');
-                    const filteredLines = lines.filter(line => {
-                        const trimmedLine = line.trim();
-                        return !trimmedLine.includes(`${providerKey}:`) || trimmedLine.startsWith('//');
-                    });
-                    const newKeyMapContent = filteredLines.join('\n');
-
-                    updatedContent = updatedContent.replace(keyMapRegex, `const keyMap = {${newKeyMapContent}\n\t\t};`);
-                }
+                patcher.findObjectDeclarations('keyMap').forEach(keyMap => patcher.removeProperty(keyMap, providerKey));
 
-                // 清理多余的逗号和空行
-                updatedContent = updatedContent.replace(/,\s*,/g, ',');
-                updatedContent = updatedContent.replace(/,\s*\n\s*\}/g, '\n\t\t}');
-                updatedContent = updatedContent.replace(/\n\s*\n\s*\n/g, '\n\n');
-
-                return updatedContent;
+                return patcher.toString();
             });
 
             return updated;
@@ -1529,48 +1649,18 @@ export class ${className} extends BaseAIProvider {
 
         try {
             const updated = await this.saveConfig.updateFileContent(packageDirHandle, configManagerPath, (existingContent) => {
-                let updatedContent = existingContent;
+                const patcher = new SourcePatcher(existingContent, configManagerPath);
 
                 // 1. 从keyMap中删除供应商条目
-                const keyMapRegex = /const keyMap = \{([\s\S]*?)\};/s;
-                const keyMapMatch = updatedContent.match(keyMapRegex);
-
-                if (keyMapMatch) {
-                    const keyMapContent = keyMapMatch[1];
-                    // 按行删除，更安全的方式
-                    const lines = keyMapContent.split('\n');
-                    const filteredLines = lines.filter(line => {
-                        const trimmedLine = line.trim();
-                        return !trimmedLine.includes(`${providerKey}:`) || trimmedLine.startsWith('//');
-                    });
-                    const newKeyMapContent = filteredLines.join('\n');
-
-                    // 清理多余的逗号
-                    const cleanedKeyMapContent = newKeyMapContent.replace(/,\s*,/g, ',').replace(/,\s*\n\s*\}/g, '\n\t\t}');
-
-                    updatedContent = updatedContent.replace(keyMapRegex, `const keyMap = {${cleanedKeyMapContent}};`);
-                }
+                patcher.findObjectDeclarations('keyMap').forEach(keyMap => patcher.removeProperty(keyMap, providerKey));
 
                 // 2. 从getMcpApiKeyStatus函数的switch语句中删除case
-                const switchRegex = /switch \(providerName\) \{([\s\S]*?)\s*default:/;
-                const switchMatch = updatedContent.match(switchRegex);
-
-                if (switchMatch) {
-                    const switchContent = switchMatch[1];
-                    // 更安全的删除方式：按case块删除
-                    const casePattern = new RegExp(`\\s*case\\s+'${providerKey}':[\\s\\S]*?break;\\s*`, 'g');
-                    let newSwitchContent = switchContent.replace(casePattern, '');
-
-                    // 确保格式正确
-                    newSwitchContent = newSwitchContent.trim();
-                    if (newSwitchContent && !newSwitchContent.endsWith('\n')) {
-                        newSwitchContent += '\n';
-                    }
-
-                    updatedContent = updatedContent.replace(switchRegex, `switch (providerName) {\n${newSwitchContent}\t\t\tdefault:`);
+                const switchStatement = patcher.findSwitch('getMcpApiKeyStatus', 'providerName');
+                if (switchStatement) {
+                    patcher.removeSwitchCase(switchStatement, providerKey);
                 }
 
-                return updatedContent;
+                return patcher.toString();
             });
 
             return updated;
@@ -1579,6 +1669,35 @@ export class ${className} extends BaseAIProvider {
         }
     }
 
+    /**
+     * 从 init.js 的MCP配置模板中删除供应商的API密钥
+     * @param {string} providerName - 供应商名称
+     * @returns {Promise<boolean>} - 是否删除（init.js 不存在或没有该密钥时返回false）
+     */
+    async removeProviderFromInitJsFile(providerName) {
+        const initJsPath = 'scripts/init.js';
+        const apiKeyName = `${providerName.toUpperCase()}_API_KEY`;
+        const packageDirHandle = this.saveConfig.directoryHandleCache.get('taskmaster-package');
+
+        try {
+            const content = await this.saveConfig.readFileFromDirectory(packageDirHandle, initJsPath);
+            if (content === null) {
+                return false;
+            }
+
+            const patcher = new SourcePatcher(content, initJsPath);
+            patcher.findPropertyObjects('env').forEach(envObject => patcher.removeProperty(envObject, apiKeyName));
+            if (!patcher.hasChanges()) {
+                return false;
+            }
+
+            await this.saveConfig.writeFileToDirectory(packageDirHandle, initJsPath, patcher.toString());
+            return true;
+        } catch (error) {
+            throw new Error(`更新 init.js 文件失败: ${error.message}`);
+        }
+    }
+
     /**
      * 从UI工具的configManager.js中删除默认供应商配置
      * @param {string} providerName - 供应商名称
@@ -0,0 +1,192 @@
+/**
+ * TaskMasterSchemas.js
+ * TaskMaster文件的JSON Schema：scripts/modules/supported-models.json、.taskmaster/config.json
+ * 和MCP客户端配置（.cursor/mcp.json等）。读取时校验并报告问题，写入前校验，不符合的内容拒绝写入
+ */
+
+import { JsonSchemaValidator } from './JsonSchemaValidator.js';
+import { MODEL_ROLES, MAX_TEMPERATURE } from './ModelRoles.js';
+import { GLOBAL_SETTINGS_SCHEMA } from './GlobalSettings.js';
+import { TASKMASTER_CONFIG_PATH } from './TaskMasterConfigFile.js';
+
+// 写入被拒绝时错误信息中最多列出的问题数
+const MAX_LISTED_ERRORS = 5;
+
+export const SUPPORTED_MODELS_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'taskmaster-tool/supported-models.schema.json',
+    title: 'TaskMaster supported-models.json',
+    type: 'object',
+    additionalProperties: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string' },
+                swe_score: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+                cost_per_1m_tokens: {
+                    type: ['object', 'null'],
+                    required: ['input', 'output'],
+                    properties: {
+                        input: { type: 'number', minimum: 0 },
+                        output: { type: 'number', minimum: 0 },
+                        currency: { type: 'string' }
+                    }
+                },
+                allowed_roles: {
+                    type: 'array',
+                    uniqueItems: true,
+                    items: { type: 'string', enum: MODEL_ROLES }
+                },
+                max_tokens: { type: 'integer', minimum: 1 },
+                supported: { type: 'boolean' }
+            }
+        }
+    }
+};
+
+const ROLE_SCHEMA = {
+    type: 'object',
+    required: ['provider', 'modelId'],
+    properties: {
+        provider: { type: 'string', minLength: 1 },
+        modelId: { type: 'string', minLength: 1 },
+        maxTokens: { type: 'integer', minimum: 1 },
+        temperature: { type: 'number', minimum: 0, maximum: MAX_TEMPERATURE },
+        baseURL: { type: 'string' }
+    }
+};
+
+// global部分由GlobalSettings的字段定义生成，未定义的字段不校验
+const GLOBAL_FIELD_TYPES = {
+    enum: field => ({ type: 'string', enum: field.options }),
+    boolean: () => ({ type: 'boolean' }),
+    integer: field => ({ type: 'integer', minimum: field.min, maximum: field.max }),
+    string: () => ({ type: 'string' }),
+    url: () => ({ type: 'string' })
+};
+
+export const TASKMASTER_CONFIG_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'taskmaster-tool/config.schema.json',
+    title: 'TaskMaster .taskmaster/config.json',
+    type: 'object',
+    properties: {
+        models: {
+            type: 'object',
+            properties: Object.fromEntries(MODEL_ROLES.map(role => [role, ROLE_SCHEMA]))
+        },
+        global: {
+            type: 'object',
+            properties: Object.fromEntries(GLOBAL_SETTINGS_SCHEMA.map(field => [field.key, GLOBAL_FIELD_TYPES[field.type](field)]))
+        }
+    }
+};
+
+const MCP_SERVERS_SCHEMA = {
+    type: 'object',
+    additionalProperties: {
+        type: 'object',
+        properties: {
+            type: { type: 'string' },
+            command: { type: 'string', minLength: 1 },
+            args: { type: 'array', items: { type: 'string' } },
+            url: { type: 'string' },
+            env: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+    }
+};
+
+// VS Code使用servers，其他客户端使用mcpServers
+export const MCP_CONFIG_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'taskmaster-tool/mcp.schema.json',
+    title: 'MCP client configuration (mcp.json)',
+    type: 'object',
+    properties: {
+        mcpServers: MCP_SERVERS_SCHEMA,
+        servers: MCP_SERVERS_SCHEMA,
+        inputs: { type: 'array' }
+    }
+};
+
+export class TaskMasterSchemas {
+    /**
+     * 获取文件对应的Schema
+     * @param {string} relativePath - 文件相对路径
+     * @returns {Object|null} 不需要校验的文件返回null
+     */
+    static getSchema(relativePath) {
+        if (relativePath === 'supported-models.json' || relativePath.endsWith('/supported-models.json')) {
+            return SUPPORTED_MODELS_SCHEMA;
+        }
+        if (relativePath === TASKMASTER_CONFIG_PATH) {
+            return TASKMASTER_CONFIG_SCHEMA;
+        }
+        if (/(^|\/)\.?mcp\.json$/.test(relativePath)) {
+            return MCP_CONFIG_SCHEMA;
+        }
+        return null;
+    }
+
+    /**
+     * 校验已解析的文件内容
+     * @param {string} relativePath - 文件相对路径
+     * @param {*} data - 解析后的内容
+     * @returns {Array<{path: string, message: string}>} 错误列表
+     */
+    static validateData(relativePath, data) {
+        const schema = this.getSchema(relativePath);
+        return schema ? JsonSchemaValidator.validate(schema, data) : [];
+    }
+
+    /**
+     * 校验文件文本
+     * @param {string} relativePath - 文件相对路径
+     * @param {string} content - 文件内容
+     * @returns {Array<{path: string, message: string}>} 错误列表，JSON无效时只有一条根路径的错误
+     */
+    static validate(relativePath, content) {
+        if (!this.getSchema(relativePath)) {
+            return [];
+        }
+
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            return [{ path: '', message: `不是有效的JSON: ${error.message}` }];
+        }
+        return this.validateData(relativePath, data);
+    }
+
+    /**
+     * 将错误格式化为 "文件 路径: 问题" 形式的文本
+     * @param {string} relativePath - 文件相对路径
+     * @param {Array<{path: string, message: string}>} errors - 错误列表
+     * @returns {string[]}
+     */
+    static formatErrors(relativePath, errors) {
+        return errors.map(({ path, message }) => `${relativePath}${path ? ` ${path}` : ''}: ${message}`);
+    }
+
+    /**
+     * 写入前校验，不符合Schema时抛出错误
+     * @param {string} relativePath - 文件相对路径
+     * @param {string} content - 将写入的内容
+     */
+    static assertValid(relativePath, content) {
+        const errors = this.validate(relativePath, content);
+        if (errors.length === 0) {
+            return;
+        }
+
+        const lines = this.formatErrors(relativePath, errors.slice(0, MAX_LISTED_ERRORS));
+        if (errors.length > MAX_LISTED_ERRORS) {
+            lines.push(`……共 ${errors.length} 个问题`);
+        }
+        throw new Error(`${relativePath} 不符合TaskMaster文件格式，已拒绝写入:\n${lines.join('\n')}`);
+    }
+}
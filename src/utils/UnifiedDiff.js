@@ -0,0 +1,213 @@
+/**
+ * UnifiedDiff.js
+ * 基于行的文本差异计算（Myers算法）和unified diff格式输出
+ */
+
+/**
+ * 将文本拆分为行（不包含换行符）
+ * @param {string|null} text - 文本内容，null视为空文件
+ * @returns {string[]}
+ */
+export function splitLines(text) {
+    if (text === null || text === undefined || text === '') {
+        return [];
+    }
+    const lines = String(text).split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+// 标记缺少结尾换行符的最后一行，使 "x" 与 "x\n" 被视为不同的行
+const NO_EOL = '\u0000';
+const NO_EOL_MARKER = '\\ No newline at end of file';
+
+function splitLinesForDiff(text) {
+    const lines = splitLines(text);
+    if (lines.length > 0 && !String(text).endsWith('\n')) {
+        lines[lines.length - 1] += NO_EOL;
+    }
+    return lines;
+}
+
+/**
+ * 计算两组行之间的编辑脚本
+ * @param {string[]} oldLines - 原始行
+ * @param {string[]} newLines - 新行
+ * @returns {Array<{type: 'equal'|'delete'|'insert', line: string}>}
+ */
+export function diffLines(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    // 前向搜索最短编辑路径。回溯第d步只读取对角线 -d-1..d+1，因此每一步只保存V数组的这2d+3项
+    outer:
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+            while (x < n && y < m && oldLines[x] === newLines[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                break outer;
+            }
+        }
+    }
+
+    // 回溯生成编辑脚本
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        // trace[d][i] 对应对角线 k = i - d - 1
+        const vd = trace[d];
+        const k = x - y;
+        let prevK;
+        if (k === -d || (k !== d && vd[d + k] < vd[d + k + 2])) {
+            prevK = k + 1;
+        } else {
+            prevK = k - 1;
+        }
+        const prevX = vd[d + 1 + prevK];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', line: oldLines[x - 1] });
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) {
+                ops.push({ type: 'insert', line: newLines[y - 1] });
+            } else {
+                ops.push({ type: 'delete', line: oldLines[x - 1] });
+            }
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
+}
+
+const LINE_PREFIX = { equal: ' ', delete: '-', insert: '+' };
+
+/**
+ * 将编辑脚本分组为带上下文的hunk
+ * @param {Array} ops - diffLines的结果
+ * @param {number} context - 上下文行数
+ * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, lines: string[]}>}
+ */
+function buildHunks(ops, context) {
+    // 记录每个操作在原始/新文件中的行号
+    let oldLine = 1;
+    let newLine = 1;
+    const positions = ops.map(op => {
+        const position = { oldLine, newLine };
+        if (op.type !== 'insert') {
+            oldLine++;
+        }
+        if (op.type !== 'delete') {
+            newLine++;
+        }
+        return position;
+    });
+
+    // 按上下文扩展每处变更，间隔不超过2*context行的变更合并到同一个hunk
+    const ranges = [];
+    ops.forEach((op, index) => {
+        if (op.type === 'equal') {
+            return;
+        }
+        const start = Math.max(0, index - context);
+        const end = Math.min(ops.length - 1, index + context);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last.end + 1) {
+            last.end = Math.max(last.end, end);
+        } else {
+            ranges.push({ start, end });
+        }
+    });
+
+    return ranges.map(({ start, end }) => {
+        const slice = ops.slice(start, end + 1);
+        return {
+            oldStart: positions[start].oldLine,
+            newStart: positions[start].newLine,
+            oldLines: slice.filter(op => op.type !== 'insert').length,
+            newLines: slice.filter(op => op.type !== 'delete').length,
+            lines: slice.flatMap(op => (op.line.endsWith(NO_EOL)
+                ? [`${LINE_PREFIX[op.type]}${op.line.slice(0, -1)}`, NO_EOL_MARKER]
+                : [`${LINE_PREFIX[op.type]}${op.line}`]))
+        };
+    });
+}
+
+function formatRange(start, count) {
+    // unified diff约定：空范围的起始行号为前一行
+    const displayStart = count === 0 ? start - 1 : start;
+    return count === 1 ? `${displayStart}` : `${displayStart},${count}`;
+}
+
+/**
+ * 生成unified diff文本
+ * @param {string|null} oldText - 原始内容（null表示新建文件）
+ * @param {string|null} newText - 新内容（null表示删除文件）
+ * @param {object} [options]
+ * @param {string} [options.oldPath] - 原始文件路径（显示在 --- 行）
+ * @param {string} [options.newPath] - 新文件路径（显示在 +++ 行）
+ * @param {number} [options.context=3] - 上下文行数
+ * @returns {string} unified diff，内容相同时返回空字符串
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+    const { oldPath = 'a', newPath = 'b', context = 3 } = options;
+    const ops = diffLines(splitLinesForDiff(oldText), splitLinesForDiff(newText));
+    const hunks = buildHunks(ops, context);
+
+    if (hunks.length === 0) {
+        return '';
+    }
+
+    const output = [
+        `--- ${oldText === null ? '/dev/null' : oldPath}`,
+        `+++ ${newText === null ? '/dev/null' : newPath}`
+    ];
+    hunks.forEach(hunk => {
+        output.push(`@@ -${formatRange(hunk.oldStart, hunk.oldLines)} +${formatRange(hunk.newStart, hunk.newLines)} @@`);
+        output.push(...hunk.lines);
+    });
+
+    return `${output.join('\n')}\n`;
+}
+
+/**
+ * 统计diff中新增和删除的行数
+ * @param {string} diffText - unified diff文本
+ * @returns {{additions: number, deletions: number}}
+ */
+export function countDiffChanges(diffText) {
+    let additions = 0;
+    let deletions = 0;
+    splitLines(diffText).forEach(line => {
+        if (line.startsWith('+') && !line.startsWith('+++')) {
+            additions++;
+        } else if (line.startsWith('-') && !line.startsWith('---')) {
+            deletions++;
+        }
+    });
+    return { additions, deletions };
+}
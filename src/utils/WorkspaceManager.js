@@ -0,0 +1,228 @@
+/**
+ * WorkspaceManager.js
+ * 多项目工作区：记录最近使用的TaskMaster项目及其配对的TaskMaster包。
+ * 每个工作区的目录句柄以 workspace:<id>:project / workspace:<id>:package 保存在DirectoryHandleManager中，
+ * 当前工作区的句柄同时保存在 taskmaster-project / taskmaster-package 下供其余代码使用
+ */
+
+import { ConfigManager } from './configManager.js';
+
+export const WORKSPACES_STORAGE_KEY = 'taskmaster-workspaces';
+export const ACTIVE_WORKSPACE_KEY = 'taskmaster-active-workspace';
+
+// 最多保留的工作区数量，超出时移除最久未使用的
+const MAX_WORKSPACES = 20;
+
+export class WorkspaceManager {
+    /**
+     * @param {Storage} storage - localStorage兼容的存储，保存工作区列表
+     * @param {DirectoryHandleManager} directoryHandleManager - 保存各工作区的目录句柄
+     */
+    constructor(storage, directoryHandleManager) {
+        this.storage = storage;
+        this.directoryHandleManager = directoryHandleManager;
+    }
+
+    /**
+     * 工作区目录句柄的存储键名
+     * @param {string} workspaceId - 工作区ID
+     * @param {'project'|'package'} kind - 目录类型
+     * @returns {string}
+     */
+    static getHandleKey(workspaceId, kind) {
+        return `workspace:${workspaceId}:${kind}`;
+    }
+
+    readWorkspaces() {
+        try {
+            return JSON.parse(this.storage.getItem(WORKSPACES_STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    writeWorkspaces(workspaces) {
+        this.storage.setItem(WORKSPACES_STORAGE_KEY, JSON.stringify(workspaces));
+    }
+
+    /**
+     * 列出工作区，最近使用的在前
+     * @returns {Array<{id: string, name: string, projectName: string, packageName: string|null, lastUsed: string}>}
+     */
+    list() {
+        return this.readWorkspaces().sort((a, b) => b.lastUsed.localeCompare(a.lastUsed));
+    }
+
+    getWorkspace(workspaceId) {
+        return this.readWorkspaces().find(workspace => workspace.id === workspaceId) || null;
+    }
+
+    getActiveId() {
+        const activeId = this.storage.getItem(ACTIVE_WORKSPACE_KEY);
+        return activeId && this.getWorkspace(activeId) ? activeId : null;
+    }
+
+    getActive() {
+        const activeId = this.getActiveId();
+        return activeId ? this.getWorkspace(activeId) : null;
+    }
+
+    updateWorkspace(workspaceId, changes) {
+        const workspaces = this.readWorkspaces();
+        const workspace = workspaces.find(item => item.id === workspaceId);
+        if (!workspace) {
+            throw new Error(`工作区不存在: ${workspaceId}`);
+        }
+        Object.assign(workspace, changes);
+        this.writeWorkspaces(workspaces);
+        return workspace;
+    }
+
+    /**
+     * 设为当前工作区并更新最近使用时间
+     * @param {string} workspaceId - 工作区ID
+     * @returns {Object} 工作区
+     */
+    activate(workspaceId) {
+        const workspace = this.updateWorkspace(workspaceId, { lastUsed: new Date().toISOString() });
+        this.storage.setItem(ACTIVE_WORKSPACE_KEY, workspaceId);
+        return workspace;
+    }
+
+    /**
+     * 查找项目目录对应的工作区（同一目录重新选择时复用原工作区）
+     * @param {FileSystemDirectoryHandle} projectHandle - 项目目录句柄
+     * @returns {Promise<Object|null>}
+     */
+    async findByProjectHandle(projectHandle) {
+        for (const workspace of this.readWorkspaces()) {
+            const saved = await this.directoryHandleManager.restoreDirectoryHandle(WorkspaceManager.getHandleKey(workspace.id, 'project'));
+            if (!saved) {
+                continue;
+            }
+            const sameEntry = typeof projectHandle.isSameEntry === 'function'
+                ? await projectHandle.isSameEntry(saved.handle)
+                : saved.handle.name === projectHandle.name;
+            if (sameEntry) {
+                return workspace;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 记录选择的项目目录：已有工作区时切换过去，否则新建工作区并设为当前工作区
+     * @param {FileSystemDirectoryHandle} projectHandle - 项目目录句柄
+     * @returns {Promise<{workspace: Object, created: boolean}>}
+     */
+    async rememberProject(projectHandle) {
+        let workspace = await this.findByProjectHandle(projectHandle);
+        const created = !workspace;
+
+        if (created) {
+            workspace = {
+                id: `workspace_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                name: projectHandle.name,
+                projectName: projectHandle.name,
+                packageName: null,
+                lastUsed: new Date().toISOString()
+            };
+            this.writeWorkspaces([...this.readWorkspaces(), workspace]);
+        }
+
+        await this.directoryHandleManager.saveDirectoryHandle(
+            WorkspaceManager.getHandleKey(workspace.id, 'project'),
+            projectHandle,
+            { workspaceId: workspace.id }
+        );
+        workspace = this.activate(workspace.id);
+        await this.pruneWorkspaces();
+
+        return { workspace, created };
+    }
+
+    /**
+     * 将TaskMaster包与当前工作区配对
+     * @param {FileSystemDirectoryHandle} packageHandle - 包目录句柄
+     * @returns {Promise<Object|null>} 当前工作区，没有当前工作区时返回null
+     */
+    async rememberPackage(packageHandle) {
+        const activeId = this.getActiveId();
+        if (!activeId) {
+            return null;
+        }
+
+        await this.directoryHandleManager.saveDirectoryHandle(
+            WorkspaceManager.getHandleKey(activeId, 'package'),
+            packageHandle,
+            { workspaceId: activeId }
+        );
+        return this.updateWorkspace(activeId, { packageName: packageHandle.name });
+    }
+
+    /**
+     * 取消当前工作区与TaskMaster包的配对
+     */
+    async clearPackage() {
+        const activeId = this.getActiveId();
+        if (!activeId) {
+            return;
+        }
+        await this.directoryHandleManager.removeDirectoryHandle(WorkspaceManager.getHandleKey(activeId, 'package'));
+        this.updateWorkspace(activeId, { packageName: null });
+    }
+
+    /**
+     * 恢复工作区的目录句柄并请求权限
+     * @param {string} workspaceId - 工作区ID
+     * @returns {Promise<{projectHandle: FileSystemDirectoryHandle|null, packageHandle: FileSystemDirectoryHandle|null}>}
+     */
+    async restoreHandles(workspaceId) {
+        const workspace = this.getWorkspace(workspaceId);
+        if (!workspace) {
+            throw new Error(`工作区不存在: ${workspaceId}`);
+        }
+
+        const projectHandle = await this.directoryHandleManager.restoreWithPermission(
+            WorkspaceManager.getHandleKey(workspaceId, 'project'), 'readwrite');
+        const packageHandle = workspace.packageName
+            ? await this.directoryHandleManager.restoreWithPermission(WorkspaceManager.getHandleKey(workspaceId, 'package'), 'readwrite')
+            : null;
+
+        return { projectHandle, packageHandle };
+    }
+
+    rename(workspaceId, name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('工作区名称不能为空');
+        }
+        return this.updateWorkspace(workspaceId, { name: trimmed });
+    }
+
+    /**
+     * 移除工作区、它的供应商和模型配置以及保存的目录句柄（项目中的文件不受影响）
+     * @param {string} workspaceId - 工作区ID
+     */
+    async remove(workspaceId) {
+        this.writeWorkspaces(this.readWorkspaces().filter(workspace => workspace.id !== workspaceId));
+        if (this.storage.getItem(ACTIVE_WORKSPACE_KEY) === workspaceId) {
+            this.storage.removeItem(ACTIVE_WORKSPACE_KEY);
+        }
+        ConfigManager.removeStoredConfiguration(this.storage, workspaceId);
+        await this.directoryHandleManager.removeDirectoryHandle(WorkspaceManager.getHandleKey(workspaceId, 'project'));
+        await this.directoryHandleManager.removeDirectoryHandle(WorkspaceManager.getHandleKey(workspaceId, 'package'));
+    }
+
+    /**
+     * 超出MAX_WORKSPACES时移除最久未使用的工作区
+     * @returns {Promise<string[]>} 被移除的工作区ID
+     */
+    async pruneWorkspaces() {
+        const removed = this.list().slice(MAX_WORKSPACES).map(workspace => workspace.id);
+        for (const workspaceId of removed) {
+            await this.remove(workspaceId);
+        }
+        return removed;
+    }
+}
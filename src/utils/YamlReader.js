@@ -0,0 +1,263 @@
+/**
+ * YamlReader.js
+ * 只读的YAML子集解析器，用于读取LiteLLM config.yaml等配置文件：
+ * 支持块映射、块序列（包括 "- key: value" 形式）、注释、引号字符串、数字、布尔值、null，
+ * 以及单行的流式序列 [a, b] 和映射 {a: 1}。锚点、标签和多行块标量（| >）不支持，遇到时报错并给出行号
+ */
+
+export class YamlReader {
+    /**
+     * 解析YAML文本
+     * @param {string} text - YAML文本
+     * @returns {*} 解析结果，空文档返回null
+     */
+    static parse(text) {
+        const lines = this.tokenize(text);
+        if (lines.length === 0) {
+            return null;
+        }
+
+        const state = { lines, index: 0 };
+        const value = this.parseBlock(state, lines[0].indent);
+        if (state.index < lines.length) {
+            this.fail(lines[state.index], '缩进不正确');
+        }
+        return value;
+    }
+
+    static fail(line, message) {
+        throw new Error(`YAML第${line.number}行: ${message}`);
+    }
+
+    /**
+     * 拆分为有效行：去掉空行、注释和文档分隔符
+     * @returns {Array<{number: number, indent: number, content: string}>}
+     */
+    static tokenize(text) {
+        const lines = [];
+        text.replace(/\r\n?/g, '\n').split('\n').forEach((raw, index) => {
+            const content = this.stripComment(raw).trimEnd();
+            const trimmed = content.trim();
+            if (!trimmed || trimmed === '---' || trimmed === '...') {
+                return;
+            }
+            const line = { number: index + 1, indent: content.length - content.trimStart().length, content: trimmed };
+            if (/^ *\t/.test(content)) {
+                this.fail(line, '不能使用Tab缩进');
+            }
+            if (/(^|:\s+|^-\s+)[&*!]/.test(trimmed) || /(^|:\s+|^-\s+)[|>][-+]?$/.test(trimmed)) {
+                this.fail(line, '不支持锚点、标签或多行文本');
+            }
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    // 去掉引号外、以空白或行首开始的 # 注释
+    static stripComment(raw) {
+        let quote = null;
+        for (let i = 0; i < raw.length; i++) {
+            const char = raw[i];
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                }
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+                return raw.slice(0, i);
+            }
+        }
+        return raw;
+    }
+
+    static isSequenceItem(content) {
+        return content === '-' || content.startsWith('- ');
+    }
+
+    static parseBlock(state, indent) {
+        const line = state.lines[state.index];
+        return this.isSequenceItem(line.content)
+            ? this.parseSequence(state, indent)
+            : this.parseMapping(state, indent);
+    }
+
+    static parseSequence(state, indent) {
+        const result = [];
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            if (line.indent !== indent || !this.isSequenceItem(line.content)) {
+                break;
+            }
+
+            const rest = line.content.slice(1).trimStart();
+            if (!rest) {
+                state.index++;
+                result.push(this.parseNested(state, indent, line));
+            } else if (this.splitKey(rest)) {
+                // "- key: value"：把本行剩余部分视为缩进更深的映射的第一行
+                const offset = line.content.length - rest.length;
+                state.lines[state.index] = { ...line, indent: indent + offset, content: rest };
+                result.push(this.parseMapping(state, indent + offset));
+            } else {
+                state.index++;
+                result.push(this.parseScalar(rest, line));
+            }
+        }
+        return result;
+    }
+
+    static parseMapping(state, indent) {
+        const result = {};
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            if (line.indent < indent) {
+                break;
+            }
+            if (line.indent > indent) {
+                this.fail(line, '缩进不正确');
+            }
+            if (this.isSequenceItem(line.content)) {
+                break;
+            }
+
+            const entry = this.splitKey(line.content);
+            if (!entry) {
+                this.fail(line, `应为 "键: 值"，实际为 ${line.content}`);
+            }
+            const key = this.parseKey(entry.key, line);
+            if (Object.prototype.hasOwnProperty.call(result, key)) {
+                this.fail(line, `重复的键 ${key}`);
+            }
+
+            state.index++;
+            result[key] = entry.value
+                ? this.parseScalar(entry.value, line)
+                : this.parseNested(state, indent, line, true);
+        }
+        return result;
+    }
+
+    /**
+     * 解析值为空的键或序列项后面缩进更深的块；映射的值也可以是同一缩进的序列
+     */
+    static parseNested(state, indent, line, allowSameIndentSequence = false) {
+        const next = state.lines[state.index];
+        if (!next) {
+            return null;
+        }
+        if (next.indent > indent) {
+            return this.parseBlock(state, next.indent);
+        }
+        if (allowSameIndentSequence && next.indent === indent && this.isSequenceItem(next.content)) {
+            return this.parseSequence(state, indent);
+        }
+        return null;
+    }
+
+    // 在引号外找到第一个 "key:"（冒号后为空白或行尾）
+    static splitKey(content) {
+        let quote = null;
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                }
+            } else if ((char === '"' || char === '\'') && i === 0) {
+                quote = char;
+            } else if (char === '[' || char === '{') {
+                return null;
+            } else if (char === ':' && (i === content.length - 1 || /\s/.test(content[i + 1]))) {
+                return { key: content.slice(0, i).trim(), value: content.slice(i + 1).trim() };
+            }
+        }
+        return null;
+    }
+
+    static parseKey(key, line) {
+        const value = this.parseScalar(key, line);
+        return typeof value === 'string' ? value : String(value);
+    }
+
+    static parseScalar(text, line) {
+        const value = text.trim();
+        if (value.startsWith('"')) {
+            if (!value.endsWith('"') || value.length < 2) {
+                this.fail(line, '引号未闭合');
+            }
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                this.fail(line, `无效的字符串 ${value}: ${error.message}`);
+            }
+        }
+        if (value.startsWith('\'')) {
+            if (!value.endsWith('\'') || value.length < 2) {
+                this.fail(line, '引号未闭合');
+            }
+            return value.slice(1, -1).replace(/''/g, '\'');
+        }
+        if (value.startsWith('[') || value.startsWith('{')) {
+            return this.parseFlow(value, line);
+        }
+        if (value === '~' || value === 'null' || value === 'Null' || value === 'NULL') {
+            return null;
+        }
+        if (/^(true|True|TRUE)$/.test(value)) {
+            return true;
+        }
+        if (/^(false|False|FALSE)$/.test(value)) {
+            return false;
+        }
+        if (/^[-+]?(\d[\d_]*)?(\.\d+)?([eE][-+]?\d+)?$/.test(value) && /\d/.test(value)) {
+            return Number(value.replace(/_/g, ''));
+        }
+        return value;
+    }
+
+    // 单行的流式序列和映射，只支持一层（元素为标量）
+    static parseFlow(value, line) {
+        const isSequence = value.startsWith('[');
+        if (!value.endsWith(isSequence ? ']' : '}')) {
+            this.fail(line, '不支持跨行的 [ ] 或 { }');
+        }
+
+        const inner = value.slice(1, -1).trim();
+        const items = inner ? this.splitFlowItems(inner) : [];
+        if (isSequence) {
+            return items.map(item => this.parseScalar(item, line));
+        }
+
+        const result = {};
+        items.forEach(item => {
+            const entry = this.splitKey(item);
+            if (!entry) {
+                this.fail(line, `应为 "键: 值"，实际为 ${item}`);
+            }
+            result[this.parseKey(entry.key, line)] = entry.value ? this.parseScalar(entry.value, line) : null;
+        });
+        return result;
+    }
+
+    static splitFlowItems(inner) {
+        const items = [];
+        let quote = null;
+        let start = 0;
+        for (let i = 0; i < inner.length; i++) {
+            const char = inner[i];
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                }
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === ',') {
+                items.push(inner.slice(start, i).trim());
+                start = i + 1;
+            }
+        }
+        items.push(inner.slice(start).trim());
+        return items.filter(Boolean);
+    }
+}
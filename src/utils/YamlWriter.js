@@ -0,0 +1,90 @@
+/**
+ * YamlWriter.js
+ * 生成块格式的YAML文本，用于导出LiteLLM、Continue等工具的配置文件。
+ * 只输出YamlReader能读回的子集：映射、序列、字符串、数字、布尔值和null
+ */
+
+// 可以不加引号输出的字符串（不会被读成数字、布尔值、null，也不含 ": " 和 " #"）
+const PLAIN_STRING_PATTERN = /^[A-Za-z_/.][\w./@+-]*(?::\/\/[\w./@+:%?=&~-]*)?$/;
+const RESERVED_WORDS = /^(true|false|null|yes|no|on|off|~)$/i;
+
+export class YamlWriter {
+    /**
+     * 序列化为YAML文本
+     * @param {*} value - 要输出的值（通常是对象）
+     * @param {Object} [options]
+     * @param {string} [options.header] - 文件开头的注释，每行自动加 "# "
+     * @returns {string}
+     */
+    static stringify(value, options = {}) {
+        const header = options.header
+            ? `${options.header.split('\n').map(line => (line ? `# ${line}` : '#')).join('\n')}\n`
+            : '';
+        return `${header}${this.block(value, 0).join('\n')}\n`;
+    }
+
+    static scalar(value) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (typeof value === 'number') {
+            return this.number(value);
+        }
+        if (typeof value === 'boolean') {
+            return String(value);
+        }
+        const text = String(value);
+        return PLAIN_STRING_PATTERN.test(text) && !RESERVED_WORDS.test(text) ? text : JSON.stringify(text);
+    }
+
+    // 很小的数（如每token价格 3.8e-7）按小数输出，YAML 1.1的解析器（PyYAML）不把 1e-7 读成数字
+    static number(value) {
+        const [mantissa, exponent] = String(value).split('e');
+        if (exponent === undefined || Number(exponent) > 0) {
+            return String(value);
+        }
+        const decimals = (mantissa.split('.')[1] || '').length - Number(exponent);
+        return value.toFixed(Math.min(decimals, 100));
+    }
+
+    static isScalar(value) {
+        return value === null || typeof value !== 'object';
+    }
+
+    /**
+     * @returns {string[]} 缩进后的行
+     */
+    static block(value, indent) {
+        const pad = ' '.repeat(indent);
+
+        if (Array.isArray(value)) {
+            if (value.length === 0 || value.every(item => this.isScalar(item))) {
+                return [`${pad}[${value.map(item => this.scalar(item)).join(', ')}]`];
+            }
+            return value.flatMap(item => {
+                if (this.isScalar(item)) {
+                    return [`${pad}- ${this.scalar(item)}`];
+                }
+                // "- key: value"：序列项的第一行与 "- " 同行，其余行缩进到同一列
+                const lines = this.block(item, indent + 2);
+                return [`${pad}- ${lines[0].slice(indent + 2)}`, ...lines.slice(1)];
+            });
+        }
+
+        const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+        if (entries.length === 0) {
+            return [`${pad}{}`];
+        }
+        return entries.flatMap(([key, item]) => {
+            const name = this.scalar(key);
+            if (this.isScalar(item)) {
+                return [`${pad}${name}: ${this.scalar(item)}`];
+            }
+            const lines = this.block(item, indent + 2);
+            if (lines.length === 1 && /^\s*[[{]/.test(lines[0])) {
+                return [`${pad}${name}: ${lines[0].trim()}`];
+            }
+            return [`${pad}${name}:`, ...lines];
+        });
+    }
+}
@@ -5,22 +5,373 @@
 
 import { Validation } from './validation.js';
 import { Logger } from './Logger.js';
+import { CustomProvidersFile } from './CustomProvidersFile.js';
+import { SecretVault } from './SecretVault.js';
+import { Redactor } from './Redactor.js';
+import { ConfigComparison } from './ConfigComparison.js';
+import { ConfigHistory } from './ConfigHistory.js';
+import { ConfigExportFormat } from './ConfigExportFormat.js';
 
 export class ConfigManager {
-    constructor() {
+    // 未使用工作区时的配置存储键名，工作区的配置保存在 <键名>:<工作区ID> 下
+    static STORAGE_KEY = 'taskmaster-ui-config';
+
+    // 默认配置方案：使用上面的存储键名本身，其他方案保存在 <键名>@<方案ID> 下
+    static DEFAULT_PROFILE_ID = 'default';
+
+    /**
+     * 供应商和模型配置的存储键名
+     * @param {string|null} workspaceId - 工作区ID，null表示不使用工作区
+     * @param {string} [profileId] - 配置方案ID，默认为默认方案
+     * @returns {string}
+     */
+    static getStorageKey(workspaceId, profileId = ConfigManager.DEFAULT_PROFILE_ID) {
+        const baseKey = workspaceId ? `${ConfigManager.STORAGE_KEY}:${workspaceId}` : ConfigManager.STORAGE_KEY;
+        return profileId === ConfigManager.DEFAULT_PROFILE_ID ? baseKey : `${baseKey}@${profileId}`;
+    }
+
+    /**
+     * 配置方案列表的存储键名
+     * @param {string|null} workspaceId - 工作区ID
+     * @returns {string}
+     */
+    static getProfilesKey(workspaceId) {
+        return `${ConfigManager.getStorageKey(workspaceId)}#profiles`;
+    }
+
+    /**
+     * 本地存储中保存供应商和模型的全部键名（所有工作区的所有配置方案）
+     * 存储不支持枚举时只包含当前工作区的配置方案
+     * @param {Storage} storage - localStorage兼容的存储
+     * @param {string|null} workspaceId - 当前工作区ID
+     * @returns {string[]}
+     */
+    static listStoredConfigurationKeys(storage, workspaceId) {
+        const keys = new Set();
+        if (typeof storage.key === 'function') {
+            for (let index = 0; index < storage.length; index++) {
+                const key = storage.key(index);
+                if (key === ConfigManager.STORAGE_KEY || /^taskmaster-ui-config[:@][^#]*$/.test(key || '')) {
+                    keys.add(key);
+                }
+            }
+            return [...keys];
+        }
+
+        let profiles = [];
+        try {
+            profiles = JSON.parse(storage.getItem(ConfigManager.getProfilesKey(workspaceId)))?.profiles || [];
+        } catch (error) {
+            profiles = [];
+        }
+        [ConfigManager.DEFAULT_PROFILE_ID, ...profiles.map(profile => profile.id)].forEach(profileId => {
+            const key = ConfigManager.getStorageKey(workspaceId, profileId);
+            if (storage.getItem(key) !== null) {
+                keys.add(key);
+            }
+        });
+        return [...keys];
+    }
+
+    /**
+     * 删除工作区保存的全部配置方案
+     * @param {Storage} storage - localStorage兼容的存储
+     * @param {string} workspaceId - 工作区ID
+     */
+    static removeStoredConfiguration(storage, workspaceId) {
+        const profilesKey = ConfigManager.getProfilesKey(workspaceId);
+        let profiles = [];
+        try {
+            profiles = JSON.parse(storage.getItem(profilesKey))?.profiles || [];
+        } catch (error) {
+            profiles = [];
+        }
+        profiles.forEach(profile => storage.removeItem(ConfigManager.getStorageKey(workspaceId, profile.id)));
+        storage.removeItem(ConfigManager.getStorageKey(workspaceId));
+        storage.removeItem(profilesKey);
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {Storage} [options.storage] - localStorage兼容的存储（CLI中使用文件存储），默认为浏览器localStorage
+     * @param {SecretVault} [options.vault] - API密钥加密，默认使用同一存储创建
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || localStorage;
         this.validation = new Validation();
         this.providers = [];
         this.models = [];
-        this.storageKey = 'taskmaster-ui-config';
+        this.workspaceId = null;
+        this.profileId = ConfigManager.DEFAULT_PROFILE_ID;
+        this.storageKey = ConfigManager.STORAGE_KEY;
         this.projectPathKey = 'taskmaster-project-path';
         this.packagePathKey = 'taskmaster-package-path';
+        this.mcpClientsKey = 'taskmaster-mcp-clients';
         this.taskmasterProjectPath = null;
         this.taskmasterPackagePath = null;
         this.isValidProject = false;
         this.isValidPackage = false;
+        this.projectStore = null;
+        this.vault = options.vault || new SecretVault(this.storage);
+        // 锁定期间无法解密的API密钥密文（供应商id -> 密文），保存时原样写回
+        this.lockedSecrets = new Map();
+        this.vault.onLock(() => this.applySecretsLock());
+        // 供应商和模型编辑的撤销/重做历史
+        this.history = new ConfigHistory();
+    }
+
+    /**
+     * 设置项目级供应商定义文件（.taskmaster/custom-providers.json），设置后自定义供应商以该文件为准
+     * @param {CustomProvidersFile|null} store - 项目级供应商定义文件
+     */
+    setProjectStore(store) {
+        this.projectStore = store;
+    }
+
+    /**
+     * 从项目级供应商定义文件加载自定义供应商和模型
+     * 文件中的定义替换本地的自定义供应商，默认服务商及其模型、API密钥等本地状态保留，
+     * 缺少的API密钥从项目 .env 预填
+     * @returns {Promise<boolean>} 是否从文件加载（文件不存在或项目目录不可用时返回false）
+     */
+    async loadProjectProviders() {
+        if (!this.projectStore) {
+            return false;
+        }
+
+        const definitions = await this.projectStore.read();
+        if (!definitions) {
+            return false;
+        }
+
+        const customProviders = this.providers.filter(provider => !this.isDefaultProvider(provider));
+        const loaded = CustomProvidersFile.fromDefinitions(definitions, customProviders, prefix => this.generateId(prefix));
+
+        // 没有本地API密钥的供应商（例如团队成员首次加载）从项目 .env 预填密钥，已加密锁定的密钥除外
+        const needsKey = provider => !provider.apiKey && !this.lockedSecrets.has(provider.id);
+        if (loaded.providers.some(needsKey)) {
+            const envValues = await this.projectStore.readEnvValues();
+            loaded.providers.forEach(provider => {
+                if (needsKey(provider) && envValues[provider.envVar]) {
+                    provider.apiKey = envValues[provider.envVar];
+                }
+            });
+        }
+        const defaultProviders = this.providers.filter(provider => this.isDefaultProvider(provider));
+        const defaultProviderIds = new Set(defaultProviders.map(provider => provider.id));
+
+        this.providers = [...defaultProviders, ...loaded.providers];
+        this.models = [
+            ...this.models.filter(model => defaultProviderIds.has(model.providerId)),
+            ...loaded.models
+        ];
+
+        // 只更新本地存储，文件内容保持不变
+        await this.persistConfiguration();
+        this.history.clear();
+        Logger.info('已从项目供应商定义文件加载自定义供应商', { providers: loaded.providers.length });
+        return true;
+    }
+
+    /**
+     * 设置当前工作区，之后的读取和保存使用该工作区的配置（不重新加载）
+     * @param {string|null} workspaceId - 工作区ID，null表示不使用工作区
+     */
+    setWorkspace(workspaceId) {
+        this.workspaceId = workspaceId || null;
+        this.profileId = this.readProfiles().activeProfileId;
+        this.storageKey = ConfigManager.getStorageKey(this.workspaceId, this.profileId);
+    }
+
+    /**
+     * 切换到工作区的供应商和模型配置并重新加载
+     * @param {string|null} workspaceId - 工作区ID
+     * @param {object} [options]
+     * @param {boolean} [options.copyCurrent=false] - 工作区还没有配置时复制当前配置作为起点（新建工作区时使用）
+     */
+    async switchWorkspace(workspaceId, options = {}) {
+        const targetKey = ConfigManager.getStorageKey(workspaceId);
+        const currentConfig = this.storage.getItem(this.storageKey);
+        if (options.copyCurrent && targetKey !== this.storageKey && currentConfig !== null
+            && this.storage.getItem(targetKey) === null) {
+            this.storage.setItem(targetKey, currentConfig);
+        }
+
+        this.setWorkspace(workspaceId);
+        await this.loadConfiguration();
+        Logger.info('已切换工作区配置', { workspaceId: this.workspaceId });
+    }
+
+    // 配置方案
+
+    /**
+     * 读取当前工作区的配置方案列表，默认方案总是存在
+     * @returns {{activeProfileId: string, profiles: Array<{id: string, name: string}>}}
+     */
+    readProfiles() {
+        let state = null;
+        try {
+            state = JSON.parse(this.storage.getItem(ConfigManager.getProfilesKey(this.workspaceId)));
+        } catch (error) {
+            state = null;
+        }
+
+        const profiles = (state?.profiles || []).filter(profile => profile.id !== ConfigManager.DEFAULT_PROFILE_ID);
+        const defaultProfile = state?.profiles?.find(profile => profile.id === ConfigManager.DEFAULT_PROFILE_ID)
+            || { id: ConfigManager.DEFAULT_PROFILE_ID, name: '默认' };
+        const all = [defaultProfile, ...profiles];
+        const activeProfileId = all.some(profile => profile.id === state?.activeProfileId)
+            ? state.activeProfileId
+            : ConfigManager.DEFAULT_PROFILE_ID;
+
+        return { activeProfileId, profiles: all };
+    }
+
+    writeProfiles(state) {
+        this.storage.setItem(ConfigManager.getProfilesKey(this.workspaceId), JSON.stringify(state));
     }
 
-    async loadConfiguration() {
+    /**
+     * 列出配置方案
+     * @returns {Array<{id: string, name: string, active: boolean}>}
+     */
+    getProfiles() {
+        const { activeProfileId, profiles } = this.readProfiles();
+        return profiles.map(profile => ({ ...profile, active: profile.id === activeProfileId }));
+    }
+
+    getActiveProfileId() {
+        return this.profileId;
+    }
+
+    validateProfileName(name, exceptId = null) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('配置方案名称不能为空');
+        }
+        if (this.readProfiles().profiles.some(profile => profile.id !== exceptId && profile.name === trimmed)) {
+            throw new Error(`配置方案"${trimmed}"已存在`);
+        }
+        return trimmed;
+    }
+
+    getProfile(profileId) {
+        const profile = this.readProfiles().profiles.find(item => item.id === profileId);
+        if (!profile) {
+            throw new Error(`配置方案不存在: ${profileId}`);
+        }
+        return profile;
+    }
+
+    /**
+     * 新建配置方案
+     * @param {string} name - 方案名称
+     * @param {object} [options]
+     * @param {string} [options.cloneFrom] - 复制该方案的供应商和模型，不指定时新方案为空
+     * @returns {Promise<{id: string, name: string}>}
+     */
+    async createProfile(name, options = {}) {
+        const profileName = this.validateProfileName(name);
+        let content = JSON.stringify({ providers: [], models: [], lastUpdated: new Date().toISOString() });
+        if (options.cloneFrom) {
+            this.getProfile(options.cloneFrom);
+            if (options.cloneFrom === this.profileId) {
+                await this.persistConfiguration();
+            }
+            content = this.storage.getItem(ConfigManager.getStorageKey(this.workspaceId, options.cloneFrom)) || content;
+        }
+
+        const profile = { id: this.generateId('profile'), name: profileName };
+        this.storage.setItem(ConfigManager.getStorageKey(this.workspaceId, profile.id), content);
+        const state = this.readProfiles();
+        this.writeProfiles({ ...state, profiles: [...state.profiles, profile] });
+        Logger.info(`已创建配置方案: ${profileName}`, { cloneFrom: options.cloneFrom || null });
+        return profile;
+    }
+
+    async cloneProfile(profileId, name) {
+        return this.createProfile(name, { cloneFrom: profileId });
+    }
+
+    renameProfile(profileId, name) {
+        this.getProfile(profileId);
+        const profileName = this.validateProfileName(name, profileId);
+        const state = this.readProfiles();
+        this.writeProfiles({
+            ...state,
+            profiles: state.profiles.map(profile => (profile.id === profileId ? { ...profile, name: profileName } : profile))
+        });
+    }
+
+    /**
+     * 删除配置方案（默认方案和当前方案不能删除）
+     * @param {string} profileId - 方案ID
+     */
+    deleteProfile(profileId) {
+        const profile = this.getProfile(profileId);
+        if (profileId === ConfigManager.DEFAULT_PROFILE_ID) {
+            throw new Error('默认配置方案不能删除');
+        }
+        if (profileId === this.profileId) {
+            throw new Error('不能删除当前使用的配置方案，请先切换到其他方案');
+        }
+
+        this.storage.removeItem(ConfigManager.getStorageKey(this.workspaceId, profileId));
+        const state = this.readProfiles();
+        this.writeProfiles({ ...state, profiles: state.profiles.filter(item => item.id !== profileId) });
+        Logger.info(`已删除配置方案: ${profile.name}`);
+    }
+
+    /**
+     * 切换当前配置方案：保存当前方案后加载目标方案的供应商和模型。
+     * 不从项目供应商定义文件加载，调用方随后将方案同步到TaskMaster（包括custom-providers.json）
+     * @param {string} profileId - 方案ID
+     */
+    async switchProfile(profileId) {
+        const profile = this.getProfile(profileId);
+        await this.persistConfiguration();
+
+        this.writeProfiles({ ...this.readProfiles(), activeProfileId: profileId });
+        this.profileId = profileId;
+        this.storageKey = ConfigManager.getStorageKey(this.workspaceId, profileId);
+        await this.loadConfiguration({ projectProviders: false });
+        Logger.info(`已切换到配置方案: ${profile.name}`);
+    }
+
+    /**
+     * 读取配置方案的供应商和模型（用于比较，API密钥不解密）
+     * @param {string} profileId - 方案ID
+     * @returns {{providers: Array, models: Array}}
+     */
+    readProfileConfiguration(profileId) {
+        this.getProfile(profileId);
+        if (profileId === this.profileId) {
+            return { providers: this.providers, models: this.models };
+        }
+        try {
+            const config = JSON.parse(this.storage.getItem(ConfigManager.getStorageKey(this.workspaceId, profileId)));
+            return { providers: config?.providers || [], models: config?.models || [] };
+        } catch (error) {
+            return { providers: [], models: [] };
+        }
+    }
+
+    /**
+     * 比较两个配置方案
+     * @param {string} leftId - 左侧方案ID
+     * @param {string} rightId - 右侧方案ID
+     * @returns {Object} ConfigComparison.compare的结果
+     */
+    compareProfiles(leftId, rightId) {
+        return ConfigComparison.compare(this.readProfileConfiguration(leftId), this.readProfileConfiguration(rightId));
+    }
+
+    /**
+     * 从本地存储加载供应商和模型
+     * @param {object} [options]
+     * @param {boolean} [options.projectProviders=true] - 是否随后从项目供应商定义文件加载自定义供应商
+     */
+    async loadConfiguration(options = {}) {
         // Initialize project path first
         await this.initializeProjectPath();
 
@@ -29,10 +380,10 @@ export class ConfigManager {
 
         // 从localStorage读取用户配置的供应商和模型
         try {
-            const savedConfig = localStorage.getItem(this.storageKey);
+            const savedConfig = this.storage.getItem(this.storageKey);
             if (savedConfig) {
                 const config = JSON.parse(savedConfig);
-                this.providers = config.providers || [];
+                this.providers = await this.restoreSecrets(config.providers || []);
                 this.models = config.models || [];
             } else {
                 this.providers = [];
@@ -44,27 +395,351 @@ export class ConfigManager {
             this.models = [];
         }
 
+        this.registerSecrets();
+        this.history.clear();
+
+        try {
+            await this.migratePlaintextSecrets();
+        } catch (error) {
+            Logger.warn('加密已保存的API密钥失败', { error: error.message });
+        }
+
+        if (options.projectProviders !== false) {
+            try {
+                await this.loadProjectProviders();
+            } catch (error) {
+                Logger.warn('读取项目供应商定义文件失败，使用本地配置', { error: error.message });
+            }
+        }
+
         return true;
     }
 
-    async saveConfiguration() {
-        const config = {
-            providers: this.providers,
+    /**
+     * 将供应商和模型写入本地存储，启用加密时API密钥以密文保存
+     */
+    async persistConfiguration() {
+        this.registerSecrets();
+        this.storage.setItem(this.storageKey, JSON.stringify({
+            providers: await this.protectSecrets(this.providers),
             models: this.models,
             lastUpdated: new Date().toISOString()
-        };
+        }));
+    }
+
+    async saveConfiguration() {
+        await this.persistConfiguration();
+
+        if (this.projectStore) {
+            try {
+                const customProviders = this.providers.filter(provider => !this.isDefaultProvider(provider));
+                await this.projectStore.write(customProviders, this.models);
+            } catch (error) {
+                Logger.warn('写入项目供应商定义文件失败', { error: error.message });
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * 将已配置的API密钥登记到Redactor，使其不会出现在日志和错误报告中
+     */
+    registerSecrets() {
+        Redactor.registerSecrets(...this.providers.map(provider => provider.apiKey));
+    }
+
+    // API密钥加密
+
+    /**
+     * 是否已启用加密但尚未解锁
+     * @returns {boolean}
+     */
+    isLocked() {
+        return this.vault.isEnabled() && !this.vault.isUnlocked();
+    }
+
+    /**
+     * 解密从存储读取的供应商API密钥；未解锁时密文保留在lockedSecrets中，内存中的apiKey为空
+     * @param {Array} providers - 存储中的供应商
+     * @returns {Promise<Array>}
+     */
+    async restoreSecrets(providers) {
+        this.lockedSecrets.clear();
+        const restored = [];
+        for (const provider of providers) {
+            if (!SecretVault.isEncrypted(provider.apiKey)) {
+                restored.push(provider);
+            } else if (this.vault.isUnlocked()) {
+                restored.push({ ...provider, apiKey: await this.decryptSecret(provider) });
+            } else {
+                this.lockedSecrets.set(provider.id, provider.apiKey);
+                restored.push({ ...provider, apiKey: '' });
+            }
+        }
+        return restored;
+    }
+
+    async decryptSecret(provider) {
+        try {
+            return await this.vault.decrypt(provider.apiKey);
+        } catch (error) {
+            Logger.warn(`解密供应商 ${provider.name} 的API密钥失败`, { error: error.message });
+            return '';
+        }
+    }
 
-        localStorage.setItem(this.storageKey, JSON.stringify(config));
+    /**
+     * 保存前加密API密钥；锁定期间没有修改的密钥按原密文写回，修改密钥需要先解锁
+     * @param {Array} providers - 内存中的供应商
+     * @returns {Promise<Array>}
+     */
+    async protectSecrets(providers) {
+        if (!this.vault.isEnabled()) {
+            return providers;
+        }
+        return Promise.all(providers.map(async provider => {
+            if (!provider.apiKey) {
+                const locked = this.lockedSecrets.get(provider.id);
+                return locked ? { ...provider, apiKey: locked } : provider;
+            }
+            return { ...provider, apiKey: await this.vault.encrypt(provider.apiKey) };
+        }));
+    }
 
+    /**
+     * 迁移：已启用加密并解锁时，将存储中仍为明文的API密钥（旧版本数据、导入的数据，
+     * 以及其他工作区和配置方案中的密钥）重新加密保存
+     * @returns {Promise<boolean>} 是否重新保存
+     */
+    async migratePlaintextSecrets() {
+        if (!this.vault.isUnlocked()) {
+            return false;
+        }
+        const stored = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+        const hasPlaintext = (stored.providers || []).some(provider =>
+            provider.apiKey && !SecretVault.isEncrypted(provider.apiKey));
+        if (hasPlaintext) {
+            await this.persistConfiguration();
+        }
+        const others = await this.rewriteStoredSecrets(apiKey => this.encryptStoredSecret(apiKey));
+        if (!hasPlaintext && others === 0) {
+            return false;
+        }
+        Logger.info('已加密本地保存的明文API密钥', { configurations: others + (hasPlaintext ? 1 : 0) });
         return true;
     }
 
+    /**
+     * 按新的加密状态改写其他工作区和配置方案中保存的API密钥（当前配置由persistConfiguration保存）
+     * @param {Function} transform - 接收存储中的apiKey，返回（或异步返回）要保存的值
+     * @returns {Promise<number>} 改写的配置数
+     */
+    async rewriteStoredSecrets(transform) {
+        let rewritten = 0;
+        for (const key of ConfigManager.listStoredConfigurationKeys(this.storage, this.workspaceId)) {
+            if (key === this.storageKey) {
+                continue;
+            }
+
+            let config;
+            try {
+                config = JSON.parse(this.storage.getItem(key));
+            } catch (error) {
+                Logger.warn(`读取已保存的配置失败: ${key}`, { error: error.message });
+                continue;
+            }
+            if (!Array.isArray(config?.providers)) {
+                continue;
+            }
+
+            let changed = false;
+            const providers = [];
+            for (const provider of config.providers) {
+                const apiKey = provider.apiKey ? await transform(provider.apiKey) : provider.apiKey;
+                changed = changed || apiKey !== provider.apiKey;
+                providers.push(apiKey === provider.apiKey ? provider : { ...provider, apiKey });
+            }
+            if (changed) {
+                this.storage.setItem(key, JSON.stringify({ ...config, providers }));
+                rewritten++;
+            }
+        }
+        return rewritten;
+    }
+
+    async encryptStoredSecret(apiKey) {
+        return SecretVault.isEncrypted(apiKey) ? apiKey : this.vault.encrypt(apiKey);
+    }
+
+    async decryptStoredSecret(apiKey) {
+        if (!SecretVault.isEncrypted(apiKey)) {
+            return apiKey;
+        }
+        try {
+            return await this.vault.decrypt(apiKey);
+        } catch (error) {
+            Logger.warn('解密已保存的API密钥失败', { error: error.message });
+            return '';
+        }
+    }
+
+    /**
+     * 锁定后丢弃内存中的明文API密钥，已保存的密文保留到解锁
+     */
+    applySecretsLock() {
+        let stored = [];
+        try {
+            stored = JSON.parse(this.storage.getItem(this.storageKey) || '{}').providers || [];
+        } catch (error) {
+            Logger.warn('读取已保存的配置失败', { error: error.message });
+        }
+        stored.forEach(provider => {
+            if (SecretVault.isEncrypted(provider.apiKey)) {
+                this.lockedSecrets.set(provider.id, provider.apiKey);
+            }
+        });
+        this.providers = this.providers.map(provider => ({ ...provider, apiKey: '' }));
+        Logger.info('API密钥已锁定');
+    }
+
+    /**
+     * 用密码解锁并恢复API密钥
+     * @param {string} passphrase - 密码
+     */
+    async unlockSecrets(passphrase) {
+        await this.vault.unlock(passphrase);
+
+        for (const provider of this.providers) {
+            const locked = this.lockedSecrets.get(provider.id);
+            if (locked && !provider.apiKey) {
+                provider.apiKey = await this.decryptSecret({ ...provider, apiKey: locked });
+            }
+        }
+        this.lockedSecrets.clear();
+        this.registerSecrets();
+        await this.migratePlaintextSecrets();
+        Logger.info('API密钥已解锁');
+    }
+
+    lockSecrets() {
+        this.vault.lock();
+    }
+
+    /**
+     * 启用加密并以密文重新保存现有的明文API密钥（包括其他工作区和配置方案）
+     * @param {string} passphrase - 密码
+     * @param {object} [options] - 见 SecretVault.enable
+     */
+    async enableEncryption(passphrase, options = {}) {
+        await this.vault.enable(passphrase, options);
+        await this.persistConfiguration();
+        await this.rewriteStoredSecrets(apiKey => this.encryptStoredSecret(apiKey));
+        Logger.info('已启用API密钥加密');
+    }
+
+    /**
+     * 停用加密并以明文重新保存API密钥（需要先解锁），其他工作区和配置方案中的密钥同样解密保存
+     */
+    async disableEncryption() {
+        // 解密其他配置之前检查，避免锁定时把无法解密的密钥清空
+        if (!this.vault.isUnlocked()) {
+            throw new Error('API密钥已锁定，请先输入密码解锁');
+        }
+        await this.rewriteStoredSecrets(apiKey => this.decryptStoredSecret(apiKey));
+        this.vault.disable();
+        await this.persistConfiguration();
+        Logger.info('已停用API密钥加密');
+    }
+
+    /**
+     * 忘记密码时停用加密：无法解密的API密钥被清空（包括其他工作区和配置方案），供应商和模型保留
+     */
+    async resetEncryption() {
+        this.vault.reset();
+        this.lockedSecrets.clear();
+        await this.rewriteStoredSecrets(apiKey => (SecretVault.isEncrypted(apiKey) ? '' : apiKey));
+        await this.persistConfiguration();
+        Logger.warn('已重置API密钥加密，已加密的API密钥需要重新填写');
+    }
+
     async resetConfiguration() {
-        this.providers = [];
-        this.models = [];
-        localStorage.removeItem(this.storageKey);
+        return this.recordChange('重置配置', async () => {
+            this.providers = [];
+            this.models = [];
+            this.storage.removeItem(this.storageKey);
+            await this.saveConfiguration();
+            return true;
+        });
+    }
+
+    // 撤销/重做
+
+    /**
+     * 执行一次修改并记录到历史中。传入options.step时修改属于调用方的步骤（由batch统一记录），不单独记录
+     * @param {string} label - 步骤名称
+     * @param {Function} mutate - 修改供应商或模型的异步函数
+     * @param {Object} [options]
+     * @param {Object} [options.step] - batch传给operation的步骤
+     * @returns {Promise<*>} mutate的返回值
+     */
+    async recordChange(label, mutate, options = {}) {
+        if (options.step) {
+            return mutate();
+        }
+        return this.batch(label, () => mutate());
+    }
+
+    /**
+     * 将多个修改合并为历史中的一步。operation收到这一步的凭据：
+     * 传给修改方法的 { step } 选项使其并入这一步，传给 history.attachFileChanges 关联写入的文件。
+     * 文件变更须在operation内关联：配置没有变化时，只有已关联文件的步骤才会被记录
+     * @param {string} label - 步骤名称
+     * @param {Function} operation - 执行修改的异步函数，参数为步骤
+     * @returns {Promise<*>}
+     */
+    async batch(label, operation) {
+        const step = this.history.createStep(label);
+        const before = ConfigHistory.snapshot(this);
+        try {
+            return await operation(step);
+        } finally {
+            // 操作中途失败时已完成的修改和已写入的文件同样记录，以便撤销
+            this.history.commit(step, before, ConfigHistory.snapshot(this));
+        }
+    }
+
+    /**
+     * 撤销最近一步：恢复修改前的供应商和模型并保存
+     * @returns {Promise<Object|null>} 撤销的步骤（包含关联的文件变更），没有可撤销的步骤时返回null
+     */
+    async undo() {
+        const step = this.history.takeUndo();
+        if (step) {
+            await this.restoreSnapshot(step.before);
+            Logger.info(`已撤销: ${step.label}`);
+        }
+        return step;
+    }
+
+    /**
+     * 重做最近撤销的一步
+     * @returns {Promise<Object|null>} 重做的步骤，没有可重做的步骤时返回null
+     */
+    async redo() {
+        const step = this.history.takeRedo();
+        if (step) {
+            await this.restoreSnapshot(step.after);
+            Logger.info(`已重做: ${step.label}`);
+        }
+        return step;
+    }
+
+    async restoreSnapshot(snapshot) {
+        const { providers, models } = ConfigHistory.snapshot(snapshot);
+        this.providers = providers;
+        this.models = models;
         await this.saveConfiguration();
-        return true;
     }
 
 
@@ -124,19 +799,21 @@ export class ConfigManager {
         return [...this.providers];
     }
 
-    async addProvider(providerData) {
+    async addProvider(providerData, options = {}) {
         // 不进行严格验证，直接添加供应商
         // Check for duplicate names
         if (this.providers.some(p => p.name === providerData.name && p.id !== providerData.id)) {
             throw new Error('服务商名称已存在');
         }
 
-        this.providers.push(providerData);
-        await this.saveConfiguration();
-        return providerData;
+        return this.recordChange(`添加服务商 ${providerData.name}`, async () => {
+            this.providers.push(providerData);
+            await this.saveConfiguration();
+            return providerData;
+        }, options);
     }
 
-    async updateProvider(providerData) {
+    async updateProvider(providerData, options = {}) {
         // 不进行严格验证，直接更新供应商
         const index = this.providers.findIndex(p => p.id === providerData.id);
         if (index === -1) {
@@ -148,24 +825,28 @@ export class ConfigManager {
             throw new Error('服务商名称已存在');
         }
 
-        this.providers[index] = providerData;
-        await this.saveConfiguration();
-        return providerData;
+        return this.recordChange(`修改服务商 ${providerData.name}`, async () => {
+            this.providers[index] = providerData;
+            await this.saveConfiguration();
+            return providerData;
+        }, options);
     }
 
-    async deleteProvider(providerId) {
+    async deleteProvider(providerId, options = {}) {
         const index = this.providers.findIndex(p => p.id === providerId);
         if (index === -1) {
             throw new Error('服务商未找到');
         }
 
-        // Remove associated models
-        this.models = this.models.filter(m => m.providerId !== providerId);
+        return this.recordChange(`删除服务商 ${this.providers[index].name}`, async () => {
+            // Remove associated models
+            this.models = this.models.filter(m => m.providerId !== providerId);
 
-        // Remove provider
-        this.providers.splice(index, 1);
-        await this.saveConfiguration();
-        return true;
+            // Remove provider
+            this.providers.splice(index, 1);
+            await this.saveConfiguration();
+            return true;
+        }, options);
     }
 
     async testProvider(provider) {
@@ -204,7 +885,7 @@ export class ConfigManager {
         return this.models.filter(model => !this.isModelFromDefaultProvider(model));
     }
 
-    async addModel(modelData) {
+    async addModel(modelData, options = {}) {
         // 不进行严格验证，只检查基本必填字段
         if (!modelData.name || !modelData.name.trim()) {
             throw new Error('模型名称不能为空');
@@ -223,12 +904,14 @@ export class ConfigManager {
             throw new Error('系统中已存在相同的模型ID，请使用不同的模型标识');
         }
 
-        this.models.push(modelData);
-        await this.saveConfiguration();
-        return modelData;
+        return this.recordChange(`添加模型 ${modelData.name}`, async () => {
+            this.models.push(modelData);
+            await this.saveConfiguration();
+            return modelData;
+        }, options);
     }
 
-    async updateModel(modelData) {
+    async updateModel(modelData, options = {}) {
         // 不进行严格验证，只检查基本必填字段
         if (!modelData.name || !modelData.name.trim()) {
             throw new Error('模型名称不能为空');
@@ -252,20 +935,24 @@ export class ConfigManager {
             throw new Error('系统中已存在相同的模型ID，请使用不同的模型标识');
         }
 
-        this.models[index] = modelData;
-        await this.saveConfiguration();
-        return modelData;
+        return this.recordChange(`修改模型 ${modelData.name}`, async () => {
+            this.models[index] = modelData;
+            await this.saveConfiguration();
+            return modelData;
+        }, options);
     }
 
-    async deleteModel(modelId) {
+    async deleteModel(modelId, options = {}) {
         const index = this.models.findIndex(m => m.id === modelId);
         if (index === -1) {
             throw new Error('模型未找到');
         }
 
-        this.models.splice(index, 1);
-        await this.saveConfiguration();
-        return true;
+        return this.recordChange(`删除模型 ${this.models[index].name}`, async () => {
+            this.models.splice(index, 1);
+            await this.saveConfiguration();
+            return true;
+        }, options);
     }
 
     async testModel(model) {
@@ -296,20 +983,23 @@ export class ConfigManager {
     async importConfiguration(providers, models) {
         // 直接导入配置，不进行验证
         // 加载到什么字段就在前端显示什么字段
-        this.providers = providers || [];
-        this.models = models || [];
+        return this.recordChange('导入配置', async () => {
+            this.providers = providers || [];
+            this.models = models || [];
 
-        await this.saveConfiguration();
-        return true;
+            await this.saveConfiguration();
+            return true;
+        });
     }
 
-    async exportConfiguration() {
-        return {
-            providers: [...this.providers],
-            models: [...this.models],
-            exportedAt: new Date().toISOString(),
-            version: '1.0.0'
-        };
+    /**
+     * 导出配置
+     * @param {object} [options]
+     * @param {boolean} [options.includeSecrets=false] - 是否包含API密钥，默认清空
+     * @returns {Promise<Object>}
+     */
+    async exportConfiguration(options = {}) {
+        return ConfigExportFormat.create(this.providers, this.models, options);
     }
 
     // Utility methods
@@ -347,7 +1037,7 @@ export class ConfigManager {
      */
     async loadSavedProjectPath() {
         try {
-            const savedPath = localStorage.getItem(this.projectPathKey);
+            const savedPath = this.storage.getItem(this.projectPathKey);
             if (savedPath) {
                 this.taskmasterProjectPath = savedPath;
                 this.isValidProject = await this.validateProjectPath(savedPath);
@@ -367,7 +1057,7 @@ export class ConfigManager {
      */
     async saveProjectPath(projectPath) {
         if (!projectPath) {
-            localStorage.removeItem(this.projectPathKey);
+            this.storage.removeItem(this.projectPathKey);
             this.taskmasterProjectPath = null;
             this.isValidProject = false;
             return true;
@@ -375,7 +1065,7 @@ export class ConfigManager {
 
         const isValid = await this.validateProjectPath(projectPath);
         if (isValid) {
-            localStorage.setItem(this.projectPathKey, projectPath);
+            this.storage.setItem(this.projectPathKey, projectPath);
             this.taskmasterProjectPath = projectPath;
             this.isValidProject = true;
             return true;
@@ -421,6 +1111,29 @@ export class ConfigManager {
         }
     }
 
+    /**
+     * 获取各MCP客户端的启用状态
+     * @returns {Object<string, boolean>} 客户端ID -> 是否启用（未记录的客户端默认启用）
+     */
+    getMcpClientSettings() {
+        try {
+            return JSON.parse(this.storage.getItem(this.mcpClientsKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * 启用或停用向某个MCP客户端配置写入API密钥
+     * @param {string} clientId - 客户端ID（见McpClientRegistry中的MCP_CLIENTS）
+     * @param {boolean} enabled - 是否启用
+     */
+    setMcpClientEnabled(clientId, enabled) {
+        const settings = this.getMcpClientSettings();
+        settings[clientId] = !!enabled;
+        this.storage.setItem(this.mcpClientsKey, JSON.stringify(settings));
+    }
+
     /**
      * Get the current TaskMaster project path
      * @returns {string|null} The current project path
@@ -487,7 +1200,7 @@ export class ConfigManager {
      */
     async loadSavedPackagePath() {
         try {
-            const savedPath = localStorage.getItem(this.packagePathKey);
+            const savedPath = this.storage.getItem(this.packagePathKey);
             if (savedPath) {
                 this.taskmasterPackagePath = savedPath;
                 this.isValidPackage = await this.validatePackagePath(savedPath);
@@ -507,7 +1220,7 @@ export class ConfigManager {
      */
     async savePackagePath(packagePath) {
         if (!packagePath) {
-            localStorage.removeItem(this.packagePathKey);
+            this.storage.removeItem(this.packagePathKey);
             this.taskmasterPackagePath = null;
             this.isValidPackage = false;
             return true;
@@ -515,7 +1228,7 @@ export class ConfigManager {
 
         const isValid = await this.validatePackagePath(packagePath);
         if (isValid) {
-            localStorage.setItem(this.packagePathKey, packagePath);
+            this.storage.setItem(this.packagePathKey, packagePath);
             this.taskmasterPackagePath = packagePath;
             this.isValidPackage = true;
             return true;
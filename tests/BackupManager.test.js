@@ -0,0 +1,158 @@
+/**
+ * BackupManager.test.js
+ * Tests for timestamped backups of patched TaskMaster files, retention and restore
+ */
+
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { BackupManager } from '../src/utils/BackupManager.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+import { BackupBrowser } from '../src/components/BackupBrowser.js';
+import { PACKAGE_FILES, PROJECT_FILES } from './helpers/taskmasterFixtures.js';
+
+describe('BackupManager', () => {
+    let saveConfig;
+    let packageBackend;
+    let projectBackend;
+    let backupManager;
+
+    beforeEach(() => {
+        saveConfig = new SaveConfig({});
+        packageBackend = new MemoryStorageBackend(PACKAGE_FILES, 'task-master-ai');
+        projectBackend = new MemoryStorageBackend(PROJECT_FILES, 'project');
+        saveConfig.directoryHandleCache.set('taskmaster-package', packageBackend);
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+        backupManager = saveConfig.backupManager;
+    });
+
+    it('should only track the patched TaskMaster files', () => {
+        expect(BackupManager.isTracked('scripts/modules/config-manager.js')).toBe(true);
+        expect(BackupManager.isTracked('.cursor/mcp.json')).toBe(true);
+        expect(BackupManager.isTracked('src/ai-providers/index.js')).toBe(false);
+    });
+
+    it('should back up a tracked file before it is overwritten', async () => {
+        await saveConfig.writeFileToDirectory(packageBackend, 'scripts/modules/supported-models.json', '{}');
+        await saveConfig.writeFileToDirectory(packageBackend, 'src/ai-providers/index.js', '// changed');
+
+        const backups = await backupManager.listBackups();
+
+        expect(backups).toHaveLength(1);
+        expect(backups[0]).toMatchObject({ root: 'taskmaster-package', path: 'scripts/modules/supported-models.json' });
+        expect(await projectBackend.readFile(backups[0].file)).toBe(PACKAGE_FILES['scripts/modules/supported-models.json']);
+        expect(await projectBackend.exists('.taskmaster-tool/backups/index.json')).toBe(true);
+    });
+
+    it('should keep the backups out of version control', async () => {
+        await saveConfig.writeFileToDirectory(projectBackend, '.cursor/mcp.json', '{}');
+
+        expect(await projectBackend.readFile('.taskmaster-tool/.gitignore')).toBe('*\n');
+
+        await projectBackend.writeFile('.taskmaster-tool/.gitignore', '*\n!manifest.json\n');
+        await saveConfig.writeFileToDirectory(projectBackend, '.cursor/mcp.json', '{"mcpServers": {}}');
+        expect(await projectBackend.readFile('.taskmaster-tool/.gitignore')).toBe('*\n!manifest.json\n');
+    });
+
+    it('should back up a tracked file before it is deleted', async () => {
+        await saveConfig.deleteFileFromDirectory(projectBackend, '.cursor/mcp.json');
+
+        const [entry] = await backupManager.listBackups({ path: 'mcp.json' });
+        expect((await backupManager.readBackup(entry.id)).content).toBe(PROJECT_FILES['.cursor/mcp.json']);
+    });
+
+    it('should not store identical consecutive versions', async () => {
+        await backupManager.backupFile('taskmaster-package', 'scripts/init.js', 'v1');
+        await backupManager.backupFile('taskmaster-package', 'scripts/init.js', 'v1');
+
+        expect(await backupManager.listBackups()).toHaveLength(1);
+    });
+
+    it('should keep only the newest backups of each file', async () => {
+        backupManager.maxPerFile = 2;
+        for (const version of ['v1', 'v2', 'v3']) {
+            await backupManager.backupFile('taskmaster-package', 'scripts/init.js', version);
+        }
+        await backupManager.backupFile('taskmaster-project', '.cursor/mcp.json', '{}');
+
+        const initBackups = await backupManager.listBackups({ path: 'scripts/init.js' });
+        const contents = await Promise.all(initBackups.map(async entry => (await backupManager.readBackup(entry.id)).content));
+
+        expect(contents).toEqual(['v3', 'v2']);
+        expect(await backupManager.listBackups({ root: 'taskmaster-project' })).toHaveLength(1);
+        expect((await projectBackend.listDirectory('.taskmaster-tool/backups/files')).length).toBe(3);
+    });
+
+    it('should not write backups while planning and back up when the plan is applied', async () => {
+        const fileManager = new TaskMasterFileManager({}, saveConfig);
+        const providerConfig = { name: 'FoApi', endpoint: 'https://api.foapi.test', apiKey: 'fo-key', type: 'openai' };
+
+        const plan = await fileManager.planProviderCreation('FoApi', providerConfig);
+        expect(await backupManager.listBackups()).toEqual([]);
+        expect(plan.getChanges().some(change => change.path.startsWith('.taskmaster-tool'))).toBe(false);
+
+        await plan.apply();
+        const backedUp = (await backupManager.listBackups()).map(entry => entry.path).sort();
+
+        expect(backedUp).toEqual([
+            '.cursor/mcp.json',
+            'scripts/modules/ai-services-unified.js',
+            'scripts/modules/config-manager.js',
+            'scripts/modules/supported-models.json'
+        ]);
+    });
+
+    it('should diff and restore an earlier version', async () => {
+        await saveConfig.writeFileToDirectory(packageBackend, 'scripts/init.js', 'patched\n');
+        const [entry] = await backupManager.listBackups({ path: 'scripts/init.js' });
+
+        const plan = await backupManager.planRestore(entry.id);
+        const [change] = plan.getChanges();
+
+        expect(change.diff).toContain('-patched');
+        expect(await packageBackend.readFile('scripts/init.js')).toBe('patched\n');
+
+        const results = await plan.apply();
+
+        expect(results.failed).toEqual([]);
+        expect(await packageBackend.readFile('scripts/init.js')).toBe(PACKAGE_FILES['scripts/init.js']);
+        // 恢复前的内容也被备份，可以撤销恢复
+        const [latest] = await backupManager.listBackups({ path: 'scripts/init.js' });
+        expect((await backupManager.readBackup(latest.id)).content).toBe('patched\n');
+    });
+
+    it('should reject unknown backup IDs', async () => {
+        await expect(backupManager.planRestore('missing')).rejects.toThrow('备份不存在: missing');
+    });
+});
+
+describe('BackupBrowser', () => {
+    let saveConfig;
+    let entry;
+
+    beforeEach(async () => {
+        saveConfig = new SaveConfig({});
+        saveConfig.directoryHandleCache.set('taskmaster-project', new MemoryStorageBackend(PROJECT_FILES));
+        entry = await saveConfig.backupManager.backupFile('taskmaster-project', '.cursor/mcp.json', '{}');
+    });
+
+    it('should list backups with a restore action per entry', async () => {
+        const browser = new BackupBrowser(saveConfig);
+        const resolve = vi.fn();
+        const modal = browser.createModal(await saveConfig.backupManager.listBackups(), resolve);
+
+        const rows = modal.querySelectorAll('.backup-browser-table tbody tr');
+        expect(rows).toHaveLength(1);
+        expect(rows[0].dataset.backupId).toBe(entry.id);
+        expect(rows[0].textContent).toContain('.cursor/mcp.json');
+        expect(modal.querySelector('[data-action="review-restore"]')).not.toBeNull();
+
+        modal.querySelector('[data-action="close-backups"]').onclick();
+        expect(resolve).toHaveBeenCalled();
+    });
+
+    it('should show an empty state without backups', () => {
+        const modal = new BackupBrowser(saveConfig).createModal([], vi.fn());
+
+        expect(modal.querySelector('.backup-browser-empty')).not.toBeNull();
+    });
+});
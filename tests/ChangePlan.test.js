@@ -0,0 +1,233 @@
+/**
+ * ChangePlan.test.js
+ * Tests for unified diffs, the overlay backend and dry-run plans of provider changes
+ */
+
+import { createUnifiedDiff, countDiffChanges, diffLines } from '../src/utils/UnifiedDiff.js';
+import { MemoryStorageBackend, OverlayStorageBackend } from '../src/utils/StorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+import { ChangeReviewModal } from '../src/components/ChangeReviewModal.js';
+import { PACKAGE_FILES as BASE_PACKAGE_FILES, PROJECT_FILES, INIT_JS_WITH_MCP_TEMPLATE } from './helpers/taskmasterFixtures.js';
+
+const PACKAGE_FILES = { ...BASE_PACKAGE_FILES, 'scripts/init.js': INIT_JS_WITH_MCP_TEMPLATE };
+
+describe('UnifiedDiff', () => {
+    it('should return an empty diff for identical content', () => {
+        expect(createUnifiedDiff('a\nb\n', 'a\nb\n')).toBe('');
+    });
+
+    it('should produce hunks with context and line ranges', () => {
+        const diff = createUnifiedDiff('a\nb\nc\n', 'a\nB\nc\n', { oldPath: 'a/f.js', newPath: 'b/f.js' });
+
+        expect(diff).toBe('--- a/f.js\n+++ b/f.js\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+    });
+
+    it('should use /dev/null for created and deleted files', () => {
+        expect(createUnifiedDiff(null, 'x\n')).toBe('--- /dev/null\n+++ b\n@@ -0,0 +1 @@\n+x\n');
+        expect(createUnifiedDiff('x\n', null)).toBe('--- a\n+++ /dev/null\n@@ -1 +0,0 @@\n-x\n');
+    });
+
+    it('should mark files without a trailing newline', () => {
+        const diff = createUnifiedDiff('a', 'a\nb');
+
+        expect(diff).toContain('-a\n\\ No newline at end of file\n+a\n+b\n\\ No newline at end of file');
+    });
+
+    it('should split distant changes into separate hunks', () => {
+        const oldText = Array.from({ length: 20 }, (_, i) => `line${i}`).join('\n');
+        const newText = oldText.replace('line1\n', 'changed1\n').replace('line18', 'changed18');
+
+        const diff = createUnifiedDiff(oldText, newText);
+
+        expect(diff.match(/^@@/gm)).toHaveLength(2);
+        expect(countDiffChanges(diff)).toEqual({ additions: 2, deletions: 2 });
+    });
+
+    it('should compute a minimal edit script', () => {
+        const ops = diffLines(['a', 'b', 'c'], ['a', 'c', 'd']);
+
+        expect(ops.filter(op => op.type !== 'equal')).toEqual([
+            { type: 'delete', line: 'b' },
+            { type: 'insert', line: 'd' }
+        ]);
+    });
+
+    it('should diff large files with many scattered changes', () => {
+        const oldLines = Array.from({ length: 10000 }, (_, i) => `line${i}`);
+        const newLines = oldLines.map((line, i) => (i % 20 === 0 ? `changed${i}` : line));
+
+        const ops = diffLines(oldLines, newLines);
+
+        expect(ops.filter(op => op.type !== 'insert').map(op => op.line)).toEqual(oldLines);
+        expect(ops.filter(op => op.type !== 'delete').map(op => op.line)).toEqual(newLines);
+        expect(ops.filter(op => op.type === 'delete')).toHaveLength(500);
+    });
+});
+
+describe('OverlayStorageBackend', () => {
+    let base;
+    let overlay;
+
+    beforeEach(() => {
+        base = new MemoryStorageBackend({ 'a.txt': 'A', 'dir/b.txt': 'B' });
+        overlay = new OverlayStorageBackend(base);
+    });
+
+    it('should buffer writes and deletes without touching the base', async () => {
+        await overlay.writeFile('a.txt', 'A2');
+        await overlay.writeFile('dir/c.txt', 'C');
+        expect(await overlay.deleteFile('dir/b.txt')).toBe(true);
+
+        expect(await overlay.readFile('a.txt')).toBe('A2');
+        expect(await overlay.readFile('dir/b.txt')).toBeNull();
+        expect(await overlay.listDirectory('dir')).toEqual([{ name: 'c.txt', kind: 'file' }]);
+        expect(base.toJSON()).toEqual({ 'a.txt': 'A', 'dir/b.txt': 'B' });
+    });
+
+    it('should ignore writes that do not change content', async () => {
+        await overlay.writeFile('a.txt', 'temp');
+        await overlay.writeFile('a.txt', 'A');
+
+        expect(overlay.getChanges()).toEqual([]);
+    });
+
+    it('should commit changes to the base backend', async () => {
+        await overlay.writeFile('a.txt', 'A2');
+        await overlay.deleteFile('dir/b.txt');
+
+        expect(await overlay.commit()).toEqual(['a.txt', 'dir/b.txt']);
+        expect(base.toJSON()).toEqual({ 'a.txt': 'A2' });
+    });
+
+    it('should refuse to commit over files changed after planning', async () => {
+        await overlay.writeFile('a.txt', 'A2');
+        await base.writeFile('a.txt', 'changed elsewhere');
+
+        await expect(overlay.commit()).rejects.toThrow('已被修改: a.txt');
+        expect(await base.readFile('a.txt')).toBe('changed elsewhere');
+    });
+});
+
+describe('TaskMasterFileManager plan mode', () => {
+    let saveConfig;
+    let packageBackend;
+    let projectBackend;
+    let fileManager;
+
+    beforeEach(() => {
+        saveConfig = new SaveConfig({});
+        packageBackend = new MemoryStorageBackend(PACKAGE_FILES, 'task-master-ai');
+        projectBackend = new MemoryStorageBackend(PROJECT_FILES, 'project');
+        saveConfig.directoryHandleCache.set('taskmaster-package', packageBackend);
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+        fileManager = new TaskMasterFileManager({}, saveConfig);
+    });
+
+    const providerConfig = { name: 'FoApi', endpoint: 'https://api.foapi.test', apiKey: 'fo-key', type: 'openai' };
+
+    it('should plan provider creation without writing anything', async () => {
+        const plan = await fileManager.planProviderCreation('FoApi', providerConfig);
+        const changes = plan.getChanges();
+
+        expect(packageBackend.toJSON()).toEqual(PACKAGE_FILES);
+        expect(projectBackend.toJSON()).toEqual(PROJECT_FILES);
+        expect(plan.result.created).toBe(true);
+        expect(changes.map(change => change.path)).toEqual(expect.arrayContaining([
+            'src/ai-providers/foapi.js',
+            'src/ai-providers/index.js',
+            'scripts/modules/ai-services-unified.js',
+            'scripts/modules/config-manager.js',
+            'scripts/modules/supported-models.json',
+            'scripts/init.js',
+            '.cursor/mcp.json'
+        ]));
+        expect(changes.find(change => change.path === 'src/ai-providers/foapi.js').type).toBe('create');
+        expect(changes.find(change => change.path === 'src/ai-providers/index.js').diff)
+            .toContain("+export { FoApiProvider } from './foapi.js';");
+    });
+
+    it('should apply the planned changes with one call', async () => {
+        const plan = await fileManager.planProviderCreation('FoApi', providerConfig);
+        const expected = plan.getChanges();
+
+        const results = await plan.apply();
+
+        expect(results.failed).toEqual([]);
+        expect(results.success).toHaveLength(expected.length);
+        expect(await packageBackend.exists('src/ai-providers/foapi.js')).toBe(true);
+        expect(JSON.parse(await projectBackend.readFile('.cursor/mcp.json')).mcpServers['task-master-ai'].env)
+            .toEqual({ FOAPI_API_KEY: 'fo-key' });
+        await expect(plan.apply()).rejects.toThrow('不能重复应用');
+    });
+
+    it('should plan provider deletion as the inverse of creation', async () => {
+        await (await fileManager.planProviderCreation('FoApi', providerConfig)).apply();
+
+        const plan = await fileManager.planProviderDeletion('FoApi');
+        const changes = plan.getChanges();
+
+        expect(plan.result.success).toBe(true);
+        expect(changes.find(change => change.path === 'src/ai-providers/foapi.js').type).toBe('delete');
+        expect(await packageBackend.exists('src/ai-providers/foapi.js')).toBe(true);
+
+        await plan.apply();
+        expect(await packageBackend.exists('src/ai-providers/foapi.js')).toBe(false);
+        expect(JSON.parse(await packageBackend.readFile('scripts/modules/supported-models.json')).foapi)
+            .toBeUndefined();
+    });
+
+    it('should export package changes as a patch-package compatible patch', async () => {
+        const plan = await fileManager.planProviderCreation('FoApi', providerConfig);
+
+        const patch = plan.toPatch();
+
+        expect(patch).toContain([
+            'diff --git a/node_modules/task-master-ai/src/ai-providers/foapi.js b/node_modules/task-master-ai/src/ai-providers/foapi.js',
+            'new file mode 100644',
+            '--- /dev/null',
+            '+++ b/node_modules/task-master-ai/src/ai-providers/foapi.js'
+        ].join('\n'));
+        expect(patch).toContain('--- a/node_modules/task-master-ai/scripts/init.js\n+++ b/node_modules/task-master-ai/scripts/init.js');
+        expect(patch.match(/^diff --git /gm)).toHaveLength(6);
+        expect(patch).not.toContain('mcp.json');
+    });
+
+    it('should report no changes when the provider file already exists', async () => {
+        await packageBackend.writeFile('src/ai-providers/foapi.js', '// existing');
+
+        const plan = await fileManager.planProviderCreation('FoApi', providerConfig);
+
+        expect(plan.result).toEqual({ created: false, reason: 'file_exists' });
+        expect(plan.hasChanges()).toBe(false);
+    });
+});
+
+describe('ChangeReviewModal', () => {
+    let plan;
+
+    beforeEach(async () => {
+        const saveConfig = new SaveConfig({});
+        saveConfig.directoryHandleCache.set('taskmaster-package', new MemoryStorageBackend(PACKAGE_FILES));
+        saveConfig.directoryHandleCache.set('taskmaster-project', new MemoryStorageBackend(PROJECT_FILES));
+        plan = await new TaskMasterFileManager({}, saveConfig).planProviderDeletion('openai');
+    });
+
+    it('should render one section per changed file', () => {
+        const resolve = vi.fn();
+        const modal = ChangeReviewModal.createModal(plan.getChanges(), { warnings: ['注意'] }, resolve);
+
+        expect(modal.querySelectorAll('.change-review-file')).toHaveLength(plan.getChanges().length);
+        expect(modal.querySelector('.change-review-warning').textContent).toContain('注意');
+        expect(modal.querySelector('.diff-del')).not.toBeNull();
+    });
+
+    it('should resolve with the user decision', () => {
+        const resolve = vi.fn();
+        const modal = ChangeReviewModal.createModal(plan.getChanges(), {}, resolve);
+
+        modal.querySelector('[data-action="apply-changes"]').onclick();
+
+        expect(resolve).toHaveBeenCalledWith(true);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * ConfigExportFormat.test.js
+ * Tests for the versioned configuration export format, its migration chain and the import report
+ */
+
+import { ConfigExportFormat, EXPORT_FORMAT, EXPORT_FORMAT_VERSION } from '../src/utils/ConfigExportFormat.js';
+import { ConfigManager } from '../src/utils/configManager.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { ImportReportModal } from '../src/components/ImportReportModal.js';
+import { createStorage } from './helpers/storage.js';
+
+const PROVIDER = { id: 'provider_1', name: 'FoApi', endpoint: 'https://fo.test', type: 'openai', apiKey: 'sk-fo', isValid: true };
+const MODEL = { id: 'model_1', providerId: 'provider_1', modelId: 'foapi-large', name: 'Large', maxTokens: 8000 };
+
+describe('ConfigExportFormat', () => {
+    it('should export the current version without secrets or embedded model lists', () => {
+        const exported = ConfigExportFormat.create([{ ...PROVIDER, models: [MODEL] }], [MODEL]);
+
+        expect(exported).toMatchObject({ format: EXPORT_FORMAT, version: EXPORT_FORMAT_VERSION, includesSecrets: false });
+        expect(exported.providers).toEqual([{ ...PROVIDER, apiKey: '' }]);
+        expect(ConfigExportFormat.parse(JSON.stringify(exported)).report).toEqual({
+            sourceVersion: EXPORT_FORMAT_VERSION, migrations: [], skipped: [], coerced: []
+        });
+    });
+
+    it('should upgrade 1.0.0 and unversioned files through the migration chain', () => {
+        const legacy = {
+            version: '1.0.0',
+            timestamp: '2024-06-01T00:00:00.000Z',
+            includesSecrets: false,
+            providers: [{ ...PROVIDER, models: [MODEL] }],
+            models: [MODEL]
+        };
+
+        const { providers, models, report } = ConfigExportFormat.parse(legacy);
+        expect(report.sourceVersion).toBe('1.0.0');
+        expect(report.migrations).toHaveLength(1);
+        expect(report.skipped).toEqual([]);
+        expect(providers).toEqual([PROVIDER]);
+        expect(models).toEqual([MODEL]);
+
+        const unversioned = ConfigExportFormat.parse({ providers: [PROVIDER], models: [] });
+        expect(unversioned.report.migrations.map(step => step.split(':')[0])).toEqual(['0.0.0 → 1.0.0', '1.0.0 → 2.0.0']);
+        expect(ConfigExportFormat.migrate({ providers: [], models: [] }).data.format).toBe(EXPORT_FORMAT);
+    });
+
+    it('should reject files from newer versions and other formats', () => {
+        expect(() => ConfigExportFormat.parse({ version: '3.1.0', providers: [], models: [] }))
+            .toThrow(`配置文件版本 3.1.0 高于本工具支持的版本 ${EXPORT_FORMAT_VERSION}，请升级taskmaster-tool后再导入`);
+        expect(() => ConfigExportFormat.parse({ format: 'litellm', version: '1.0.0', providers: [], models: [] }))
+            .toThrow('不是taskmaster-tool的配置文件');
+        expect(() => ConfigExportFormat.parse({ version: 'latest', providers: [], models: [] })).toThrow('配置文件版本号无效');
+        expect(() => ConfigExportFormat.parse('{not json')).toThrow('配置文件不是有效的JSON');
+        expect(() => ConfigExportFormat.parse({ version: '2.0.0', providers: [] })).toThrow('缺少providers或models数组');
+    });
+
+    it('should report skipped and coerced fields', () => {
+        const { providers, models, report } = ConfigExportFormat.parse({
+            format: EXPORT_FORMAT,
+            version: '2.0.0',
+            providers: [
+                { name: 'BarApi', endpoint: 'https://bar.test', isValid: 'true', color: 'blue' },
+                { endpoint: 'https://nameless.test' }
+            ],
+            models: [
+                { providerId: 'provider_imported_1', modelId: 'bar-small', maxTokens: '4096', allowedRoles: 'main, fallback', sweScore: 'high' },
+                { providerId: 'provider_missing', modelId: 'orphan', name: 'Orphan' }
+            ]
+        }, { generateId: prefix => `${prefix}_imported_1` });
+
+        expect(providers).toEqual([{
+            id: 'provider_imported_1', name: 'BarApi', endpoint: 'https://bar.test', type: 'openai', apiKey: '', isValid: true
+        }]);
+        expect(models).toEqual([{
+            id: 'model_imported_1', providerId: 'provider_imported_1', modelId: 'bar-small', name: 'bar-small',
+            maxTokens: 4096, allowedRoles: ['main', 'fallback']
+        }]);
+        expect(report.skipped).toEqual([
+            { path: 'providers[0].color', reason: '未知字段，已忽略' },
+            { path: 'providers[1]', reason: '缺少必填字段 name' },
+            { path: 'models[0].sweScore', reason: '应为number，已忽略' },
+            { path: 'models[1]', reason: '供应商 provider_missing 不存在' }
+        ]);
+        expect(report.coerced.map(({ path }) => path)).toEqual([
+            'providers[0].id', 'providers[0].isValid',
+            'models[0].id', 'models[0].maxTokens', 'models[0].allowedRoles', 'models[0].name'
+        ]);
+    });
+
+    it('should import a file through SaveConfig and show the report before replacing the configuration', async () => {
+        const configManager = new ConfigManager({ storage: createStorage() });
+        const saveConfig = new SaveConfig(configManager);
+        const file = { name: 'old.json', text: async () => JSON.stringify({ version: '1.0.0', providers: [PROVIDER], models: [MODEL, { modelId: 'x' }] }) };
+
+        const parsed = await saveConfig.readConfigurationFile(file);
+        const resolve = vi.fn();
+        const modal = ImportReportModal.createModal(parsed, { fileName: file.name }, resolve);
+        expect(modal.querySelector('[data-section="migrations"] li').textContent).toContain('1.0.0 → 2.0.0');
+        expect(modal.querySelector('[data-section="skipped"] li').textContent).toBe('models[1]: 缺少必填字段 providerId');
+        modal.querySelector('[data-action="confirm-import"]').onclick();
+        expect(resolve).toHaveBeenCalledWith(true);
+
+        const report = await saveConfig.importConfigurationFile(file);
+        expect(report.sourceVersion).toBe('1.0.0');
+        expect(configManager.providers).toEqual([PROVIDER]);
+        expect(configManager.models).toEqual([MODEL]);
+    });
+});
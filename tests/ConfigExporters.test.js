@@ -0,0 +1,119 @@
+/**
+ * ConfigExporters.test.js
+ * Tests for exporting providers and models as a LiteLLM proxy config, a .env.example template and a Continue config
+ */
+
+import { ConfigExporters } from '../src/utils/ConfigExporters.js';
+import { ModelCatalogImporter } from '../src/utils/ModelCatalogImporter.js';
+import { YamlReader } from '../src/utils/YamlReader.js';
+
+const PROVIDERS = [
+    { id: 'provider_1', name: 'FoApi', endpoint: 'https://v2.voct.top/v1', type: 'openai', apiKey: 'sk-foapi-secret' },
+    { id: 'provider_2', name: 'Anthropic', endpoint: 'https://api.anthropic.com/v1', type: 'anthropic', apiKey: '', envVar: 'CLAUDE_KEY' },
+    { id: 'provider_3', name: 'Empty Gateway', endpoint: '', type: 'custom', apiKey: '' }
+];
+
+const MODELS = [
+    {
+        id: 'model_1',
+        providerId: 'provider_1',
+        modelId: 'foapi-gpt-4o',
+        name: 'GPT-4o',
+        maxTokens: 128000,
+        costPer1MTokens: { input: 0.38, output: 10 },
+        allowedRoles: ['main', 'fallback']
+    },
+    { id: 'model_2', providerId: 'provider_2', modelId: 'claude-sonnet-4', name: 'Claude Sonnet 4', costPer1MTokens: { input: 0, output: 0 } }
+];
+
+describe('ConfigExporters', () => {
+    it('should export a LiteLLM proxy config that references key variables and reads back as a catalog', () => {
+        const exported = ConfigExporters.export('litellm', PROVIDERS, MODELS);
+
+        expect(exported.fileName).toBe('litellm-config.yaml');
+        expect(exported.content).not.toContain('sk-foapi-secret');
+        expect(exported.content).toContain('input_cost_per_token: 0.00000038');
+        expect(exported.warnings).toEqual(['供应商 Empty Gateway 没有模型，未导出']);
+        expect(YamlReader.parse(exported.content).model_list).toEqual([
+            {
+                model_name: 'foapi-gpt-4o',
+                litellm_params: { model: 'openai/foapi-gpt-4o', api_base: 'https://v2.voct.top/v1', api_key: 'os.environ/FOAPI_API_KEY' },
+                model_info: { max_tokens: 128000, input_cost_per_token: 0.00000038, output_cost_per_token: 0.00001 }
+            },
+            {
+                model_name: 'claude-sonnet-4',
+                litellm_params: { model: 'anthropic/claude-sonnet-4', api_base: 'https://api.anthropic.com/v1', api_key: 'os.environ/CLAUDE_KEY' }
+            }
+        ]);
+
+        const catalog = ModelCatalogImporter.parse(exported.content);
+        expect(catalog.models.map(model => [model.modelId, model.maxTokens, model.costPer1MTokens])).toEqual([
+            ['foapi-gpt-4o', 128000, { input: 0.38, output: 10 }],
+            ['claude-sonnet-4', null, { input: 0, output: 0 }]
+        ]);
+    });
+
+    it('should list one empty key variable per provider in .env.example', () => {
+        const exported = ConfigExporters.export('env', [...PROVIDERS, { id: 'provider_4', name: 'foapi', endpoint: '', type: 'openai' }], MODELS);
+
+        expect(exported.fileName).toBe('.env.example');
+        expect(exported.content).toBe([
+            '# 由 TaskMaster 配置工具生成',
+            '# 填写API密钥后另存为 .env，不要把 .env 提交到仓库',
+            '',
+            '# FoApi (https://v2.voct.top/v1)',
+            'FOAPI_API_KEY=',
+            '',
+            '# Anthropic (https://api.anthropic.com/v1)',
+            'CLAUDE_KEY=',
+            '',
+            '# Empty Gateway',
+            'EMPTYGATEWAY_API_KEY=',
+            ''
+        ].join('\n'));
+    });
+
+    it('should export a Continue config with secrets references', () => {
+        const exported = ConfigExporters.export('continue', PROVIDERS, MODELS);
+        const config = YamlReader.parse(exported.content);
+
+        expect(config).toMatchObject({ name: 'TaskMaster Models', version: '1.0.0', schema: 'v1' });
+        expect(config.models).toEqual([
+            {
+                name: 'GPT-4o',
+                provider: 'openai',
+                model: 'foapi-gpt-4o',
+                apiBase: 'https://v2.voct.top/v1',
+                apiKey: '${{ secrets.FOAPI_API_KEY }}',
+                roles: ['chat', 'edit', 'apply'],
+                defaultCompletionOptions: { maxTokens: 128000 }
+            },
+            {
+                name: 'Claude Sonnet 4',
+                provider: 'anthropic',
+                model: 'claude-sonnet-4',
+                apiBase: 'https://api.anthropic.com/v1',
+                apiKey: '${{ secrets.CLAUDE_KEY }}',
+                roles: ['chat', 'edit', 'apply']
+            }
+        ]);
+        expect(() => ConfigExporters.export('aider', PROVIDERS, MODELS)).toThrow('不支持的导出格式: aider');
+    });
+
+    it('should export the same /v1 base URL as the generated provider file for OpenAI-compatible endpoints', () => {
+        const providers = [
+            { id: 'provider_1', name: 'Gateway', endpoint: 'https://gateway.example.com/', type: 'custom' },
+            { id: 'provider_2', name: 'Local', endpoint: 'http://localhost:11434', type: 'ollama' }
+        ];
+        const models = [
+            { id: 'model_1', providerId: 'provider_1', modelId: 'gpt-4o', name: 'GPT-4o' },
+            { id: 'model_2', providerId: 'provider_2', modelId: 'llama3', name: 'Llama 3' }
+        ];
+
+        const litellm = YamlReader.parse(ConfigExporters.export('litellm', providers, models).content);
+        expect(litellm.model_list.map(entry => entry.litellm_params.api_base)).toEqual(['https://gateway.example.com/v1', 'http://localhost:11434']);
+
+        const continueConfig = YamlReader.parse(ConfigExporters.export('continue', providers, models).content);
+        expect(continueConfig.models.map(entry => entry.apiBase)).toEqual(['https://gateway.example.com/v1', 'http://localhost:11434']);
+    });
+});
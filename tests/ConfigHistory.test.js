@@ -0,0 +1,198 @@
+/**
+ * ConfigHistory.test.js
+ * Tests for undo/redo of provider and model edits, including restoring TaskMaster files written by a step
+ */
+
+import { ConfigManager } from '../src/utils/configManager.js';
+import { ConfigHistory } from '../src/utils/ConfigHistory.js';
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { HistoryPanel } from '../src/components/HistoryPanel.js';
+import { ChangeReviewModal } from '../src/components/ChangeReviewModal.js';
+import { UINotification } from '../src/components/UINotification.js';
+import { createStorage } from './helpers/storage.js';
+
+const FOAPI = { id: 'provider_1', name: 'FoApi', endpoint: 'https://fo.test', type: 'openai', apiKey: '' };
+
+describe('ConfigHistory', () => {
+    let storage;
+    let configManager;
+
+    beforeEach(async () => {
+        storage = createStorage();
+        configManager = new ConfigManager({ storage });
+        await configManager.loadConfiguration();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should undo and redo provider and model edits', async () => {
+        await configManager.addProvider({ ...FOAPI });
+        await configManager.addModel({ id: 'model_1', providerId: 'provider_1', modelId: 'fo-large', name: 'Fo Large' });
+        await configManager.updateProvider({ ...FOAPI, endpoint: 'https://gateway.test' });
+
+        expect(configManager.history.list().map(step => step.label)).toEqual([
+            '添加服务商 FoApi', '添加模型 Fo Large', '修改服务商 FoApi'
+        ]);
+
+        expect((await configManager.undo()).label).toBe('修改服务商 FoApi');
+        expect(configManager.getProviderById('provider_1').endpoint).toBe('https://fo.test');
+        await configManager.undo();
+        expect(configManager.models).toEqual([]);
+        expect(JSON.parse(storage.getItem('taskmaster-ui-config')).models).toEqual([]);
+
+        await configManager.redo();
+        expect(configManager.models.map(model => model.modelId)).toEqual(['fo-large']);
+        expect(configManager.history.list().map(step => step.undone)).toEqual([false, false, true]);
+
+        // 新的修改清空重做列表
+        await configManager.deleteModel('model_1');
+        expect(configManager.history.canRedo()).toBe(false);
+        expect(await configManager.redo()).toBeNull();
+    });
+
+    it('should merge a batch into one step and skip failed or empty edits', async () => {
+        await configManager.batch('加载 FoApi 模型', async step => {
+            await configManager.addProvider({ ...FOAPI }, { step });
+            await configManager.addModel({ id: 'model_1', providerId: 'provider_1', modelId: 'fo-a', name: 'A' }, { step });
+            await configManager.addModel({ id: 'model_2', providerId: 'provider_1', modelId: 'fo-b', name: 'B' }, { step });
+        });
+        await expect(configManager.addProvider({ ...FOAPI, id: 'provider_2' })).rejects.toThrow('服务商名称已存在');
+        await configManager.importConfiguration(configManager.providers, configManager.models);
+
+        expect(configManager.history.list().map(step => step.label)).toEqual(['加载 FoApi 模型']);
+        await configManager.undo();
+        expect(configManager.providers).toEqual([]);
+        expect(configManager.models).toEqual([]);
+    });
+
+    it('should record overlapping edits as separate steps and attach files to the given step', async () => {
+        await Promise.all([
+            configManager.addProvider({ ...FOAPI }),
+            configManager.addProvider({ ...FOAPI, id: 'provider_2', name: 'Gateway' })
+        ]);
+        expect(configManager.history.list().map(step => step.label)).toEqual(['添加服务商 FoApi', '添加服务商 Gateway']);
+
+        let providerStep = null;
+        await configManager.batch('删除服务商 FoApi', async step => {
+            providerStep = step;
+            await configManager.deleteProvider('provider_1', { step });
+        });
+        await configManager.addModel({ id: 'model_1', providerId: 'provider_2', modelId: 'gw-a', name: 'A' });
+        configManager.history.attachFileChanges(providerStep, [
+            { root: 'taskmaster-package', path: 'src/ai-providers/foapi.js', before: 'export {};\n', after: null }
+        ]);
+
+        expect(configManager.history.undoStack.map(step => [step.label, step.files.length])).toEqual([
+            ['添加服务商 FoApi', 0], ['添加服务商 Gateway', 0], ['删除服务商 FoApi', 1], ['添加模型 A', 0]
+        ]);
+    });
+
+    it('should record a batch that only wrote files and a batch that failed part-way', async () => {
+        await configManager.addProvider({ ...FOAPI });
+
+        // 重新保存未修改的供应商：配置相同，但重新生成了供应商文件
+        await configManager.batch('修改服务商 FoApi', async step => {
+            await configManager.updateProvider({ ...FOAPI }, { step });
+            configManager.history.attachFileChanges(step, [
+                { root: 'taskmaster-package', path: 'src/ai-providers/foapi.js', before: 'old\n', after: 'new\n' }
+            ]);
+        });
+        await expect(configManager.batch('添加服务商 Gateway', async step => {
+            await configManager.addProvider({ ...FOAPI, id: 'provider_2', name: 'Gateway' }, { step });
+            throw new Error('TaskMaster项目同步失败');
+        })).rejects.toThrow('TaskMaster项目同步失败');
+
+        expect(configManager.history.undoStack.map(step => [step.label, step.files.length])).toEqual([
+            ['添加服务商 FoApi', 0], ['修改服务商 FoApi', 1], ['添加服务商 Gateway', 0]
+        ]);
+    });
+
+    it('should keep the newest steps and clear history when the configuration is reloaded', async () => {
+        const history = new ConfigHistory({ limit: 2 });
+        ['a', 'b', 'c'].forEach(name => history.record(name, { providers: [], models: [] }, { providers: [{ name }], models: [] }));
+        expect(history.list().map(step => step.label)).toEqual(['b', 'c']);
+
+        await configManager.addProvider({ ...FOAPI });
+        await configManager.loadConfiguration();
+        expect(configManager.history.canUndo()).toBe(false);
+    });
+
+    it('should offer to restore files written by the undone step', async () => {
+        const projectBackend = new MemoryStorageBackend({ '.env': 'OPENAI_API_KEY=sk\n' }, 'project');
+        const saveConfig = new SaveConfig(configManager);
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+
+        await configManager.batch('添加服务商 FoApi', async step => {
+            await configManager.addProvider({ ...FOAPI }, { step });
+            configManager.history.attachFileChanges(step, [
+                { root: 'taskmaster-project', path: '.env', before: 'OPENAI_API_KEY=sk\n', after: 'OPENAI_API_KEY=sk\nFOAPI_API_KEY=\n' },
+                { root: 'taskmaster-project', path: 'foapi.js', before: null, after: 'export {};\n' }
+            ]);
+        });
+        await projectBackend.writeFile('.env', 'OPENAI_API_KEY=sk\nFOAPI_API_KEY=\n');
+        await projectBackend.writeFile('foapi.js', 'export {};\n');
+
+        const review = vi.spyOn(ChangeReviewModal, 'show').mockResolvedValue(true);
+        vi.spyOn(UINotification, 'success').mockImplementation(() => {});
+        const onChange = vi.fn();
+        const panel = new HistoryPanel(configManager, saveConfig, { onChange });
+
+        expect(await panel.undo()).toBe(true);
+        expect(onChange).toHaveBeenCalled();
+        expect(review.mock.calls[0][0].appliedChanges.map(change => change.path).sort()).toEqual(['.env', 'foapi.js']);
+        expect(await projectBackend.readFile('.env')).toBe('OPENAI_API_KEY=sk\n');
+        expect(await projectBackend.readFile('foapi.js')).toBeNull();
+        expect(configManager.providers).toEqual([]);
+
+        // 文件在撤销后又被修改时，重做不覆盖
+        await projectBackend.writeFile('.env', 'EDITED=1\n');
+        vi.spyOn(UINotification, 'warning').mockImplementation(() => {});
+        expect(await panel.redo()).toBe(true);
+        expect(review.mock.calls[1][1].warnings).toEqual(['.env: 文件在此后已被修改，未覆盖']);
+        expect(await projectBackend.readFile('.env')).toBe('EDITED=1\n');
+        expect(await projectBackend.readFile('foapi.js')).toBe('export {};\n');
+    });
+
+    it('should restore a file written twice in one step to its original content', async () => {
+        const projectBackend = new MemoryStorageBackend({ '.env': 'OPENAI_API_KEY=sk\n' }, 'project');
+        const saveConfig = new SaveConfig(configManager);
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+
+        await configManager.batch('添加服务商 FoApi', async step => {
+            await configManager.addProvider({ ...FOAPI }, { step });
+            configManager.history.attachFileChanges(step, [
+                { root: 'taskmaster-project', path: '.env', before: 'OPENAI_API_KEY=sk\n', after: 'OPENAI_API_KEY=sk\nFOAPI_API_KEY=\n' },
+                { root: 'taskmaster-project', path: 'tmp.js', before: null, after: 'export {};\n' }
+            ]);
+            configManager.history.attachFileChanges(step, [
+                { root: 'taskmaster-project', path: '.env', before: 'OPENAI_API_KEY=sk\nFOAPI_API_KEY=\n', after: 'OPENAI_API_KEY=sk\nFOAPI_API_KEY=fo\n' },
+                { root: 'taskmaster-project', path: 'tmp.js', before: 'export {};\n', after: null }
+            ]);
+        });
+        await projectBackend.writeFile('.env', 'OPENAI_API_KEY=sk\nFOAPI_API_KEY=fo\n');
+
+        expect(configManager.history.list()[0].files).toEqual([
+            { root: 'taskmaster-project', path: '.env', before: 'OPENAI_API_KEY=sk\n', after: 'OPENAI_API_KEY=sk\nFOAPI_API_KEY=fo\n' }
+        ]);
+
+        vi.spyOn(ChangeReviewModal, 'show').mockResolvedValue(true);
+        vi.spyOn(UINotification, 'success').mockImplementation(() => {});
+        expect(await new HistoryPanel(configManager, saveConfig).undo()).toBe(true);
+        expect(await projectBackend.readFile('.env')).toBe('OPENAI_API_KEY=sk\n');
+    });
+
+    it('should list steps in the panel and refresh when history changes', async () => {
+        await configManager.addProvider({ ...FOAPI });
+        const modal = new HistoryPanel(configManager, new SaveConfig(configManager)).createModal(vi.fn());
+
+        expect(modal.querySelectorAll('.history-list li')).toHaveLength(1);
+        expect(modal.querySelector('[data-action="redo"]').disabled).toBe(true);
+
+        await configManager.undo();
+        expect(modal.querySelector('.history-list li').className).toBe('undone');
+        expect(modal.querySelector('[data-action="undo"]').disabled).toBe(true);
+    });
+});
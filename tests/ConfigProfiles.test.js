@@ -0,0 +1,117 @@
+/**
+ * ConfigProfiles.test.js
+ * Tests for named provider/model profiles in ConfigManager and the profile comparison
+ */
+
+import { ConfigManager } from '../src/utils/configManager.js';
+import { ConfigComparison } from '../src/utils/ConfigComparison.js';
+import { ProfilesPanel } from '../src/components/ProfilesPanel.js';
+import { createStorage } from './helpers/storage.js';
+
+describe('ConfigManager profiles', () => {
+    let storage;
+    let configManager;
+
+    beforeEach(async () => {
+        storage = createStorage();
+        storage.setItem('taskmaster-ui-config', JSON.stringify({
+            providers: [{ id: 'provider_1', name: 'FoApi', endpoint: 'https://fo.test', type: 'openai', apiKey: 'sk-fo' }],
+            models: [{ id: 'model_1', providerId: 'provider_1', modelId: 'fo-large', name: 'fo-large', maxTokens: 8000 }]
+        }));
+        configManager = new ConfigManager({ storage });
+        await configManager.loadConfiguration();
+    });
+
+    it('should start with the existing configuration as the default profile', () => {
+        expect(configManager.getProfiles()).toEqual([{ id: 'default', name: '默认', active: true }]);
+    });
+
+    it('should create, clone, rename and delete profiles', async () => {
+        const empty = await configManager.createProfile('离线');
+        const copy = await configManager.cloneProfile('default', '团队');
+
+        expect(configManager.readProfileConfiguration(empty.id)).toEqual({ providers: [], models: [] });
+        expect(configManager.readProfileConfiguration(copy.id).providers.map(provider => provider.name)).toEqual(['FoApi']);
+        await expect(configManager.createProfile('团队')).rejects.toThrow('配置方案"团队"已存在');
+        await expect(configManager.createProfile('  ')).rejects.toThrow('配置方案名称不能为空');
+
+        configManager.renameProfile(copy.id, '团队网关');
+        expect(configManager.getProfiles().map(profile => profile.name)).toEqual(['默认', '离线', '团队网关']);
+
+        expect(() => configManager.deleteProfile('default')).toThrow('默认配置方案不能删除');
+        configManager.deleteProfile(empty.id);
+        expect(configManager.getProfiles().map(profile => profile.id)).toEqual(['default', copy.id]);
+        expect(storage.getItem(ConfigManager.getStorageKey(null, empty.id))).toBeNull();
+    });
+
+    it('should keep providers separate per profile when switching', async () => {
+        const offline = await configManager.createProfile('离线');
+        await configManager.switchProfile(offline.id);
+        await configManager.addProvider({ name: 'Ollama', endpoint: 'http://localhost:11434/v1', type: 'openai', apiKey: '' });
+
+        expect(configManager.getActiveProfileId()).toBe(offline.id);
+        expect(() => configManager.deleteProfile(offline.id)).toThrow('不能删除当前使用的配置方案');
+
+        // 重新打开时恢复上次使用的方案
+        const reopened = new ConfigManager({ storage });
+        reopened.setWorkspace(null);
+        await reopened.loadConfiguration({ projectProviders: false });
+        expect(reopened.providers.map(provider => provider.name)).toEqual(['Ollama']);
+
+        await configManager.switchProfile('default');
+        expect(configManager.providers.map(provider => provider.name)).toEqual(['FoApi']);
+    });
+
+    it('should compare providers by name and models by provider and model ID', async () => {
+        const copy = await configManager.cloneProfile('default', '团队');
+        const stored = JSON.parse(storage.getItem(ConfigManager.getStorageKey(null, copy.id)));
+        stored.providers[0].endpoint = 'https://gateway.test';
+        stored.providers[0].apiKey = '';
+        stored.providers.push({ id: 'provider_2', name: 'BarApi', endpoint: 'https://bar.test', apiKey: '' });
+        stored.models[0].maxTokens = 16000;
+        storage.setItem(ConfigManager.getStorageKey(null, copy.id), JSON.stringify(stored));
+
+        const comparison = configManager.compareProfiles('default', copy.id);
+
+        expect(comparison.identical).toBe(false);
+        expect(comparison.providers).toEqual([
+            { key: 'BarApi', status: 'added', fields: [] },
+            {
+                key: 'FoApi',
+                status: 'changed',
+                fields: [
+                    { field: 'apiKey', left: '已填写', right: '未填写' },
+                    { field: 'endpoint', left: 'https://fo.test', right: 'https://gateway.test' }
+                ]
+            }
+        ]);
+        expect(comparison.models).toEqual([
+            { key: 'FoApi/fo-large', status: 'changed', fields: [{ field: 'maxTokens', left: 8000, right: 16000 }] }
+        ]);
+        expect(ConfigComparison.compare(stored, stored).identical).toBe(true);
+    });
+
+    it('should remove every profile of a workspace', async () => {
+        configManager.setWorkspace('workspace_a');
+        await configManager.createProfile('离线');
+        storage.setItem(ConfigManager.getStorageKey('workspace_a'), '{"providers":[],"models":[]}');
+
+        ConfigManager.removeStoredConfiguration(storage, 'workspace_a');
+
+        expect([...storage.data.keys()].filter(key => key.includes('workspace_a'))).toEqual([]);
+    });
+
+    it('should list profiles in the panel and apply on request', async () => {
+        const offline = await configManager.createProfile('离线');
+        const onApply = vi.fn();
+        const resolve = vi.fn();
+        const modal = new ProfilesPanel(configManager, { onApply }).createModal(resolve);
+
+        expect(modal.querySelector('[data-profile="default"] [data-action="delete-profile"]').disabled).toBe(true);
+        expect(modal.querySelectorAll('.profiles-compare-table tr[data-status="removed"]')).toHaveLength(2);
+
+        await modal.querySelector(`[data-profile="${offline.id}"] [data-action="apply-profile"]`).onclick();
+        expect(onApply).toHaveBeenCalledWith(offline.id);
+        expect(resolve).toHaveBeenCalled();
+    });
+});
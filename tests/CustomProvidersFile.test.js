@@ -0,0 +1,95 @@
+/**
+ * CustomProvidersFile.test.js
+ * Tests for the project-level custom provider definitions shared through .taskmaster/custom-providers.json
+ */
+
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { ConfigManager } from '../src/utils/configManager.js';
+import { CUSTOM_PROVIDERS_PATH } from '../src/utils/CustomProvidersFile.js';
+import { createStorage } from './helpers/storage.js';
+
+const FOAPI = { id: 'provider_foapi', name: 'FoApi', endpoint: 'https://api.foapi.test', apiKey: 'fo-secret', type: 'openai', isValid: true };
+const FOAPI_MODEL = { id: 'model_fo', name: 'Fo Large', providerId: 'provider_foapi', modelId: 'fo-large', sweScore: 40, maxTokens: 8192, allowedRoles: ['main'] };
+
+describe('CustomProvidersFile', () => {
+    let projectBackend;
+
+    function createConfigManager(storage = createStorage()) {
+        const configManager = new ConfigManager({ storage });
+        const saveConfig = new SaveConfig(configManager);
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+        configManager.setProjectStore(saveConfig.customProvidersFile);
+        return configManager;
+    }
+
+    beforeEach(() => {
+        projectBackend = new MemoryStorageBackend({}, 'project');
+    });
+
+    it('should save provider definitions without secrets', async () => {
+        const configManager = createConfigManager();
+        await configManager.addProvider({ ...FOAPI });
+        await configManager.addModel({ ...FOAPI_MODEL });
+
+        const content = await projectBackend.readFile(CUSTOM_PROVIDERS_PATH);
+        const definitions = JSON.parse(content);
+
+        expect(content).not.toContain('fo-secret');
+        expect(definitions.providers).toEqual([{
+            id: 'provider_foapi',
+            name: 'FoApi',
+            endpoint: 'https://api.foapi.test',
+            type: 'openai',
+            envVar: 'FOAPI_API_KEY',
+            models: [{ id: 'model_fo', name: 'Fo Large', modelId: 'fo-large', sweScore: 40, maxTokens: 8192, allowedRoles: ['main'] }]
+        }]);
+    });
+
+    it('should load providers from the file for a teammate without local configuration', async () => {
+        const author = createConfigManager();
+        await author.addProvider({ ...FOAPI });
+        await author.addModel({ ...FOAPI_MODEL });
+
+        const teammate = createConfigManager();
+        await teammate.loadConfiguration();
+
+        const [provider] = await teammate.getProviders();
+        expect(provider).toMatchObject({ name: 'FoApi', endpoint: 'https://api.foapi.test', apiKey: '', isValid: false });
+        expect(provider.models.map(model => model.modelId)).toEqual(['fo-large']);
+    });
+
+    it('should keep local API keys and default providers when the file changes', async () => {
+        const openai = { id: 'provider_openai', name: 'openai', endpoint: '', apiKey: 'sk-openai', type: 'openai' };
+        const storage = createStorage({
+            'taskmaster-ui-config': JSON.stringify({
+                providers: [openai, { ...FOAPI }, { id: 'provider_old', name: 'OldApi', apiKey: 'old' }],
+                models: [{ id: 'model_gpt', providerId: 'provider_openai', modelId: 'gpt-4o' }]
+            })
+        });
+        await projectBackend.writeFile(CUSTOM_PROVIDERS_PATH, JSON.stringify({
+            version: 1,
+            providers: [{ name: 'foapi', endpoint: 'https://v2.foapi.test', type: 'openai', models: [] }]
+        }));
+
+        const configManager = createConfigManager(storage);
+        await configManager.loadConfiguration();
+
+        expect(configManager.getAllProviders().map(provider => provider.name)).toEqual(['openai', 'foapi']);
+        expect(configManager.getAllProviders()[1]).toMatchObject({ id: 'provider_foapi', apiKey: 'fo-secret', endpoint: 'https://v2.foapi.test' });
+        expect(configManager.models.map(model => model.modelId)).toEqual(['gpt-4o']);
+    });
+
+    it('should keep the local configuration when the file is invalid', async () => {
+        const storage = createStorage({
+            'taskmaster-ui-config': JSON.stringify({ providers: [{ ...FOAPI }], models: [] })
+        });
+        await projectBackend.writeFile(CUSTOM_PROVIDERS_PATH, '{ not json');
+
+        const configManager = createConfigManager(storage);
+        await configManager.loadConfiguration();
+
+        expect((await configManager.getProviders()).map(provider => provider.name)).toEqual(['FoApi']);
+        await expect(configManager.loadProjectProviders()).rejects.toThrow('不是有效的JSON');
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * DotEnvFile.test.js
+ * Tests for reading and editing the project .env alongside the MCP client configs
+ */
+
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { ConfigManager } from '../src/utils/configManager.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+import { DotEnvFile } from '../src/utils/DotEnvFile.js';
+import { CustomProvidersFile } from '../src/utils/CustomProvidersFile.js';
+import { createStorage } from './helpers/storage.js';
+
+const ENV_CONTENT = [
+    '# Task Master keys',
+    'OPENAI_API_KEY=sk-openai # personal key',
+    '',
+    'export ANTHROPIC_API_KEY="sk-ant"',
+    "FOAPI_API_KEY='fo-old'",
+    'DEBUG=true',
+    ''
+].join('\n');
+
+describe('DotEnvFile', () => {
+    it('should parse plain, quoted and exported values', () => {
+        const envFile = new DotEnvFile(ENV_CONTENT);
+
+        expect(envFile.toObject()).toEqual({
+            OPENAI_API_KEY: 'sk-openai',
+            ANTHROPIC_API_KEY: 'sk-ant',
+            FOAPI_API_KEY: 'fo-old',
+            DEBUG: 'true'
+        });
+    });
+
+    it('should update, add and remove keys while keeping comments and order', () => {
+        const envFile = new DotEnvFile(ENV_CONTENT);
+
+        expect(envFile.set('ANTHROPIC_API_KEY', 'sk-ant-2')).toBe(true);
+        expect(envFile.set('DEBUG', 'true')).toBe(false);
+        envFile.set('NEW_API_KEY', 'has space');
+        envFile.delete('FOAPI_API_KEY');
+
+        expect(envFile.toString()).toBe([
+            '# Task Master keys',
+            'OPENAI_API_KEY=sk-openai # personal key',
+            '',
+            'export ANTHROPIC_API_KEY=sk-ant-2',
+            'DEBUG=true',
+            'NEW_API_KEY="has space"',
+            ''
+        ].join('\n'));
+    });
+
+    it('should keep CRLF line endings', () => {
+        const envFile = new DotEnvFile('A=1\r\nB=2\r\n');
+        envFile.set('B', '3');
+
+        expect(envFile.toString()).toBe('A=1\r\nB=3\r\n');
+    });
+
+    it('should keep inline comments on updated keys', () => {
+        const envFile = new DotEnvFile("A=1 # personal key\nB=\"2\"  # quoted\nC='3' #single\n");
+        envFile.set('A', 'sk-new');
+        envFile.set('B', 'has space');
+        envFile.set('C', '4');
+
+        expect(envFile.toString()).toBe("A=sk-new # personal key\nB=\"has space\"  # quoted\nC=4 #single\n");
+        expect(envFile.toObject()).toEqual({ A: 'sk-new', B: 'has space', C: '4' });
+    });
+
+    it('should leave the line endings of untouched lines alone', () => {
+        const envFile = new DotEnvFile('A=1\nB=2\r\nC=3\nD=4');
+        envFile.set('C', '5');
+        envFile.set('E', '6');
+
+        expect(envFile.toString()).toBe('A=1\nB=2\r\nC=5\nD=4\r\nE=6\r\n');
+
+        const unchanged = new DotEnvFile('A=1\r\nB=2');
+        expect(unchanged.set('A', '1')).toBe(false);
+        expect(unchanged.toString()).toBe('A=1\r\nB=2');
+    });
+});
+
+describe('TaskMasterFileManager .env sync', () => {
+    let configManager;
+    let saveConfig;
+    let projectBackend;
+    let fileManager;
+
+    beforeEach(() => {
+        configManager = new ConfigManager({ storage: createStorage() });
+        saveConfig = new SaveConfig(configManager);
+        projectBackend = new MemoryStorageBackend({ '.env': ENV_CONTENT }, 'project');
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+        fileManager = new TaskMasterFileManager(configManager, saveConfig);
+    });
+
+    it('should write API key updates to both .env and mcp.json', async () => {
+        const results = await fileManager.updateProviderApiKey('FoApi', 'fo-new');
+        const mcpConfig = JSON.parse(await projectBackend.readFile('.cursor/mcp.json'));
+
+        expect(results.success).toEqual(['mcp.json', '.env']);
+        expect(mcpConfig.mcpServers['taskmaster-ai'].env.FOAPI_API_KEY).toBe('fo-new');
+        expect(new DotEnvFile(await projectBackend.readFile('.env')).get('FOAPI_API_KEY')).toBe('fo-new');
+    });
+
+    it('should not write placeholder keys to .env', async () => {
+        expect(await fileManager.updateEnvFile('BarApi', '')).toBe(false);
+        expect(await projectBackend.readFile('.env')).toBe(ENV_CONTENT);
+    });
+
+    it('should remove the key from .env and read the remaining API keys', async () => {
+        expect(await fileManager.removeProviderFromEnvFile('FoApi')).toBe(true);
+        expect(await fileManager.removeProviderFromEnvFile('FoApi')).toBe(false);
+
+        expect(await fileManager.readEnvFileApiKeys()).toEqual({
+            OPENAI_API_KEY: 'sk-openai',
+            ANTHROPIC_API_KEY: 'sk-ant'
+        });
+    });
+
+    it('should prefill API keys from .env when loading project providers', async () => {
+        await projectBackend.writeFile('.taskmaster/custom-providers.json', JSON.stringify({
+            version: 1,
+            providers: [{ name: 'FoApi', endpoint: 'https://fo.example.com', type: 'openai', models: [] }]
+        }));
+        configManager.setProjectStore(new CustomProvidersFile(saveConfig));
+
+        await configManager.loadProjectProviders();
+
+        expect(configManager.providers.find(provider => provider.name === 'FoApi').apiKey).toBe('fo-old');
+    });
+});
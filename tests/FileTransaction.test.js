@@ -0,0 +1,166 @@
+/**
+ * FileTransaction.test.js
+ * Tests for journaling backends, multi-file transactions and rollback of provider file updates
+ */
+
+import { JournalingStorageBackend, MemoryStorageBackend, OverlayStorageBackend } from '../src/utils/StorageBackend.js';
+import { FileTransaction } from '../src/utils/FileTransaction.js';
+import { ChangePlan } from '../src/utils/ChangePlan.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+import { PACKAGE_FILES as BASE_PACKAGE_FILES, PROJECT_FILES } from './helpers/taskmasterFixtures.js';
+
+const PACKAGE_FILES = {
+    ...BASE_PACKAGE_FILES,
+    // 缺少keyMap和switch，更新config-manager.js的关键步骤会失败
+    'scripts/modules/config-manager.js': '// unsupported layout\n'
+};
+
+// 备份在事务之外写入，回滚后仍然保留
+function withoutBackups(files) {
+    return Object.fromEntries(Object.entries(files).filter(([filePath]) => !filePath.startsWith('.taskmaster-tool/')));
+}
+
+describe('JournalingStorageBackend', () => {
+    it('should restore modified files and remove created files on rollback', async () => {
+        const base = new MemoryStorageBackend({ 'a.txt': 'A', 'b.txt': 'B' });
+        const journal = new JournalingStorageBackend(base);
+
+        await journal.writeFile('a.txt', 'A1');
+        await journal.writeFile('a.txt', 'A2');
+        await journal.deleteFile('b.txt');
+        await journal.writeFile('dir/c.txt', 'C');
+
+        expect(journal.getTouchedFiles()).toEqual(['a.txt', 'b.txt', 'dir/c.txt']);
+        const result = await journal.rollback();
+
+        expect(result).toEqual({ restored: ['dir/c.txt', 'b.txt', 'a.txt'], failed: [] });
+        expect(base.toJSON()).toEqual({ 'a.txt': 'A', 'b.txt': 'B' });
+    });
+
+    it('should keep changes after the snapshots are discarded', async () => {
+        const base = new MemoryStorageBackend({ 'a.txt': 'A' });
+        const journal = new JournalingStorageBackend(base);
+
+        await journal.writeFile('a.txt', 'A1');
+        journal.discardSnapshots();
+
+        expect((await journal.rollback()).restored).toEqual([]);
+        expect(await base.readFile('a.txt')).toBe('A1');
+    });
+});
+
+describe('FileTransaction', () => {
+    it('should roll back every target and label restored files', async () => {
+        const packageBackend = new MemoryStorageBackend({ 'x.js': 'x' });
+        const projectBackend = new MemoryStorageBackend({});
+        const transaction = new FileTransaction(new Map([
+            ['taskmaster-package', packageBackend],
+            ['taskmaster-project', projectBackend]
+        ]));
+
+        await transaction.getBackend('taskmaster-package').writeFile('x.js', 'changed');
+        await transaction.getBackend('taskmaster-project').writeFile('.env', 'KEY=1');
+        const result = await transaction.rollback();
+
+        expect(result.restored).toEqual(['TaskMaster项目: .env', 'TaskMaster包: x.js']);
+        expect(packageBackend.toJSON()).toEqual({ 'x.js': 'x' });
+        expect(projectBackend.toJSON()).toEqual({});
+        expect(() => transaction.commit()).toThrow('事务已回滚');
+    });
+});
+
+describe('TaskMasterFileManager transactions', () => {
+    let saveConfig;
+    let packageBackend;
+    let projectBackend;
+    let fileManager;
+
+    beforeEach(() => {
+        saveConfig = new SaveConfig({});
+        packageBackend = new MemoryStorageBackend(PACKAGE_FILES, 'task-master-ai');
+        projectBackend = new MemoryStorageBackend(PROJECT_FILES, 'project');
+        saveConfig.directoryHandleCache.set('taskmaster-package', packageBackend);
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+        fileManager = new TaskMasterFileManager({}, saveConfig);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    const providerConfig = { name: 'FoApi', endpoint: 'https://api.foapi.test', apiKey: 'fo-key', type: 'openai' };
+
+    it('should restore all files when a critical update step fails', async () => {
+        const results = await fileManager.executeAllProviderUpdates('FoApi', providerConfig);
+
+        expect(results.rolledBack).toBe(true);
+        expect(results.success).toEqual([]);
+        expect(results.failed.length).toBeGreaterThan(0);
+        expect(results.warnings.some(warning => warning.includes('恢复到修改前的状态'))).toBe(true);
+        expect(packageBackend.toJSON()).toEqual(PACKAGE_FILES);
+        expect(withoutBackups(projectBackend.toJSON())).toEqual(PROJECT_FILES);
+    });
+
+    it('should remove the new provider file when its updates are rolled back', async () => {
+        const result = await fileManager.createProviderFileOnly('FoApi', providerConfig);
+
+        expect(result.created).toBe(false);
+        expect(result.reason).toBe('rolled_back');
+        expect(result.updateResults.rolledBack).toBe(true);
+        expect(await packageBackend.exists('src/ai-providers/foapi.js')).toBe(false);
+        expect(packageBackend.toJSON()).toEqual(PACKAGE_FILES);
+    });
+
+    it('should roll back and rethrow when an operation throws', async () => {
+        await expect(fileManager.runInTransaction(async manager => {
+            await manager.saveConfig.writeJavaScriptFileToPackage('src/ai-providers/index.js', 'broken');
+            throw new Error('boom');
+        }, () => false)).rejects.toThrow('boom');
+
+        expect(packageBackend.toJSON()).toEqual(PACKAGE_FILES);
+    });
+
+    it('should restore deleted files when provider deletion fails', async () => {
+        const completePackage = {
+            ...PACKAGE_FILES,
+            'src/ai-providers/foapi.js': '// provider',
+            'src/ai-providers/index.js': "export { OpenAIProvider } from './openai.js';\nexport { FoApiProvider } from './foapi.js';"
+        };
+        packageBackend = new MemoryStorageBackend(completePackage, 'task-master-ai');
+        saveConfig.directoryHandleCache.set('taskmaster-package', packageBackend);
+        vi.spyOn(TaskMasterFileManager.prototype, 'removeProviderFromConfigManager')
+            .mockRejectedValue(new Error('config-manager.js 写入失败'));
+
+        const result = await fileManager.deleteProviderFromTaskMaster('FoApi');
+
+        expect(result.success).toBe(false);
+        expect(result.rolledBack).toBe(true);
+        expect(result.deletedFiles).toEqual([]);
+        expect(packageBackend.toJSON()).toEqual(completePackage);
+    });
+});
+
+describe('ChangePlan transactional apply', () => {
+    it('should restore already written roots when a later root fails', async () => {
+        const packageBackend = new MemoryStorageBackend({ 'a.js': 'a' });
+        const projectBackend = new MemoryStorageBackend({ 'b.json': '{}' });
+        const packageOverlay = new OverlayStorageBackend(packageBackend);
+        const projectOverlay = new OverlayStorageBackend(projectBackend);
+        await packageOverlay.writeFile('a.js', 'a2');
+        await projectOverlay.writeFile('b.json', '{"x":1}');
+        // 生成计划后项目文件被外部修改，提交时冲突
+        await projectBackend.writeFile('b.json', '{"y":2}');
+
+        const plan = new ChangePlan(new Map([
+            ['taskmaster-package', packageOverlay],
+            ['taskmaster-project', projectOverlay]
+        ]));
+        const results = await plan.apply();
+
+        expect(results.success).toEqual([]);
+        expect(results.failed).toEqual([{ file: 'TaskMaster项目', error: expect.stringContaining('b.json') }]);
+        expect(await packageBackend.readFile('a.js')).toBe('a');
+        expect(await projectBackend.readFile('b.json')).toBe('{"y":2}');
+    });
+});
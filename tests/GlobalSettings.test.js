@@ -0,0 +1,104 @@
+/**
+ * GlobalSettings.test.js
+ * Tests for the schema-driven editor of the "global" section of .taskmaster/config.json
+ */
+
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+import { GlobalSettings } from '../src/utils/GlobalSettings.js';
+import { TASKMASTER_CONFIG_PATH } from '../src/utils/TaskMasterConfigFile.js';
+import { GlobalSettingsPanel } from '../src/components/GlobalSettingsPanel.js';
+
+const TASKMASTER_CONFIG = {
+    models: { main: { provider: 'anthropic', modelId: 'claude-sonnet', maxTokens: 64000, temperature: 0.2 } },
+    global: {
+        logLevel: 'info',
+        debug: false,
+        defaultSubtasks: 5,
+        defaultPriority: 'medium',
+        projectName: 'Demo',
+        ollamaBaseURL: 'http://localhost:11434/api',
+        userId: '1234567890'
+    }
+};
+
+describe('GlobalSettings', () => {
+    let projectBackend;
+    let saveConfig;
+    let globalSettings;
+
+    beforeEach(() => {
+        saveConfig = new SaveConfig({});
+        projectBackend = new MemoryStorageBackend({
+            [TASKMASTER_CONFIG_PATH]: JSON.stringify(TASKMASTER_CONFIG, null, 2)
+        }, 'project');
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+        globalSettings = new GlobalSettings(saveConfig);
+    });
+
+    it('should validate enum values, numeric ranges and URLs', () => {
+        expect(GlobalSettings.validate(TASKMASTER_CONFIG.global)).toEqual({});
+        expect(GlobalSettings.validate({
+            logLevel: 'verbose',
+            debug: 'yes',
+            defaultSubtasks: 0,
+            defaultTag: 'feature branch',
+            azureBaseURL: 'ftp://azure.test',
+            bedrockBaseURL: 'https://'
+        })).toEqual({
+            logLevel: '日志级别必须是 debug / info / warn / error 之一',
+            debug: '调试模式必须是true或false',
+            defaultSubtasks: '默认子任务数量必须在1到20之间',
+            defaultTag: '默认标签只能包含字母、数字、连字符和下划线',
+            azureBaseURL: 'Azure Base URL必须是http或https地址',
+            bedrockBaseURL: 'Bedrock Base URL不是有效的URL'
+        });
+    });
+
+    it('should write the schema fields and keep unknown keys', async () => {
+        const { userId, ollamaBaseURL, ...known } = TASKMASTER_CONFIG.global;
+        expect(ollamaBaseURL).toBeDefined();
+
+        const written = await globalSettings.write({ ...known, logLevel: 'debug', defaultTag: 'master' });
+
+        const config = JSON.parse(await projectBackend.readFile(TASKMASTER_CONFIG_PATH));
+        expect(written).toBe(true);
+        expect(config.models).toEqual(TASKMASTER_CONFIG.models);
+        expect(config.global).toEqual({ ...known, logLevel: 'debug', defaultTag: 'master', userId });
+        expect(await globalSettings.write({ ...known, logLevel: 'debug', defaultTag: 'master' })).toBe(false);
+    });
+
+    it('should refuse invalid values and report them through the file manager', async () => {
+        const results = await new TaskMasterFileManager({}, saveConfig)
+            .updateGlobalSettings({ ...TASKMASTER_CONFIG.global, defaultSubtasks: 50 });
+
+        expect(results.failed).toEqual([{ file: TASKMASTER_CONFIG_PATH, error: '默认子任务数量必须在1到20之间' }]);
+        expect(JSON.parse(await projectBackend.readFile(TASKMASTER_CONFIG_PATH))).toEqual(TASKMASTER_CONFIG);
+    });
+
+    it('should generate the form from the schema and show field errors', async () => {
+        const resolve = vi.fn();
+        const panel = new GlobalSettingsPanel({}, saveConfig);
+        panel.reviewSettings = vi.fn();
+        const modal = panel.createModal(TASKMASTER_CONFIG.global, resolve);
+
+        expect([...modal.querySelectorAll('select[name="defaultPriority"] option')].map(option => option.value))
+            .toEqual(['', 'high', 'medium', 'low']);
+        expect(modal.querySelector('input[name="defaultSubtasks"]').value).toBe('5');
+        expect(modal.querySelector('.global-settings-others').textContent).toContain('userId');
+
+        modal.querySelector('input[name="azureBaseURL"]').value = 'not a url';
+        await modal.querySelector('[data-action="save-global"]').onclick();
+        expect(modal.querySelector('[data-error-for="azureBaseURL"]').textContent).toBe('Azure Base URL必须是http或https地址');
+        expect(panel.reviewSettings).not.toHaveBeenCalled();
+
+        modal.querySelector('input[name="azureBaseURL"]').value = '';
+        modal.querySelector('input[name="projectName"]').value = 'Renamed';
+        await modal.querySelector('[data-action="save-global"]').onclick();
+        const { userId, ...known } = TASKMASTER_CONFIG.global;
+        expect(userId).toBeDefined();
+        expect(panel.reviewSettings).toHaveBeenCalledWith({ ...known, projectName: 'Renamed' });
+        expect(resolve).toHaveBeenCalled();
+    });
+});
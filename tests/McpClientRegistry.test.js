@@ -0,0 +1,115 @@
+/**
+ * McpClientRegistry.test.js
+ * Tests for writing API keys to every detected MCP client config (Cursor, Roo, Windsurf, VS Code, Claude)
+ */
+
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { ConfigManager } from '../src/utils/configManager.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+import { McpClientRegistry } from '../src/utils/McpClientRegistry.js';
+import { ProviderDoctor } from '../src/utils/ProviderDoctor.js';
+import { McpClientsPanel } from '../src/components/McpClientsPanel.js';
+import { createStorage } from './helpers/storage.js';
+
+const PROJECT_FILES = {
+    '.cursor/mcp.json': JSON.stringify({ mcpServers: { 'task-master-ai': { env: { OPENAI_API_KEY: 'sk-cursor' } } } }, null, 2),
+    '.vscode/mcp.json': JSON.stringify({ servers: { 'task-master-ai': { type: 'stdio', env: {} } } }, null, 2),
+    '.mcp.json': JSON.stringify({ mcpServers: { 'taskmaster-ai': { env: { OPENAI_API_KEY: 'sk-claude' } } } }, null, 2)
+};
+
+describe('McpClientRegistry', () => {
+    let saveConfig;
+    let configManager;
+    let projectBackend;
+    let fileManager;
+    let registry;
+
+    async function readEnv(path) {
+        const client = (await registry.detect()).find(item => item.path === path);
+        return McpClientRegistry.getEnv(JSON.parse(await projectBackend.readFile(path)), client);
+    }
+
+    beforeEach(() => {
+        configManager = new ConfigManager({ storage: createStorage() });
+        saveConfig = new SaveConfig(configManager);
+        projectBackend = new MemoryStorageBackend(PROJECT_FILES, 'project');
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+        fileManager = new TaskMasterFileManager(configManager, saveConfig);
+        registry = new McpClientRegistry(saveConfig);
+    });
+
+    it('should detect the client configs present in the project', async () => {
+        const clients = await registry.detect();
+
+        expect(clients.filter(client => client.exists).map(client => client.id)).toEqual(['cursor', 'vscode', 'claude']);
+        expect(clients.every(client => client.enabled)).toBe(true);
+    });
+
+    it('should write API keys to every detected client in its own format', async () => {
+        expect(await fileManager.updateMCPConfigFile('FoApi', 'fo-key')).toBe(true);
+
+        expect((await readEnv('.cursor/mcp.json')).FOAPI_API_KEY).toBe('fo-key');
+        expect((await readEnv('.vscode/mcp.json')).FOAPI_API_KEY).toBe('fo-key');
+        expect((await readEnv('.mcp.json')).FOAPI_API_KEY).toBe('fo-key');
+        expect(await projectBackend.exists('.roo/mcp.json')).toBe(false);
+    });
+
+    it('should skip clients that are disabled', async () => {
+        configManager.setMcpClientEnabled('vscode', false);
+
+        await fileManager.updateMCPConfigFile('FoApi', 'fo-key');
+
+        expect((await readEnv('.cursor/mcp.json')).FOAPI_API_KEY).toBe('fo-key');
+        expect(await projectBackend.readFile('.vscode/mcp.json')).toBe(PROJECT_FILES['.vscode/mcp.json']);
+    });
+
+    it('should remove API keys from every client that has them', async () => {
+        await fileManager.updateMCPConfigFile('FoApi', 'fo-key');
+
+        const removedFrom = await fileManager.removeProviderFromMCPConfig('FoApi');
+
+        expect(removedFrom).toEqual(['.cursor/mcp.json', '.vscode/mcp.json', '.mcp.json']);
+        expect(await readEnv('.vscode/mcp.json')).toEqual({});
+    });
+
+    it('should create .cursor/mcp.json when the project has no client config', async () => {
+        projectBackend = new MemoryStorageBackend({}, 'project');
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+
+        await fileManager.updateMCPConfigFile('FoApi', 'fo-key');
+
+        expect(await projectBackend.listDirectory('.')).toEqual([{ name: '.cursor', kind: 'directory' }]);
+        expect((await readEnv('.cursor/mcp.json')).FOAPI_API_KEY).toBe('fo-key');
+    });
+
+    it('should merge keys from all clients with the first client taking precedence', async () => {
+        const { env, sources } = await registry.readEnv();
+
+        expect(env).toEqual({ OPENAI_API_KEY: 'sk-cursor' });
+        expect(sources).toEqual(['.cursor/mcp.json', '.vscode/mcp.json', '.mcp.json']);
+    });
+
+    it('should report clients missing a key in the doctor check', async () => {
+        saveConfig.directoryHandleCache.set('taskmaster-package', new MemoryStorageBackend({}, 'task-master-ai'));
+        await fileManager.updateMCPConfigFile('FoApi', 'fo-key');
+        await projectBackend.writeFile('.vscode/mcp.json', PROJECT_FILES['.vscode/mcp.json']);
+
+        const report = await new ProviderDoctor(fileManager).diagnose({ providers: [{ name: 'FoApi' }] });
+        const mcpCheck = report.providers[0].checks.find(check => check.id === 'mcp-env');
+
+        expect(mcpCheck.ok).toBe(false);
+        expect(mcpCheck.message).toBe('.vscode/mcp.json 的TaskMaster服务器env中缺少 FOAPI_API_KEY');
+    });
+
+    it('should toggle clients from the panel', async () => {
+        const modal = new McpClientsPanel(configManager, saveConfig).createModal(await registry.detect(), vi.fn());
+        const input = modal.querySelector('[data-client="claude"] input');
+
+        expect(modal.querySelector('[data-client="roo"]').className).toBe('missing');
+        input.checked = false;
+        input.onchange();
+
+        expect(configManager.getMcpClientSettings()).toEqual({ claude: false });
+    });
+});
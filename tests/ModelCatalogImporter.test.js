@@ -0,0 +1,174 @@
+/**
+ * ModelCatalogImporter.test.js
+ * Tests for importing providers and models from LiteLLM config.yaml and OpenRouter models.json catalogs
+ */
+
+import { ModelCatalogImporter } from '../src/utils/ModelCatalogImporter.js';
+import { YamlReader } from '../src/utils/YamlReader.js';
+import { ConfigManager } from '../src/utils/configManager.js';
+import { ModelCatalogPanel } from '../src/components/ModelCatalogPanel.js';
+import { createStorage } from './helpers/storage.js';
+
+const LITELLM_CONFIG = `# 平台团队维护的模型列表
+model_list:
+  - model_name: GPT-4o
+    litellm_params:
+      model: openai/gpt-4o
+      api_base: https://llm-gateway.corp.example/v1
+      api_key: os.environ/CORP_GATEWAY_KEY
+    model_info:
+      max_input_tokens: 128000
+      input_cost_per_token: 2.5e-06
+      output_cost_per_token: 0.00001
+  - model_name: GPT-4o   # 第二个部署，负载均衡
+    litellm_params:
+      model: openai/gpt-4o
+      api_base: https://llm-gateway.corp.example/v1
+  - model_name: "Claude Sonnet"
+    litellm_params:
+      model: anthropic/claude-sonnet-4
+      input_cost_per_token: 0.000003
+      output_cost_per_token: 0.000015
+    model_info:
+      max_tokens: 200000
+  - model_name: broken
+    litellm_params: {}
+litellm_settings:
+  drop_params: true
+`;
+
+const OPENROUTER_MODELS = {
+    data: [
+        {
+            id: 'deepseek/deepseek-chat',
+            name: 'DeepSeek: DeepSeek V3',
+            context_length: 163840,
+            pricing: { prompt: '0.00000038', completion: '0.00000089' }
+        },
+        { id: 'openai/gpt-4o', name: 'OpenAI: GPT-4o', context_length: 128000, pricing: { prompt: '0.0000025', completion: '0.00001' } },
+        { name: 'missing id' }
+    ]
+};
+
+describe('ModelCatalogImporter', () => {
+    it('should read the YAML subset used by LiteLLM configs and report unsupported syntax by line', () => {
+        expect(YamlReader.parse('a:\n  - x: 1\n    y: [b, "c d"]\n  - plain\nb: \'it\'\'s\'')).toEqual({
+            a: [{ x: 1, y: ['b', 'c d'] }, 'plain'],
+            b: 'it\'s'
+        });
+        expect(() => YamlReader.parse('model_list:\n  - &base\n    model: x')).toThrow('YAML第2行: 不支持锚点、标签或多行文本');
+        expect(() => YamlReader.parse('a: 1\n   b: 2')).toThrow('YAML第2行: 缩进不正确');
+    });
+
+    it('should map LiteLLM model_list entries to providers and models', () => {
+        const catalog = ModelCatalogImporter.parse(LITELLM_CONFIG);
+
+        expect(catalog.format).toBe('litellm');
+        expect(catalog.providers).toEqual([
+            { name: 'llm-gateway', endpoint: 'https://llm-gateway.corp.example/v1', type: 'openai', envVar: 'CORP_GATEWAY_KEY', apiKey: '' },
+            { name: 'anthropic', endpoint: 'https://api.anthropic.com/v1', type: 'anthropic', envVar: undefined, apiKey: '' }
+        ]);
+        expect(catalog.models).toEqual([
+            { providerName: 'llm-gateway', modelId: 'gpt-4o', name: 'GPT-4o', maxTokens: 128000, costPer1MTokens: { input: 2.5, output: 10 } },
+            { providerName: 'anthropic', modelId: 'claude-sonnet-4', name: 'Claude Sonnet', maxTokens: 200000, costPer1MTokens: { input: 3, output: 15 } }
+        ]);
+        expect(catalog.warnings).toEqual(['model_list[3]: 缺少 litellm_params.model，已跳过']);
+    });
+
+    it('should keep LiteLLM providers apart by api_base and type', () => {
+        const catalog = ModelCatalogImporter.parse([
+            'model_list:',
+            '  - model_name: a',
+            '    litellm_params: { model: openai/gpt-4o, api_base: https://gateway.team-a.example/v1 }',
+            '  - model_name: b',
+            '    litellm_params: { model: openai/gpt-4o, api_base: https://gateway.team-b.example/v1 }',
+            '  - model_name: c',
+            '    litellm_params: { model: anthropic/claude-sonnet-4, api_base: https://gateway.team-a.example/v1 }',
+            '  - model_name: d',
+            '    litellm_params: { model: openai/gpt-4o-mini, api_base: "https://gateway.team-a.example/v1/" }',
+            '  - model_name: e',
+            '    litellm_params: { model: openai/gpt-4o }'
+        ].join('\n'));
+
+        expect(catalog.providers.map(provider => [provider.name, provider.endpoint, provider.type])).toEqual([
+            ['gateway', 'https://gateway.team-a.example/v1', 'openai'],
+            ['gateway-2', 'https://gateway.team-b.example/v1', 'openai'],
+            ['gateway-3', 'https://gateway.team-a.example/v1', 'anthropic'],
+            ['openai', 'https://api.openai.com/v1', 'openai']
+        ]);
+        expect(catalog.models.map(model => `${model.providerName}/${model.modelId}`)).toEqual([
+            'gateway/gpt-4o', 'gateway-2/gpt-4o', 'gateway-3/claude-sonnet-4', 'gateway/gpt-4o-mini', 'openai/gpt-4o'
+        ]);
+    });
+
+    it('should map OpenRouter models to an OpenRouter provider', () => {
+        const catalog = ModelCatalogImporter.parse(JSON.stringify(OPENROUTER_MODELS));
+
+        expect(catalog.providers).toEqual([
+            { name: 'openrouter', endpoint: 'https://openrouter.ai/api/v1', type: 'openai', envVar: 'OPENROUTER_API_KEY', apiKey: '' }
+        ]);
+        expect(catalog.models[0]).toEqual({
+            providerName: 'openrouter',
+            modelId: 'deepseek/deepseek-chat',
+            name: 'DeepSeek: DeepSeek V3',
+            maxTokens: 163840,
+            costPer1MTokens: { input: 0.38, output: 0.89 }
+        });
+        expect(catalog.warnings).toEqual(['data[2]: 缺少 id，已跳过']);
+        expect(() => ModelCatalogImporter.parse('{"models": []}')).toThrow('无法识别的模型目录格式');
+    });
+
+    it('should preview existing entries and add only the selected models', async () => {
+        const configManager = new ConfigManager({ storage: createStorage() });
+        await configManager.addProvider({ id: 'provider_1', name: 'OpenRouter', endpoint: 'https://openrouter.ai/api/v1', type: 'openai', apiKey: '' });
+        await configManager.addModel({ id: 'model_1', providerId: 'provider_1', modelId: 'openai/gpt-4o', name: 'GPT-4o' });
+
+        const preview = ModelCatalogImporter.preview(ModelCatalogImporter.parse(JSON.stringify(OPENROUTER_MODELS)), configManager);
+        expect(preview.providers[0].existing.id).toBe('provider_1');
+        expect(preview.models.map(model => model.status)).toEqual(['new', 'exists']);
+
+        const resolve = vi.fn();
+        const panel = new ModelCatalogPanel(configManager);
+        const modal = panel.createModal(preview, 'models.json', resolve);
+        const checkboxes = modal.querySelectorAll('input[name="catalog-model"]');
+        expect([...checkboxes].map(checkbox => [checkbox.checked, checkbox.disabled])).toEqual([[true, false], [false, true]]);
+        expect(modal.querySelector('[data-action="confirm-catalog"]').textContent).toBe('添加所选模型 (1)');
+        modal.querySelector('[data-action="confirm-catalog"]').onclick();
+        expect(resolve).toHaveBeenCalledWith([0]);
+
+        const results = await panel.importSelection(preview, [0, 1], 'models.json');
+        expect(results).toEqual({ success: ['deepseek/deepseek-chat'], failed: [], warnings: [] });
+        expect(configManager.models[1]).toMatchObject({
+            providerId: 'provider_1', modelId: 'deepseek/deepseek-chat', maxTokens: 163840, allowedRoles: ['main', 'fallback']
+        });
+        expect(configManager.history.list().map(step => step.label).pop()).toBe('导入模型目录 models.json');
+    });
+
+    it('should create new providers through onAddProvider and import each added model', async () => {
+        const configManager = new ConfigManager({ storage: createStorage() });
+        const onAddProvider = vi.fn(async (provider) => {
+            if (provider.name === 'anthropic') {
+                return false;
+            }
+            await configManager.addProvider(provider);
+            return true;
+        });
+        const onImportModel = vi.fn().mockRejectedValueOnce(new Error('TaskMaster包目录不可用'));
+        const panel = new ModelCatalogPanel(configManager, { onAddProvider, onImportModel });
+
+        const preview = ModelCatalogImporter.preview(ModelCatalogImporter.parse(LITELLM_CONFIG), configManager);
+        const results = await panel.importSelection(preview, [0, 1], 'config.yaml');
+
+        expect(onAddProvider.mock.calls.map(([provider]) => provider)).toEqual([
+            expect.objectContaining({ name: 'llm-gateway', envVar: 'CORP_GATEWAY_KEY' }),
+            expect.objectContaining({ name: 'anthropic' })
+        ]);
+        expect(configManager.models.map(model => model.modelId)).toEqual(['gpt-4o']);
+        expect(onImportModel).toHaveBeenCalledWith(configManager.models[0].id);
+        expect(results).toEqual({
+            success: [],
+            failed: [{ name: 'gpt-4o', error: '已添加，但导入TaskMaster失败: TaskMaster包目录不可用' }],
+            warnings: ['已取消添加供应商 anthropic，其模型未导入']
+        });
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * ModelRoles.test.js
+ * Tests for the role assignment editor that writes the models section of .taskmaster/config.json
+ */
+
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+import { ModelRoles } from '../src/utils/ModelRoles.js';
+import { TASKMASTER_CONFIG_PATH } from '../src/utils/TaskMasterConfigFile.js';
+import { ModelRolesPanel } from '../src/components/ModelRolesPanel.js';
+
+const SUPPORTED_MODELS = {
+    anthropic: [
+        { id: 'claude-sonnet', allowed_roles: ['main', 'fallback'], max_tokens: 64000 }
+    ],
+    perplexity: [
+        { id: 'sonar-pro', allowed_roles: ['main', 'research'], max_tokens: 8700 }
+    ]
+};
+
+const TASKMASTER_CONFIG = {
+    models: {
+        main: { provider: 'anthropic', modelId: 'claude-sonnet', maxTokens: 64000, temperature: 0.2 },
+        research: { provider: 'perplexity', modelId: 'sonar-pro', maxTokens: 8700, temperature: 0.1, baseURL: 'https://proxy.test' }
+    },
+    global: { logLevel: 'info', projectName: 'Demo' }
+};
+
+describe('ModelRoles', () => {
+    let projectBackend;
+    let saveConfig;
+    let modelRoles;
+
+    beforeEach(() => {
+        saveConfig = new SaveConfig({});
+        projectBackend = new MemoryStorageBackend({
+            [TASKMASTER_CONFIG_PATH]: JSON.stringify(TASKMASTER_CONFIG, null, 2) + '\n'
+        }, 'project');
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+        saveConfig.directoryHandleCache.set('taskmaster-package', new MemoryStorageBackend({
+            'scripts/modules/supported-models.json': JSON.stringify(SUPPORTED_MODELS)
+        }, 'task-master-ai'));
+        modelRoles = new ModelRoles(saveConfig);
+    });
+
+    it('should list only models whose allowed roles include the role', () => {
+        expect(ModelRoles.getEligibleModels(SUPPORTED_MODELS, 'research').map(model => model.modelId)).toEqual(['sonar-pro']);
+        expect(ModelRoles.getEligibleModels(SUPPORTED_MODELS, 'main')).toEqual([
+            { provider: 'anthropic', modelId: 'claude-sonnet', maxTokens: 64000, sweScore: null },
+            { provider: 'perplexity', modelId: 'sonar-pro', maxTokens: 8700, sweScore: null }
+        ]);
+    });
+
+    it('should validate the model, its allowed roles, maxTokens and temperature', () => {
+        const assignment = { provider: 'perplexity', modelId: 'sonar-pro', maxTokens: 8700, temperature: 0.1 };
+
+        expect(ModelRoles.validateRole('research', assignment, SUPPORTED_MODELS)).toEqual([]);
+        expect(ModelRoles.validateRole('research', { ...assignment, maxTokens: 9000 }, SUPPORTED_MODELS))
+            .toEqual(['研究模型：maxTokens不能超过模型的max_tokens（8700）']);
+        expect(ModelRoles.validateRole('fallback', { ...assignment, maxTokens: 0, temperature: 3 }, SUPPORTED_MODELS)).toEqual([
+            '备用模型：模型 sonar-pro 不允许用于 fallback 角色',
+            '备用模型：maxTokens必须是正整数',
+            '备用模型：temperature必须在0到2之间'
+        ]);
+    });
+
+    it('should update only the role fields and keep the rest of config.json', async () => {
+        const written = await modelRoles.writeRoles({
+            research: { provider: 'perplexity', modelId: 'sonar-pro', maxTokens: 4000, temperature: 0.3 },
+            fallback: { provider: 'anthropic', modelId: 'claude-sonnet', maxTokens: 32000, temperature: 0 }
+        });
+
+        const content = await projectBackend.readFile(TASKMASTER_CONFIG_PATH);
+        const config = JSON.parse(content);
+        expect(written).toBe(true);
+        expect(content.endsWith('}\n')).toBe(true);
+        expect(config.global).toEqual(TASKMASTER_CONFIG.global);
+        expect(config.models.main).toEqual(TASKMASTER_CONFIG.models.main);
+        expect(config.models.research).toEqual({
+            provider: 'perplexity', modelId: 'sonar-pro', maxTokens: 4000, temperature: 0.3, baseURL: 'https://proxy.test'
+        });
+        expect(config.models.fallback.maxTokens).toBe(32000);
+        expect(await modelRoles.writeRoles({ fallback: config.models.fallback })).toBe(false);
+    });
+
+    it('should refuse invalid roles and a missing config.json', async () => {
+        await expect(modelRoles.writeRoles({
+            research: { provider: 'perplexity', modelId: 'sonar-pro', maxTokens: 9000, temperature: 0.1 }
+        })).rejects.toThrow('max_tokens（8700）');
+        expect(JSON.parse(await projectBackend.readFile(TASKMASTER_CONFIG_PATH))).toEqual(TASKMASTER_CONFIG);
+
+        await projectBackend.deleteFile(TASKMASTER_CONFIG_PATH);
+        const results = await new TaskMasterFileManager({}, saveConfig).updateModelRoles({ main: TASKMASTER_CONFIG.models.main });
+        expect(results.failed).toEqual([{ file: TASKMASTER_CONFIG_PATH, error: expect.stringContaining('task-master init') }]);
+    });
+
+    it('should plan a role update without writing config.json', async () => {
+        const plan = await new TaskMasterFileManager({}, saveConfig).planModelRolesUpdate({
+            main: { ...TASKMASTER_CONFIG.models.main, temperature: 0.5 }
+        });
+
+        expect(plan.getChanges().map(change => change.path)).toEqual([TASKMASTER_CONFIG_PATH]);
+        expect(JSON.parse(await projectBackend.readFile(TASKMASTER_CONFIG_PATH)).models.main.temperature).toBe(0.2);
+    });
+
+    it('should list eligible models in the panel and report validation errors', async () => {
+        const resolve = vi.fn();
+        const panel = new ModelRolesPanel({}, saveConfig);
+        panel.reviewRoles = vi.fn();
+        const modal = panel.createModal({ roles: TASKMASTER_CONFIG.models, supportedModels: SUPPORTED_MODELS }, resolve);
+
+        const research = modal.querySelector('[data-role="research"]');
+        expect([...research.querySelectorAll('option')].map(option => option.value)).toEqual(['', 'perplexity/sonar-pro']);
+        expect(research.querySelector('input[name="maxTokens"]').max).toBe('8700');
+
+        research.querySelector('input[name="maxTokens"]').value = '9000';
+        await modal.querySelector('[data-action="save-roles"]').onclick();
+        expect(modal.querySelector('.roles-errors').textContent).toContain('max_tokens（8700）');
+        expect(panel.reviewRoles).not.toHaveBeenCalled();
+
+        research.querySelector('input[name="maxTokens"]').value = '2048';
+        await modal.querySelector('[data-action="save-roles"]').onclick();
+        expect(panel.reviewRoles).toHaveBeenCalledWith({
+            research: { provider: 'perplexity', modelId: 'sonar-pro', maxTokens: 2048, temperature: 0.1 }
+        });
+        expect(resolve).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,244 @@
+/**
+ * ProviderDoctor.test.js
+ * Tests for the provider consistency checker: missing registrations, orphans and repair
+ */
+
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+import { ProviderDoctor } from '../src/utils/ProviderDoctor.js';
+import { ProviderDoctorPanel } from '../src/components/ProviderDoctorPanel.js';
+import { PACKAGE_FILES as BASE_PACKAGE_FILES, PROJECT_FILES, INIT_JS_WITH_MCP_TEMPLATE } from './helpers/taskmasterFixtures.js';
+
+const PACKAGE_FILES = {
+    ...BASE_PACKAGE_FILES,
+    'src/ai-providers/openai.js': 'export class OpenAIProvider {}\n',
+    'scripts/init.js': INIT_JS_WITH_MCP_TEMPLATE
+};
+
+const FOAPI = { id: 'provider_foapi', name: 'foapi', endpoint: 'https://api.foapi.com', apiKey: 'sk-foapi' };
+
+function createConfigManager(providers) {
+    return {
+        getProviders: async () => providers,
+        getDefaultProviderNames: () => ['openai'],
+        getProjectPath: () => null
+    };
+}
+
+describe('ProviderDoctor', () => {
+    let saveConfig;
+    let packageBackend;
+    let projectBackend;
+    let fileManager;
+    let doctor;
+
+    beforeEach(async () => {
+        saveConfig = new SaveConfig({});
+        packageBackend = new MemoryStorageBackend(PACKAGE_FILES, 'task-master-ai');
+        projectBackend = new MemoryStorageBackend(PROJECT_FILES, 'project');
+        saveConfig.directoryHandleCache.set('taskmaster-package', packageBackend);
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+
+        fileManager = new TaskMasterFileManager(createConfigManager([FOAPI]), saveConfig);
+        await fileManager.createProviderFileOnly('foapi', FOAPI);
+        doctor = new ProviderDoctor(fileManager);
+    });
+
+    it('should report a fully registered provider as healthy', async () => {
+        const report = await doctor.diagnose();
+
+        expect(report.healthy).toBe(true);
+        expect(report.providers[0].checks.map(check => check.id)).toEqual([
+            'provider-file', 'index-export', 'unified-import', 'unified-providers', 'unified-keymap',
+            'config-keymap', 'config-switch', 'supported-models', 'init-env', 'mcp-env'
+        ]);
+    });
+
+    it('should report each missing registration', async () => {
+        await packageBackend.writeFile('scripts/modules/config-manager.js', PACKAGE_FILES['scripts/modules/config-manager.js']);
+        await packageBackend.writeFile('scripts/init.js', PACKAGE_FILES['scripts/init.js']);
+
+        const report = await doctor.diagnose();
+        const failed = report.providers[0].checks.filter(check => !check.ok);
+
+        expect(report.healthy).toBe(false);
+        expect(report.issueCount).toBe(3);
+        expect(failed.map(check => check.id)).toEqual(['config-keymap', 'config-switch', 'init-env']);
+        expect(failed[1].message).toContain("case 'foapi'");
+    });
+
+    it('should report unparsable files without aborting the other checks', async () => {
+        await packageBackend.writeFile('scripts/modules/ai-services-unified.js', 'const PROVIDERS = {');
+
+        const [provider] = (await doctor.diagnose()).providers;
+        const unifiedChecks = provider.checks.filter(check => check.id.startsWith('unified-'));
+
+        expect(unifiedChecks.every(check => !check.ok && check.message.includes('无法解析'))).toBe(true);
+        expect(provider.checks.find(check => check.id === 'config-switch').ok).toBe(true);
+    });
+
+    it('should skip the MCP check when no project directory is selected', async () => {
+        saveConfig.directoryHandleCache.delete('taskmaster-project');
+
+        const mcpCheck = (await doctor.diagnose()).providers[0].checks.find(check => check.id === 'mcp-env');
+
+        expect(mcpCheck).toMatchObject({ ok: true, skipped: true });
+    });
+
+    it('should repair all missing registrations in one transaction', async () => {
+        await packageBackend.writeFile('scripts/modules/config-manager.js', PACKAGE_FILES['scripts/modules/config-manager.js']);
+        await packageBackend.deleteFile('src/ai-providers/foapi.js');
+
+        const results = await doctor.repair(await doctor.diagnose());
+
+        expect(results.failed).toEqual([]);
+        expect(results.success).toEqual(['foapi: src/ai-providers/foapi.js', 'foapi: config-manager.js']);
+        expect(await packageBackend.readFile('src/ai-providers/foapi.js')).toContain('https://api.foapi.com');
+        expect((await doctor.diagnose()).healthy).toBe(true);
+    });
+
+    it('should plan a repair without writing files', async () => {
+        await packageBackend.writeFile('scripts/init.js', PACKAGE_FILES['scripts/init.js']);
+
+        const plan = await doctor.planRepair(await doctor.diagnose());
+
+        expect(plan.getChanges().map(change => change.path)).toEqual(['scripts/init.js']);
+        expect(await packageBackend.readFile('scripts/init.js')).toBe(PACKAGE_FILES['scripts/init.js']);
+    });
+
+    it('should detect and remove orphaned providers', async () => {
+        fileManager.configManager = createConfigManager([]);
+        doctor = new ProviderDoctor(fileManager);
+
+        const report = await doctor.diagnose();
+        expect(report.orphans).toEqual([expect.objectContaining({ key: 'foapi', name: 'Foapi' })]);
+        expect(report.orphans[0].locations).toContain('PROVIDERS映射');
+
+        const kept = await doctor.repair(report);
+        expect(kept.warnings[0]).toContain('未清理');
+        expect(await packageBackend.exists('src/ai-providers/foapi.js')).toBe(true);
+
+        const removed = await doctor.repair(report, { removeOrphans: true });
+        expect(removed.failed).toEqual([]);
+        expect(await packageBackend.exists('src/ai-providers/foapi.js')).toBe(false);
+        expect(await packageBackend.readFile('scripts/modules/ai-services-unified.js')).not.toContain('foapi');
+        expect(await packageBackend.readFile('scripts/init.js')).toBe(PACKAGE_FILES['scripts/init.js']);
+        expect((await doctor.diagnose()).healthy).toBe(true);
+    });
+
+    it('should detect registrations left behind after the provider file and export are gone', async () => {
+        fileManager.configManager = createConfigManager([]);
+        doctor = new ProviderDoctor(fileManager);
+        await packageBackend.deleteFile('src/ai-providers/foapi.js');
+        await packageBackend.writeFile('src/ai-providers/index.js', PACKAGE_FILES['src/ai-providers/index.js']);
+        await packageBackend.writeFile('scripts/modules/ai-services-unified.js', PACKAGE_FILES['scripts/modules/ai-services-unified.js']);
+
+        const report = await doctor.diagnose();
+        expect(report.orphans).toEqual([expect.objectContaining({ key: 'foapi' })]);
+        expect(report.orphans[0].locations).toEqual(['config-manager.js keyMap', 'getMcpApiKeyStatus case', 'supported-models.json条目', 'init.js MCP模板密钥', 'MCP客户端配置密钥']);
+
+        await packageBackend.writeFile('scripts/modules/config-manager.js', PACKAGE_FILES['scripts/modules/config-manager.js']);
+        await packageBackend.writeFile('scripts/modules/supported-models.json', PACKAGE_FILES['scripts/modules/supported-models.json']);
+        const initOnly = await doctor.diagnose();
+        expect(initOnly.orphans).toEqual([{ key: 'foapi', name: 'foapi', locations: ['init.js MCP模板密钥', 'MCP客户端配置密钥'] }]);
+
+        const removed = await doctor.repair(initOnly, { removeOrphans: true });
+        expect(removed.failed).toEqual([]);
+        expect(removed.success).toContain('foapi: scripts/init.js');
+        expect(await packageBackend.readFile('scripts/init.js')).toBe(PACKAGE_FILES['scripts/init.js']);
+        expect((await doctor.diagnose()).healthy).toBe(true);
+    });
+
+    it('should remove the init.js API key when deleting a provider', async () => {
+        const deletion = await fileManager.deleteProviderFromTaskMaster('foapi');
+
+        expect(deletion.success).toBe(true);
+        expect(deletion.updatedFiles).toContain('scripts/init.js');
+        expect(await packageBackend.readFile('scripts/init.js')).toBe(PACKAGE_FILES['scripts/init.js']);
+    });
+
+    it('should fix a single provider through fixMissingProviderConfig', async () => {
+        await packageBackend.writeFile('scripts/modules/supported-models.json', PACKAGE_FILES['scripts/modules/supported-models.json']);
+
+        const results = await fileManager.fixMissingProviderConfig('foapi');
+
+        expect(results.success).toEqual(['foapi: supported-models.json']);
+        expect(JSON.parse(await packageBackend.readFile('scripts/modules/supported-models.json')).foapi).toEqual([]);
+    });
+
+    it('should render failed checks, orphans and a repair action in the panel', async () => {
+        await packageBackend.writeFile('scripts/init.js', PACKAGE_FILES['scripts/init.js']);
+        const report = await doctor.diagnose();
+        report.orphans.push({ key: 'oldapi', name: 'oldapi', locations: ['PROVIDERS映射'] });
+
+        const resolve = vi.fn();
+        const modal = new ProviderDoctorPanel(fileManager.configManager, saveConfig).createModal(report, resolve);
+
+        expect(modal.querySelector('[data-provider="foapi"] [data-check="init-env"]').className).toBe('failed');
+        expect(modal.querySelector('[data-orphan="oldapi"]').textContent).toContain('PROVIDERS映射');
+        expect(modal.querySelector('[data-action="review-repair"]')).not.toBeNull();
+
+        modal.querySelector('[data-action="close-doctor"]').onclick();
+        expect(resolve).toHaveBeenCalled();
+    });
+});
+
+describe('ProviderDoctor on task-master-ai 0.18.0', () => {
+    let packageBackend;
+    let fileManager;
+    let doctor;
+
+    beforeEach(async () => {
+        const saveConfig = new SaveConfig({});
+        packageBackend = new MemoryStorageBackend(BASE_PACKAGE_FILES, 'task-master-ai');
+        saveConfig.directoryHandleCache.set('taskmaster-package', packageBackend);
+        saveConfig.directoryHandleCache.set('taskmaster-project', new MemoryStorageBackend(PROJECT_FILES, 'project'));
+
+        fileManager = new TaskMasterFileManager(createConfigManager([FOAPI]), saveConfig);
+        await fileManager.createProviderFileOnly('foapi', FOAPI);
+        doctor = new ProviderDoctor(fileManager);
+    });
+
+    it('should skip the init.js check when the package has no MCP template', async () => {
+        const report = await doctor.diagnose();
+
+        expect(report.healthy).toBe(true);
+        expect(report.providers[0].checks.find(check => check.id === 'init-env')).toMatchObject({ ok: true, skipped: true });
+        expect(await packageBackend.readFile('scripts/init.js')).toBe(BASE_PACKAGE_FILES['scripts/init.js']);
+    });
+
+    it('should commit a repair and only warn when init.js cannot be updated', async () => {
+        await packageBackend.writeFile('scripts/modules/config-manager.js', BASE_PACKAGE_FILES['scripts/modules/config-manager.js']);
+        await packageBackend.writeFile('scripts/init.js', 'const newMCPServer = {');
+
+        const report = await doctor.diagnose();
+        expect(report.providers[0].checks.filter(check => !check.ok).map(check => check.id))
+            .toEqual(['config-keymap', 'config-switch', 'init-env']);
+
+        const results = await doctor.repair(report);
+
+        expect(results.failed).toEqual([]);
+        expect(results.rolledBack).toBeUndefined();
+        expect(results.success).toEqual(['foapi: config-manager.js']);
+        expect(results.warnings).toEqual([expect.stringContaining('foapi: init.js 更新失败')]);
+        expect(await packageBackend.readFile('scripts/modules/config-manager.js')).toContain("case 'foapi'");
+    });
+
+    it('should export a patch from a clean package and only warn about init.js', async () => {
+        const saveConfig = new SaveConfig({});
+        const cleanBackend = new MemoryStorageBackend(BASE_PACKAGE_FILES, 'task-master-ai');
+        saveConfig.directoryHandleCache.set('taskmaster-package', cleanBackend);
+        const cleanManager = new TaskMasterFileManager(createConfigManager([FOAPI]), saveConfig);
+
+        const exported = await cleanManager.exportPackagePatch();
+        expect(exported.files).not.toContain('scripts/init.js');
+        expect(exported.files).toContain('src/ai-providers/foapi.js');
+        expect(exported.warnings).toEqual([]);
+
+        await cleanBackend.writeFile('scripts/init.js', 'const newMCPServer = {');
+        const withWarning = await cleanManager.exportPackagePatch();
+        expect(withWarning.patch).toContain('+\tfoapi: new FoapiProvider()');
+        expect(withWarning.warnings).toEqual([expect.stringContaining('foapi: init.js 更新失败')]);
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * ProviderFileTemplates.test.js
+ * Tests for choosing the src/ai-providers/<name>.js template from the provider type
+ */
+
+import { ProviderFileTemplates, PROVIDER_FILE_TEMPLATES } from '../src/utils/ProviderFileTemplates.js';
+import { ProviderFileParser } from '../src/utils/ProviderFileParser.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+import { ConfigExporters } from '../src/utils/ConfigExporters.js';
+import { YamlReader } from '../src/utils/YamlReader.js';
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { PACKAGE_FILES } from './helpers/taskmasterFixtures.js';
+
+describe('ProviderFileTemplates', () => {
+    it('should use the OpenAI-compatible template for OpenAI-style and unknown types', () => {
+        ['openai', 'foapi', 'poloai', 'custom', undefined].forEach(type => {
+            expect(ProviderFileTemplates.getTemplateKey(type)).toBe('openai');
+        });
+
+        const fileManager = new TaskMasterFileManager({}, {});
+        const content = fileManager.generateProviderFileContentBasic('FoApi', { endpoint: 'https://v2.voct.top', type: 'foapi' });
+        expect(content).toContain('AI provider implementation for FoApi using OpenAI-compatible API.');
+        expect(content).toContain("import { createOpenAI } from '@ai-sdk/openai';");
+        expect(content).toContain("const effectiveBaseURL = baseURL || 'https://v2.voct.top';");
+        expect(fileManager.generateProviderFileContent('FoApi', 'gpt-4o', 'foapi-gpt-4o')).toBe(
+            fileManager.generateProviderFileContentBasic('FoApi', { type: 'openai' })
+        );
+    });
+
+    it('should generate a client for each provider type that the file parser reads back', () => {
+        const parser = new ProviderFileParser({});
+        const expected = {
+            anthropic: "import { createAnthropic } from '@ai-sdk/anthropic';",
+            google: "import { createGoogleGenerativeAI } from '@ai-sdk/google';",
+            ollama: "import { createOllama } from 'ollama-ai-provider';",
+            azure: "import { createAzure } from '@ai-sdk/azure';"
+        };
+
+        Object.entries(expected).forEach(([type, importLine]) => {
+            const content = ProviderFileTemplates.generate('Gateway', { endpoint: 'https://gateway.example.com', type });
+            expect(content).toContain(importLine);
+            expect(content).toContain(`AI provider implementation for Gateway using ${PROVIDER_FILE_TEMPLATES[type].apiName} API.`);
+            expect(content).not.toContain('createOpenAI');
+            expect(parser.extractProviderType(content)).toBe(type);
+            expect(parser.extractDefaultEndpoint(content)).toBe('https://gateway.example.com');
+        });
+    });
+
+    it('should not require an API key for Ollama and pass the api-version to Azure', () => {
+        const ollama = ProviderFileTemplates.generate('LocalLlama', { endpoint: 'http://localhost:11434', type: 'ollama' });
+        expect(ollama).toContain('isRequiredApiKey() {\n        return false;\n    }');
+        expect(ollama).not.toContain('API key is required');
+        expect(ollama).toContain('return createOllama({\n                baseURL: normalizedBaseURL\n            });');
+
+        expect(ProviderFileTemplates.generate('Corp', { type: 'azure' })).toContain("apiVersion: '2024-10-21'");
+        const azure = ProviderFileTemplates.generate('Corp', { endpoint: 'https://corp.openai.azure.com', type: 'azure', apiVersion: '2025-01-01-preview' });
+        expect(azure).toContain("apiVersion: '2025-01-01-preview'");
+        expect(azure).toContain("throw new Error('Corp API key is required.');");
+    });
+
+    it('should resolve Azure requests to the deployment URL used by @ai-sdk/azure', () => {
+        // 执行生成的getClient，捕获传给createAzure的参数
+        function createClientOptions(endpoint) {
+            const content = ProviderFileTemplates.generate('Corp', { endpoint, type: 'azure' })
+                .replace(/^import .*$/gm, '')
+                .replace('export class', 'class');
+            return new Function('createAzure', 'BaseAIProvider', `${content}\nreturn new CorpProvider().getClient({ apiKey: 'key' });`)(
+                options => options,
+                class { handleError(operation, error) { throw error; } }
+            );
+        }
+
+        // @ai-sdk/azure 按 {baseURL}/{deployment}{path}?api-version= 拼接请求URL
+        const resolve = ({ baseURL, apiVersion }) => `${baseURL}/gpt-4o-deployment/chat/completions?api-version=${apiVersion}`;
+        const expected = 'https://corp.openai.azure.com/openai/deployments/gpt-4o-deployment/chat/completions?api-version=2024-10-21';
+
+        [
+            'https://corp.openai.azure.com',
+            'https://corp.openai.azure.com/',
+            'https://corp.openai.azure.com/openai',
+            'https://corp.openai.azure.com/openai/deployments/'
+        ].forEach(endpoint => {
+            expect(resolve(createClientOptions(endpoint))).toBe(expected);
+        });
+    });
+
+    it('should resolve the same base URL as the generated client for every provider type', () => {
+        const endpoints = ['https://gateway.example.com', 'https://gateway.example.com/', 'https://gateway.example.com/v1'];
+
+        Object.entries(PROVIDER_FILE_TEMPLATES).forEach(([type, template]) => {
+            endpoints.forEach(endpoint => {
+                const normalize = new Function('effectiveBaseURL', `${template.normalize}\nreturn normalizedBaseURL;`);
+                expect(ProviderFileTemplates.resolveBaseURL(type, endpoint)).toBe(normalize(endpoint));
+            });
+        });
+        expect(ProviderFileTemplates.resolveBaseURL('foapi', 'https://v2.voct.top')).toBe('https://v2.voct.top/v1');
+        expect(ProviderFileTemplates.resolveBaseURL('openai', '')).toBe('');
+    });
+
+    it('should generate a missing provider file from the provider config when importing a model', async () => {
+        const saveConfig = new SaveConfig({});
+        const packageBackend = new MemoryStorageBackend(PACKAGE_FILES, 'task-master-ai');
+        saveConfig.directoryHandleCache.set('taskmaster-package', packageBackend);
+        const fileManager = new TaskMasterFileManager({}, saveConfig);
+
+        await fileManager.importModel(
+            { modelId: 'gateway-claude-sonnet' },
+            { name: 'Gateway', endpoint: "https://gateway.example.com/o'brien\\", type: 'anthropic' }
+        );
+
+        const content = await packageBackend.readFile('src/ai-providers/gateway.js');
+        expect(content).toContain("import { createAnthropic } from '@ai-sdk/anthropic';");
+        expect(content).toContain("const effectiveBaseURL = baseURL || 'https://gateway.example.com/o\\'brien\\\\';");
+    });
+
+    it('should carry Azure and Ollama types into the exported tool configs', () => {
+        const providers = [
+            { id: 'provider_1', name: 'Corp', endpoint: 'https://corp.openai.azure.com', type: 'azure', apiVersion: '2025-01-01-preview' },
+            { id: 'provider_2', name: 'Local', endpoint: 'http://localhost:11434', type: 'ollama' }
+        ];
+        const models = [
+            { id: 'model_1', providerId: 'provider_1', modelId: 'gpt-4o-deployment', name: 'GPT-4o' },
+            { id: 'model_2', providerId: 'provider_2', modelId: 'llama3', name: 'Llama 3' }
+        ];
+
+        const litellm = YamlReader.parse(ConfigExporters.export('litellm', providers, models).content);
+        expect(litellm.model_list.map(entry => entry.litellm_params)).toEqual([
+            {
+                model: 'azure/gpt-4o-deployment',
+                api_base: 'https://corp.openai.azure.com',
+                api_key: 'os.environ/CORP_API_KEY',
+                api_version: '2025-01-01-preview'
+            },
+            { model: 'ollama/llama3', api_base: 'http://localhost:11434' }
+        ]);
+
+        const continueConfig = YamlReader.parse(ConfigExporters.export('continue', providers, models).content);
+        expect(continueConfig.models[0].env).toEqual({ apiType: 'azure-openai', apiVersion: '2025-01-01-preview', deployment: 'gpt-4o-deployment' });
+        expect(continueConfig.models[1]).not.toHaveProperty('apiKey');
+    });
+});
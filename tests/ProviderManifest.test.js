@@ -0,0 +1,164 @@
+/**
+ * ProviderManifest.test.js
+ * Tests for the installed-provider manifest, package upgrade detection and replay
+ */
+
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+import { MANIFEST_PATH } from '../src/utils/ProviderManifest.js';
+import { PACKAGE_FILES, PROJECT_FILES } from './helpers/taskmasterFixtures.js';
+
+const FOAPI = { name: 'FoApi', endpoint: 'https://api.foapi.test', apiKey: 'fo-key', type: 'openai' };
+
+describe('ProviderManifest', () => {
+    let saveConfig;
+    let packageBackend;
+    let projectBackend;
+    let fileManager;
+    let manifest;
+
+    // 模拟 npm update：包文件恢复为原始内容，版本号变化
+    function upgradePackage(version, overrides = {}) {
+        packageBackend = new MemoryStorageBackend({
+            ...PACKAGE_FILES,
+            'package.json': JSON.stringify({ name: 'task-master-ai', version }),
+            ...overrides
+        }, 'task-master-ai');
+        saveConfig.directoryHandleCache.set('taskmaster-package', packageBackend);
+    }
+
+    beforeEach(() => {
+        saveConfig = new SaveConfig({});
+        packageBackend = new MemoryStorageBackend(PACKAGE_FILES, 'task-master-ai');
+        projectBackend = new MemoryStorageBackend(PROJECT_FILES, 'project');
+        saveConfig.directoryHandleCache.set('taskmaster-package', packageBackend);
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+        fileManager = new TaskMasterFileManager({}, saveConfig);
+        manifest = saveConfig.providerManifest;
+    });
+
+    it('should record installed providers without their API keys', async () => {
+        await fileManager.createProviderFileOnly('FoApi', FOAPI);
+
+        const [entry] = await manifest.listProviders();
+        expect(entry).toMatchObject({ key: 'foapi', name: 'FoApi', endpoint: 'https://api.foapi.test', packageVersion: '0.18.0' });
+        expect(await projectBackend.readFile(MANIFEST_PATH)).not.toContain('fo-key');
+    });
+
+    it('should keep credential headers out of the manifest and restore them from the local config on replay', async () => {
+        const gateway = { ...FOAPI, headers: { 'X-Title': 'TaskMaster', Authorization: 'Bearer fo-header-secret' } };
+        fileManager.configManager = { getProviders: async () => [gateway] };
+        await fileManager.createProviderFileOnly('FoApi', gateway);
+
+        expect((await manifest.listProviders())[0].headers).toEqual({ 'X-Title': 'TaskMaster' });
+        expect(await projectBackend.readFile(MANIFEST_PATH)).not.toContain('fo-header-secret');
+
+        upgradePackage('0.19.0');
+        expect((await fileManager.replayManifestProviders()).replayed).toEqual(['FoApi']);
+        expect(await packageBackend.readFile('src/ai-providers/foapi.js')).toContain("'Authorization': 'Bearer fo-header-secret'");
+    });
+
+    it('should remove deleted providers from the manifest', async () => {
+        await fileManager.createProviderFileOnly('FoApi', FOAPI);
+        await fileManager.deleteProviderFromTaskMaster('FoApi');
+
+        expect(await manifest.listProviders()).toEqual([]);
+    });
+
+    it('should only record a planned creation once the plan is applied', async () => {
+        const plan = await fileManager.planProviderCreation('FoApi', FOAPI);
+
+        expect(await manifest.listProviders()).toEqual([]);
+        expect(plan.getChanges().some(change => change.path === MANIFEST_PATH)).toBe(false);
+
+        await plan.apply();
+        expect((await manifest.listProviders()).map(entry => entry.name)).toEqual(['FoApi']);
+    });
+
+    it('should detect a package version change', async () => {
+        await fileManager.createProviderFileOnly('FoApi', FOAPI);
+        expect((await manifest.detectUpgrade()).upgraded).toBe(false);
+
+        upgradePackage('0.19.0');
+        const upgrade = await manifest.detectUpgrade();
+
+        expect(upgrade).toMatchObject({ upgraded: true, currentVersion: '0.19.0' });
+        expect(upgrade.providers.map(entry => entry.name)).toEqual(['FoApi']);
+    });
+
+    it('should replay recorded providers onto the upgraded package', async () => {
+        await fileManager.createProviderFileOnly('FoApi', FOAPI);
+        upgradePackage('0.19.0');
+
+        const results = await fileManager.replayManifestProviders();
+
+        expect(results.failed).toEqual([]);
+        expect(results.replayed).toEqual(['FoApi']);
+        expect(await packageBackend.readFile('src/ai-providers/foapi.js')).toContain('https://api.foapi.test');
+        expect(await packageBackend.readFile('scripts/modules/ai-services-unified.js')).toContain('new FoApiProvider()');
+        expect(await packageBackend.readFile('scripts/modules/config-manager.js')).toContain("case 'foapi'");
+        expect((await manifest.detectUpgrade()).upgraded).toBe(false);
+    });
+
+    it('should replay onto a package whose init.js has no MCP template', async () => {
+        await fileManager.createProviderFileOnly('FoApi', FOAPI);
+        upgradePackage('0.19.0');
+        expect(await packageBackend.readFile('scripts/init.js')).not.toContain('env');
+
+        const results = await fileManager.replayManifestProviders();
+
+        expect(results).toMatchObject({ failed: [], replayed: ['FoApi'] });
+        expect(results.success).not.toContain('FoApi: init.js');
+        expect(await packageBackend.readFile('scripts/init.js')).toBe(PACKAGE_FILES['scripts/init.js']);
+        expect(await packageBackend.readFile('scripts/modules/config-manager.js')).toContain("case 'foapi'");
+        expect((await manifest.detectUpgrade()).upgraded).toBe(false);
+    });
+
+    it('should restore imported models after a package upgrade', async () => {
+        await fileManager.createProviderFileOnly('FoApi', FOAPI);
+        await fileManager.importModel({ modelId: 'foapi-gpt-4o', maxTokens: 64000 }, FOAPI);
+        await fileManager.importModel({ modelId: 'foapi-gpt-4o-mini' }, FOAPI);
+        await fileManager.removeModelFromSupportedModels('FoApi', 'foapi-gpt-4o-mini');
+        expect((await manifest.listProviders())[0].models.map(model => model.id)).toEqual(['foapi-gpt-4o']);
+
+        upgradePackage('0.19.0');
+        const results = await fileManager.replayManifestProviders();
+
+        expect(results.failed).toEqual([]);
+        expect(results.success).toContain('FoApi: supported-models.json (foapi-gpt-4o)');
+        const supportedModels = JSON.parse(await packageBackend.readFile('scripts/modules/supported-models.json'));
+        expect(supportedModels.foapi).toEqual([expect.objectContaining({ id: 'foapi-gpt-4o', max_tokens: 64000 })]);
+
+        await fileManager.createProviderFileOnly('FoApi', { ...FOAPI, endpoint: 'https://api2.foapi.test' });
+        expect((await manifest.listProviders())[0].models).toHaveLength(1);
+    });
+
+    it('should report patches that no longer apply and keep the provider pending', async () => {
+        await fileManager.createProviderFileOnly('FoApi', FOAPI);
+        upgradePackage('1.0.0', { 'scripts/modules/config-manager.js': "const keyMap = {\n\topenai: 'OPENAI_API_KEY'\n};\n" });
+
+        const results = await fileManager.replayManifestProviders();
+
+        expect(results.replayed).toEqual([]);
+        expect(results.failed).toEqual([{
+            file: 'FoApi: config-manager.js',
+            error: expect.stringContaining('文件结构不受支持')
+        }]);
+        expect(await packageBackend.exists('src/ai-providers/foapi.js')).toBe(false);
+        expect((await manifest.detectUpgrade()).upgraded).toBe(true);
+    });
+
+    it('should plan a replay and mark the new version only when applied', async () => {
+        await fileManager.createProviderFileOnly('FoApi', FOAPI);
+        upgradePackage('0.19.0');
+
+        const plan = await fileManager.planManifestReplay();
+        expect(plan.getChanges().map(change => change.path)).toContain('src/ai-providers/foapi.js');
+        expect((await manifest.detectUpgrade()).upgraded).toBe(true);
+
+        await plan.apply();
+        expect(await packageBackend.exists('src/ai-providers/foapi.js')).toBe(true);
+        expect((await manifest.detectUpgrade()).upgraded).toBe(false);
+    });
+});
@@ -0,0 +1,208 @@
+/**
+ * ProviderRequestOptions.test.js
+ * Tests for provider headers and query params in the editor, test requests, generated provider files and exports
+ */
+
+import { ProviderRequestOptions } from '../src/utils/ProviderRequestOptions.js';
+import { ProviderFileTemplates } from '../src/utils/ProviderFileTemplates.js';
+import { ProviderValidator } from '../src/utils/ProviderValidator.js';
+import { ModelConfig } from '../src/components/ModelConfig.js';
+import { ConfigExporters } from '../src/utils/ConfigExporters.js';
+import { YamlReader } from '../src/utils/YamlReader.js';
+import { ConfigExportFormat } from '../src/utils/ConfigExportFormat.js';
+import { CustomProvidersFile } from '../src/utils/CustomProvidersFile.js';
+
+const GATEWAY = {
+    id: 'provider_1',
+    name: 'Gateway',
+    endpoint: 'https://gateway.example.com',
+    type: 'openai',
+    apiKey: 'sk-gateway',
+    headers: { 'HTTP-Referer': 'https://example.com', 'OpenAI-Organization': 'org-123' },
+    queryParams: { 'api-version': '2024-10-21' }
+};
+
+describe('ProviderRequestOptions', () => {
+    it('should read editor rows and report invalid or duplicate names', () => {
+        expect(ProviderRequestOptions.fromEntries([
+            { kind: 'header', key: ' X-Title ', value: ' TaskMaster ' },
+            { kind: 'query', key: 'api-version', value: '2024-10-21' },
+            { kind: 'header', key: '', value: '' }
+        ])).toEqual({ headers: { 'X-Title': 'TaskMaster' }, queryParams: { 'api-version': '2024-10-21' }, errors: [] });
+
+        expect(ProviderRequestOptions.fromEntries([
+            { kind: 'header', key: 'X-Title', value: 'a' },
+            { kind: 'header', key: 'x-title', value: 'b' },
+            { kind: 'header', key: 'Bad Header', value: 'c' },
+            { kind: 'header', key: 'X-Tenant-Id', value: 'a\nb' },
+            { kind: 'query', key: '', value: 'orphan' },
+            { kind: 'query', key: 'tenant', value: '1' },
+            { kind: 'query', key: 'tenant', value: '2' },
+            { kind: 'query', key: 'region', value: 'eu\r\nX-Injected: 1' },
+            { kind: 'query', key: 'zone', value: 'a\u0000' }
+        ]).errors).toEqual([
+            '重复的请求头: x-title',
+            '请求头名称无效: Bad Header',
+            '请求头 X-Tenant-Id 的值不能包含换行',
+            '第 5 行缺少名称',
+            '重复的查询参数: tenant',
+            '查询参数 region 的值不能包含控制字符',
+            '查询参数 zone 的值不能包含控制字符'
+        ]);
+
+        expect(ProviderRequestOptions.toEntries(GATEWAY)).toEqual([
+            { kind: 'header', key: 'HTTP-Referer', value: 'https://example.com' },
+            { kind: 'header', key: 'OpenAI-Organization', value: 'org-123' },
+            { kind: 'query', key: 'api-version', value: '2024-10-21' }
+        ]);
+    });
+
+    it('should override default headers and append query params to test requests', () => {
+        const request = ProviderRequestOptions.apply(
+            { headers: { 'content-type': 'application/vnd.api+json' }, queryParams: { tenant: 'a b' } },
+            'https://gateway.example.com/v1/models?limit=10#top',
+            { 'Content-Type': 'application/json', Authorization: 'Bearer sk' }
+        );
+        expect(request).toEqual({
+            url: 'https://gateway.example.com/v1/models?limit=10&tenant=a%20b#top',
+            headers: { Authorization: 'Bearer sk', 'content-type': 'application/vnd.api+json' }
+        });
+        expect(ProviderRequestOptions.apply({}, 'https://gateway.example.com/v1/models')).toEqual({
+            url: 'https://gateway.example.com/v1/models',
+            headers: {}
+        });
+    });
+
+    it('should send the provider headers and query params in connection tests', async () => {
+        const validator = new ProviderValidator();
+        validator.networkClient = {
+            get: vi.fn().mockResolvedValue({ status: 200, json: async () => ({ data: [{ id: 'gpt-4o' }] }) })
+        };
+
+        const result = await validator.testOpenAICompatibleAPI(GATEWAY);
+
+        expect(result.isValid).toBe(true);
+        const [url, options] = validator.networkClient.get.mock.calls[0];
+        expect(url).toBe('https://gateway.example.com/v1/models?api-version=2024-10-21');
+        expect(options.headers).toMatchObject({
+            Authorization: 'Bearer sk-gateway',
+            'HTTP-Referer': 'https://example.com',
+            'OpenAI-Organization': 'org-123'
+        });
+    });
+
+    it('should test Azure and Ollama providers against their own APIs', async () => {
+        const validator = new ProviderValidator();
+        validator.networkClient = {
+            get: vi.fn().mockResolvedValue({ status: 200, json: async () => ({ data: [], models: [{ name: 'llama3' }] }) })
+        };
+
+        const azure = await validator.testProviderConnection({
+            name: 'Corp',
+            endpoint: 'https://corp.openai.azure.com/',
+            type: 'azure',
+            apiKey: 'azure-key',
+            apiVersion: '2025-01-01-preview',
+            headers: { 'X-Tenant-Id': 'a' }
+        });
+        expect(azure.isValid).toBe(true);
+        expect(validator.networkClient.get.mock.calls[0][0]).toBe('https://corp.openai.azure.com/openai/models?api-version=2025-01-01-preview');
+        expect(validator.networkClient.get.mock.calls[0][1].headers).toEqual({
+            'api-key': 'azure-key',
+            'Content-Type': 'application/json',
+            'X-Tenant-Id': 'a'
+        });
+
+        const ollama = await validator.testProviderConnection({ name: 'Local', endpoint: 'http://localhost:11434', type: 'ollama' });
+        expect(ollama).toMatchObject({ isValid: true, details: { modelsCount: 1 } });
+        expect(validator.networkClient.get.mock.calls[1][0]).toBe('http://localhost:11434/api/tags');
+
+        validator.networkClient.get.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { status: 404 }));
+        expect(await validator.testProviderConnection({ name: 'Local', endpoint: 'http://localhost:11434', type: 'ollama' }))
+            .toMatchObject({ isValid: false, errors: ['端点不存在，请检查URL'] });
+    });
+
+    it('should send model tests to the Azure deployment and the Ollama chat API', async () => {
+        const modelConfig = Object.create(ModelConfig.prototype);
+        modelConfig.networkClient = { post: vi.fn().mockResolvedValue({ json: async () => ({}) }) };
+
+        await modelConfig.performModelAPITest({ modelId: 'gpt-4o-deployment' }, {
+            endpoint: 'https://corp.openai.azure.com/openai',
+            type: 'azure',
+            apiKey: 'azure-key',
+            queryParams: { 'api-version': '2025-01-01-preview' }
+        });
+        const [azureUrl, , azureOptions] = modelConfig.networkClient.post.mock.calls[0];
+        expect(azureUrl).toBe('https://corp.openai.azure.com/openai/deployments/gpt-4o-deployment/chat/completions?api-version=2025-01-01-preview');
+        expect(azureOptions.headers).toEqual({ 'Content-Type': 'application/json', 'api-key': 'azure-key' });
+
+        await modelConfig.performModelAPITest({ modelId: 'llama3' }, { endpoint: 'http://localhost:11434/', type: 'ollama' });
+        const [ollamaUrl, ollamaPayload, ollamaOptions] = modelConfig.networkClient.post.mock.calls[1];
+        expect(ollamaUrl).toBe('http://localhost:11434/api/chat');
+        expect(ollamaPayload).toMatchObject({ model: 'llama3', stream: false });
+        expect(ollamaOptions.headers).toEqual({ 'Content-Type': 'application/json' });
+    });
+
+    it('should pass headers and a query param fetch wrapper to the generated client', () => {
+        const content = ProviderFileTemplates.generate('Gateway', GATEWAY);
+
+        expect(content).toContain("const CUSTOM_HEADERS = {\n    'HTTP-Referer': 'https://example.com',\n    'OpenAI-Organization': 'org-123'\n};");
+        expect(content).toContain("const CUSTOM_QUERY_PARAMS = {\n    'api-version': '2024-10-21'\n};");
+        expect(content).toContain('function fetchWithQueryParams(input, init) {');
+        expect(content).toContain([
+            '            return createOpenAI({',
+            '                apiKey,',
+            '                baseURL: normalizedBaseURL,',
+            '                headers: CUSTOM_HEADERS,',
+            '                fetch: fetchWithQueryParams',
+            '            });'
+        ].join('\n'));
+        expect(ProviderFileTemplates.generate('Gateway', { ...GATEWAY, headers: {}, queryParams: {} })).not.toContain('CUSTOM_');
+    });
+
+    it('should escape line breaks and separators in generated string literals', () => {
+        const queryParams = { tenant: "a'b\\c\r\nd\u2028e\u2029f\u0007" };
+        const content = ProviderFileTemplates.generate('Gateway', { ...GATEWAY, endpoint: 'https://gateway.example.com/\r\u2028', queryParams });
+
+        const moduleBody = content.replace(/^import .*$/gm, '').replace('export class', 'class');
+        ['\r', '\u2028', '\u2029', '\u0007'].forEach(char => expect(content).not.toContain(char));
+        expect(new Function('BaseAIProvider', `${moduleBody}\nreturn CUSTOM_QUERY_PARAMS;`)(class {})).toEqual(queryParams);
+        expect(content).toContain("baseURL || 'https://gateway.example.com/\\r\\u2028'");
+    });
+
+    it('should export headers to LiteLLM and Continue and warn about query params', () => {
+        const models = [{ id: 'model_1', providerId: 'provider_1', modelId: 'gpt-4o', name: 'GPT-4o' }];
+
+        const litellm = ConfigExporters.export('litellm', [GATEWAY], models);
+        expect(YamlReader.parse(litellm.content).model_list[0].litellm_params.extra_headers).toEqual(GATEWAY.headers);
+        expect(litellm.warnings).toEqual(['LiteLLM配置不支持附加查询参数，供应商 Gateway 的 api-version 未导出']);
+
+        const continueConfig = YamlReader.parse(ConfigExporters.export('continue', [GATEWAY], models).content);
+        expect(continueConfig.models[0].requestOptions).toEqual({ headers: GATEWAY.headers });
+    });
+
+    it('should keep credential headers out of project files and exports without secrets', () => {
+        const provider = { ...GATEWAY, headers: { ...GATEWAY.headers, Authorization: 'Bearer sk-gateway-token', 'x-api-key': 'gw-key' } };
+        const models = [{ id: 'model_1', providerId: 'provider_1', modelId: 'gpt-4o', name: 'GPT-4o' }];
+
+        expect(ProviderRequestOptions.splitSecretHeaders(provider.headers)).toEqual({
+            headers: GATEWAY.headers,
+            secretHeaders: { Authorization: 'Bearer sk-gateway-token', 'x-api-key': 'gw-key' }
+        });
+
+        expect(ConfigExportFormat.create([provider], models).providers[0].headers).toEqual(GATEWAY.headers);
+        expect(ConfigExportFormat.create([provider], models, { includeSecrets: true }).providers[0].headers).toEqual(provider.headers);
+
+        const definitions = CustomProvidersFile.toDefinitions([provider], models);
+        expect(definitions.providers[0].headers).toEqual(GATEWAY.headers);
+        // 本地配置中的密钥类请求头在重新加载定义文件时保留
+        const loaded = CustomProvidersFile.fromDefinitions(definitions, [provider], prefix => `${prefix}_new`);
+        expect(loaded.providers[0].headers).toEqual(provider.headers);
+
+        const litellm = ConfigExporters.export('litellm', [provider], models);
+        expect(YamlReader.parse(litellm.content).model_list[0].litellm_params.extra_headers).toEqual(GATEWAY.headers);
+        expect(litellm.content).not.toContain('gw-key');
+        expect(litellm.warnings).toContain('供应商 Gateway 的请求头 Authorization、x-api-key 包含密钥，未导出');
+        expect(ConfigExporters.export('continue', [provider], models).content).not.toContain('sk-gateway-token');
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Redactor.test.js
+ * Tests for masking API keys, Authorization headers and bearer tokens in logs, error reports and exports
+ */
+
+import { Redactor } from '../src/utils/Redactor.js';
+import { Logger } from '../src/utils/Logger.js';
+import { ErrorHandler } from '../src/utils/ErrorHandler.js';
+import { LogViewer } from '../src/components/LogViewer.js';
+import { ConfigManager } from '../src/utils/configManager.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { ProviderConfig } from '../src/components/ProviderConfig.js';
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { createStorage } from './helpers/storage.js';
+
+describe('Redactor', () => {
+    afterEach(() => {
+        Redactor.clearSecrets();
+        Logger.logs = [];
+    });
+
+    it('should mask secret fields in nested objects without changing the original', () => {
+        const provider = { name: 'FoApi', apiKey: 'fo-secret-value', maxTokens: 4096, env: { FOAPI_API_KEY: 'fo-secret-value' } };
+
+        expect(Redactor.redact({ provider, headers: { Authorization: 'Bearer abc.def' } })).toEqual({
+            provider: { name: 'FoApi', apiKey: '[REDACTED]', maxTokens: 4096, env: { FOAPI_API_KEY: '[REDACTED]' } },
+            headers: { Authorization: '[REDACTED]' }
+        });
+        expect(provider.apiKey).toBe('fo-secret-value');
+    });
+
+    it('should mask Authorization headers, bearer tokens and key assignments in text', () => {
+        expect(Redactor.redactString('Authorization: Bearer eyJhbGciOi.abc')).toBe('Authorization: Bearer [REDACTED]');
+        expect(Redactor.redactString('curl -H "x-api-key: abc123" url')).toBe('curl -H "x-api-key: [REDACTED]" url');
+        expect(Redactor.redactString('OPENAI_API_KEY=sk-live-1234567890abcdefgh')).toBe('OPENAI_API_KEY=[REDACTED]');
+        expect(Redactor.redactString('使用密钥 sk-ant-REDACTED 请求失败')).toBe('使用密钥 [REDACTED] 请求失败');
+        expect(Redactor.redactString('已更新 .env 中的 FOAPI_API_KEY')).toBe('已更新 .env 中的 FOAPI_API_KEY');
+    });
+
+    it('should mask registered secrets wherever they appear', () => {
+        Redactor.registerSecrets('custom-key-42', 'short');
+
+        expect(Redactor.redactString('请求 https://api.test/?key=custom-key-42 失败')).toBe('请求 https://api.test/?key=[REDACTED] 失败');
+        expect(Redactor.redactString('short')).toBe('short');
+    });
+
+    it('should redact Logger contexts, error details, exports and copied entries', () => {
+        Logger.info('供应商已更新', { provider: { name: 'FoApi', apiKey: 'fo-secret-value' } });
+        Logger.error('请求失败', {}, new Error('401 for Authorization: Bearer tok123'));
+
+        const [info, error] = Logger.getLogs();
+        expect(info.context.provider.apiKey).toBe('[REDACTED]');
+        expect(error.error.message).toBe('401 for Authorization: Bearer [REDACTED]');
+
+        // 记录之后才登记的密钥在导出和复制时也会被遮盖
+        Logger.info('测试连接 late-registered-key');
+        Redactor.registerSecrets('late-registered-key');
+        expect(Logger.exportLogs('txt')).not.toContain('late-registered-key');
+        const viewer = new LogViewer('missing-container');
+        const [entry] = Logger.getLogs({ search: '测试连接' });
+        expect(viewer.formatLogForCopy(entry)).toContain('测试连接 [REDACTED]');
+    });
+
+    it('should redact ErrorHandler reports', () => {
+        const report = ErrorHandler.categorizeError(new Error('调用失败: apiKey=abc-123'), {
+            provider: { apiKey: 'fo-secret-value' }
+        });
+
+        expect(report.message).toBe('调用失败: apiKey=[REDACTED]');
+        expect(report.context.provider.apiKey).toBe('[REDACTED]');
+        expect(report.stack).not.toContain('abc-123');
+    });
+
+    it('should keep API keys out of provider sync logs and the console', async () => {
+        const saveConfig = new SaveConfig({});
+        const projectBackend = new MemoryStorageBackend({}, 'project');
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+        const consoleLog = vi.spyOn(console, 'log');
+
+        const providerConfig = new ProviderConfig({}, saveConfig);
+        await providerConfig.syncSingleProviderToTaskMaster({ name: 'FoApi', apiKey: 'fo-secret-value-1234' });
+        await providerConfig.testUpdateMCPConfig('FoApi', 'fo-secret-value-1234');
+
+        expect(JSON.parse(await projectBackend.readFile('.cursor/mcp.json')).mcpServers['taskmaster-ai'].env)
+            .toEqual({ FOAPI_API_KEY: 'fo-secret-value-1234' });
+        const output = JSON.stringify([Logger.getLogs(), consoleLog.mock.calls]);
+        expect(output).not.toContain('fo-secre');
+        consoleLog.mockRestore();
+    });
+});
+
+describe('configuration export', () => {
+    let configManager;
+    let saveConfig;
+
+    beforeEach(() => {
+        configManager = new ConfigManager({ storage: createStorage() });
+        configManager.providers = [{ id: 'provider_1', name: 'FoApi', endpoint: 'https://fo.test', apiKey: 'fo-secret-value' }];
+        saveConfig = new SaveConfig(configManager);
+    });
+
+    it('should leave API keys out unless secrets are explicitly included', async () => {
+        const withoutSecrets = await saveConfig.buildConfigurationExport();
+        expect(withoutSecrets.includesSecrets).toBe(false);
+        expect(withoutSecrets.providers[0].apiKey).toBe('');
+        expect(configManager.providers[0].apiKey).toBe('fo-secret-value');
+
+        const withSecrets = await saveConfig.buildConfigurationExport({ includeSecrets: true });
+        expect(withSecrets.providers[0].apiKey).toBe('fo-secret-value');
+        expect((await configManager.exportConfiguration()).providers[0].apiKey).toBe('');
+    });
+});
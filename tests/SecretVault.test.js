@@ -0,0 +1,215 @@
+/**
+ * SecretVault.test.js
+ * Tests for passphrase-based encryption of API keys stored in localStorage
+ */
+
+import { webcrypto } from 'node:crypto';
+import { SecretVault, VAULT_STORAGE_KEY } from '../src/utils/SecretVault.js';
+import { ConfigManager } from '../src/utils/configManager.js';
+import { SecretVaultPanel } from '../src/components/SecretVaultPanel.js';
+import { createStorage } from './helpers/storage.js';
+
+const PASSPHRASE = 'correct horse battery';
+
+function createConfigManager(storage) {
+    return new ConfigManager({ storage, vault: new SecretVault(storage, { crypto: webcrypto, iterations: 1000 }) });
+}
+
+function storedProviders(storage) {
+    return JSON.parse(storage.getItem('taskmaster-ui-config')).providers;
+}
+
+describe('SecretVault', () => {
+    let storage;
+    let vault;
+
+    beforeEach(() => {
+        storage = createStorage();
+        vault = new SecretVault(storage, { crypto: webcrypto, iterations: 1000 });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should encrypt and decrypt with the passphrase', async () => {
+        await vault.enable(PASSPHRASE);
+        const encrypted = await vault.encrypt('sk-secret');
+
+        expect(SecretVault.isEncrypted(encrypted)).toBe(true);
+        expect(encrypted).not.toContain('sk-secret');
+
+        const other = new SecretVault(storage, { crypto: webcrypto });
+        await expect(other.unlock('wrong passphrase')).rejects.toThrow('密码错误');
+        await other.unlock(PASSPHRASE);
+        expect(await other.decrypt(encrypted)).toBe('sk-secret');
+    });
+
+    it('should reject short passphrases', async () => {
+        await expect(vault.enable('short')).rejects.toThrow('密码至少需要8个字符');
+        expect(storage.getItem(VAULT_STORAGE_KEY)).toBeNull();
+    });
+
+    it('should lock automatically after the configured idle time', async () => {
+        vi.useFakeTimers();
+        const onLock = vi.fn();
+        vault.onLock(onLock);
+        await vault.enable(PASSPHRASE, { autoLockMinutes: 5 });
+
+        vi.advanceTimersByTime(4 * 60 * 1000);
+        vault.touch();
+        vi.advanceTimersByTime(4 * 60 * 1000);
+        expect(vault.isUnlocked()).toBe(true);
+
+        vi.advanceTimersByTime(60 * 1000);
+        expect(vault.isUnlocked()).toBe(false);
+        expect(onLock).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('ConfigManager API key encryption', () => {
+    let storage;
+    let configManager;
+
+    beforeEach(async () => {
+        // 旧版本以明文保存的配置
+        storage = createStorage();
+        storage.setItem('taskmaster-ui-config', JSON.stringify({
+            providers: [{ id: 'provider_1', name: 'FoApi', endpoint: 'https://fo.example.com', apiKey: 'fo-secret' }],
+            models: []
+        }));
+        configManager = createConfigManager(storage);
+        await configManager.loadConfiguration();
+    });
+
+    it('should migrate plaintext keys when encryption is enabled', async () => {
+        await configManager.enableEncryption(PASSPHRASE);
+
+        expect(SecretVault.isEncrypted(storedProviders(storage)[0].apiKey)).toBe(true);
+        expect(configManager.providers[0].apiKey).toBe('fo-secret');
+    });
+
+    it('should keep encrypted keys while locked and restore them after unlocking', async () => {
+        await configManager.enableEncryption(PASSPHRASE);
+
+        const restarted = createConfigManager(storage);
+        await restarted.loadConfiguration();
+        expect(restarted.isLocked()).toBe(true);
+        expect(restarted.providers[0].apiKey).toBe('');
+
+        // 锁定期间修改其他字段不会丢失已加密的密钥
+        await restarted.updateProvider({ ...restarted.providers[0], endpoint: 'https://fo2.example.com' });
+        expect(SecretVault.isEncrypted(storedProviders(storage)[0].apiKey)).toBe(true);
+
+        await restarted.unlockSecrets(PASSPHRASE);
+        expect(restarted.providers[0]).toMatchObject({ endpoint: 'https://fo2.example.com', apiKey: 'fo-secret' });
+    });
+
+    it('should refuse to store new keys while locked', async () => {
+        await configManager.enableEncryption(PASSPHRASE);
+        configManager.lockSecrets();
+
+        await expect(configManager.updateProvider({ ...configManager.providers[0], apiKey: 'fo-new' }))
+            .rejects.toThrow('API密钥已锁定，请先输入密码解锁');
+    });
+
+    it('should encrypt plaintext keys written while the vault was locked on unlock', async () => {
+        await configManager.enableEncryption(PASSPHRASE);
+        storage.setItem('taskmaster-ui-config', JSON.stringify({
+            providers: [{ id: 'provider_2', name: 'BarApi', apiKey: 'bar-plain' }],
+            models: []
+        }));
+
+        const restarted = createConfigManager(storage);
+        await restarted.loadConfiguration();
+        await restarted.unlockSecrets(PASSPHRASE);
+
+        expect(SecretVault.isEncrypted(storedProviders(storage)[0].apiKey)).toBe(true);
+        expect(restarted.providers[0].apiKey).toBe('bar-plain');
+    });
+
+    it('should drop plaintext keys from memory when locked', async () => {
+        await configManager.enableEncryption(PASSPHRASE);
+
+        configManager.lockSecrets();
+
+        expect(configManager.providers[0].apiKey).toBe('');
+        await configManager.unlockSecrets(PASSPHRASE);
+        expect(configManager.providers[0].apiKey).toBe('fo-secret');
+    });
+
+    it('should store keys in plain text again after disabling encryption', async () => {
+        await configManager.enableEncryption(PASSPHRASE);
+        await configManager.disableEncryption();
+
+        expect(storedProviders(storage)[0].apiKey).toBe('fo-secret');
+        expect(storage.getItem(VAULT_STORAGE_KEY)).toBeNull();
+    });
+
+    it('should encrypt and decrypt the API keys of every profile', async () => {
+        const copy = await configManager.cloneProfile('default', '团队');
+        const profileKey = ConfigManager.getStorageKey(null, copy.id);
+        const profileKeys = () => JSON.parse(storage.getItem(profileKey)).providers.map(provider => provider.apiKey);
+
+        await configManager.enableEncryption(PASSPHRASE);
+        expect(profileKeys().every(apiKey => SecretVault.isEncrypted(apiKey))).toBe(true);
+
+        await configManager.switchProfile(copy.id);
+        expect(configManager.providers[0].apiKey).toBe('fo-secret');
+
+        await configManager.disableEncryption();
+        expect(profileKeys()).toEqual(['fo-secret']);
+        expect(storedProviders(storage)[0].apiKey).toBe('fo-secret');
+    });
+
+    it('should encrypt plaintext profiles found when unlocking and refuse to disable while locked', async () => {
+        await configManager.enableEncryption(PASSPHRASE);
+        const copy = await configManager.createProfile('导入');
+        storage.setItem(ConfigManager.getStorageKey(null, copy.id), JSON.stringify({
+            providers: [{ id: 'provider_2', name: 'BarApi', apiKey: 'bar-plain' }],
+            models: []
+        }));
+
+        const restarted = createConfigManager(storage);
+        await restarted.loadConfiguration();
+        await expect(restarted.disableEncryption()).rejects.toThrow('API密钥已锁定，请先输入密码解锁');
+        expect(storage.getItem(ConfigManager.getStorageKey(null, copy.id))).toContain('bar-plain');
+
+        await restarted.unlockSecrets(PASSPHRASE);
+        expect(storage.getItem(ConfigManager.getStorageKey(null, copy.id))).not.toContain('bar-plain');
+    });
+
+    it('should encrypt the API keys of other workspaces when enabled from a workspace', async () => {
+        await configManager.switchWorkspace('workspace_a', { copyCurrent: true });
+        storage.setItem(ConfigManager.getStorageKey('workspace_b'), JSON.stringify({
+            providers: [{ id: 'provider_2', name: 'BarApi', apiKey: 'bar-plain' }],
+            models: []
+        }));
+
+        await configManager.enableEncryption(PASSPHRASE);
+
+        ['taskmaster-ui-config', 'taskmaster-ui-config:workspace_a', 'taskmaster-ui-config:workspace_b'].forEach(key => {
+            const [provider] = JSON.parse(storage.getItem(key)).providers;
+            expect(SecretVault.isEncrypted(provider.apiKey)).toBe(true);
+        });
+
+        await configManager.switchWorkspace('workspace_b');
+        expect(configManager.providers[0].apiKey).toBe('bar-plain');
+    });
+
+    it('should show an error in the unlock dialog for a wrong passphrase', async () => {
+        await configManager.enableEncryption(PASSPHRASE);
+        configManager.lockSecrets();
+        const resolve = vi.fn();
+        const modal = new SecretVaultPanel(configManager).createUnlockModal(resolve);
+
+        modal.querySelector('input[name="passphrase"]').value = 'wrong passphrase';
+        await modal.querySelector('[data-action="unlock"]').onclick();
+        expect(modal.querySelector('.vault-error').textContent).toBe('密码错误');
+
+        modal.querySelector('input[name="passphrase"]').value = PASSPHRASE;
+        await modal.querySelector('[data-action="unlock"]').onclick();
+        expect(resolve).toHaveBeenCalledWith(true);
+        expect(configManager.providers[0].apiKey).toBe('fo-secret');
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * SourcePatcher.test.js
+ * Tests for syntax-tree based patching of TaskMaster source files
+ */
+
+import { SourcePatcher } from '../src/utils/SourcePatcher.js';
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+
+const UNIFIED = `import {
+\tAnthropicAIProvider,
+\tOpenAIProvider
+} from '../../src/ai-providers/index.js';
+
+const PROVIDERS = {
+\tanthropic: new AnthropicAIProvider(),
+\topenai: new OpenAIProvider() // default
+};
+
+function _getProviderApiKey(providerName) {
+\tconst keyMap = {
+\t\topenai: 'OPENAI_API_KEY',
+\t\tanthropic: 'ANTHROPIC_API_KEY'
+\t};
+\treturn keyMap[providerName];
+}
+`;
+
+// 上游用prettier重新格式化后的写法：两空格缩进、双引号、末尾逗号、单行import
+const REFORMATTED_UNIFIED = `import { AnthropicAIProvider, OpenAIProvider } from "../../src/ai-providers/index.js";
+
+const PROVIDERS = {
+  anthropic: new AnthropicAIProvider(),
+  openai: new OpenAIProvider(),
+};
+
+function _getProviderApiKey(providerName) {
+  const keyMap = { openai: "OPENAI_API_KEY", anthropic: "ANTHROPIC_API_KEY" };
+  return keyMap[providerName];
+}
+`;
+
+const CONFIG_MANAGER = `function isApiKeySet(providerName) {
+\tconst keyMap = {
+\t\topenai: 'OPENAI_API_KEY'
+\t};
+\treturn !!keyMap[providerName];
+}
+
+function getMcpApiKeyStatus(providerName) {
+\tswitch (providerName) {
+\t\tcase 'openai':
+\t\t\tapiKeyToCheck = mcpEnv.OPENAI_API_KEY;
+\t\t\tbreak;
+\t\tdefault:
+\t\t\tapiKeyToCheck = mcpEnv[providerName];
+\t}
+}
+`;
+
+function patchUnified(source) {
+    const patcher = new SourcePatcher(source, 'ai-services-unified.js');
+    patcher.addImportSpecifier(patcher.findImport('ai-providers/index.js'), 'FoApiProvider');
+    patcher.addProperty(patcher.findObjectDeclarations('PROVIDERS')[0], 'foapi', 'new FoApiProvider()');
+    patcher.addProperty(patcher.findObjectDeclarations('keyMap')[0], 'foapi', patcher.stringLiteral('FOAPI_API_KEY'));
+    return patcher.toString();
+}
+
+function unpatchUnified(source) {
+    const patcher = new SourcePatcher(source, 'ai-services-unified.js');
+    patcher.removeImportSpecifier(patcher.findImport('ai-providers/index.js'), 'FoApiProvider');
+    patcher.removeProperty(patcher.findObjectDeclarations('PROVIDERS')[0], 'foapi');
+    patcher.removeProperty(patcher.findObjectDeclarations('keyMap')[0], 'foapi');
+    return patcher.toString();
+}
+
+describe('SourcePatcher', () => {
+    it('should insert entries following the existing layout', () => {
+        const patched = patchUnified(UNIFIED);
+
+        expect(patched).toContain('\tOpenAIProvider,\n\tFoApiProvider\n} from');
+        expect(patched).toContain('\topenai: new OpenAIProvider(), // default\n\tfoapi: new FoApiProvider()\n};');
+        expect(patched).toContain("\t\tanthropic: 'ANTHROPIC_API_KEY',\n\t\tfoapi: 'FOAPI_API_KEY'\n\t};");
+    });
+
+    it('should restore the original source when entries are removed again', () => {
+        expect(unpatchUnified(patchUnified(UNIFIED))).toBe(UNIFIED);
+        expect(unpatchUnified(patchUnified(REFORMATTED_UNIFIED))).toBe(REFORMATTED_UNIFIED);
+    });
+
+    it('should keep quotes, trailing commas and single-line lists of reformatted files', () => {
+        const patched = patchUnified(REFORMATTED_UNIFIED);
+
+        expect(patched).toContain('import { AnthropicAIProvider, OpenAIProvider, FoApiProvider } from');
+        expect(patched).toContain('  openai: new OpenAIProvider(),\n  foapi: new FoApiProvider(),\n};');
+        expect(patched).toContain('anthropic: "ANTHROPIC_API_KEY", foapi: "FOAPI_API_KEY" };');
+    });
+
+    it('should not change anything when entries already exist', () => {
+        const patched = patchUnified(UNIFIED);
+
+        expect(patchUnified(patched)).toBe(patched);
+    });
+
+    it('should add and remove switch cases before default', () => {
+        const patcher = new SourcePatcher(CONFIG_MANAGER, 'config-manager.js');
+        const switchStatement = patcher.findSwitch('getMcpApiKeyStatus', 'providerName');
+        patcher.addSwitchCase(switchStatement, 'foapi', ['apiKeyToCheck = mcpEnv.FOAPI_API_KEY;', 'break;']);
+        const patched = patcher.toString();
+
+        expect(patched).toContain("\t\t\tbreak;\n\t\tcase 'foapi':\n\t\t\tapiKeyToCheck = mcpEnv.FOAPI_API_KEY;\n\t\t\tbreak;\n\t\tdefault:");
+
+        const remover = new SourcePatcher(patched, 'config-manager.js');
+        remover.removeSwitchCase(remover.findSwitch('getMcpApiKeyStatus', 'providerName'), 'foapi');
+        expect(remover.toString()).toBe(CONFIG_MANAGER);
+    });
+
+    it('should refuse to remove a case that shares code with the previous case', () => {
+        const source = "switch (providerName) {\n\tcase 'a':\n\tcase 'b':\n\t\tx();\n\t\tbreak;\n}\n";
+        const patcher = new SourcePatcher(source, 'config-manager.js');
+
+        expect(() => patcher.removeSwitchCase(patcher.findSwitch('getMcpApiKeyStatus', 'providerName'), 'b'))
+            .toThrow('共用代码');
+    });
+
+    it('should add and remove export statements', () => {
+        const source = "export { OpenAIProvider } from './openai.js';\n";
+        const patcher = new SourcePatcher(source, 'index.js');
+        patcher.addExportFrom('FoApiProvider', './foapi.js');
+        const patched = patcher.toString();
+
+        expect(patched).toBe("export { OpenAIProvider } from './openai.js';\nexport { FoApiProvider } from './foapi.js';\n");
+
+        const remover = new SourcePatcher(patched, 'index.js');
+        remover.removeExportFrom('FoApiProvider');
+        expect(remover.toString()).toBe(source);
+    });
+
+    it('should report files that cannot be parsed', () => {
+        expect(() => new SourcePatcher('const PROVIDERS = {', 'broken.js')).toThrow('无法解析 broken.js');
+    });
+
+    it('should describe missing structures', () => {
+        const patcher = new SourcePatcher('const other = {};', 'ai-services-unified.js');
+
+        expect(() => patcher.require(patcher.findObjectDeclarations('PROVIDERS'), 'PROVIDERS对象'))
+            .toThrow('ai-services-unified.js 中找不到PROVIDERS对象，文件结构不受支持');
+    });
+});
+
+describe('TaskMasterFileManager structural patching', () => {
+    let packageBackend;
+    let fileManager;
+
+    beforeEach(() => {
+        const saveConfig = new SaveConfig({});
+        packageBackend = new MemoryStorageBackend({
+            'scripts/modules/ai-services-unified.js': REFORMATTED_UNIFIED,
+            'scripts/modules/config-manager.js': CONFIG_MANAGER
+        });
+        saveConfig.directoryHandleCache.set('taskmaster-package', packageBackend);
+        fileManager = new TaskMasterFileManager({}, saveConfig);
+    });
+
+    it('should patch reformatted upstream files', async () => {
+        await fileManager.updateAiServicesUnifiedFile('FoApi');
+        await fileManager.updateConfigManagerFile('FoApi');
+
+        expect(await packageBackend.readFile('scripts/modules/ai-services-unified.js')).toBe(patchUnified(REFORMATTED_UNIFIED));
+        expect(await packageBackend.readFile('scripts/modules/config-manager.js')).toContain("case 'foapi':");
+
+        await fileManager.updateAiServicesUnifiedFileForDeletion('FoApi');
+        await fileManager.removeProviderFromConfigManager('FoApi');
+
+        expect(await packageBackend.readFile('scripts/modules/ai-services-unified.js')).toBe(REFORMATTED_UNIFIED);
+        expect(await packageBackend.readFile('scripts/modules/config-manager.js')).toBe(CONFIG_MANAGER);
+    });
+
+    it('should leave the file untouched when its structure is not supported', async () => {
+        const unsupported = 'export const PROVIDERS = new Map();\n';
+        await packageBackend.writeFile('scripts/modules/ai-services-unified.js', unsupported);
+
+        await expect(fileManager.updateAiServicesUnifiedFile('FoApi')).rejects.toThrow('文件结构不受支持');
+        expect(await packageBackend.readFile('scripts/modules/ai-services-unified.js')).toBe(unsupported);
+    });
+});
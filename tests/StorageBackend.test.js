@@ -0,0 +1,228 @@
+/**
+ * StorageBackend.test.js
+ * Contract tests for the storage backends behind SaveConfig's file helpers
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    FileSystemAccessBackend,
+    MemoryStorageBackend,
+    StorageBackend,
+    toStorageBackend
+} from '../src/utils/StorageBackend.js';
+import { NodeFsStorageBackend } from '../src/utils/NodeFsStorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+
+function notFound(name) {
+    const error = new Error(`${name} not found`);
+    error.name = 'NotFoundError';
+    return error;
+}
+
+/**
+ * Minimal in-memory stand-in for FileSystemDirectoryHandle
+ */
+function createFakeDirectoryHandle(name = 'root') {
+    const children = new Map();
+    return {
+        kind: 'directory',
+        name,
+        children,
+        async getDirectoryHandle(childName, options = {}) {
+            let child = children.get(childName);
+            if (!child && options.create) {
+                child = createFakeDirectoryHandle(childName);
+                children.set(childName, child);
+            }
+            if (!child || child.kind !== 'directory') {
+                throw notFound(childName);
+            }
+            return child;
+        },
+        async getFileHandle(childName, options = {}) {
+            let child = children.get(childName);
+            if (!child && options.create) {
+                child = {
+                    kind: 'file',
+                    name: childName,
+                    content: '',
+                    async getFile() {
+                        return { text: async () => child.content };
+                    },
+                    async createWritable() {
+                        let buffer = '';
+                        return {
+                            write: async data => { buffer += data; },
+                            close: async () => { child.content = buffer; }
+                        };
+                    }
+                };
+                children.set(childName, child);
+            }
+            if (!child || child.kind !== 'file') {
+                throw notFound(childName);
+            }
+            return child;
+        },
+        async removeEntry(childName) {
+            if (!children.delete(childName)) {
+                throw notFound(childName);
+            }
+        },
+        async *entries() {
+            yield* children.entries();
+        },
+        async queryPermission() {
+            return 'granted';
+        },
+        async requestPermission() {
+            return 'granted';
+        }
+    };
+}
+
+const tempDirs = [];
+
+const backendFactories = {
+    memory: () => new MemoryStorageBackend(),
+    'node fs': () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-backend-'));
+        tempDirs.push(dir);
+        return new NodeFsStorageBackend(dir);
+    },
+    'file system access': () => new FileSystemAccessBackend(createFakeDirectoryHandle())
+};
+
+afterAll(() => {
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe.each(Object.keys(backendFactories))('%s backend', (kind) => {
+    let backend;
+
+    beforeEach(() => {
+        backend = backendFactories[kind]();
+    });
+
+    it('should return null for missing files and directories', async () => {
+        expect(await backend.readFile('missing.json')).toBeNull();
+        expect(await backend.readFile('no/such/dir/file.js')).toBeNull();
+        expect(await backend.exists('missing.json')).toBe(false);
+    });
+
+    it('should write files and create intermediate directories', async () => {
+        await backend.writeFile('scripts/modules/supported-models.json', '{"a":[]}');
+
+        expect(await backend.readFile('scripts/modules/supported-models.json')).toBe('{"a":[]}');
+        expect(await backend.exists('scripts/modules/supported-models.json')).toBe(true);
+    });
+
+    it('should overwrite existing files', async () => {
+        await backend.writeFile('index.js', 'old');
+        await backend.writeFile('index.js', 'new');
+
+        expect(await backend.readFile('index.js')).toBe('new');
+    });
+
+    it('should delete files and report whether anything was removed', async () => {
+        await backend.writeFile('src/ai-providers/foapi.js', 'x');
+
+        expect(await backend.deleteFile('src/ai-providers/foapi.js')).toBe(true);
+        expect(await backend.deleteFile('src/ai-providers/foapi.js')).toBe(false);
+        expect(await backend.deleteFile('nowhere/foapi.js')).toBe(false);
+        expect(await backend.readFile('src/ai-providers/foapi.js')).toBeNull();
+    });
+
+    it('should list directory entries with their kind', async () => {
+        await backend.writeFile('src/ai-providers/index.js', '');
+        await backend.writeFile('src/ai-providers/foapi.js', '');
+        await backend.writeFile('src/ai-providers/nested/x.js', '');
+
+        const entries = await backend.listDirectory('src/ai-providers');
+        const sorted = [...entries].sort((a, b) => a.name.localeCompare(b.name));
+
+        expect(sorted).toEqual([
+            { name: 'foapi.js', kind: 'file' },
+            { name: 'index.js', kind: 'file' },
+            { name: 'nested', kind: 'directory' }
+        ]);
+        expect(await backend.listDirectory('does/not/exist')).toBeNull();
+    });
+});
+
+describe('toStorageBackend', () => {
+    it('should pass storage backends through unchanged', () => {
+        const backend = new MemoryStorageBackend();
+        expect(toStorageBackend(backend)).toBe(backend);
+    });
+
+    it('should wrap directory handles', () => {
+        const backend = toStorageBackend(createFakeDirectoryHandle('project'));
+
+        expect(backend).toBeInstanceOf(FileSystemAccessBackend);
+        expect(backend.name).toBe('project');
+    });
+
+    it('should reject invalid targets', () => {
+        expect(() => toStorageBackend(null)).toThrow('目录句柄无效');
+        expect(() => toStorageBackend({})).toThrow('不支持的存储目标');
+    });
+
+    it('should require subclasses to implement the interface', async () => {
+        await expect(new StorageBackend().readFile('a')).rejects.toThrow('未实现 readFile');
+    });
+});
+
+describe('NodeFsStorageBackend', () => {
+    it('should refuse paths outside of the root', async () => {
+        const backend = backendFactories['node fs']();
+        await expect(backend.readFile('../outside.txt')).rejects.toThrow('根目录之外');
+    });
+});
+
+describe('SaveConfig with a memory backend', () => {
+    let saveConfig;
+    let packageBackend;
+
+    beforeEach(() => {
+        const configManager = { getProviders: vi.fn(), getModels: vi.fn(), isProjectValid: () => true };
+        saveConfig = new SaveConfig(configManager);
+        packageBackend = new MemoryStorageBackend({
+            'src/ai-providers/index.js': "export { OpenAIProvider } from './openai.js';",
+            'src/ai-providers/foapi.js': "this.name = 'FoApi';\nconst baseURL = 'https://api.foapi.test';",
+            'scripts/modules/supported-models.json': '{"openai":[]}'
+        });
+        saveConfig.directoryHandleCache.set('taskmaster-package', packageBackend);
+    });
+
+    it('should read, update and delete files through the helpers', async () => {
+        await saveConfig.updateExistingFileInPackage('src/ai-providers/index.js', content => `${content}\n// patched`);
+        expect(await saveConfig.readFileFromDirectory(packageBackend, 'src/ai-providers/index.js'))
+            .toContain('// patched');
+
+        expect(await saveConfig.readJsonFileFromDirectory(packageBackend, 'scripts/modules/supported-models.json'))
+            .toEqual({ openai: [] });
+
+        expect(await saveConfig.deleteFileFromDirectory(packageBackend, 'src/ai-providers/foapi.js')).toBe(true);
+        expect(await packageBackend.exists('src/ai-providers/foapi.js')).toBe(false);
+    });
+
+    it('should let ProviderFileParser scan provider files', async () => {
+        const configs = await saveConfig.providerFileParser.parseAllProviderFiles(packageBackend);
+
+        expect(Object.keys(configs)).toEqual(['foapi']);
+        expect(configs.foapi.key).toBe('foapi');
+    });
+
+    it('should let TaskMasterFileManager add models without touching disk', async () => {
+        const fileManager = new TaskMasterFileManager({}, saveConfig);
+
+        await fileManager.addProviderModel('openai', 'gpt-4o-mini', { maxTokens: 1000 });
+
+        const supportedModels = JSON.parse(packageBackend.toJSON()['scripts/modules/supported-models.json']);
+        expect(supportedModels.openai).toHaveLength(1);
+    });
+});
@@ -0,0 +1,402 @@
+/**
+ * TaskMasterCli.test.js
+ * Integration tests for the headless CLI against a temporary TaskMaster project and package
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TaskMasterCli } from '../src/cli/TaskMasterCli.js';
+
+const AI_SERVICES_UNIFIED = `import {
+\tAnthropicAIProvider,
+\tOpenAIProvider
+} from '../../src/ai-providers/index.js';
+
+const PROVIDERS = {
+\tanthropic: new AnthropicAIProvider(),
+\topenai: new OpenAIProvider()
+};
+
+function _getProviderApiKey(providerName) {
+\tconst keyMap = {
+\t\topenai: 'OPENAI_API_KEY',
+\t\tanthropic: 'ANTHROPIC_API_KEY'
+\t};
+\treturn keyMap[providerName];
+}
+`;
+
+const CONFIG_MANAGER = `function getApiKeyEnvName(providerName) {
+\tconst keyMap = {
+\t\topenai: 'OPENAI_API_KEY',
+\t\tanthropic: 'ANTHROPIC_API_KEY'
+\t};
+\treturn keyMap[providerName];
+}
+
+function getMcpApiKeyStatus(providerName) {
+\tlet apiKeyToCheck;
+\tswitch (providerName) {
+\t\tcase 'openai':
+\t\t\tapiKeyToCheck = mcpEnv.OPENAI_API_KEY;
+\t\t\tbreak;
+\t\tdefault:
+\t\t\tapiKeyToCheck = mcpEnv[\`\${providerName.toUpperCase()}_API_KEY\`];
+\t}
+\treturn !!apiKeyToCheck;
+}
+`;
+
+const INIT_JS = `function setupMCPConfiguration() {
+\tconst newMCPServer = {
+\t\t'task-master-ai': {
+\t\t\tcommand: 'npx',
+\t\t\targs: ['-y', 'task-master-ai'],
+\t\t\tenv: {
+\t\t\t\tANTHROPIC_API_KEY: 'ANTHROPIC_API_KEY_HERE',
+\t\t\t\tOPENAI_API_KEY: 'OPENAI_API_KEY_HERE'
+\t\t\t}
+\t\t}
+\t};
+\treturn newMCPServer;
+}
+`;
+
+function writeFile(root, relativePath, content) {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf8');
+}
+
+function readFile(root, relativePath) {
+    return fs.readFileSync(path.join(root, relativePath), 'utf8');
+}
+
+function createFixture() {
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmaster-cli-'));
+    const packageDir = path.join(projectDir, 'node_modules', 'task-master-ai');
+    createFixtureFiles(projectDir, packageDir);
+    return { projectDir, packageDir };
+}
+
+function createFixtureFiles(projectDir, packageDir) {
+    writeFile(packageDir, 'package.json', JSON.stringify({ name: 'task-master-ai', version: '0.18.0' }));
+    writeFile(packageDir, 'src/ai-providers/index.js', "export { OpenAIProvider } from './openai.js';\n");
+    writeFile(packageDir, 'scripts/modules/ai-services-unified.js', AI_SERVICES_UNIFIED);
+    writeFile(packageDir, 'scripts/modules/config-manager.js', CONFIG_MANAGER);
+    writeFile(packageDir, 'scripts/modules/supported-models.json', JSON.stringify({
+        openai: [{ id: 'gpt-4o', swe_score: 0.33, allowed_roles: ['main'], max_tokens: 16384 }]
+    }, null, 2));
+    writeFile(packageDir, 'scripts/init.js', INIT_JS);
+    writeFile(projectDir, '.cursor/mcp.json', JSON.stringify({
+        mcpServers: {
+            'task-master-ai': { command: 'npx', args: ['-y', 'task-master-ai'], env: {} }
+        }
+    }, null, 2));
+}
+
+function createCli(projectDir) {
+    const output = { stdout: '', stderr: '' };
+    const cli = new TaskMasterCli({
+        stdout: { write: text => { output.stdout += text; } },
+        stderr: { write: text => { output.stderr += text; } },
+        cwd: projectDir
+    });
+    return { cli, output };
+}
+
+async function runCli(projectDir, ...args) {
+    const { cli, output } = createCli(projectDir);
+    const code = await cli.run(args);
+    return { code, ...output };
+}
+
+describe('TaskMasterCli', () => {
+    let projectDir;
+    let packageDir;
+
+    beforeEach(() => {
+        ({ projectDir, packageDir } = createFixture());
+    });
+
+    afterEach(() => {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('should print usage and return 2 without a command', async () => {
+        const result = await runCli(projectDir);
+
+        expect(result.code).toBe(2);
+        expect(result.stdout).toContain('taskmaster-tool');
+    });
+
+    it('should return 2 for unknown commands', async () => {
+        const result = await runCli(projectDir, 'frobnicate');
+
+        expect(result.code).toBe(2);
+        expect(result.stderr).toContain('未知命令');
+    });
+
+    it('should add a provider and patch the TaskMaster package', async () => {
+        const result = await runCli(projectDir, 'provider', 'add',
+            '--name', 'FoApi', '--endpoint', 'https://api.foapi.test', '--api-key', 'fo-secret');
+
+        expect(result.code).toBe(0);
+        expect(fs.existsSync(path.join(packageDir, 'src/ai-providers/foapi.js'))).toBe(true);
+        expect(readFile(packageDir, 'src/ai-providers/index.js'))
+            .toContain("export { FoApiProvider } from './foapi.js';");
+        expect(readFile(packageDir, 'scripts/modules/ai-services-unified.js')).toContain('new FoApiProvider()');
+        expect(readFile(packageDir, 'scripts/modules/config-manager.js')).toContain('FOAPI_API_KEY');
+        expect(readFile(packageDir, 'scripts/init.js')).toContain('FOAPI_API_KEY');
+
+        const supportedModels = JSON.parse(readFile(packageDir, 'scripts/modules/supported-models.json'));
+        expect(supportedModels.foapi).toEqual([]);
+
+        const mcpConfig = JSON.parse(readFile(projectDir, '.cursor/mcp.json'));
+        expect(mcpConfig.mcpServers['task-master-ai'].env.FOAPI_API_KEY).toBe('fo-secret');
+    });
+
+    it('should persist configuration between invocations', async () => {
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi', '--endpoint', 'https://api.foapi.test');
+
+        const duplicate = await runCli(projectDir, 'provider', 'add', '--name', 'foapi');
+        expect(duplicate.code).toBe(1);
+        expect(duplicate.stderr).toContain('服务商名称已存在');
+
+        const list = await runCli(projectDir, 'provider', 'list', '--json');
+        const providers = JSON.parse(list.stdout);
+        expect(providers).toHaveLength(1);
+        expect(providers[0].name).toBe('FoApi');
+    });
+
+    it('should mask API keys in JSON output', async () => {
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi', '--endpoint', 'https://api.foapi.test',
+            '--api-key', 'fo-secret-key');
+
+        const list = await runCli(projectDir, 'provider', 'list', '--json');
+        expect(JSON.parse(list.stdout)[0]).toMatchObject({ name: 'FoApi', apiKey: '[REDACTED]', modelCount: 0 });
+        expect(list.stdout).not.toContain('fo-secret-key');
+
+        const doctor = await runCli(projectDir, 'doctor', '--json');
+        expect(doctor.stdout).not.toContain('fo-secret-key');
+    });
+
+    it('should add and import a model into supported-models.json', async () => {
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi', '--endpoint', 'https://api.foapi.test');
+
+        const add = await runCli(projectDir, 'model', 'add', '--provider', 'FoApi', '--model-id', 'gpt-4o-mini',
+            '--max-tokens', '64000', '--input-cost', '0.15', '--output-cost', '0.6', '--roles', 'main,research');
+        expect(add.code).toBe(0);
+        expect(add.stdout).toContain('foapi-gpt-4o-mini');
+
+        const imported = await runCli(projectDir, 'model', 'import', 'foapi-gpt-4o-mini');
+        expect(imported.code).toBe(0);
+
+        const supportedModels = JSON.parse(readFile(packageDir, 'scripts/modules/supported-models.json'));
+        expect(supportedModels.foapi).toEqual([expect.objectContaining({
+            id: 'foapi-gpt-4o-mini',
+            max_tokens: 64000,
+            allowed_roles: ['main', 'research'],
+            cost_per_1m_tokens: { input: 0.15, output: 0.6 }
+        })]);
+
+        const removed = await runCli(projectDir, 'model', 'delete', 'foapi-gpt-4o-mini');
+        expect(removed.code).toBe(0);
+        expect(JSON.parse(readFile(packageDir, 'scripts/modules/supported-models.json')).foapi).toEqual([]);
+    });
+
+    it('should reject invalid model roles', async () => {
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi');
+
+        const result = await runCli(projectDir, 'model', 'add', '--provider', 'FoApi', '--model-id', 'x',
+            '--roles', 'main,boss');
+
+        expect(result.code).toBe(2);
+        expect(result.stderr).toContain('boss');
+    });
+
+    it('should delete a provider and clean up the package', async () => {
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi', '--endpoint', 'https://api.foapi.test',
+            '--api-key', 'fo-secret');
+
+        const result = await runCli(projectDir, 'provider', 'delete', 'FoApi');
+
+        expect(result.code).toBe(0);
+        expect(fs.existsSync(path.join(packageDir, 'src/ai-providers/foapi.js'))).toBe(false);
+        expect(readFile(packageDir, 'src/ai-providers/index.js')).not.toContain('FoApiProvider');
+        expect(readFile(packageDir, 'scripts/modules/ai-services-unified.js')).not.toContain('FoApiProvider');
+
+        const supportedModels = JSON.parse(readFile(packageDir, 'scripts/modules/supported-models.json'));
+        expect(supportedModels.foapi).toBeUndefined();
+        expect(readFile(projectDir, '.env')).not.toContain('FOAPI_API_KEY');
+
+        const list = await runCli(projectDir, 'provider', 'list', '--json');
+        expect(JSON.parse(list.stdout)).toEqual([]);
+    });
+
+    it('should share provider definitions through .taskmaster/custom-providers.json', async () => {
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi',
+            '--endpoint', 'https://api.foapi.test', '--api-key', 'fo-secret');
+
+        const definitions = readFile(projectDir, '.taskmaster/custom-providers.json');
+        expect(definitions).toContain('"envVar": "FOAPI_API_KEY"');
+        expect(definitions).not.toContain('fo-secret');
+
+        // 克隆仓库的团队成员没有本地状态和 .env，只有提交的定义文件
+        expect(readFile(projectDir, '.env')).toBe('FOAPI_API_KEY=fo-secret\n');
+        fs.unlinkSync(path.join(projectDir, '.env'));
+        const list = await runCli(projectDir, 'provider', 'list', '--json',
+            '--state', path.join(projectDir, 'teammate-state.json'));
+        const providers = JSON.parse(list.stdout);
+        expect(providers).toHaveLength(1);
+        expect(providers[0]).toMatchObject({ name: 'FoApi', endpoint: 'https://api.foapi.test', apiKey: '' });
+
+        // 团队成员在自己的 .env 中填写密钥后，加载定义时自动预填
+        fs.writeFileSync(path.join(projectDir, '.env'), '# local keys\nFOAPI_API_KEY=fo-teammate\n');
+        const prefilled = await runCli(projectDir, 'provider', 'list', '--json',
+            '--state', path.join(projectDir, 'teammate2-state.json'));
+        expect(JSON.parse(prefilled.stdout)[0].apiKey).toBe('[REDACTED]');
+        expect(prefilled.stdout).not.toContain('fo-teammate');
+    });
+
+    it('should write API keys to every enabled MCP client config', async () => {
+        writeFile(projectDir, '.vscode/mcp.json', JSON.stringify({ servers: { 'task-master-ai': { env: {} } } }));
+        writeFile(projectDir, '.roo/mcp.json', JSON.stringify({ mcpServers: { 'task-master-ai': { env: {} } } }));
+
+        const disabled = await runCli(projectDir, 'mcp', 'disable', 'roo');
+        expect(disabled.code).toBe(0);
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi', '--api-key', 'fo-secret');
+
+        expect(JSON.parse(readFile(projectDir, '.vscode/mcp.json')).servers['task-master-ai'].env.FOAPI_API_KEY).toBe('fo-secret');
+        expect(JSON.parse(readFile(projectDir, '.roo/mcp.json')).mcpServers['task-master-ai'].env).toEqual({});
+
+        const list = JSON.parse((await runCli(projectDir, 'mcp', 'list', '--json')).stdout);
+        expect(list.find(client => client.id === 'roo')).toMatchObject({ exists: true, enabled: false });
+
+        const unknown = await runCli(projectDir, 'mcp', 'enable', 'emacs');
+        expect(unknown.code).toBe(2);
+    });
+
+    it('should print a diff without writing files in --dry-run mode', async () => {
+        const before = readFile(packageDir, 'src/ai-providers/index.js');
+
+        const result = await runCli(projectDir, 'provider', 'add', '--name', 'FoApi',
+            '--endpoint', 'https://api.foapi.test', '--dry-run');
+
+        expect(result.code).toBe(0);
+        expect(result.stdout).toContain('+++ b/src/ai-providers/foapi.js');
+        expect(result.stdout).toContain("+export { FoApiProvider } from './foapi.js';");
+        expect(fs.existsSync(path.join(packageDir, 'src/ai-providers/foapi.js'))).toBe(false);
+        expect(readFile(packageDir, 'src/ai-providers/index.js')).toBe(before);
+
+        const list = await runCli(projectDir, 'provider', 'list', '--json');
+        expect(JSON.parse(list.stdout)).toEqual([]);
+    });
+
+    it('should list, diff and restore backups of patched files', async () => {
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi', '--endpoint', 'https://api.foapi.test');
+
+        const list = await runCli(projectDir, 'backup', 'list', '--file', 'config-manager.js', '--json');
+        const [entry] = JSON.parse(list.stdout);
+        expect(entry.path).toBe('scripts/modules/config-manager.js');
+        expect(fs.existsSync(path.join(projectDir, entry.file))).toBe(true);
+
+        const diff = await runCli(projectDir, 'backup', 'diff', entry.id);
+        expect(diff.stdout).toContain('--- a/scripts/modules/config-manager.js');
+        expect(diff.stdout).toMatch(/^-.*foapi/m);
+
+        const restore = await runCli(projectDir, 'backup', 'restore', entry.id);
+        expect(restore.code).toBe(0);
+        expect(readFile(packageDir, 'scripts/modules/config-manager.js')).toBe(CONFIG_MANAGER);
+    });
+
+    it('should report and fix missing provider registrations with doctor', async () => {
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi', '--endpoint', 'https://api.foapi.test');
+        writeFile(packageDir, 'scripts/modules/config-manager.js', CONFIG_MANAGER);
+
+        const check = await runCli(projectDir, 'doctor');
+        expect(check.code).toBe(1);
+        expect(check.stdout).toContain("switch中缺少 case 'foapi'");
+        expect(check.stderr).toContain('doctor --fix');
+
+        const fix = await runCli(projectDir, 'doctor', '--fix');
+        expect(fix.code).toBe(0);
+        expect(fix.stdout).toContain('FoApi: config-manager.js');
+        expect(readFile(packageDir, 'scripts/modules/config-manager.js')).toContain("case 'foapi'");
+
+        expect((await runCli(projectDir, 'doctor')).code).toBe(0);
+    });
+
+    it('should detect a package upgrade and replay recorded providers', async () => {
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi', '--endpoint', 'https://api.foapi.test');
+
+        // 模拟 npm update 覆盖包文件
+        fs.rmSync(path.join(packageDir, 'src/ai-providers/foapi.js'));
+        writeFile(packageDir, 'package.json', JSON.stringify({ name: 'task-master-ai', version: '0.19.0' }));
+        writeFile(packageDir, 'scripts/modules/ai-services-unified.js', AI_SERVICES_UNIFIED);
+
+        const status = await runCli(projectDir, 'status');
+        expect(status.stdout).toContain('1 个供应商需要重新应用');
+
+        const replay = await runCli(projectDir, 'replay');
+        expect(replay.code).toBe(0);
+        expect(replay.stdout).toContain('已将 FoApi 重新应用到 v0.19.0');
+        expect(fs.existsSync(path.join(packageDir, 'src/ai-providers/foapi.js'))).toBe(true);
+        expect(readFile(packageDir, 'scripts/modules/ai-services-unified.js')).toContain('new FoApiProvider()');
+
+        expect((await runCli(projectDir, 'status')).stdout).not.toContain('需要重新应用');
+    });
+
+    it('should export provider changes as a patch-package patch from a clean package', async () => {
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi', '--endpoint', 'https://api.foapi.test');
+
+        const installed = await runCli(projectDir, 'patch');
+        expect(installed.code).toBe(1);
+        expect(installed.stderr).toContain('npm ci');
+
+        // 模拟 npm ci：包恢复为未修改的文件
+        fs.rmSync(packageDir, { recursive: true, force: true });
+        createFixtureFiles(projectDir, packageDir);
+
+        const result = await runCli(projectDir, 'patch');
+        const patch = readFile(projectDir, 'patches/task-master-ai+0.18.0.patch');
+
+        expect(result.code).toBe(0);
+        expect(patch).toContain('diff --git a/node_modules/task-master-ai/src/ai-providers/foapi.js');
+        expect(patch).toContain("+export { FoApiProvider } from './foapi.js';");
+        expect(patch).toContain('+\tfoapi: new FoApiProvider()');
+        expect(fs.existsSync(path.join(packageDir, 'src/ai-providers/foapi.js'))).toBe(false);
+    });
+
+    it('should refuse to export a patch from a partly patched package', async () => {
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi', '--endpoint', 'https://api.foapi.test');
+        writeFile(packageDir, 'scripts/modules/config-manager.js', CONFIG_MANAGER);
+
+        const result = await runCli(projectDir, 'patch');
+
+        expect(result.code).toBe(1);
+        expect(result.stderr).toContain('当前TaskMaster包已包含部分供应商修改');
+        expect(result.stderr).toContain('FoApi: 供应商文件');
+        expect(fs.existsSync(path.join(projectDir, 'patches'))).toBe(false);
+    });
+
+    it('should fail when --package does not point to task-master-ai', async () => {
+        const result = await runCli(projectDir, 'status', '--package', projectDir);
+
+        expect(result.code).toBe(1);
+        expect(result.stderr).toContain('不是有效的task-master-ai包目录');
+    });
+
+    it('should report status as JSON', async () => {
+        await runCli(projectDir, 'provider', 'add', '--name', 'FoApi', '--api-key', 'fo-secret');
+
+        const result = await runCli(projectDir, 'status', '--json');
+        const status = JSON.parse(result.stdout);
+
+        expect(status.packageVersion).toBe('0.18.0');
+        expect(status.providers).toEqual([expect.objectContaining({
+            name: 'FoApi', hasApiKey: true, inSupportedModels: true
+        })]);
+    });
+});
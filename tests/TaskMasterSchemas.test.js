@@ -0,0 +1,135 @@
+/**
+ * TaskMasterSchemas.test.js
+ * Tests for JSON Schema validation of supported-models.json, .taskmaster/config.json and mcp.json on read and write
+ */
+
+import { TaskMasterSchemas } from '../src/utils/TaskMasterSchemas.js';
+import { MemoryStorageBackend } from '../src/utils/StorageBackend.js';
+import { SaveConfig } from '../src/components/SaveConfig.js';
+import { TaskMasterFileManager } from '../src/utils/TaskMasterFileManager.js';
+import { TASKMASTER_CONFIG_PATH } from '../src/utils/TaskMasterConfigFile.js';
+
+const SUPPORTED_MODELS_PATH = 'scripts/modules/supported-models.json';
+
+const SUPPORTED_MODELS = {
+    anthropic: [
+        {
+            id: 'claude-sonnet',
+            swe_score: 0.727,
+            cost_per_1m_tokens: { input: 3, output: 15 },
+            allowed_roles: ['main', 'fallback'],
+            max_tokens: 64000
+        }
+    ],
+    ollama: [
+        { id: 'llama3', swe_score: null, cost_per_1m_tokens: null, allowed_roles: ['main'], supported: true }
+    ]
+};
+
+const TASKMASTER_CONFIG = {
+    models: {
+        main: { provider: 'anthropic', modelId: 'claude-sonnet', maxTokens: 64000, temperature: 0.2 },
+        research: { provider: 'perplexity', modelId: 'sonar-pro', maxTokens: 8700, temperature: 0.1, baseURL: 'https://proxy.test' }
+    },
+    global: { logLevel: 'info', defaultSubtasks: 5, projectName: 'Demo', userId: '1234' }
+};
+
+describe('TaskMasterSchemas', () => {
+    it('should accept valid files and report supported-models.json problems with precise paths', () => {
+        expect(TaskMasterSchemas.validateData(SUPPORTED_MODELS_PATH, SUPPORTED_MODELS)).toEqual([]);
+        expect(TaskMasterSchemas.validateData(TASKMASTER_CONFIG_PATH, TASKMASTER_CONFIG)).toEqual([]);
+        expect(TaskMasterSchemas.getSchema('src/ai-providers/foapi.js')).toBeNull();
+
+        const errors = TaskMasterSchemas.validateData(SUPPORTED_MODELS_PATH, {
+            anthropic: [
+                { id: 'claude-sonnet', cost_per_1m_tokens: { input: '3' }, allowed_roles: ['main', 'planner'], max_tokens: 0 }
+            ],
+            openai: { id: 'gpt-4o' }
+        });
+        expect(errors).toEqual([
+            { path: 'anthropic[0].cost_per_1m_tokens.output', message: '缺少必填字段' },
+            { path: 'anthropic[0].cost_per_1m_tokens.input', message: '应为number，实际为string' },
+            { path: 'anthropic[0].allowed_roles[1]', message: '应为 main、research、fallback 之一，实际为 "planner"' },
+            { path: 'anthropic[0].max_tokens', message: '不能小于 1，实际为 0' },
+            { path: 'openai', message: '应为array，实际为object' }
+        ]);
+    });
+
+    it('should validate the role blocks and global section of config.json and the env of mcp.json', () => {
+        const config = {
+            models: {
+                main: { provider: 'anthropic', maxTokens: 64000.5, temperature: 3 },
+                fallback: 'claude-sonnet'
+            },
+            global: { logLevel: 'verbose', defaultSubtasks: 50 }
+        };
+        expect(TaskMasterSchemas.formatErrors(TASKMASTER_CONFIG_PATH, TaskMasterSchemas.validateData(TASKMASTER_CONFIG_PATH, config))).toEqual([
+            '.taskmaster/config.json models.main.modelId: 缺少必填字段',
+            '.taskmaster/config.json models.main.maxTokens: 应为integer，实际为number',
+            '.taskmaster/config.json models.main.temperature: 不能大于 2，实际为 3',
+            '.taskmaster/config.json models.fallback: 应为object，实际为string',
+            '.taskmaster/config.json global.logLevel: 应为 debug、info、warn、error 之一，实际为 "verbose"',
+            '.taskmaster/config.json global.defaultSubtasks: 不能大于 20，实际为 50'
+        ]);
+
+        expect(TaskMasterSchemas.validate('.vscode/mcp.json', JSON.stringify({
+            servers: { 'task-master-ai': { type: 'stdio', env: { OPENAI_API_KEY: 'sk', MAX_RETRIES: 3 } } }
+        }))).toEqual([{ path: 'servers.task-master-ai.env.MAX_RETRIES', message: '应为string，实际为number' }]);
+        expect(TaskMasterSchemas.validate('.mcp.json', '{')[0].message).toMatch(/^不是有效的JSON/);
+    });
+
+    it('should refuse to write invalid content and leave the file unchanged', async () => {
+        const original = JSON.stringify(TASKMASTER_CONFIG, null, 2);
+        const projectBackend = new MemoryStorageBackend({ [TASKMASTER_CONFIG_PATH]: original }, 'project');
+        const saveConfig = new SaveConfig({});
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+
+        const invalid = JSON.stringify({ ...TASKMASTER_CONFIG, global: { debug: 'yes' } });
+        await expect(saveConfig.writeFileToDirectory(projectBackend, TASKMASTER_CONFIG_PATH, invalid))
+            .rejects.toThrow('.taskmaster/config.json 不符合TaskMaster文件格式，已拒绝写入:\n.taskmaster/config.json global.debug: 应为boolean，实际为string');
+        expect(await projectBackend.readFile(TASKMASTER_CONFIG_PATH)).toBe(original);
+
+        // 其他文件不校验
+        await saveConfig.writeFileToDirectory(projectBackend, 'notes.json', '{not json');
+        expect(await projectBackend.readFile('notes.json')).toBe('{not json');
+    });
+
+    it('should report the failed file when a planned change would write an invalid file', async () => {
+        const packageBackend = new MemoryStorageBackend({
+            [SUPPORTED_MODELS_PATH]: JSON.stringify({ ...SUPPORTED_MODELS, broken: [{ id: '' }] }, null, 2)
+        }, 'task-master-ai');
+        const saveConfig = new SaveConfig({});
+        saveConfig.directoryHandleCache.set('taskmaster-package', packageBackend);
+        const fileManager = new TaskMasterFileManager({}, saveConfig);
+
+        const plan = await fileManager.planOperation(async manager => {
+            try {
+                await manager.updateSupportedModelsFileProviderOnly('FoApi');
+                return { success: [SUPPORTED_MODELS_PATH], failed: [] };
+            } catch (error) {
+                return { success: [], failed: [{ file: SUPPORTED_MODELS_PATH, error: error.message }] };
+            }
+        });
+
+        expect(plan.hasChanges()).toBe(false);
+        expect(plan.result.failed[0].error).toContain(`${SUPPORTED_MODELS_PATH} broken[0].id: 不能为空`);
+    });
+
+    it('should collect schema problems found while reading the project files', async () => {
+        const projectBackend = new MemoryStorageBackend({
+            [SUPPORTED_MODELS_PATH]: JSON.stringify({ anthropic: [{ id: 'claude-sonnet', swe_score: 72.7 }] }),
+            [TASKMASTER_CONFIG_PATH]: JSON.stringify({ models: { research: { provider: 'perplexity' } } }),
+            '.cursor/mcp.json': JSON.stringify({ mcpServers: { 'task-master-ai': { args: '-y task-master-ai', env: {} } } })
+        }, 'project');
+        const saveConfig = new SaveConfig({});
+        saveConfig.directoryHandleCache.set('taskmaster-project', projectBackend);
+
+        const taskMasterConfig = await saveConfig.readTaskMasterConfig(projectBackend);
+        expect(taskMasterConfig.supportedModels.anthropic).toHaveLength(1);
+        expect(saveConfig.readValidationErrors).toEqual([
+            `${SUPPORTED_MODELS_PATH} anthropic[0].swe_score: 不能大于 1，实际为 72.7`,
+            '.taskmaster/config.json models.research.modelId: 缺少必填字段',
+            '.cursor/mcp.json mcpServers.task-master-ai.args: 应为array，实际为string'
+        ]);
+    });
+});
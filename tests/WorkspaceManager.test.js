@@ -0,0 +1,120 @@
+/**
+ * WorkspaceManager.test.js
+ * Tests for the multi-project workspace list and per-workspace provider/model configuration
+ */
+
+import { WorkspaceManager, ACTIVE_WORKSPACE_KEY } from '../src/utils/WorkspaceManager.js';
+import { ConfigManager } from '../src/utils/configManager.js';
+import { WorkspacePanel } from '../src/components/WorkspacePanel.js';
+import { createStorage } from './helpers/storage.js';
+
+// 内存中的DirectoryHandleManager，权限总是授予
+function createHandleManager() {
+    const handles = new Map();
+    return {
+        handles,
+        saveDirectoryHandle: async (key, handle, metadata = {}) => {
+            handles.set(key, { handle, metadata: { ...metadata, name: handle.name } });
+            return true;
+        },
+        restoreDirectoryHandle: async key => handles.get(key) || null,
+        restoreWithPermission: async key => handles.get(key)?.handle || null,
+        removeDirectoryHandle: async key => {
+            handles.delete(key);
+        }
+    };
+}
+
+function createHandle(name) {
+    const handle = { name };
+    handle.isSameEntry = async other => other === handle;
+    return handle;
+}
+
+describe('WorkspaceManager', () => {
+    let storage;
+    let handleManager;
+    let workspaces;
+
+    beforeEach(() => {
+        storage = createStorage();
+        handleManager = createHandleManager();
+        workspaces = new WorkspaceManager(storage, handleManager);
+    });
+
+    it('should create a workspace per project and reuse it when the project is selected again', async () => {
+        const alpha = createHandle('alpha');
+        const first = await workspaces.rememberProject(alpha);
+        const second = await workspaces.rememberProject(createHandle('beta'));
+        const again = await workspaces.rememberProject(alpha);
+
+        expect(first.created).toBe(true);
+        expect(second.created).toBe(true);
+        expect(again).toEqual({ workspace: expect.objectContaining({ id: first.workspace.id }), created: false });
+        expect(workspaces.getActiveId()).toBe(first.workspace.id);
+        expect(workspaces.list().map(workspace => workspace.projectName)).toEqual(['alpha', 'beta']);
+    });
+
+    it('should pair the package with the active workspace and restore both handles', async () => {
+        const project = createHandle('alpha');
+        const taskmasterPackage = createHandle('task-master-ai');
+        const { workspace } = await workspaces.rememberProject(project);
+        await workspaces.rememberPackage(taskmasterPackage);
+
+        expect(workspaces.getWorkspace(workspace.id).packageName).toBe('task-master-ai');
+        expect(await workspaces.restoreHandles(workspace.id)).toEqual({ projectHandle: project, packageHandle: taskmasterPackage });
+
+        await workspaces.clearPackage();
+        expect(await workspaces.restoreHandles(workspace.id)).toEqual({ projectHandle: project, packageHandle: null });
+    });
+
+    it('should remove a workspace together with its handles and configuration', async () => {
+        const { workspace } = await workspaces.rememberProject(createHandle('alpha'));
+        storage.setItem(ConfigManager.getStorageKey(workspace.id), '{"providers":[],"models":[]}');
+
+        await workspaces.remove(workspace.id);
+
+        expect(workspaces.list()).toEqual([]);
+        expect(storage.getItem(ACTIVE_WORKSPACE_KEY)).toBeNull();
+        expect(storage.getItem(ConfigManager.getStorageKey(workspace.id))).toBeNull();
+        expect(handleManager.handles.size).toBe(0);
+    });
+
+    it('should keep a separate provider set per workspace', async () => {
+        storage.setItem('taskmaster-ui-config', JSON.stringify({
+            providers: [{ id: 'provider_1', name: 'FoApi', endpoint: 'https://fo.test', apiKey: '' }],
+            models: []
+        }));
+        const configManager = new ConfigManager({ storage });
+        await configManager.loadConfiguration();
+
+        // 新建的工作区从当前配置开始，之后各自保存
+        await configManager.switchWorkspace('workspace_a', { copyCurrent: true });
+        await configManager.addProvider({ name: 'BarApi', endpoint: 'https://bar.test', apiKey: '' });
+        await configManager.switchWorkspace('workspace_b', { copyCurrent: false });
+        expect(configManager.providers).toEqual([]);
+
+        await configManager.switchWorkspace('workspace_a');
+        expect(configManager.providers.map(provider => provider.name)).toEqual(['FoApi', 'BarApi']);
+        expect(JSON.parse(storage.getItem('taskmaster-ui-config')).providers).toHaveLength(1);
+    });
+
+    it('should list workspaces in the panel and switch on request', async () => {
+        const { workspace: alpha } = await workspaces.rememberProject(createHandle('alpha'));
+        const { workspace: beta } = await workspaces.rememberProject(createHandle('beta'));
+        const onSwitch = vi.fn();
+        const resolve = vi.fn();
+        const modal = new WorkspacePanel(workspaces, { onSwitch }).createModal(resolve);
+
+        expect(modal.querySelector(`[data-workspace="${beta.id}"] [data-action="remove-workspace"]`).disabled).toBe(true);
+
+        await modal.querySelector(`[data-workspace="${alpha.id}"] [data-action="switch-workspace"]`).onclick();
+        expect(onSwitch).toHaveBeenCalledWith(alpha.id);
+        expect(resolve).toHaveBeenCalled();
+
+        const nameInput = modal.querySelector(`[data-workspace="${alpha.id}"] input[name="workspace-name"]`);
+        nameInput.value = 'Alpha (prod)';
+        nameInput.onchange();
+        expect(workspaces.getWorkspace(alpha.id).name).toBe('Alpha (prod)');
+    });
+});
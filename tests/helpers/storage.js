@@ -0,0 +1,22 @@
+/**
+ * storage.js
+ * In-memory localStorage replacement for tests that construct ConfigManager, SecretVault or WorkspaceManager
+ */
+
+/**
+ * @param {Object<string, string>} [items] - 初始内容
+ * @returns {Storage} localStorage兼容的存储，data为底层Map
+ */
+export function createStorage(items = {}) {
+    const data = new Map(Object.entries(items));
+    return {
+        data,
+        get length() {
+            return data.size;
+        },
+        key: index => [...data.keys()][index] ?? null,
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key)
+    };
+}
@@ -0,0 +1,34 @@
+/**
+ * taskmasterFixtures.js
+ * Minimal task-master-ai package and project files shared by the file update tests
+ */
+
+export const PACKAGE_FILES = {
+    'package.json': '{"name":"task-master-ai","version":"0.18.0"}',
+    'src/ai-providers/index.js': "export { OpenAIProvider } from './openai.js';\n",
+    'scripts/modules/ai-services-unified.js': [
+        "import {\n\tOpenAIProvider\n} from '../../src/ai-providers/index.js';",
+        'const PROVIDERS = {\n\topenai: new OpenAIProvider()\n};',
+        "const keyMap = {\n\t\topenai: 'OPENAI_API_KEY'\n\t};"
+    ].join('\n\n') + '\n',
+    'scripts/modules/config-manager.js': [
+        "const keyMap = {\n\t\topenai: 'OPENAI_API_KEY'\n\t};",
+        "switch (providerName) {\n\t\tcase 'openai':\n\t\t\tapiKeyToCheck = mcpEnv.OPENAI_API_KEY;\n\t\t\tbreak;\n\t\tdefault:\n\t\t\tbreak;\n\t}"
+    ].join('\n\n') + '\n',
+    'scripts/modules/supported-models.json': '{\n  "openai": []\n}',
+    // 0.18.0 的 init.js 不再包含MCP配置模板（MCP配置由规则配置文件生成）
+    'scripts/init.js': [
+        "import { RULE_PROFILES } from '../src/constants/profiles.js';",
+        "import { convertAllRulesToProfileRules } from '../src/utils/rule-transformer.js';",
+        'function createProjectStructure(addAliases, initGit, storeTasksInGit, dryRun, options) {\n' +
+        '\tconst targetDir = process.cwd();\n' +
+        '\tfor (const profileName of RULE_PROFILES) {\n\t\tconvertAllRulesToProfileRules(targetDir, profileName);\n\t}\n}'
+    ].join('\n\n') + '\n'
+};
+
+// 早期版本 init.js 中 setupMCPConfiguration 的MCP配置模板，供应商的API密钥写入其中的env
+export const INIT_JS_WITH_MCP_TEMPLATE = "const newMCPServer = {\n\t'task-master-ai': {\n\t\tenv: {\n\t\t\tOPENAI_API_KEY: 'OPENAI_API_KEY_HERE'\n\t\t}\n\t}\n};\n";
+
+export const PROJECT_FILES = {
+    '.cursor/mcp.json': JSON.stringify({ mcpServers: { 'task-master-ai': { env: {} } } }, null, 2)
+};